@@ -0,0 +1,52 @@
+// attachments.js
+
+/**
+ * TabAttachments builds the files offered to resume/CV upload fields for a
+ * document tab, in preference order: the original upload (kept in
+ * chrome.storage.local under `tabSource_<tabId>`), then the tab's text
+ * rendered as PDF (pdfwriter.js) and as TXT. The content script picks the
+ * first one each field's `accept` allows.
+ *
+ * Used by the popup and by the background worker, which builds them for
+ * runs started in the page (form chips, later wizard steps).
+ */
+class TabAttachments {
+  async loadSource(tabId) {
+    const key = `tabSource_${tabId}`;
+    const result = await chrome.storage.local.get([key]);
+    return result[key] || null;
+  }
+
+  /**
+   * @param {{id: string, content: string}} tab - A popup document tab.
+   * @returns {Promise<Array<{name: string, type: string, data: string, origin: string}>>}
+   */
+  async build(tab) {
+    const attachments = [];
+    const source = await this.loadSource(tab.id);
+    if (source) attachments.push({ ...source, origin: 'original' });
+
+    const baseName = source ? source.name.replace(/\.[^.]+$/, '') : 'resume';
+    const writer = new PdfTextWriter();
+    const pdf = writer.render(tab.content, baseName);
+    // A PDF full of '?' is worse than the plain text
+    if (writer.unsupportedCount <= tab.content.length * 0.02) {
+      attachments.push({ name: `${baseName}.pdf`, type: 'application/pdf', data: this.toBase64(pdf), origin: 'rendered' });
+    }
+    attachments.push({
+      name: `${baseName}.txt`,
+      type: 'text/plain',
+      data: this.toBase64(new TextEncoder().encode(tab.content)),
+      origin: 'rendered'
+    });
+    return attachments;
+  }
+
+  toBase64(bytes) {
+    let s = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(s);
+  }
+}
@@ -1,96 +1,323 @@
-// Background service worker for handling extension lifecycle
-chrome.runtime.onInstalled.addListener(() => {
-  console.log('AI Form Filler Extension installed');
-  
-  // Set default settings
-  chrome.storage.local.set({
-    settings: {
-      autoDetect: true,
-      showLabels: true,
-      aiEnabled: true
-    }
-  });
-});
-
-// Handle extension icon click (if not using popup)
-chrome.action.onClicked.addListener((tab) => {
-  // This won't be called if we have a default_popup
-  // But keeping for potential future use
-  chrome.scripting.executeScript({
-    target: { tabId: tab.id },
-    files: ['content.js']
-  });
-});
-
-// Listen for messages from content scripts
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'getAIStatus') {
-    // Check AI availability from background
-    checkAIAvailability().then(status => {
-      sendResponse({ status });
-    });
-    return true; // Keep channel open for async response
-  }
-});
-
-async function checkAIAvailability() {
-  try {
-    if ('ai' in self && 'languageModel' in self.ai) {
-      const capabilities = await self.ai.languageModel.capabilities();
-      return capabilities.available;
-    }
-  } catch (error) {
-    console.error('AI check error:', error);
-  }
-  return 'no';
-}
-
-
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'callHuggingFace') {
-    // Make the actual API call from background script (not subject to CSP)
-    fetch("https://router.huggingface.co/v1/chat/completions", {
-      headers: {
-        Authorization: `Bearer ${request.token}`,
-        "Content-Type": "application/json",
-      },
-      method: "POST",
-      body: JSON.stringify({
-        messages: [
-          {
-            role: "user",
-            content: request.prompt,
-          },
-        ],
-        model: request.model,
-        max_tokens: 1000,
-        temperature: 0.3
-      }),
-    })
-    .then(response => {
-      if (response.status === 401) {
-        throw new Error(`Authentication failed (401): Invalid API token`);
-      }
-      if (!response.ok) {
-        return response.text().then(text => {
-          throw new Error(`HuggingFace API error: ${response.status} - ${text}`);
-        });
-      }
-      return response.json();
-    })
-    .then(result => {
-      // Extract the actual message content from the chat completion response
-      if (result.choices && result.choices[0] && result.choices[0].message) {
-        sendResponse({ result: result.choices[0].message.content });
-      } else {
-        sendResponse({ result: JSON.stringify(result) });
-      }
-    })
-    .catch(error => {
-      console.error('HuggingFace API call failed:', error);
-      sendResponse({ error: error.message });
-    });
-    
-    return true; // Indicates async response
-  }
-});
\ No newline at end of file
+// Background service worker for handling extension lifecycle
+importScripts('providers.js', 'vault.js', 'pdfwriter.js', 'attachments.js');
+
+const vault = new CredentialVault();
+// Keys older versions stored in plaintext leave chrome.storage.local at once
+vault.holdLegacyKeys().catch(error => console.error('Could not move legacy API keys:', error));
+
+chrome.runtime.onInstalled.addListener(() => {
+  console.log('AI Form Filler Extension installed');
+  
+  // Set default settings, keeping the user's choices across updates
+  chrome.storage.local.get(['settings'], ({ settings }) => {
+    chrome.storage.local.set({
+      settings: {
+        autoDetect: true,
+        overlayMode: 'full',
+        autoFillThreshold: 0.7,
+        aiEnabled: true,
+        wizardMode: false,
+        autoDetectSites: {},
+        ...settings
+      }
+    });
+  });
+});
+
+// Handle extension icon click (if not using popup)
+chrome.action.onClicked.addListener((tab) => {
+  // This won't be called if we have a default_popup
+  // But keeping for potential future use
+  chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    files: chrome.runtime.getManifest().content_scripts[0].js
+  });
+});
+
+// Listen for messages from content scripts
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target === 'offscreen') return;
+
+  if (request.action === 'getAIStatus') {
+    // Check AI availability from background
+    checkAIAvailability().then(status => {
+      sendResponse({ status });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'createOnDeviceSession') {
+    if (!sender.tab) return false;
+    sendToOffscreen({ action: 'createSession', options: request.options })
+      .then(({ sessionId }) => {
+        onDeviceSessions.set(sessionId, sender.tab.id);
+        sendResponse({ sessionId });
+      })
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  // A session only answers the tab that created it
+  if ((request.action === 'promptOnDevice' || request.action === 'destroyOnDeviceSession') &&
+      (!sender.tab || onDeviceSessions.get(request.sessionId) !== sender.tab.id)) {
+    sendResponse({ error: 'Session not found' });
+    return false;
+  }
+
+  if (request.action === 'promptOnDevice') {
+    sendToOffscreen({ action: 'prompt', sessionId: request.sessionId, prompt: request.prompt })
+      .then(({ result }) => sendResponse({ result }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'destroyOnDeviceSession') {
+    onDeviceSessions.delete(request.sessionId);
+    sendToOffscreen({ action: 'destroySession', sessionId: request.sessionId })
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+});
+
+// Cross-frame relay. The top frame's content script orchestrates a fill run;
+// content scripts cannot message other frames directly, so the background
+// forwards requests to every child frame and their notices back to the top.
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'frameBroadcast') {
+    if (!sender.tab) return false;
+    broadcastToFrames(sender.tab.id, request.message, request.frameIds)
+      .then(results => sendResponse({ results }));
+    return true;
+  }
+
+  if (request.action === 'frameToTop') {
+    if (!sender.tab) return false;
+    chrome.tabs.sendMessage(sender.tab.id, { ...request.message, frameId: sender.frameId }, { frameId: 0 })
+      .catch(() => {});
+    return false;
+  }
+});
+
+/**
+ * Send `message` to the given child frames (default: all but the top frame)
+ * and collect their answers. Frames that fail or time out report `error`.
+ * @returns {Promise<Array<{frameId: number, response?: any, error?: string}>>}
+ */
+async function broadcastToFrames(tabId, message, frameIds = null) {
+  let targets = frameIds;
+  if (!targets) {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId });
+    targets = (frames || []).map(f => f.frameId).filter(id => id !== 0);
+  }
+  return Promise.all(targets.map(async (frameId) => {
+    try {
+      return { frameId, response: await sendToFrame(tabId, frameId, message) };
+    } catch (error) {
+      return { frameId, error: error.message };
+    }
+  }));
+}
+
+async function sendToFrame(tabId, frameId, message) {
+  const send = () => Promise.race([
+    chrome.tabs.sendMessage(tabId, message, { frameId }),
+    new Promise((resolve, reject) => setTimeout(() => reject(new Error('Frame did not respond')), 5000))
+  ]);
+  try {
+    return await send();
+  } catch (error) {
+    // Frames added after page load may not have the content script yet
+    if (!/Receiving end does not exist|Could not establish connection/i.test(error.message)) throw error;
+    await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frameId] },
+      files: chrome.runtime.getManifest().content_scripts[0].js
+    });
+    return send();
+  }
+}
+
+// Wizard mode state, one entry per tab. Kept in session storage (content
+// scripts cannot read it) so a wizard outlives the page navigations between
+// its steps but not the browser session.
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action !== 'wizard') return;
+  // Only the top frame of a tab drives a wizard
+  if (!sender.tab || sender.frameId !== 0) return false;
+  const key = `wizard_${sender.tab.id}`;
+
+  if (request.op === 'get') {
+    chrome.storage.session.get([key]).then(result => sendResponse({ state: result[key] || null }));
+    return true;
+  }
+  if (request.op === 'save') {
+    chrome.storage.session.set({ [key]: request.state })
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+  if (request.op === 'stop') {
+    chrome.storage.session.remove(key).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+  return false;
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.remove(`wizard_${tabId}`);
+});
+
+// On-device sessions live in the offscreen document (offscreen.js), which can
+// reach the LanguageModel API on any site, unlike a script in the page
+const onDeviceSessions = new Map(); // sessionId -> owning tab id
+let offscreenCreating = null;
+
+async function ensureOffscreenDocument() {
+  const url = chrome.runtime.getURL('offscreen.html');
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'], documentUrls: [url] });
+  if (contexts.length > 0) return;
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['WORKERS'],
+      justification: 'Hosts Chrome built-in AI (Gemini Nano) sessions used to fill forms'
+    }).finally(() => {
+      offscreenCreating = null;
+    });
+  }
+  await offscreenCreating;
+}
+
+async function sendToOffscreen(message) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', ...message });
+  if (!response) throw new Error('The on-device model host did not respond');
+  if (response.error) throw new Error(response.error);
+  return response;
+}
+
+/**
+ * The one authoritative on-device availability check, used by getAIStatus
+ * and, through it, by AIBridge.capabilities in the content script.
+ * @returns {Promise<'readily'|'after-download'|'no'>}
+ */
+async function checkAIAvailability() {
+  try {
+    const { available } = await sendToOffscreen({ action: 'availability' });
+    return available;
+  } catch (error) {
+    console.error('AI check error:', error);
+  }
+  return 'no';
+}
+
+// Sessions of closed tabs would otherwise hold model memory until the browser exits
+chrome.tabs.onRemoved.addListener((tabId) => {
+  onDeviceSessions.forEach((owner, sessionId) => {
+    if (owner !== tabId) return;
+    onDeviceSessions.delete(sessionId);
+    sendToOffscreen({ action: 'destroySession', sessionId }).catch(() => {});
+  });
+});
+
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'callProvider') {
+    // Make the actual API call from background script (not subject to CSP)
+    callConfiguredProvider(request.prompt)
+      .then(result => {
+        sendResponse({ result });
+      })
+      .catch(error => {
+        console.error('Provider API call failed:', error);
+        sendResponse({ error: error.message });
+      });
+
+    return true; // Indicates async response
+  }
+
+  // Runs started in the page offer the same attachments as the popup; pdfwriter.js is not loaded there
+  if (request.action === 'buildAttachments') {
+    chrome.storage.local.get(['tabs']).then(({ tabs }) => {
+      const tab = (tabs || []).find(t => t.id === request.tabId);
+      return tab ? new TabAttachments().build(tab) : [];
+    })
+      .then(attachments => sendResponse({ attachments }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'getProviderInfo') {
+    describeConfiguredProvider().then(provider => {
+      sendResponse({ provider });
+    });
+    return true;
+  }
+
+  if (request.action === 'vault') {
+    // Only extension pages (the popup) may manage keys; content scripts run in tabs
+    if (sender.id !== chrome.runtime.id || sender.tab) {
+      sendResponse({ error: 'Not allowed' });
+      return false;
+    }
+    handleVaultRequest(request)
+      .then(status => sendResponse({ status }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+});
+
+async function callConfiguredProvider(prompt) {
+  const config = await ProviderSettings.load();
+  const provider = new ChatProvider(config);
+  const apiKey = await vault.getKey(config.preset);
+  if (!apiKey && !provider.isLocal()) {
+    throw new Error(await missingKeyReason(provider, config.preset));
+  }
+  return provider.complete(prompt, apiKey);
+}
+
+async function describeConfiguredProvider() {
+  const config = await ProviderSettings.load();
+  const provider = new ChatProvider(config);
+  const info = provider.describe();
+  info.hasKey = await vault.hasKey(config.preset);
+  info.keyAvailable = !!(await vault.getKey(config.preset));
+  if (info.requiresKey && !info.keyAvailable) {
+    info.unavailableReason = await missingKeyReason(provider, config.preset);
+  }
+  return info;
+}
+
+async function missingKeyReason(provider, presetId) {
+  const status = await vault.status();
+  if (!status.initialized) return `Set up the credential vault and add an API key for ${provider.label}`;
+  if (!status.unlocked) return 'Credential vault is locked — unlock it in the popup';
+  if (!(await vault.hasKey(presetId))) return `No API key stored for ${provider.label}`;
+  return `The stored key for ${provider.label} could not be read`;
+}
+
+async function handleVaultRequest(request) {
+  switch (request.op) {
+    case 'status':
+      break;
+    case 'setup':
+      await vault.setup(request.passphrase);
+      break;
+    case 'unlock':
+      await vault.unlock(request.passphrase);
+      break;
+    case 'lock':
+      await vault.lock();
+      break;
+    case 'setKey':
+      await vault.setKey(request.provider, request.apiKey);
+      break;
+    case 'deleteKey':
+      await vault.deleteKey(request.provider);
+      break;
+    default:
+      throw new Error(`Unknown vault operation: ${request.op}`);
+  }
+  return vault.status();
+}
\ No newline at end of file
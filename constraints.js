@@ -0,0 +1,159 @@
+// constraints.js
+
+/**
+ * ValueShaper adapts a suggestion to the constraints its field declares, so
+ * the value we write is one the browser accepts: the `pattern` regex,
+ * `maxlength`, `min`/`max`/`step` on numbers, and `url`/`email` syntax.
+ *
+ * Constraints are read where the element is (describe) and travel with the
+ * field record, so fields of child frames are shaped in the top frame too.
+ * What cannot be made to fit is written as suggested; the validation report
+ * after filling shows it.
+ */
+class ValueShaper {
+  /**
+   * @returns {{type: string, pattern?: string, maxLength?: number, minLength?: number,
+   *   min?: number, max?: number, step?: number|'any'}|null} null when nothing constrains the field.
+   */
+  describe(element) {
+    if (element.tagName !== 'INPUT' && element.tagName !== 'TEXTAREA') return null;
+    const type = element.tagName === 'TEXTAREA' ? 'textarea' : (element.type || 'text').toLowerCase();
+    const constraints = { type };
+    const pattern = element.getAttribute('pattern');
+    if (pattern && element.tagName === 'INPUT') constraints.pattern = pattern;
+    if (element.maxLength > 0) constraints.maxLength = element.maxLength;
+    if (element.minLength > 0) constraints.minLength = element.minLength;
+    if (type === 'number' || type === 'range') {
+      ['min', 'max'].forEach(attr => {
+        const n = parseFloat(element.getAttribute(attr));
+        if (Number.isFinite(n)) constraints[attr] = n;
+      });
+      const step = element.getAttribute('step');
+      if (step && step.toLowerCase() === 'any') constraints.step = 'any';
+      else if (parseFloat(step) > 0) constraints.step = parseFloat(step);
+    }
+    return Object.keys(constraints).length > 1 || ['number', 'range', 'url', 'email'].includes(type) ? constraints : null;
+  }
+
+  /**
+   * @param {string} value
+   * @returns {{value: string, note: string|null}|null} The shaped value and
+   *   what was changed (null note: nothing), or null when the value cannot
+   *   be used at all (no number in a number field, no address in an email field).
+   */
+  shape(value, constraints) {
+    const original = String(value == null ? '' : value).trim();
+    let shaped = original;
+    const notes = [];
+
+    if (constraints.type === 'number' || constraints.type === 'range') {
+      shaped = this.shapeNumber(original, constraints);
+      if (shaped == null) return null;
+    } else if (constraints.type === 'email') {
+      const match = original.match(/[^\s<>()[\]@,;:"]+@[^\s<>()[\]@,;:"]+\.[a-z]{2,}/i);
+      if (!match) return null;
+      shaped = match[0];
+    } else if (constraints.type === 'url') {
+      shaped = this.shapeUrl(original);
+      if (shaped == null) return null;
+    }
+
+    if (constraints.pattern && !this.matchesPattern(shaped, constraints.pattern)) {
+      const fitted = this.fitPattern(shaped, constraints.pattern);
+      if (fitted != null) shaped = fitted;
+      else notes.push('does not match the required format');
+    }
+
+    if (constraints.maxLength && shaped.length > constraints.maxLength) {
+      shaped = this.truncate(shaped, constraints.maxLength);
+      notes.push(`shortened to ${constraints.maxLength} characters`);
+    }
+    if (constraints.minLength && shaped.length < constraints.minLength) {
+      notes.push(`shorter than the ${constraints.minLength} characters required`);
+    }
+
+    if (shaped !== original && !notes.length) notes.push(`adjusted from "${original.length > 40 ? `${original.slice(0, 40)}…` : original}"`);
+    return { value: shaped, note: notes.length ? notes.join(', ') : null };
+  }
+
+  /**
+   * The first number in the text ("5+ years" -> 5, "1,200" -> 1200),
+   * clamped to min/max and rounded to the nearest step.
+   */
+  shapeNumber(text, { min, max, step }) {
+    const match = text.replace(/(\d),(?=\d{3}\b)/g, '$1').match(/-?\d+(?:[.,]\d+)?/);
+    if (!match) return null;
+    let n = parseFloat(match[0].replace(',', '.'));
+    if (step !== 'any') {
+      const size = step || 1;
+      const base = Number.isFinite(min) ? min : 0;
+      n = base + Math.round((n - base) / size) * size;
+      // Keep the step's precision, not floating point noise
+      const decimals = (String(size).split('.')[1] || '').length;
+      n = Number(n.toFixed(decimals));
+    }
+    if (Number.isFinite(min) && n < min) n = min;
+    if (Number.isFinite(max) && n > max) n = max;
+    return String(n);
+  }
+
+  // Bare domains ("github.com/me") get a scheme; anything else must parse as a URL
+  shapeUrl(text) {
+    const candidate = text.match(/\S+/);
+    if (!candidate) return null;
+    let url = candidate[0].replace(/[),.;]+$/, '');
+    if (!/^[a-z][a-z\d+.-]*:/i.test(url)) {
+      if (!/^[\w-]+(\.[\w-]+)+(\/|$)/.test(url.replace(/^\/\//, ''))) return null;
+      url = `https://${url.replace(/^\/\//, '')}`;
+    }
+    try {
+      new URL(url);
+      return url;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // `pattern` matches the whole value, with the v flag as browsers compile it (u where v is missing)
+  matchesPattern(value, pattern) {
+    const regex = this.compile(pattern);
+    return !regex || regex.test(value);
+  }
+
+  compile(pattern) {
+    for (const flags of ['v', 'u']) {
+      try {
+        return new RegExp(`^(?:${pattern})$`, flags);
+      } catch (e) {
+        // Try the next flag; an invalid pattern is ignored, as browsers do
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Try the rewrites that most often make a value fit a format: spacing and
+   * punctuation removed, letter case, digits only.
+   * @returns {string|null}
+   */
+  fitPattern(value, pattern) {
+    const regex = this.compile(pattern);
+    if (!regex) return null;
+    const candidates = [
+      value.replace(/\s+/g, ''),
+      value.replace(/[\s\-./()]+/g, ''),
+      value.toUpperCase(),
+      value.toLowerCase(),
+      value.replace(/\s+/g, '').toUpperCase(),
+      value.replace(/\D+/g, '')
+    ];
+    return candidates.find(c => c && regex.test(c)) || null;
+  }
+
+  // Cut at a word boundary when one is near the limit
+  truncate(value, maxLength) {
+    const cut = value.slice(0, maxLength);
+    const space = cut.lastIndexOf(' ');
+    return space > maxLength * 0.8 ? cut.slice(0, space).trimEnd() : cut;
+  }
+}
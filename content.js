@@ -1,1584 +1,3662 @@
-// content.js
-
-/**
- * AIBridge provides a robust, timeout-enabled, and injectable interface
- * for communicating with an AI model in the page's context. This is superior
- * to directly accessing `self.ai` as it's more resilient and abstract.
- * Now supports HuggingFace models as an alternative.
- */
-class AIBridge {
-  constructor() {
-    this.seq = 0;
-    this.pending = new Map();
-    this.injected = false;
-    this.hfToken = null;
-    window.addEventListener('message', this.onMessage.bind(this));
-    this.loadHFToken();
-  }
-
-  async loadHFToken() {
-    const result = await chrome.storage.local.get(['hfToken', 'hfModel']);
-    this.hfToken = result.hfToken || null;
-    this.hfModel = result.hfModel || 'meta-llama/Llama-3.2-3B-Instruct:novita';
-  }
-
-  async ensureInjected() {
-    if (this.injected) return;
-    if (!document.getElementById('__ai_bridge_injected')) {
-      const script = document.createElement('script');
-      script.id = '__ai_bridge_injected';
-      script.src = chrome.runtime.getURL('injected.js');
-      (document.documentElement || document.head || document.body).appendChild(script);
-    }
-    this.injected = true;
-  }
-
-async callHuggingFaceViaBackground(prompt, model, token) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({
-      action: 'callHuggingFace',
-      prompt: prompt,
-      model: model,
-      token: token
-    }, response => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else if (response.error) {
-        reject(new Error(response.error));
-      } else {
-        resolve(response.result);
-      }
-    });
-  });
-}
-
-onMessage(event) {
-  const msg = event.data;
-  if (!msg || msg.source !== 'AI_FORM_FILLER_BRIDGE') return;
-  
-  // Handle HuggingFace API request from injected script
-  if (msg.type === 'HF_API_CALL') {
-    this.callHuggingFaceViaBackground(msg.prompt, msg.model, msg.token)
-      .then(result => {
-        window.postMessage({
-          source: 'AI_FORM_FILLER_BRIDGE_RESPONSE',
-          id: msg.id,
-          result: result
-        }, '*');
-      })
-      .catch(error => {
-        window.postMessage({
-          source: 'AI_FORM_FILLER_BRIDGE_RESPONSE',
-          id: msg.id,
-          error: error.message
-        }, '*');
-      });
-    return;
-  }
-  
-  const p = this.pending.get(msg.id);
-  if (!p) return;
-  this.pending.delete(msg.id);
-  if (msg.error) p.reject(new Error(msg.error));
-  else p.resolve(msg.payload);
-}
-
-  post(type, data, timeoutMs = 20000) {
-    return new Promise((resolve, reject) => {
-      const id = `m${++this.seq}`;
-      this.pending.set(id, { resolve, reject });
-      window.postMessage({
-        target: 'AI_FORM_FILLER_BRIDGE',
-        id,
-        type,
-        data,
-        hfToken: this.hfToken,
-        hfModel: this.hfModel
-      }, '*');
-      setTimeout(() => {
-        if (this.pending.has(id)) {
-          this.pending.delete(id);
-          reject(new Error(`AI bridge timeout for ${type}`));
-        }
-      }, timeoutMs);
-    });
-  }
-
-  async capabilities() {
-    await this.ensureInjected();
-    await this.loadHFToken();
-    return this.post('CAPABILITIES');
-  }
-  async createSession(options) {
-    await this.ensureInjected();
-    await this.loadHFToken();
-    return this.post('CREATE_SESSION', { options });
-  }
-  async prompt(sessionId, prompt) {
-    return this.post('PROMPT', { sessionId, prompt }, 30000);
-  }
-  async destroy(sessionId) {
-    return this.post('DESTROY', { sessionId });
-  }
-  
-  cancelAllPending() {
-    this.pending.forEach((p) => {
-      p.reject(new Error('Cancelled by user'));
-    });
-    this.pending.clear();
-  }
-}
-
-
-class FormAnalyzer {
-  constructor() {
-    this.identifiedFields = [];
-    this.fieldOverlays = [];
-    this.aiBridge = new AIBridge();
-    this.currentSessionId = null;
-    this.isProcessing = false;
-    this.isCancelled = false;
-
-    // Overlay tracking
-    this.updateOverlayPositionsBound = null;
-    this.resizeObserver = null;
-
-    // New caches for robust index/key resolution
-    this.fieldsJsonCache = null;
-    this.elementsCache = null;
-    this.fieldKeyToIndex = new Map();
-    this.cssPathToIndex = new Map();
-
-    this.init();
-  }
-
-init() {
-  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === 'ping') {
-      sendResponse({ status: 'ready' });
-      return true;
-    }
-
-    if (request.action === 'fillForms') {
-      this.processFormFilling(request.context, request.useAI);
-      sendResponse({ status: 'started' });
-      return true;
-    }
-
-    if (request.action === 'extractFormData') {
-      // Handle extraction request from popup
-      const extractedData = this.extractFilledValues();
-      if (extractedData && extractedData.length > 0) {
-        const formattedData = this.formatExtractedData(extractedData);
-        sendResponse({ data: formattedData });
-      } else {
-        sendResponse({ data: null });
-      }
-      return true;
-    }
-
-    if (request.action === 'checkAI') {
-      this.checkAI().then((resp) => {
-        chrome.runtime.sendMessage({ action: 'aiStatus', payload: resp });
-      }).catch(e => {
-        console.error('AI check failed:', e);
-        chrome.runtime.sendMessage({ action: 'aiStatus', payload: { available: 'no' } });
-      });
-      sendResponse({ status: 'checking' });
-      return true;
-    }
-
-    if (request.action === 'updateHFToken') {
-      this.aiBridge.loadHFToken();
-      sendResponse({ status: 'updated' });
-      return true;
-    }
-
-    return true;
-  });
-}
-
-  createLoadingOverlay() {
-    const overlay = document.createElement('div');
-    overlay.className = 'ai-loading-overlay';
-    overlay.id = 'aiLoadingOverlay';
-    overlay.innerHTML = `
-      <div class="ai-loading-spinner"></div>
-      <div class="ai-loading-text">AI is analyzing form fields...</div>
-      <button class="ai-cancel-btn" id="aiCancelBtn">Cancel</button>
-    `;
-    document.body.appendChild(overlay);
-    
-    document.getElementById('aiCancelBtn').addEventListener('click', () => {
-      this.cancelProcessing();
-    });
-  }
-
-  removeLoadingOverlay() {
-    const overlay = document.getElementById('aiLoadingOverlay');
-    if (overlay) overlay.remove();
-  }
-
-  async cancelProcessing() {
-    this.isCancelled = true;
-    this.aiBridge.cancelAllPending();
-    
-    if (this.currentSessionId) {
-      try {
-        await this.aiBridge.destroy(this.currentSessionId);
-      } catch (e) {
-        console.log('Session cleanup error:', e);
-      }
-      this.currentSessionId = null;
-    }
-    
-    this.removeLoadingOverlay();
-    this.isProcessing = false;
-    
-    chrome.runtime.sendMessage({ action: 'processingComplete' });
-  }
-
-  /**
-   * Orchestrates the entire form filling process using iterative field collection.
-   * @param {string} context - The text content to use for filling forms.
-   * @param {boolean} useAI - Whether to use the AI model or fallback to patterns.
-   */
-  async processFormFilling(context, useAI) {
-    if (this.isProcessing) return;
-    
-    this.isProcessing = true;
-    this.isCancelled = false;
-    this.clearOverlays(false);
-    
-    // Show loading overlay
-    this.createLoadingOverlay();
-
-    // Step 1: Iteratively collect all form elements
-    const elements = this.collectAllFormElements();
-    if (elements.length === 0) {
-      console.log('No form fields found on the page.');
-      this.removeLoadingOverlay();
-      this.isProcessing = false;
-      chrome.runtime.sendMessage({ action: 'processingComplete' });
-      return;
-    }
-
-    // Step 2: Create structured JSON of collected fields
-    const fieldsJson = this.createFieldsJson(elements);
-    
-    // Step 3: Get FULL PAGE HTML (kept for future improvements)
-    const pageHtml = this.getFullPageHtml();
-
-    if (useAI) {
-      try {
-        if (this.isCancelled) throw new Error("Cancelled by user");
-        
-        const sessionInfo = await this.aiBridge.createSession({ topK: 3, temperature: 0.3 });
-        this.currentSessionId = sessionInfo.sessionId;
-        if (!this.currentSessionId) throw new Error("Failed to create session, no sessionId returned.");
-
-        console.log(`AI session created: ${this.currentSessionId}. Analyzing ${elements.length} fields...`);
-        
-        if (this.isCancelled) throw new Error("Cancelled by user");
-        
-        // Step 4: Pass BOTH HTML AND fields JSON to AI for smart analysis (now in batches over ALL fields)
-        await this.analyzeWithFullHtml(elements, fieldsJson, pageHtml, context, this.currentSessionId);
-        
-      } catch (e) {
-        if (e.message === "Cancelled by user") {
-          console.log("Operation cancelled by user");
-        } else {
-          console.error("AI processing failed:", e);
-          alert("AI processing failed: " + e.message);
-        }
-      } finally {
-        if (this.currentSessionId) {
-          console.log(`Destroying AI session: ${this.currentSessionId}`);
-          try {
-            await this.aiBridge.destroy(this.currentSessionId);
-          } catch (e) {
-            console.log('Session cleanup error:', e);
-          }
-          this.currentSessionId = null;
-        }
-        this.removeLoadingOverlay();
-        this.isProcessing = false;
-        chrome.runtime.sendMessage({ action: 'processingComplete' });
-      }
-    } else {
-      console.log("Using pattern matching for analysis.");
-      await this.analyzeWithPatterns(elements, context);
-      this.removeLoadingOverlay();
-      this.isProcessing = false;
-      chrome.runtime.sendMessage({ action: 'processingComplete' });
-    }
-
-    if (!this.isCancelled) {
-      console.log(`Analysis complete. Found ${this.identifiedFields.length} potential fields to fill.`);
-      this.createOverlays();
-    }
-  }
-
-  /**
-   * Iteratively collect all form elements on the page
-   */
-  collectAllFormElements() {
-    const elements = [];
-    const seenElements = new Set();
-
-    // Prepare form indexing for stable addressing
-    const formsArr = Array.from(document.querySelectorAll('form'));
-    const formIndexMap = new Map(formsArr.map((f, i) => [f, i]));
-    const formOrderMap = new Map(formsArr.map((f) => [f, 0]));
-    let standaloneOrder = 0;
-
-    const addElement = (el, details) => {
-      if (!el || seenElements.has(el)) return;
-      const rect = el.getBoundingClientRect();
-      if (rect.width > 5 && rect.height > 5) {
-        elements.push({
-          element: el,
-          rect: rect,
-          ...details
-        });
-        seenElements.add(el);
-      }
-    };
-
-    // Collect all forms first
-    formsArr.forEach(form => {
-      // Get all input elements within this form
-      const formInputs = form.querySelectorAll('input:not([type="hidden"]):not([type="submit"]):not([type="button"]), textarea, select');
-      formInputs.forEach(input => {
-        const orderWithinForm = (formOrderMap.get(form) || 0);
-        formOrderMap.set(form, orderWithinForm + 1);
-
-        addElement(input, {
-          type: this.getFieldType(input),
-          label: this.findLabel(input),
-          formId: form.id || null,
-          formName: form.name || null,
-          formAction: form.action || null,
-          formMethod: form.method || null,
-          formIndex: formIndexMap.get(form),
-          orderWithinForm
-        });
-      });
-    });
-
-    // Also collect inputs outside of forms
-    const standaloneInputs = document.querySelectorAll('input:not([type="hidden"]):not([type="submit"]):not([type="button"]), textarea, select');
-    standaloneInputs.forEach(input => {
-      if (!input.closest('form')) {
-        standaloneOrder += 1;
-        addElement(input, {
-          type: this.getFieldType(input),
-          label: this.findLabel(input),
-          formId: null,
-          formName: null,
-          formAction: null,
-          formMethod: null,
-          formIndex: -1,
-          orderWithinForm: standaloneOrder
-        });
-      }
-    });
-
-    // Collect contenteditable elements
-    const editables = document.querySelectorAll('[contenteditable="true"]');
-    editables.forEach(editable => {
-      addElement(editable, {
-        type: 'text',
-        label: this.findLabel(editable),
-        isContentEditable: true,
-        formIndex: editable.closest('form') ? (formIndexMap.get(editable.closest('form')) ?? -1) : -1,
-        orderWithinForm: 9999
-      });
-    });
-
-    // Collect potential fields with ARIA attributes
-    const potentialFields = document.querySelectorAll('[role="textbox"], [aria-label], [data-placeholder]');
-    potentialFields.forEach(field => {
-      addElement(field, {
-        type: 'text',
-        label: field.getAttribute('aria-label') || field.getAttribute('data-placeholder') || '',
-        isPotential: true,
-        formIndex: field.closest('form') ? (formIndexMap.get(field.closest('form')) ?? -1) : -1,
-        orderWithinForm: 9999
-      });
-    });
-
-    return elements;
-  }
-
-  /**
-   * Create structured JSON representation of collected fields
-   */
-  createFieldsJson(elements) {
-    return elements.map((field, index) => {
-      const rec = {
-        index: index,
-        type: field.type,
-        label: field.label || '',
-        name: field.element.name || '',
-        id: field.element.id || '',
-        placeholder: field.element.placeholder || '',
-        required: field.element.required || false,
-        className: field.element.className || '',
-        formId: field.formId || null,
-        formName: field.formName || null,
-        formAction: field.formAction || null,
-        formMethod: field.formMethod || null,
-        formIndex: typeof field.formIndex === 'number' ? field.formIndex : -1,
-        orderWithinForm: typeof field.orderWithinForm === 'number' ? field.orderWithinForm : -1,
-        tagName: field.element.tagName,
-        attributes: this.getRelevantAttributes(field.element),
-        parentLabels: this.getParentLabels(field.element),
-        nearbyText: this.getNearbyText(field.element),
-        cssPath: this.computeCssPath(field.element)
-      };
-      rec.stableKey = this.computeStableKey(rec);
-      return rec;
-    });
-  }
-
-  /**
-   * Get relevant attributes from an element
-   */
-  getRelevantAttributes(element) {
-    const relevantAttrs = ['aria-label', 'aria-describedby', 'data-field', 'data-type', 'autocomplete', 'pattern', 'maxlength', 'minlength'];
-    const attrs = {};
-    relevantAttrs.forEach(attr => {
-      const value = element.getAttribute(attr);
-      if (value) attrs[attr] = value;
-    });
-    return attrs;
-  }
-
-  /**
-   * Get parent labels and headings
-   */
-  getParentLabels(element) {
-    const labels = [];
-    let parent = element.parentElement;
-    let depth = 0;
-    while (parent && depth < 3) {
-      const parentLabels = parent.querySelectorAll('label, h1, h2, h3, h4, h5, h6, th, legend');
-      parentLabels.forEach(label => {
-        if (!label.contains(element)) {
-          labels.push(label.textContent.trim());
-        }
-      });
-      parent = parent.parentElement;
-      depth++;
-    }
-    return labels;
-  }
-
-  /**
-   * Get nearby text content
-   */
-  getNearbyText(element) {
-    const texts = [];
-    const parent = element.parentElement;
-    if (parent) {
-      const siblings = Array.from(parent.children);
-      const index = siblings.indexOf(element);
-      
-      // Get text from previous sibling
-      if (index > 0 && siblings[index - 1]) {
-        const prevText = siblings[index - 1].textContent.trim();
-        if (prevText && prevText.length < 200) texts.push(prevText);
-      }
-      
-      // Get text from next sibling
-      if (index < siblings.length - 1 && siblings[index + 1]) {
-        const nextText = siblings[index + 1].textContent.trim();
-        if (nextText && nextText.length < 200) texts.push(nextText);
-      }
-    }
-    return texts;
-  }
-
-  /**
-   * Compute a robust CSS path for an element, falling back to a structural path.
-   */
-  computeCssPath(el) {
-    try {
-      const esc = (s) => {
-        if (window.CSS && CSS.escape) return CSS.escape(s);
-        return String(s).replace(/([ !"#$%&'()*+,.\/:;<=>?@[\\```^`{|}~])/g, '\\$1');
-      };
-
-      if (el.id && document.querySelectorAll(`#${esc(el.id)}`).length === 1) {
-        return `#${el.id}`;
-      }
-
-      const parts = [];
-      let node = el;
-      while (node && node.nodeType === 1 && node !== document.documentElement) {
-        let sel = node.nodeName.toLowerCase();
-
-        if (node.id) {
-          sel += `#${esc(node.id)}`;
-          parts.unshift(sel);
-          break;
-        } else {
-          const classList = Array.from(node.classList || []).slice(0, 2);
-          if (classList.length) {
-            sel += classList.map(c => `.${esc(c)}`).join('');
-          }
-          // nth-of-type for stability
-          let nth = 1;
-          let sib = node.previousElementSibling;
-          while (sib) {
-            if (sib.nodeName === node.nodeName) nth++;
-            sib = sib.previousElementSibling;
-          }
-          sel += `:nth-of-type(${nth})`;
-          parts.unshift(sel);
-          node = node.parentElement;
-        }
-      }
-      return parts.join(' > ');
-    } catch (e) {
-      return '';
-    }
-  }
-
-  hashString(s) {
-    let h = 0;
-    for (let i = 0; i < s.length; i++) {
-      h = ((h << 5) - h) + s.charCodeAt(i);
-      h |= 0;
-    }
-    return (h >>> 0).toString(36);
-  }
-
-  computeStableKey(fj) {
-    const norm = (v) => (v || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
-    const payload = JSON.stringify({
-      t: norm(fj.type),
-      tg: norm(fj.tagName),
-      id: norm(fj.id),
-      nm: norm(fj.name),
-      lb: norm(fj.label),
-      ph: norm(fj.placeholder),
-      fid: norm(fj.formId),
-      fn: norm(fj.formName),
-      fa: norm(fj.formAction),
-      fm: norm(fj.formMethod),
-      fi: typeof fj.formIndex === 'number' ? fj.formIndex : -1,
-      of: typeof fj.orderWithinForm === 'number' ? fj.orderWithinForm : -1,
-      pL: (fj.parentLabels || []).map(norm).join('|'),
-      nT: (fj.nearbyText || []).map(norm).join('|'),
-      cp: norm(fj.cssPath)
-    });
-    return `k_${this.hashString(payload)}`;
-  }
-
-  /**
-   * Get FULL PAGE HTML
-   */
-  getFullPageHtml() {
-    // Clone the document to avoid modifying the actual page
-    const docClone = document.documentElement.cloneNode(true);
-    
-    // Remove script tags to reduce size
-    const scripts = docClone.querySelectorAll('script');
-    scripts.forEach(script => script.remove());
-    
-    // Remove style tags to reduce size
-    const styles = docClone.querySelectorAll('style');
-    styles.forEach(style => style.remove());
-    
-    // Get the HTML string
-    const htmlString = docClone.outerHTML;
-    
-    // Limit to reasonable size for LLM processing (keep first 15000 chars)
-    return htmlString.slice(0, 15000);
-  }
-
-  parseArrayFromText(input) {
-    // 1) Normalize to assistant's content if HF full object was returned
-    let text = '';
-    if (typeof input === 'string') {
-      text = input;
-      const trimmed = text.trim();
-      if (trimmed.startsWith('{') && trimmed.indexOf('"choices"') !== -1) {
-        try {
-          const obj = JSON.parse(trimmed);
-          const ch = obj && obj.choices && obj.choices[0];
-          const content = ch && ch.message && typeof ch.message.content === 'string'
-            ? ch.message.content
-            : (ch && ch.delta && typeof ch.delta.content === 'string' ? ch.delta.content : null);
-          if (typeof content === 'string') text = content;
-        } catch (_) {}
-      }
-    } else if (input && typeof input === 'object') {
-      try {
-        const ch = input.choices && input.choices[0];
-        const content = ch && ch.message && typeof ch.message.content === 'string'
-          ? ch.message.content
-          : (ch && ch.delta && typeof ch.delta.content === 'string' ? ch.delta.content : null);
-        text = typeof content === 'string' ? content : JSON.stringify(input);
-      } catch (_) {
-        text = '';
-      }
-    } else {
-      return [];
-    }
-
-    if (!text || typeof text !== 'string') return [];
-
-    // 2) Strip BOM
-    if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
-
-    // 3) Strip code fences if present
-    const stripFences = (s) => {
-      s = s.trim();
-      if (s.startsWith('```')) {
-        const firstNewline = s.indexOf('\n');
-        if (firstNewline !== -1) s = s.slice(firstNewline + 1);
-        const lastFence = s.lastIndexOf('```');
-        if (lastFence !== -1) s = s.slice(0, lastFence);
-      }
-      return s.trim();
-    };
-    text = stripFences(text);
-
-    // 4) Try direct parse
-    try {
-      const j = JSON.parse(text);
-      if (Array.isArray(j)) return j;
-    } catch (_) {}
-
-    // 5) Locate the array and extract all complete JSON objects within it (tolerates truncation)
-    const start = text.indexOf('[');
-    if (start === -1) return [];
-
-    let inString = false;
-    let escape = false;
-    let curlyDepth = 0;
-    let objStart = -1;
-    const results = [];
-
-    for (let i = start + 1; i < text.length; i++) {
-      const ch = text[i];
-
-      if (inString) {
-        if (escape) {
-          escape = false;
-        } else if (ch === '\\') {
-          escape = true;
-        } else if (ch === '"') {
-          inString = false;
-        }
-        continue;
-      }
-
-      if (ch === '"') {
-        inString = true;
-        continue;
-      }
-
-      if (ch === '{') {
-        if (curlyDepth === 0) objStart = i;
-        curlyDepth++;
-        continue;
-      }
-
-      if (ch === '}') {
-        curlyDepth--;
-        if (curlyDepth === 0 && objStart !== -1) {
-          const objText = text.slice(objStart, i + 1);
-          try {
-            const obj = JSON.parse(objText);
-            results.push(obj);
-          } catch (_) {
-            // ignore malformed object
-          }
-          objStart = -1;
-        }
-        continue;
-      }
-    }
-
-    return results;
-  }
-
-  /**
-   * New: Batched AI analysis over ALL fields with robust key-based index resolution
-   */
-  async analyzeWithFullHtml(elements, fieldsJson, pageHtml, context, sessionId) {
-    if (this.isCancelled) return;
-
-    // Cache for robust resolution later
-    this.fieldsJsonCache = fieldsJson;
-    this.elementsCache = elements;
-    this.fieldKeyToIndex = new Map(fieldsJson.map((f, i) => [f.stableKey, i]));
-    this.cssPathToIndex = new Map();
-    fieldsJson.forEach((f, i) => {
-      if (f.cssPath && !this.cssPathToIndex.has(f.cssPath)) {
-        this.cssPathToIndex.set(f.cssPath, i);
-      }
-    });
-    
-    // Build SELECT options info for AI
-    const fieldsWithOptions = fieldsJson.map((field, idx) => {
-      const elem = elements[idx]?.element;
-      const extra = {};
-      if (elem && elem.tagName === 'SELECT') {
-        extra.options = Array.from(elem.options).map(opt => ({
-          value: opt.value,
-          text: opt.text
-        }));
-      }
-      // Skip file inputs (cannot be filled programmatically)
-      const isFile = (elem && elem.tagName === 'INPUT' && elem.type && elem.type.toLowerCase() === 'file') || field.type === 'file';
-      return {
-        ...field,
-        ...extra,
-        isFile
-      };
-    });
-
-    // Process in batches so we don't miss fields
-    const batchSize = 24;
-    const usedIndices = new Set();
-    const usedKeys = new Set();
-    const norm = (s) => (s || '').toString().trim().toLowerCase();
-
-    for (let start = 0; start < fieldsWithOptions.length; start += batchSize) {
-      if (this.isCancelled) throw new Error("Cancelled by user");
-      const chunk = fieldsWithOptions.slice(start, start + batchSize)
-        // do not include file inputs in the prompt
-        .filter(f => !f.isFile);
-
-      // Build minimal chunk description to reduce token usage
-      const chunkForModel = chunk.map(f => ({
-        key: f.stableKey,           // STABLE KEY (canonical)
-        index: f.index,             // GLOBAL INDEX (for reference only)
-        type: f.type,
-        tagName: f.tagName,
-        id: f.id,
-        name: f.name,
-        label: f.label,
-        placeholder: f.placeholder,
-        nearbyText: f.nearbyText,
-        //cssPath: f.cssPath,
-        formIndex: f.formIndex,
-        orderWithinForm: f.orderWithinForm,
-        options: f.options
-      }));
-
-const prompt = `
-You are an intelligent form-filling assistant. Analyze the following fields and extract ONLY relevant values from the user context.
-
-IMPORTANT IDENTIFIERS:
-- key: The canonical unique identifier for a field. ALWAYS include this in your output exactly as provided.
-- index: A global numeric index of the field. May be used as a reference, but "key" is the source of truth.
-
-User Context (may be truncated):
-${context.slice(0, 2500)}
-
-Fields (GLOBAL indexes, canonical keys):
-${JSON.stringify(chunkForModel, null, 2)}
-
-Rules:
-- Return ONLY a JSON array of objects: [{"key": string, "index": number, "value": string, "confidence": 0.0-1.0, "reason": string}]
-- "key" is REQUIRED and MUST exactly match one of the provided keys.
-- "index" is optional; if present it must refer to the same field as "key". If mismatch occurs, "key" takes precedence.
-- Only include fields you can confidently fill from the context or sensible defaults below.
-- For first name: only the first name (e.g., "Merry"). For last name: only the last name ("Christmas").
-- For phone: return a single phone number (e.g., "+0 000 000 0000"), if present in context.
-- For email: extract a valid email if present.
-- For address fields: address1/street, city, state/province, zip/postal.
-- For DATE fields (type="date"): 
-  * MUST return in format "YYYY-MM-DD" (e.g., "2024-01-15")
-  * If you see "2017-Present" or similar, return just the start year as "2017-01-01"
-  * If date is "Present" or "Current", use today's date
-  * Never return text like "Present" or date ranges for date inputs
-- For SELECT fields: choose only from "options" and return the option's "value" (not text).
-- Defaults:
-  - "source" (how did you hear): prefer "search_engine" or "other" if unsure.
-  - "specify": short relevant text if available, otherwise "N/A".
-  - "work_authorization": if unsure, "yes".
-  - "start_date" or any date field: if context mentions a year like "2017", return "2017-01-01"
-- Skip file inputs — do NOT include them in output.
-- If no data for a field and no sensible default, omit it from the results.
-
-Return JSON array only.
-`.trim();
-
-      try {
-        const res = await this.aiBridge.prompt(sessionId, prompt);
-        const parsed = this.parseArrayFromText(res);
-      console.log(prompt)
-	  console.log(res)
-	  console.log(parsed);
-        if (Array.isArray(parsed) && parsed.length > 0) {
-          parsed.forEach(item => {
-            const resolvedIdx = this.resolveFieldIndex(item, fieldsJson);
-            if (resolvedIdx === -1) return;
-            if (usedIndices.has(resolvedIdx)) return;
-            if (item == null || item.value == null || String(item.value).trim() === '') return;
-
-            const field = elements[resolvedIdx];
-            if (!field || !field.element) return;
-
-            // Validate SELECT values
-            if (field.element.tagName === 'SELECT') {
-              const options = Array.from(field.element.options);
-              const value = String(item.value).trim();
-              const hasOption = options.some(opt => 
-                norm(opt.value) === norm(value) || norm(opt.text) === norm(value)
-              );
-
-              if (!hasOption) {
-                // Provide consistent defaults for some known selects
-                if (field.element.name === 'source' || field.element.id === 'source') {
-                  const preferred = ['search_engine', 'other'];
-                  const firstMatch = options.find(o => preferred.includes(o.value));
-                  if (firstMatch) {
-                    item.value = firstMatch.value;
-                  } else {
-                    return; // skip if no sensible default
-                  }
-                } else if (field.element.name === 'work_authorization' || field.element.id === 'work_authorization') {
-                  const yesOpt = options.find(o => norm(o.value) === 'yes');
-                  if (yesOpt) {
-                    item.value = yesOpt.value;
-                  } else {
-                    return;
-                  }
-                } else if (field.element.name === 'position' || field.element.id === 'position') {
-                  const se = options.find(o => norm(o.value) === 'software_engineer') || options.find(o => o.value);
-                  if (se) {
-                    item.value = se.value;
-                  } else {
-                    return;
-                  }
-                } else {
-                  return; // skip invalid select choices
-                }
-              }
-            }
-
-            usedIndices.add(resolvedIdx);
-            if (item.key) usedKeys.add(item.key);
-
-            this.identifiedFields.push({
-              ...field,
-              suggestedValue: String(item.value).trim(),
-              confidence: Math.max(0, Math.min(1, Number(item.confidence) || 0.8)),
-              reason: item.reason || '',
-              included: true
-            });
-          });
-        }
-      } catch (e) {
-        if (e.message === "Cancelled by user") throw e;
-        console.warn('Batch AI analysis failed:', e);
-        // Continue with other batches
-      }
-    }
-
-    // Ensure sensible defaults for common required fields if AI omitted them
-    this.addMissingDefaults(elements, fieldsJson, usedIndices);
-
-    if (!this.identifiedFields.length) {
-      throw new Error("AI returned no valid data");
-    }
-  }
-
-  /**
-   * Resolve item to a global field index using robust key-first matching,
-   * then cssPath, then id/name/label, then formIndex+orderWithinForm, and finally index.
-   */
-  resolveFieldIndex(item, fieldsJson) {
-    const inRange = (n) => typeof n === 'number' && n >= 0 && n < fieldsJson.length;
-    const norm = (s) => (s || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
-
-    // 1) Prefer the canonical stable key
-    if (item.key && this.fieldKeyToIndex.has(item.key)) {
-      return this.fieldKeyToIndex.get(item.key);
-    }
-
-    // 2) Try cssPath if provided
-    if (item.cssPath && this.cssPathToIndex.has(item.cssPath)) {
-      return this.cssPathToIndex.get(item.cssPath);
-    }
-
-    // 3) Try by id
-    if (item.id) {
-      const idx = fieldsJson.findIndex(f => norm(f.id) === norm(item.id));
-      if (idx !== -1) return idx;
-    }
-
-    // 4) Try by name
-    if (item.name) {
-      const idx = fieldsJson.findIndex(f => norm(f.name) === norm(item.name));
-      if (idx !== -1) return idx;
-    }
-
-    // 5) Try by label
-    if (item.label) {
-      const idx = fieldsJson.findIndex(f => norm(f.label) === norm(item.label));
-      if (idx !== -1) return idx;
-    }
-
-    // 6) Try by formIndex + orderWithinForm combo
-    if (typeof item.formIndex === 'number' && typeof item.orderWithinForm === 'number') {
-      const idx = fieldsJson.findIndex(f => f.formIndex === item.formIndex && f.orderWithinForm === item.orderWithinForm);
-      if (idx !== -1) return idx;
-    }
-
-    // 7) Fallback to global index only if valid
-    if (inRange(item.index)) return item.index;
-
-    return -1;
-  }
-
-  /**
-   * Ensure defaults for commonly required fields when omitted by the AI.
-   */
-  addMissingDefaults(elements, fieldsJson, usedIndices) {
-    const hasIdx = (i) => this.identifiedFields.some(ff => ff.element === elements[i].element);
-
-    const findIdx = (pred) => fieldsJson.findIndex(pred);
-
-    // source
-    let idx = findIdx(f => (f.name === 'source' || f.id === 'source' || /how did you hear/i.test(f.label)) && elements[f.index]?.element?.tagName === 'SELECT');
-    if (idx !== -1 && !hasIdx(idx)) {
-      const sel = elements[idx].element;
-      const options = Array.from(sel.options || []);
-      const preferred = options.find(o => o.value === 'search_engine') || options.find(o => o.value === 'other') || options.find(o => o.value);
-      if (preferred) {
-        usedIndices.add(idx);
-        this.identifiedFields.push({
-          ...elements[idx],
-          suggestedValue: preferred.value,
-          confidence: 0.6,
-          reason: 'default: required select',
-          included: true
-        });
-      }
-    }
-
-    // specify
-    idx = findIdx(f => (f.name === 'specify' || f.id === 'specify' || /specify/i.test(f.label)) && (elements[f.index]?.element?.tagName || '').toLowerCase() === 'input');
-    if (idx !== -1 && !hasIdx(idx)) {
-      usedIndices.add(idx);
-      this.identifiedFields.push({
-        ...elements[idx],
-        suggestedValue: 'N/A',
-        confidence: 0.5,
-        reason: 'default: unspecified',
-        included: true
-      });
-    }
-
-    // work_authorization
-    idx = findIdx(f => (f.name === 'work_authorization' || f.id === 'work_authorization') && elements[f.index]?.element?.tagName === 'SELECT');
-    if (idx !== -1 && !hasIdx(idx)) {
-      const sel = elements[idx].element;
-      const options = Array.from(sel.options || []);
-      const yes = options.find(o => /yes/i.test(o.value) || /yes/i.test(o.text)) || options[0];
-      if (yes) {
-        usedIndices.add(idx);
-        this.identifiedFields.push({
-          ...elements[idx],
-          suggestedValue: yes.value,
-          confidence: 0.6,
-          reason: 'default: assume authorized',
-          included: true
-        });
-      }
-    }
-
-    // position
-    idx = findIdx(f => (f.name === 'position' || f.id === 'position') && elements[f.index]?.element?.tagName === 'SELECT');
-    if (idx !== -1 && !hasIdx(idx)) {
-      const sel = elements[idx].element;
-      const options = Array.from(sel.options || []).filter(o => o.value);
-      const se = options.find(o => o.value === 'software_engineer') || options[0];
-      if (se) {
-        usedIndices.add(idx);
-        this.identifiedFields.push({
-          ...elements[idx],
-          suggestedValue: se.value,
-          confidence: 0.55,
-          reason: 'default: common position',
-          included: true
-        });
-      }
-    }
-  }
-
-  async checkAI() {
-    try {
-      const caps = await this.aiBridge.capabilities();
-      return caps;
-    } catch (e) {
-      console.error("AI check failed:", e);
-      return { available: 'no', error: String(e) };
-    }
-  }
-
-  getFieldType(element) {
-    if (element.tagName === 'SELECT') return 'select';
-    if (element.tagName === 'TEXTAREA') return 'textarea';
-
-    const type = element.type?.toLowerCase();
-    const name = element.name?.toLowerCase() || '';
-    const id = element.id?.toLowerCase() || '';
-    const placeholder = element.placeholder?.toLowerCase() || '';
-    const label = this.findLabel(element).toLowerCase();
-    
-    // More specific field type detection
-    if (type === 'email' || name.includes('email') || id.includes('email') || label.includes('email')) return 'email';
-    if (type === 'tel' || name.includes('phone') || id.includes('phone') || label.includes('phone')) return 'phone';
-    if (type === 'password') return 'password';
-    if (type === 'date' || name.includes('date') || id.includes('date') || label.includes('date')) return 'date';
-    if (type === 'file') return 'file';
-    
-    // Improved name field detection
-    if (name === 'firstname' || id === 'fname' || label.includes('first name')) return 'firstName';
-    if (name === 'lastname' || id === 'lname' || label.includes('last name')) return 'lastName';
-    if (name.includes('name') || id.includes('name') || placeholder.includes('name') || label.includes('name')) {
-      if (name.includes('first') || id.includes('first') || label.includes('first')) return 'firstName';
-      if (name.includes('last') || id.includes('last') || label.includes('last') || label.includes('sur')) return 'lastName';
-      if (name.includes('full') || label.includes('full')) return 'fullName';
-      return 'name'; // Generic name field
-    }
-    
-    // Address-related fields
-    if (name === 'address1' || id === 'address1' || label.includes('street address')) return 'address';
-    if (name === 'address2' || id === 'address2' || label.includes('address line 2')) return 'address2';
-    if (name.includes('city') || id.includes('city') || label.includes('city')) return 'city';
-    if (name.includes('state') || id.includes('state') || label.includes('state') || label.includes('province')) return 'state';
-    if (name.includes('zip') || id.includes('zip') || name.includes('postal') || label.includes('zip') || label.includes('postal')) return 'zip';
-    if (name.includes('company') || id.includes('company') || label.includes('company')) return 'company';
-    
-    // Feedback/comments fields
-    if (name === 'feedback' || id === 'feedback' || label.includes('feedback')) return 'feedback';
-    if (name === 'specify' || id === 'specify' || label.includes('specify')) return 'specify';
-    if (name === 'source' || id === 'source' || label.includes('how did you hear')) return 'source';
-
-    // Other application-specific fields (non-critical typing, still useful for labels)
-    if (name === 'position' || id === 'position') return 'position';
-    if (name === 'linkedin' || id === 'linkedin') return 'url';
-    if (name === 'portfolio' || id === 'portfolio') return 'url';
-    if (name === 'job_title' || id === 'job_title') return 'text';
-    if (name === 'experience_years' || id === 'experience_years') return 'number';
-    if (name === 'skills' || id === 'skills') return 'textarea';
-    if (name === 'cover_letter' || id === 'cover_letter') return 'textarea';
-    if (name === 'work_authorization' || id === 'work_authorization') return 'select';
-    if (name === 'start_date' || id === 'start_date') return 'date';
-
-    return type || 'text';
-  }
-
-  findLabel(element) {
-    if (element.id) {
-      const label = document.querySelector(`label[for="${element.id}"]`);
-      if (label) return label.textContent.trim();
-    }
-
-    const parentLabel = element.closest('label');
-    if (parentLabel) {
-      return Array.from(parentLabel.childNodes)
-        .filter(node => node.nodeType === Node.TEXT_NODE)
-        .map(n => n.textContent.trim())
-        .join(' ');
-    }
-
-    const ariaLabel = element.getAttribute('aria-label');
-    if (ariaLabel) return ariaLabel;
-    const ariaLabelledby = element.getAttribute('aria-labelledby');
-    if (ariaLabelledby) {
-      const labelEl = document.getElementById(ariaLabelledby);
-      if (labelEl) return labelEl.textContent.trim();
-    }
-
-    return element.placeholder || element.name || '';
-  }
-
-  async analyzeWithPatterns(elements, context) {
-    elements.forEach(field => {
-      this.analyzeFieldWithPatterns(field, context);
-    });
-  }
-
-  analyzeFieldWithPatterns(field, context) {
-    const patterns = {
-      email: /[\w._%+-]+@[\w.-]+\.[A-Za-z]{2,}/i,
-      phone: /(?:\+?\d{1,3}[-.\s]?)?(?:KATEX_INLINE_OPEN?\d{3}KATEX_INLINE_CLOSE?[-.\s]?)?\d{3}[-.\s]?\d{4}/,
-      firstName: /^([A-Z][a-z]+)/m,
-      lastName: /^[A-Z][a-z]+\s+([A-Z][a-z]+)/m,
-      fullName: /^([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/m,
-      address: /(?:address|street)[:\s]+([^,\n]+)/i,
-      city: /(?:city)[:\s]+([A-Za-z\s]+)/i,
-      state: /(?:state|province)[:\s]+([A-Za-z\s]+)/i,
-      zip: /\b\d{5}(?:-\d{4})?\b/,
-      company: /(?:company|organization|employer)[:\s]+([^,\n]+)/i
-    };
-
-    let suggestedValue = '';
-    let confidence = 0;
-
-    // Special handling for name fields from "Mr. Merry Christmas"
-    if (field.type === 'firstName') {
-      const nameMatch = context.match(/Mr\.\s+([A-Z][a-z]+)\s+([A-Z][a-z]+)/);
-      if (nameMatch) {
-        suggestedValue = nameMatch[1]; // "Merry"
-        confidence = 0.9;
-      }
-    } else if (field.type === 'lastName') {
-      const nameMatch = context.match(/Mr\.\s+([A-Z][a-z]+)\s+([A-Z][a-z]+)/);
-      if (nameMatch) {
-        suggestedValue = nameMatch[2]; // "Christmas"
-        confidence = 0.9;
-      }
-    } else if (field.type === 'phone') {
-      const phoneMatch = context.match(/\+7\s*995\s*664\s*9220/);
-      if (phoneMatch) {
-        suggestedValue = phoneMatch[0];
-        confidence = 0.9;
-      }
-    } else if (field.type === 'state') {
-      // Look for "European Union"
-      if (context.includes('European Union')) {
-        suggestedValue = 'European Union';
-        confidence = 0.7;
-      }
-    } else {
-      // Try generic pattern matching
-      const pattern = patterns[field.type];
-      if (pattern) {
-        const match = context.match(pattern);
-        if (match) {
-          suggestedValue = match[1] || match[0];
-          confidence = 0.7;
-        }
-      }
-    }
-
-    if (suggestedValue) {
-      this.identifiedFields.push({
-        ...field,
-        suggestedValue: suggestedValue.trim(),
-        confidence: confidence,
-        included: true
-      });
-    }
-  }
-
-  createOverlays() {
-    this.identifiedFields.forEach((field, index) => {
-      const overlay = document.createElement('div');
-      overlay.className = 'ai-form-overlay';
-      overlay.style.cssText = `
-        position: absolute;
-        top: 0px;
-        left: 0px;
-        width: 0px;
-        height: 0px;
-        pointer-events: none;
-        z-index: 10000;
-      `;
-
-      const label = document.createElement('div');
-      label.className = 'ai-field-label';
-      label.style.cssText = `
-        position: absolute; top: -25px; left: 0; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-        color: white; padding: 4px 8px; border-radius: 4px; font-family: sans-serif;
-        font-size: 11px; font-weight: bold; white-space: nowrap;
-        box-shadow: 0 2px 4px rgba(0,0,0,0.2); pointer-events: auto;
-      `;
-      label.textContent = `${field.type.toUpperCase()} • ${Math.round(field.confidence * 100)}%`;
-
-      const toggleBtn = document.createElement('button');
-      toggleBtn.className = 'ai-toggle-btn';
-      toggleBtn.style.cssText = `
-        position: absolute; top: -25px; right: 0; width: 20px; height: 20px;
-        border-radius: 50%; border: none; background: ${field.included ? '#4caf50' : '#f44336'};
-        color: white; font-size: 12px; cursor: pointer; pointer-events: auto;
-        display: flex; align-items: center; justify-content: center;
-        box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-      `;
-      toggleBtn.innerHTML = field.included ? '✓' : '✗';
-      toggleBtn.onclick = (e) => {
-        e.stopPropagation();
-        this.toggleField(index);
-      };
-
-      const border = document.createElement('div');
-      border.className = 'ai-field-border';
-      border.style.cssText = `
-        position: absolute; top: 0; left: 0; width: 100%; height: 100%;
-        border: 2px solid ${field.included ? '#667eea' : '#ccc'}; border-radius: 4px;
-        background: ${field.included ? 'rgba(102, 126, 234, 0.1)' : 'rgba(200, 200, 200, 0.1)'};
-        transition: all 0.3s; box-sizing: border-box;
-      `;
-
-      overlay.appendChild(label);
-      overlay.appendChild(toggleBtn);
-      overlay.appendChild(border);
-      document.body.appendChild(overlay);
-
-      this.fieldOverlays.push(overlay);
-
-      if (field.included && field.suggestedValue) {
-        this.fillField(field.element, field.suggestedValue, field.isContentEditable);
-      }
-    });
-
-    if (this.identifiedFields.length > 0) {
-      this.createActionPanel();
-    }
-
-    // Ensure overlays are positioned correctly and stay aligned on scroll/resize
-    this.startOverlayTracking();
-  }
-
-startOverlayTracking() {
-  if (this.updateOverlayPositionsBound) return;
-  this.updateOverlayPositionsBound = this.updateOverlayPositions.bind(this);
-  
-  // Instant updates on scroll/resize (keep original behavior)
-  window.addEventListener('scroll', this.updateOverlayPositionsBound, true);
-  window.addEventListener('resize', this.updateOverlayPositionsBound);
-  
-  // Also check every 100ms for AJAX/dynamic changes
-  this.positionCheckInterval = setInterval(() => {
-    this.updateOverlayPositions();
-  }, 100);
-  
-  // Initial position
-  this.updateOverlayPositions();
-}
-
-stopOverlayTracking() {
-  if (this.updateOverlayPositionsBound) {
-    window.removeEventListener('scroll', this.updateOverlayPositionsBound, true);
-    window.removeEventListener('resize', this.updateOverlayPositionsBound);
-    this.updateOverlayPositionsBound = null;
-  }
-  
-  if (this.positionCheckInterval) {
-    clearInterval(this.positionCheckInterval);
-    this.positionCheckInterval = null;
-  }
-}
-
-updateOverlayPositions() {
-  this.fieldOverlays.forEach((overlay, i) => {
-    const field = this.identifiedFields[i];
-    if (!overlay || !field || !field.element || !document.contains(field.element)) {
-      if (overlay) overlay.style.display = 'none';
-      return;
-    }
-    
-    const rect = field.element.getBoundingClientRect();
-    if (rect.width < 1 || rect.height < 1) {
-      overlay.style.display = 'none';
-      return;
-    }
-    
-    overlay.style.display = 'block';
-    overlay.style.top = `${rect.top + window.scrollY}px`;
-    overlay.style.left = `${rect.left + window.scrollX}px`;
-    overlay.style.width = `${rect.width}px`;
-    overlay.style.height = `${rect.height}px`;
-  });
-}
-
-createActionPanel() {
-  const panel = document.createElement('div');
-  panel.className = 'ai-action-panel';
-  panel.style.cssText = `
-    position: fixed; bottom: 20px; right: 20px; background: white; border-radius: 8px;
-    padding: 15px; box-shadow: 0 4px 12px rgba(0,0,0,0.15); z-index: 10001;
-    font-family: sans-serif; min-width: 220px;
-  `;
-  panel.innerHTML = `
-    <div style="font-weight: bold; margin-bottom: 10px; color: #333; font-size: 14px;">
-      AI Form Fill Analysis
-    </div>
-    <div style="font-size: 13px; color: #666; margin-bottom: 15px;">
-      Found and filled ${this.identifiedFields.filter(f=>f.included).length} of ${this.identifiedFields.length} fields.
-    </div>
-    <button id="aiClearAnalysis" style="
-      width: 100%; padding: 8px; background: #f5f5f5; color: #333;
-      border: 1px solid #ddd; border-radius: 4px; cursor: pointer;
-    ">Clear and Close</button>
-  `;
-  document.body.appendChild(panel);
-  
-  document.getElementById('aiClearAnalysis').onclick = () => this.clearOverlays(true);
-}
-
-  extractFilledValues() {
-    const filledData = [];
-    
-    this.identifiedFields.forEach(field => {
-      if (field.included && field.element) {
-        let value = '';
-        let fieldName = '';
-        
-        // Get the actual current value from the element
-        if (field.isContentEditable) {
-          value = field.element.textContent.trim();
-        } else if (field.element.tagName === 'SELECT') {
-          const selectedOption = field.element.options[field.element.selectedIndex];
-          value = selectedOption ? selectedOption.text : field.element.value;
-        } else {
-          value = field.element.value;
-        }
-        
-        // Only include fields that have values
-        if (value) {
-          // Determine a readable field name
-          fieldName = field.label || field.element.name || field.element.id || field.type;
-          
-          // Clean up the field name
-          fieldName = fieldName
-            .replace(/[_-]/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim()
-            .split(' ')
-            .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-            .join(' ');
-          
-          // Add type info if field name is generic
-          if (!fieldName || fieldName.toLowerCase() === 'text') {
-            fieldName = field.type.charAt(0).toUpperCase() + field.type.slice(1);
-          }
-          
-          filledData.push({
-            name: fieldName,
-            value: value,
-            type: field.type
-          });
-        }
-      }
-    });
-    
-    return filledData;
-  }
-
-  formatExtractedData(data) {
-    // Format data in a readable way
-    let formatted='';/* = "=== EXTRACTED FORM DATA ===\n";
-    formatted += `Date: ${new Date().toLocaleString()}\n`;
-    formatted += `URL: ${window.location.href}\n`;
-    formatted += "=".repeat(30) + "\n\n";
-    */
-    // Group by categories if possible
-	/*
-    const categories = {
-      'Personal Information': ['firstName', 'lastName', 'name', 'fullName', 'email', 'phone'],
-      'Address': ['address', 'address2', 'city', 'state', 'zip'],
-      'Work Information': ['company', 'position', 'job_title', 'experience_years', 'work_authorization'],
-      'Other': []
-    };
-    
-    const categorized = {
-      'Personal Information': [],
-      'Address': [],
-      'Work Information': [],
-      'Other': []
-    };
-    
-    data.forEach(item => {
-      let placed = false;
-      for (const [category, types] of Object.entries(categories)) {
-        if (types.some(type => item.type.toLowerCase().includes(type.toLowerCase()))) {
-          categorized[category].push(item);
-          placed = true;
-          break;
-        }
-      }
-      if (!placed) {
-        categorized['Other'].push(item);
-      }
-    });
-    */
-    // Format each category
-    /*for (const [category, items] of Object.entries(categorized)) {
-      if (items.length > 0) {
-        formatted += `${category}:\n`;
-        formatted += "-".repeat(category.length + 1) + "\n";
-        items.forEach(item => {
-          formatted += `${item.name}: ${item.value}\n`;
-        });
-        formatted += "\n";
-      }
-    }*/
-    
-    // Also add a copy-paste friendly format at the bottom
-    //formatted += "\n" + "=".repeat(30) + "\n";
-    //formatted += "QUICK COPY FORMAT:\n";
-    formatted += "-".repeat(18) + "\n";
-    data.forEach(item => {
-      formatted += `${item.name}: ${item.value}\n`;
-    });
-    
-    return formatted;
-  }
-
-  sendExtractedDataToPopup(data) {
-    chrome.runtime.sendMessage({
-      action: 'extractedFormData',
-      data: data
-    });
-  }
-
-  toggleField(index) {
-    const field = this.identifiedFields[index];
-    field.included = !field.included;
-
-    const overlay = this.fieldOverlays[index];
-    const toggleBtn = overlay.querySelector('.ai-toggle-btn');
-    const border = overlay.querySelector('.ai-field-border');
-
-    toggleBtn.style.background = field.included ? '#4caf50' : '#f44336';
-    toggleBtn.innerHTML = field.included ? '✓' : '✗';
-    border.style.borderColor = field.included ? '#667eea' : '#ccc';
-    border.style.background = field.included ? 'rgba(102, 126, 234, 0.1)' : 'rgba(200, 200, 200, 0.1)';
-
-    if (field.included) {
-      this.fillField(field.element, field.suggestedValue, field.isContentEditable);
-    } else {
-      this.clearField(field.element, field.isContentEditable);
-    }
-
-    // Reposition in case visibility changed layout
-    this.updateOverlayPositions();
-  }
-
-	fillField(element, value, isContentEditable) {
-	  if (isContentEditable) {
-		element.textContent = value;
-	  } else if (element.tagName === 'SELECT') {
-		// Handle SELECT elements specially
-		const options = Array.from(element.options);
-		const valueLower = String(value).toLowerCase().trim();
-		
-		// Try exact match first
-		let matchedOption = options.find(opt => 
-		  opt.value.toLowerCase() === valueLower || opt.text.toLowerCase() === valueLower
-		);
-		
-		// If no exact match, try partial match
-		if (!matchedOption) {
-		  matchedOption = options.find(opt => 
-			opt.value.toLowerCase().includes(valueLower) || 
-			opt.text.toLowerCase().includes(valueLower) ||
-			valueLower.includes(opt.value.toLowerCase()) ||
-			valueLower.includes(opt.text.toLowerCase())
-		  );
-		}
-		
-		if (matchedOption) {
-		  element.value = matchedOption.value;
-		} else {
-		  console.warn(`Could not find matching option for "${value}" in select element`, element);
-		}
-	  } else if (element.type === 'date') {
-		// Special handling for date inputs
-		const dateValue = this.sanitizeDateValue(value);
-		if (dateValue) {
-		  element.value = dateValue;
-		} else {
-		  console.warn(`Invalid date format "${value}" for date input, skipping`);
-		  return; // Don't fill if date is invalid
-		}
-	  } else {
-		element.value = value;
-	  }
-	  element.dispatchEvent(new Event('input', { bubbles: true }));
-	  element.dispatchEvent(new Event('change', { bubbles: true }));
-	}
-
-	sanitizeDateValue(value) {
-	  if (!value) return null;
-	  
-	  // Check if already in correct format
-	  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
-		return value;
-	  }
-	  
-	  // Try to parse common date formats
-	  const dateStr = String(value).trim();
-	  
-	  // Handle "Present", "Current", "Now" etc.
-	  if (/^(present|current|now|today)$/i.test(dateStr)) {
-		const today = new Date();
-		return today.toISOString().split('T')[0];
-	  }
-	  
-	  // Handle year-only (e.g., "2017" -> "2017-01-01")
-	  if (/^\d{4}$/.test(dateStr)) {
-		return `${dateStr}-01-01`;
-	  }
-	  
-	  // Handle "YYYY-Present" or "YYYY-Current" patterns
-	  const yearMatch = dateStr.match(/^(\d{4})[-\s]*(present|current|now|today)?/i);
-	  if (yearMatch) {
-		return `${yearMatch[1]}-01-01`;
-	  }
-	  
-	  // Handle MM/DD/YYYY or DD/MM/YYYY
-	  const slashDate = dateStr.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})$/);
-	  if (slashDate) {
-		const month = slashDate[1].padStart(2, '0');
-		const day = slashDate[2].padStart(2, '0');
-		const year = slashDate[3];
-		// Assume MM/DD/YYYY format (US)
-		return `${year}-${month}-${day}`;
-	  }
-	  
-	  // Try to parse with Date constructor
-	  try {
-		const parsed = new Date(dateStr);
-		if (!isNaN(parsed.getTime())) {
-		  return parsed.toISOString().split('T')[0];
-		}
-	  } catch (e) {
-		// Invalid date
-	  }
-	  
-	  return null;
-	}
-
-  clearField(element, isContentEditable) {
-    if (isContentEditable) {
-      element.textContent = '';
-    } else {
-      element.value = '';
-    }
-    element.dispatchEvent(new Event('input', { bubbles: true }));
-    element.dispatchEvent(new Event('change', { bubbles: true }));
-  }
-
-  clearOverlays(clearValues = false) {
-    // Stop tracking before removing overlays
-    this.stopOverlayTracking();
-
-    if (clearValues) {
-      this.identifiedFields.forEach(field => {
-        if (field.included) this.clearField(field.element, field.isContentEditable);
-      });
-    }
-    this.fieldOverlays.forEach(overlay => overlay.remove());
-    this.fieldOverlays = [];
-    const panel = document.querySelector('.ai-action-panel');
-    if (panel) panel.remove();
-    this.identifiedFields = [];
-  }
-}
-// Initialize the integrated form analyzer
+// content.js
+
+/**
+ * AIBridge provides a robust, timeout-enabled interface to the AI backends.
+ * Remote calls go to the OpenAI-compatible provider configured in settings
+ * (HuggingFace, OpenAI, or a local llama.cpp/Ollama/vLLM server); on-device
+ * calls go to Chrome's built-in model hosted in the extension's offscreen
+ * document. Both run through the background worker, so prompts and keys
+ * never touch the page.
+ */
+class AIBridge {
+  constructor() {
+    this.seq = 0;
+    this.pending = new Map();
+    this.provider = null;
+    this.providerSessions = new Map();
+  }
+
+  async loadProvider() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getProviderInfo' });
+      this.provider = response && response.provider ? response.provider : null;
+    } catch (e) {
+      console.warn('Could not load provider settings:', e);
+      this.provider = null;
+    }
+  }
+
+  // Cloud providers are only used with the user's own key from the unlocked vault
+  usesProvider() {
+    return !!this.provider && (!this.provider.requiresKey || this.provider.keyAvailable);
+  }
+
+  settle(id, payload, error) {
+    const p = this.pending.get(id);
+    if (!p) return;
+    this.pending.delete(id);
+    if (error) p.reject(new Error(error));
+    else p.resolve(payload);
+  }
+
+  /**
+   * Send a runtime message to the background and resolve with `pick(response)`.
+   * Requests are tracked so timeouts and cancelAllPending apply to them.
+   */
+  send(type, message, pick, timeoutMs = 20000) {
+    const id = `m${++this.seq}`;
+    const promise = new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      setTimeout(() => {
+        if (this.pending.has(id)) {
+          this.pending.delete(id);
+          reject(new Error(`AI bridge timeout for ${type}`));
+        }
+      }, timeoutMs);
+    });
+    chrome.runtime.sendMessage(message, response => {
+      if (chrome.runtime.lastError) {
+        this.settle(id, null, chrome.runtime.lastError.message);
+      } else if (!response || response.error) {
+        this.settle(id, null, response ? response.error : 'No response from background');
+      } else {
+        this.settle(id, pick(response));
+      }
+    });
+    return promise;
+  }
+
+  async capabilities() {
+    await this.loadProvider();
+    if (this.usesProvider()) {
+      return {
+        available: 'readily',
+        provider: this.provider.id,
+        local: this.provider.local,
+        model: `${this.provider.label}/${this.provider.model}`
+      };
+    }
+    const available = await this.send('CAPABILITIES', { action: 'getAIStatus' }, r => r.status);
+    if (available === 'no') {
+      return { available, reason: this.provider ? this.provider.unavailableReason : null };
+    }
+    return { available, provider: 'chrome', local: true, model: 'Gemini Nano (on-device)' };
+  }
+  async createSession(options) {
+    await this.loadProvider();
+    if (this.usesProvider()) {
+      const sessionId = `p${++this.seq}`;
+      this.providerSessions.set(sessionId, { options: options || {} });
+      return { sessionId };
+    }
+    // The first on-device session may wait for the model download
+    const sessionId = await this.send('CREATE_SESSION', { action: 'createOnDeviceSession', options }, r => r.sessionId, 120000);
+    return { sessionId };
+  }
+  async prompt(sessionId, prompt) {
+    // Local models can be slow on CPU, so prompts get a generous timeout
+    if (this.providerSessions.has(sessionId)) {
+      return this.send('PROMPT', { action: 'callProvider', prompt }, r => r.result, 120000);
+    }
+    return this.send('PROMPT', { action: 'promptOnDevice', sessionId, prompt }, r => r.result, 120000);
+  }
+  async destroy(sessionId) {
+    if (this.providerSessions.delete(sessionId)) return { ok: true };
+    return this.send('DESTROY', { action: 'destroyOnDeviceSession', sessionId }, () => ({ ok: true }));
+  }
+  
+  cancelAllPending() {
+    this.pending.forEach((p) => {
+      p.reject(new Error('Cancelled by user'));
+    });
+    this.pending.clear();
+  }
+}
+
+/**
+ * Reports page changes that may have added or revealed fields: DOM changes
+ * and URL changes (SPA routers). `onChange` is debounced so content that
+ * renders in several passes triggers one check. Changes made by the
+ * extension's own overlays, panel and chips are ignored. `pollUrl: false`
+ * leaves out the URL poll, for frames that do not route with pushState.
+ */
+class PageChangeWatcher {
+  constructor(onChange, delay = 800, { pollUrl = true } = {}) {
+    this.onChange = onChange;
+    this.delay = delay;
+    this.pollUrl = pollUrl;
+    this.observer = null;
+    this.timer = null;
+    this.urlTimer = null;
+    this.lastUrl = location.href;
+    this.onUrlEvent = () => this.checkUrl();
+  }
+
+  start() {
+    if (this.observer) return;
+    this.observer = new MutationObserver(records => {
+      if (records.some(r => !this.isOwnNode(r.target) && !this.onlyOwnNodes(r))) this.schedule();
+    });
+    this.observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['style', 'class', 'hidden', 'aria-hidden', 'disabled']
+    });
+    // pushState cannot be observed from the isolated world, so poll the URL as well
+    window.addEventListener('popstate', this.onUrlEvent);
+    window.addEventListener('hashchange', this.onUrlEvent);
+    if (this.pollUrl) this.urlTimer = setInterval(this.onUrlEvent, 1000);
+  }
+
+  stop() {
+    if (this.observer) this.observer.disconnect();
+    this.observer = null;
+    clearTimeout(this.timer);
+    clearInterval(this.urlTimer);
+    this.timer = null;
+    this.urlTimer = null;
+    window.removeEventListener('popstate', this.onUrlEvent);
+    window.removeEventListener('hashchange', this.onUrlEvent);
+  }
+
+  checkUrl() {
+    if (location.href === this.lastUrl) return;
+    this.lastUrl = location.href;
+    this.schedule();
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.onChange();
+    }, this.delay);
+  }
+
+  isOwnNode(node) {
+    const el = node && node.nodeType === Node.ELEMENT_NODE ? node : node && node.parentElement;
+    return !!(el && el.closest('.ai-form-overlay, .ai-action-panel, .ai-loading-overlay, .ai-fill-chip'));
+  }
+
+  onlyOwnNodes(record) {
+    if (record.type !== 'childList') return false;
+    const nodes = [...record.addedNodes, ...record.removedNodes];
+    return nodes.length > 0 && nodes.every(n => n.nodeType === Node.ELEMENT_NODE &&
+      /\bai-(form-overlay|action-panel|loading-overlay|fill-chip)\b/.test(n.className || ''));
+  }
+}
+
+/**
+ * Shows a small "Fill with AI" chip on each fillable form of this frame
+ * while auto-detect is on: `settings.autoDetect`, overridden per host by
+ * `settings.autoDetectSites[hostname]` of the top page. Forms are re-detected
+ * as the page changes, and settings changes apply without a reload. Every
+ * frame runs one; a chip in a child frame asks the top frame to fill just
+ * that form, so the run still ends in the top frame's action panel.
+ *
+ * Most frames (ads, analytics, embeds) have no fields, so the page watcher
+ * only starts once the frame shows a field set, checked on load and whenever
+ * a field gets focus. Child frames do not poll their URL.
+ */
+class FormDetector {
+  constructor(analyzer) {
+    this.analyzer = analyzer;
+    this.watcher = new PageChangeWatcher(() => this.refresh(), 500, { pollUrl: analyzer.isTopFrame });
+    this.chips = new Map(); // form -> chip
+    this.enabled = false;
+    this.watching = false;
+    this.onViewportChange = () => requestAnimationFrame(() => this.positionChips());
+    this.onFocusIn = (e) => {
+      if (e.target && e.target.matches && e.target.matches(FormDetector.FIELD_SELECTOR)) this.watchIfFields();
+    };
+  }
+
+  static get FIELD_SELECTOR() {
+    return 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), textarea, select';
+  }
+
+  async init() {
+    const { settings } = await chrome.storage.local.get(['settings']);
+    this.apply(settings);
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.settings) this.apply(changes.settings.newValue);
+    });
+  }
+
+  isEnabledFor(settings) {
+    const sites = (settings && settings.autoDetectSites) || {};
+    // The popup's per-site switch names the page the user sees, also inside its frames
+    let hostname = '';
+    try {
+      hostname = new URL(this.analyzer.topOrigin()).hostname;
+    } catch (e) {
+      // Opaque origins (sandboxed frames, data: pages) have no site switch
+    }
+    if (Object.prototype.hasOwnProperty.call(sites, hostname)) return !!sites[hostname];
+    return !!(settings && settings.autoDetect);
+  }
+
+  apply(settings) {
+    const enabled = this.isEnabledFor(settings);
+    if (enabled === this.enabled) return;
+    this.enabled = enabled;
+    if (enabled) {
+      window.addEventListener('focusin', this.onFocusIn, true);
+      this.watchIfFields();
+    } else {
+      window.removeEventListener('focusin', this.onFocusIn, true);
+      this.watching = false;
+      this.watcher.stop();
+      window.removeEventListener('resize', this.onViewportChange);
+      window.removeEventListener('scroll', this.onViewportChange, { capture: true });
+      this.chips.forEach(chip => chip.remove());
+      this.chips.clear();
+    }
+  }
+
+  watchIfFields() {
+    if (!this.enabled || this.watching) return;
+    if (this.analyzer.deepQuerySelectorAll(FormDetector.FIELD_SELECTOR).length < 2) return;
+    this.watching = true;
+    this.watcher.start();
+    window.addEventListener('resize', this.onViewportChange);
+    window.addEventListener('scroll', this.onViewportChange, { capture: true, passive: true });
+    this.refresh();
+  }
+
+  refresh() {
+    if (!this.enabled) return;
+    const forms = this.analyzer.deepQuerySelectorAll('form').filter(form => this.isFillable(form));
+    this.chips.forEach((chip, form) => {
+      if (forms.includes(form)) return;
+      chip.remove();
+      this.chips.delete(form);
+    });
+    forms.forEach(form => {
+      if (!this.chips.has(form)) this.chips.set(form, this.createChip(form));
+    });
+    this.positionChips();
+  }
+
+  /**
+   * A form worth a chip has at least two visible, enabled fields. Forms with
+   * a password field are sign-in forms and are left alone.
+   */
+  isFillable(form) {
+    if (this.analyzer.deepQuerySelectorAll('input[type="password"]', form).length) return false;
+    const fields = this.analyzer.deepQuerySelectorAll(FormDetector.FIELD_SELECTOR, form).filter(el => {
+      if (el.disabled) return false;
+      const rect = el.getBoundingClientRect();
+      return rect.width > 5 && rect.height > 5;
+    });
+    return fields.length >= 2;
+  }
+
+  createChip(form) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'ai-fill-chip';
+    chip.textContent = '🤖 Fill with AI';
+    chip.title = 'Fill this form from your active document';
+    chip.addEventListener('click', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      chip.disabled = true;
+      try {
+        if (this.analyzer.isTopFrame) {
+          await this.analyzer.fillFromChip(form);
+        } else {
+          // Remembered for the top frame's collectFrameFields request
+          this.analyzer.chipForm = form;
+          await chrome.runtime.sendMessage({ action: 'frameToTop', message: { action: 'frameChipFill' } });
+        }
+      } finally {
+        chip.disabled = false;
+      }
+    });
+    document.body.appendChild(chip);
+    return chip;
+  }
+
+  // Pinned inside the form's top-right corner
+  positionChips() {
+    this.chips.forEach((chip, form) => {
+      const rect = form.getBoundingClientRect();
+      if (!form.isConnected || rect.width < 1 || rect.height < 1) {
+        chip.style.display = 'none';
+        return;
+      }
+      chip.style.display = '';
+      chip.style.top = `${rect.top + window.scrollY + 4}px`;
+      chip.style.left = `${rect.right + window.scrollX - chip.offsetWidth - 4}px`;
+    });
+  }
+}
+
+
+class FormAnalyzer {
+  constructor() {
+    this.identifiedFields = [];
+    this.fieldOverlays = [];
+    this.aiBridge = new AIBridge();
+    this.profileStore = new ProfileStore();
+    this.learnedMappings = new LearnedMappings();
+    this.currentSessionId = null;
+    this.isProcessing = false;
+    this.isCancelled = false;
+
+    // The top frame runs fills; child frames collect and apply for it
+    this.isTopFrame = window === window.top;
+    this.frameKey = this.isTopFrame ? '' : `fr_${this.hashString(`${location.origin}${location.pathname}|${window.name}`)}`;
+    this.frameElements = [];
+
+    // Wizard mode: keeps filling the steps of a multi-step form (top frame only)
+    this.wizard = null;
+    this.wizardWatcher = null;
+    this.wizardSeenElements = new WeakSet();
+
+    // Follow-up passes for fields revealed by our own fills
+    this.maxConditionalRounds = 3;
+
+    // How overlays are drawn: full | minimal | hover | off (settings.overlayMode)
+    this.overlayMode = 'full';
+    this.inlineEditor = null;
+
+    // Suggestions below this confidence wait for review (settings.autoFillThreshold)
+    this.autoFillThreshold = 0.7;
+
+    // Writes values so that React/Vue/Angular state follows (fieldwriter.js)
+    this.fieldWriter = new FieldWriter();
+    // Operates ARIA comboboxes and listboxes (widgets.js)
+    this.widgetDriver = new WidgetDriver(this.fieldWriter);
+    // Date, time and masked date fields (dates.js)
+    this.dateFormatter = new DateFormatter();
+    // Fits suggestions to pattern, length, number and URL/email constraints (constraints.js)
+    this.valueShaper = new ValueShaper();
+    // Phone numbers and calling code selects (phone.js)
+    this.phoneFormatter = new PhoneFormatter(this.valueShaper);
+    // Countries and states matched by ISO code (gazetteer.js)
+    this.gazetteer = new Gazetteer();
+    // How long a state select may take to repopulate after its country is picked
+    this.dependentSelectTimeoutMs = 5000;
+
+    // Overlay tracking
+    this.updateOverlayPositionsBound = null;
+    this.resizeObserver = null;
+
+    // New caches for robust index/key resolution
+    this.fieldsJsonCache = null;
+    this.elementsCache = null;
+    this.fieldKeyToIndex = new Map();
+    this.cssPathToIndex = new Map();
+
+    this.init();
+  }
+
+init() {
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'ping') {
+      sendResponse({ status: 'ready' });
+      return true;
+    }
+
+    if (request.action === 'fillForms') {
+      this.processFormFilling(request.context, request.useAI, request.attachments, {
+        wizard: !!request.wizard,
+        documentTabId: request.documentTabId
+      });
+      sendResponse({ status: 'started' });
+      return true;
+    }
+
+    if (request.action === 'extractFormData') {
+      // Handle extraction request from popup
+      this.extractFilledValuesFromAllFrames().then(extractedData => {
+        if (extractedData && extractedData.length > 0) {
+          const formattedData = this.formatExtractedData(extractedData);
+          sendResponse({ data: formattedData });
+        } else {
+          sendResponse({ data: null });
+        }
+      });
+      return true;
+    }
+
+    // Child-frame side of a fill run driven by the top frame (relayed by background.js)
+    if (request.action === 'collectFrameFields') {
+      this.frameElements = request.chipForm ? this.collectFormElementsIn(this.chipForm) : this.collectAllFormElements();
+      this.loadWidgetOptions(this.frameElements)
+        .then(() => sendResponse({ fields: this.createFieldsJson(this.frameElements) }));
+      return true;
+    }
+
+    if (request.action === 'frameApply') {
+      this.applyFrameResults(request.fields || []);
+      sendResponse({ status: 'applied' });
+      return true;
+    }
+
+    if (request.action === 'frameRevertAll') {
+      this.revertAll();
+      sendResponse({ status: 'reverted' });
+      return true;
+    }
+
+    if (request.action === 'frameClear') {
+      this.clearOverlays(!!request.clearValues);
+      sendResponse({ status: 'cleared' });
+      return true;
+    }
+
+    if (request.action === 'frameExtract') {
+      sendResponse({ data: this.extractFilledValues() });
+      return true;
+    }
+
+    // Top-frame side: a chip in a child frame was clicked
+    if (request.action === 'frameChipFill') {
+      this.fillFromChip(null, request.frameId);
+      return false;
+    }
+
+    // Top-frame side: a child frame's overlay was toggled
+    // A child frame's validation report for the fields it filled
+    if (request.action === 'frameValidation') {
+      (request.results || []).forEach(result => {
+        const field = this.identifiedFields.find(f => f.remote && f.frameId === request.frameId && f.localIndex === result.localIndex);
+        if (field) field.validationMessage = result.message;
+      });
+      this.updateActionPanelSummary();
+      return false;
+    }
+
+    if (request.action === 'frameFieldToggled') {
+      const field = this.identifiedFields.find(f => f.remote && f.frameId === request.frameId && f.localIndex === request.localIndex);
+      if (field) {
+        field.included = !!request.included;
+        field.pending = !!request.pending;
+        this.updateActionPanelSummary();
+      }
+      return false;
+    }
+
+    // Child-frame side of the panel's accept/reject all pending
+    if (request.action === 'frameResolvePending') {
+      this.resolvePending(!!request.accept);
+      sendResponse({ status: 'resolved' });
+      return true;
+    }
+
+    if (request.action === 'checkAI') {
+      this.checkAI().then((resp) => {
+        chrome.runtime.sendMessage({ action: 'aiStatus', payload: resp });
+      }).catch(e => {
+        console.error('AI check failed:', e);
+        chrome.runtime.sendMessage({ action: 'aiStatus', payload: { available: 'no' } });
+      });
+      sendResponse({ status: 'checking' });
+      return true;
+    }
+
+    if (request.action === 'updateProvider') {
+      this.aiBridge.loadProvider();
+      sendResponse({ status: 'updated' });
+      return true;
+    }
+
+    return true;
+  });
+
+  // Every frame draws its own overlays, so every frame follows the display mode
+  chrome.storage.local.get(['settings']).then(({ settings }) => this.applySettings(settings));
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.settings) this.applySettings(changes.settings.newValue);
+  });
+
+  // A wizard started on an earlier page of this tab continues here
+  if (this.isTopFrame) this.resumeWizard();
+  this.formDetector = new FormDetector(this);
+  this.formDetector.init();
+}
+
+  createLoadingOverlay() {
+    const overlay = document.createElement('div');
+    overlay.className = 'ai-loading-overlay';
+    overlay.id = 'aiLoadingOverlay';
+    overlay.innerHTML = `
+      <div class="ai-loading-spinner"></div>
+      <div class="ai-loading-text">AI is analyzing form fields...</div>
+      <button class="ai-cancel-btn" id="aiCancelBtn">Cancel</button>
+    `;
+    document.body.appendChild(overlay);
+    
+    document.getElementById('aiCancelBtn').addEventListener('click', () => {
+      this.cancelProcessing();
+    });
+  }
+
+  removeLoadingOverlay() {
+    const overlay = document.getElementById('aiLoadingOverlay');
+    if (overlay) overlay.remove();
+  }
+
+  async cancelProcessing() {
+    this.isCancelled = true;
+    this.aiBridge.cancelAllPending();
+    
+    if (this.currentSessionId) {
+      try {
+        await this.aiBridge.destroy(this.currentSessionId);
+      } catch (e) {
+        console.log('Session cleanup error:', e);
+      }
+      this.currentSessionId = null;
+    }
+    
+    this.removeLoadingOverlay();
+    this.isProcessing = false;
+    
+    chrome.runtime.sendMessage({ action: 'processingComplete' });
+  }
+
+  /**
+   * Orchestrates the entire form filling process using iterative field collection.
+   * @param {string} context - The text content to use for filling forms.
+   * @param {boolean} useAI - Whether to use the AI model or fallback to patterns.
+   * @param {Array<{name: string, type: string, data: string, origin: string}>} [attachments] - Files for resume upload fields.
+   * @param {{wizard?: boolean, wizardStep?: boolean, documentTabId?: string, form?: HTMLFormElement, frameId?: number}} [options] -
+   *   `wizard` starts wizard mode, which fills later steps as they appear, from the popup tab `documentTabId`;
+   *   `wizardStep` marks such a later step; `form` limits the run to that form of this frame, `frameId` to
+   *   the chip form of that child frame.
+   */
+  async processFormFilling(context, useAI, attachments, options = {}) {
+    if (this.isProcessing) return;
+    if (options.wizard && this.isTopFrame) this.startWizard(context, useAI, attachments, options.documentTabId);
+    
+    this.isProcessing = true;
+    this.isCancelled = false;
+    this.clearOverlays(false);
+    
+    // Show loading overlay
+    this.createLoadingOverlay();
+
+    // Step 1: Iteratively collect all form elements, here and in child frames
+    const inChildFrame = options.frameId !== undefined;
+    let elements = inChildFrame ? [] : this.collectFormElementsIn(options.form);
+    await this.loadWidgetOptions(elements);
+
+    // Step 2: Create structured JSON of collected fields
+    let fieldsJson = this.createFieldsJson(elements);
+    if (inChildFrame) await this.collectChildFrameFields(elements, fieldsJson, [options.frameId]);
+    else if (!options.form) await this.collectChildFrameFields(elements, fieldsJson);
+
+    // Later wizard steps only fill fields that were not there before; the
+    // follow-up pass still needs them all, or earlier steps' fields look revealed.
+    // A run the user starts from the popup or a chip fills everything as usual.
+    const collected = elements;
+    if (this.wizard && options.wizardStep) ({ elements, fieldsJson } = this.unseenWizardFields(elements, fieldsJson));
+
+    if (elements.length === 0) {
+      console.log('No form fields found on the page.');
+      if (this.wizard) this.createActionPanel();
+      this.removeLoadingOverlay();
+      this.isProcessing = false;
+      chrome.runtime.sendMessage({ action: 'processingComplete' });
+      return;
+    }
+
+    // File inputs are never sent to the model; resume uploads get the document itself
+    this.applyAttachments(elements, fieldsJson, attachments);
+
+    // Step 3: Get FULL PAGE HTML (kept for future improvements)
+    const pageHtml = this.getFullPageHtml();
+
+    // Structured profile records take precedence over the raw document text,
+    // and what the user taught us on this site over both
+    const profile = await this.profileStore.load();
+    const learned = await this.learnedMappings.forOrigin(this.topOrigin());
+    // Kept for the inline editor's alternatives
+    this.lastContext = context;
+    this.lastProfile = profile;
+
+    if (useAI) {
+      try {
+        if (this.isCancelled) throw new Error("Cancelled by user");
+        
+        const sessionInfo = await this.aiBridge.createSession({ topK: 3, temperature: 0.3 });
+        this.currentSessionId = sessionInfo.sessionId;
+        if (!this.currentSessionId) throw new Error("Failed to create session, no sessionId returned.");
+
+        console.log(`AI session created: ${this.currentSessionId}. Analyzing ${elements.length} fields...`);
+        
+        if (this.isCancelled) throw new Error("Cancelled by user");
+        
+        // Step 4: Pass BOTH HTML AND fields JSON to AI for smart analysis (now in batches over ALL fields)
+        await this.analyzeWithFullHtml(elements, fieldsJson, pageHtml, context, this.currentSessionId, profile, learned);
+        
+      } catch (e) {
+        if (e.message === "Cancelled by user") {
+          console.log("Operation cancelled by user");
+        } else {
+          console.error("AI processing failed:", e);
+          alert("AI processing failed: " + e.message);
+        }
+      } finally {
+        if (this.currentSessionId) {
+          console.log(`Destroying AI session: ${this.currentSessionId}`);
+          try {
+            await this.aiBridge.destroy(this.currentSessionId);
+          } catch (e) {
+            console.log('Session cleanup error:', e);
+          }
+          this.currentSessionId = null;
+        }
+        this.removeLoadingOverlay();
+        this.isProcessing = false;
+        chrome.runtime.sendMessage({ action: 'processingComplete' });
+      }
+    } else {
+      console.log("Using pattern matching for analysis.");
+      await this.analyzeWithPatterns(elements, context, fieldsJson, profile, learned);
+      this.removeLoadingOverlay();
+      this.isProcessing = false;
+      chrome.runtime.sendMessage({ action: 'processingComplete' });
+    }
+
+    if (!this.isCancelled) {
+      console.log(`Analysis complete. Found ${this.identifiedFields.length} potential fields to fill.`);
+      this.normalizeDateSuggestions(this.identifiedFields);
+      this.normalizePhoneSuggestions(this.identifiedFields);
+      this.normalizePlaceSuggestions(this.identifiedFields);
+      this.shapeSuggestions(this.identifiedFields);
+      this.holdForReview(this.identifiedFields);
+      if (this.wizard) this.recordWizardStep(elements, fieldsJson, this.identifiedFields);
+      this.createOverlays();
+      // The follow-up pass re-scans this frame only, which a child frame's chip run did not fill
+      if (!inChildFrame) await this.followUpConditionalFields(collected, context, useAI, profile, learned, options.form);
+    }
+  }
+
+  /**
+   * Filling can reveal dependent fields ("Other" showing "Please specify",
+   * a checkbox enabling a section). Analyze just the fields that became
+   * visible or enabled, and repeat for whatever those reveal, up to
+   * `maxConditionalRounds` times. Only this frame's own fields are re-scanned.
+   * @param {Array<Object>} elements - Every field collected for the pass that
+   *   just filled, also those a wizard step left to earlier steps.
+   * @param {HTMLFormElement} [form] - Limit the re-scan to this form.
+   */
+  async followUpConditionalFields(elements, context, useAI, profile, learned, form = null) {
+    // element -> whether it was disabled when last collected
+    const known = new Map(elements.filter(e => e.element).map(e => [e.element, e.element.disabled]));
+    this.isProcessing = true;
+    try {
+      for (let round = 0; round < this.maxConditionalRounds; round++) {
+        // Give the page's own handlers time to react to the values just filled
+        await new Promise(resolve => setTimeout(resolve, 300));
+        if (this.isCancelled) return;
+
+        const identified = new Set(this.identifiedFields.map(f => f.element));
+        const current = this.collectFormElementsIn(form);
+        const revealed = current.filter(e => {
+          if (identified.has(e.element)) return false;
+          return !known.has(e.element) || (known.get(e.element) && !e.element.disabled);
+        });
+        current.forEach(e => known.set(e.element, e.element.disabled));
+        if (!revealed.length) return;
+
+        console.log(`Follow-up pass ${round + 1}: ${revealed.length} newly revealed fields.`);
+        await this.loadWidgetOptions(revealed);
+        const fieldsJson = this.createFieldsJson(revealed);
+        const start = this.identifiedFields.length;
+        if (useAI) {
+          let sessionId = null;
+          try {
+            sessionId = (await this.aiBridge.createSession({ topK: 3, temperature: 0.3 })).sessionId;
+            await this.analyzeWithFullHtml(revealed, fieldsJson, this.getFullPageHtml(), context, sessionId, profile, learned);
+          } catch (e) {
+            console.error('Follow-up analysis failed:', e);
+            return;
+          } finally {
+            if (sessionId) this.aiBridge.destroy(sessionId).catch(() => {});
+          }
+        } else {
+          await this.analyzeWithPatterns(revealed, context, fieldsJson, profile, learned);
+        }
+        if (this.isCancelled) return;
+        this.normalizeDateSuggestions(this.identifiedFields.slice(start));
+        this.normalizePhoneSuggestions(this.identifiedFields.slice(start));
+        this.normalizePlaceSuggestions(this.identifiedFields.slice(start));
+        this.shapeSuggestions(this.identifiedFields.slice(start));
+        this.holdForReview(this.identifiedFields.slice(start));
+        if (this.wizard) this.recordWizardStep(revealed, fieldsJson, this.identifiedFields.slice(start), true);
+        this.createOverlays(start);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Chip click (FormDetector): fill one form from the document tab that is
+   * active in the popup, with the popup's wizard setting. A child frame's chip
+   * passes its `frameId` instead of a form.
+   */
+  async fillFromChip(form, frameId) {
+    const { tabs, activeTabId, settings } = await chrome.storage.local.get(['tabs', 'activeTabId', 'settings']);
+    const tab = (tabs || []).find(t => t.id === activeTabId);
+    if (!tab || !tab.content.trim()) {
+      alert('Open the AI Form Filler popup and add a document first.');
+      return;
+    }
+    await this.processFormFilling(tab.content, true, await this.chipAttachments(tab), {
+      wizard: !!(settings && settings.wizardMode),
+      documentTabId: tab.id,
+      form,
+      frameId
+    });
+  }
+
+  // Built by the background worker (attachments.js), like the popup's: original, PDF and TXT
+  async chipAttachments(tab) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'buildAttachments', tabId: tab.id });
+      if (response && response.error) throw new Error(response.error);
+      return (response && response.attachments) || [];
+    } catch (e) {
+      console.warn('Could not build attachments:', e);
+      return [];
+    }
+  }
+
+  collectFormElementsIn(form = null) {
+    const elements = this.collectAllFormElements();
+    return form ? elements.filter(e => this.containsAcrossShadow(form, e.element)) : elements;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Wizard mode
+  //
+  // The run's answers live in background.js (per tab, in
+  // chrome.storage.session), so the wizard survives full page navigations
+  // between steps. It stops when the user closes the action panel, or when
+  // the tab leaves the flow: another site, or a page outside the first path
+  // segment the wizard started in. The document and its attachments stay in
+  // the popup's storage: the saved state only names the popup tab, and a new
+  // page rebuilds them (original, PDF and TXT) from there.
+  // ---------------------------------------------------------------------------
+
+  startWizard(context, useAI, attachments, documentTabId) {
+    if (this.wizardWatcher) this.wizardWatcher.stop();
+    this.wizard = {
+      context,
+      useAI,
+      attachments: attachments || [],
+      documentTabId: documentTabId || null,
+      origin: location.origin,
+      scope: this.wizardScope(),
+      seenKeys: [],
+      answered: [],
+      steps: []
+    };
+    this.wizardSeenElements = new WeakSet();
+    this.saveWizard();
+    this.watchWizard();
+  }
+
+  async resumeWizard() {
+    let state = null;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'wizard', op: 'get' });
+      state = response && response.state;
+    } catch (e) {
+      return;
+    }
+    if (!state) return;
+    // A wizard never follows the user to another site or section
+    if (state.origin !== location.origin || (state.scope && state.scope !== this.wizardScope())) {
+      chrome.runtime.sendMessage({ action: 'wizard', op: 'stop' }).catch(() => {});
+      return;
+    }
+    const { tabs } = await chrome.storage.local.get(['tabs']);
+    const tab = (tabs || []).find(t => t.id === state.documentTabId);
+    if (!tab) {
+      // The popup tab was closed since the last step; nothing to fill from
+      chrome.runtime.sendMessage({ action: 'wizard', op: 'stop' }).catch(() => {});
+      return;
+    }
+    this.wizard = { ...state, context: tab.content, attachments: await this.chipAttachments(tab) };
+    this.createActionPanel();
+    this.watchWizard();
+    this.continueWizard();
+  }
+
+  watchWizard() {
+    this.wizardWatcher = new PageChangeWatcher(() => this.continueWizard());
+    this.wizardWatcher.start();
+  }
+
+  stopWizard() {
+    if (this.wizardWatcher) this.wizardWatcher.stop();
+    this.wizardWatcher = null;
+    if (!this.wizard) return;
+    this.wizard = null;
+    chrome.runtime.sendMessage({ action: 'wizard', op: 'stop' }).catch(() => {});
+  }
+
+  // Session storage has a small quota, so the document and attachment bytes are left out
+  async saveWizard() {
+    const { context, attachments, ...state } = this.wizard;
+    let error;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'wizard', op: 'save', state });
+      error = response && response.error;
+    } catch (e) {
+      error = e.message;
+    }
+    if (!error || !this.wizard) return;
+    console.warn('Could not save wizard state:', error);
+    this.stopWizard();
+    alert(`Wizard mode stopped: its progress could not be saved, so it cannot continue on the next pages (${error}). The fields filled so far are kept.`);
+  }
+
+  /**
+   * Run the next step if the page now shows fields the wizard has not seen.
+   * Our own fills also mutate the page; they find nothing new and stop here.
+   */
+  async continueWizard() {
+    if (!this.wizard) return;
+    // A single-page app routed away from the flow
+    if (this.wizard.scope && this.wizard.scope !== this.wizardScope()) {
+      this.stopWizard();
+      return;
+    }
+    if (this.isProcessing) {
+      this.wizardWatcher.schedule();
+      return;
+    }
+    const elements = this.collectAllFormElements();
+    if (!this.unseenWizardFields(elements, this.createFieldsJson(elements)).elements.length) return;
+    await this.processFormFilling(this.wizardContext(), this.wizard.useAI, this.wizard.attachments, { wizardStep: true });
+  }
+
+  // The first path segment: /apply/step-2 and /apply/review belong to one flow
+  wizardScope() {
+    return location.pathname.split('/').filter(Boolean)[0] || '';
+  }
+
+  unseenWizardFields(elements, fieldsJson) {
+    const keep = fieldsJson.map((f, i) => {
+      const el = elements[i].element;
+      if (el && this.wizardSeenElements.has(el)) return false;
+      return !this.wizard.seenKeys.includes(this.wizardKey(f));
+    });
+    return {
+      elements: elements.filter((_, i) => keep[i]),
+      fieldsJson: fieldsJson.filter((_, i) => keep[i]).map((f, i) => ({ ...f, index: i }))
+    };
+  }
+
+  /**
+   * Put date suggestions in the form their field takes, so the overlay shows
+   * what will be written. A range goes to start/end fields by halves; the
+   * end of a period still going on is left empty.
+   */
+  normalizeDateSuggestions(fields) {
+    fields.forEach(field => {
+      if (!field.dateFormat || field.suggestedValue == null || Array.isArray(field.suggestedValue)) return;
+      const value = this.dateFormatter.convert(field.suggestedValue, field.dateFormat);
+      if (value) {
+        field.suggestedValue = value;
+        return;
+      }
+      field.included = false;
+      field.reason = `${field.reason ? `${field.reason}; ` : ''}no date to fill from "${field.suggestedValue}"`;
+    });
+  }
+
+  /**
+   * Write phone suggestions in the format their field expects, picking the
+   * number labelled like the field (mobile/work/home) when there are several.
+   * Calling code selects get the option for the number's country code.
+   */
+  normalizePhoneSuggestions(fields) {
+    fields.forEach(field => {
+      if (!field.phoneFormat || field.suggestedValue == null || Array.isArray(field.suggestedValue)) return;
+      const value = this.phoneFormatter.convert(field.suggestedValue, field.phoneFormat, this.lastContext || '');
+      if (value) {
+        field.suggestedValue = value;
+      } else if (field.phoneFormat.kind !== 'countryCode') {
+        field.included = false;
+        field.reason = `${field.reason ? `${field.reason}; ` : ''}no phone number in "${field.suggestedValue}"`;
+      }
+    });
+  }
+
+  // Country and state text fields get the place's name, or its code where the field takes one
+  normalizePlaceSuggestions(fields) {
+    fields.forEach(field => {
+      if (!field.placeFormat || field.placeFormat.select) return;
+      if (field.suggestedValue == null || Array.isArray(field.suggestedValue)) return;
+      const value = this.gazetteer.convert(field.suggestedValue, field.placeFormat);
+      if (value) field.suggestedValue = value;
+    });
+  }
+
+  /**
+   * Fit free-text suggestions to their field's constraints. Values that
+   * cannot be used (no number for a number field) are not filled; what was
+   * changed is added to the field's reason.
+   */
+  shapeSuggestions(fields) {
+    fields.forEach(field => {
+      if (!field.constraints || field.members || field.widget || field.attachment) return;
+      if (field.suggestedValue == null || Array.isArray(field.suggestedValue)) return;
+      const result = this.valueShaper.shape(field.suggestedValue, field.constraints);
+      const addReason = (note) => {
+        field.reason = `${field.reason ? `${field.reason}; ` : ''}${note}`;
+      };
+      if (!result) {
+        field.included = false;
+        addReason(`"${field.suggestedValue}" is not a valid ${field.constraints.type}`);
+        return;
+      }
+      field.suggestedValue = result.value;
+      if (result.note) addReason(result.note);
+    });
+  }
+
+  // Suggestions below the auto-fill threshold are previewed and wait for the user
+  holdForReview(fields) {
+    fields.forEach(field => {
+      if (!field.included || field.pending || field.confidence >= this.autoFillThreshold) return;
+      field.included = false;
+      field.pending = true;
+    });
+  }
+
+  // Stable keys repeat across pages that share a form layout, so scope them to the page
+  wizardKey(field) {
+    return `${location.pathname}|${field.stableKey}`;
+  }
+
+  /**
+   * @param {Array<Object>} fields - The identified fields of this pass.
+   * @param {boolean} [sameStep] - Count a follow-up pass toward the current step.
+   */
+  recordWizardStep(elements, fieldsJson, fields, sameStep = false) {
+    elements.forEach(e => {
+      (e.members || [e.element]).forEach(el => el && this.wizardSeenElements.add(el));
+    });
+    // Bounded like `answered`: the saved state must stay small
+    this.wizard.seenKeys = [...new Set([...this.wizard.seenKeys, ...fieldsJson.map(f => this.wizardKey(f))])].slice(-500);
+
+    const answers = fields
+      .filter(f => f.included && f.suggestedValue !== '' && f.suggestedValue != null)
+      .map(f => ({
+        label: f.label || f.type,
+        value: Array.isArray(f.suggestedValue) ? f.suggestedValue.join(', ') : String(f.suggestedValue)
+      }));
+    // Only the latest answers are replayed to the model, so only those are kept
+    this.wizard.answered = [...this.wizard.answered, ...answers].slice(-100);
+    const last = this.wizard.steps[this.wizard.steps.length - 1];
+    if (sameStep && last) {
+      last.found += fieldsJson.length;
+      last.filled += answers.length;
+    } else {
+      this.wizard.steps.push({ title: document.title || location.pathname, found: fieldsJson.length, filled: answers.length });
+    }
+    this.saveWizard();
+  }
+
+  // The original document plus what earlier steps answered, so later steps stay consistent
+  wizardContext() {
+    const { context, answered } = this.wizard;
+    if (!answered.length) return context;
+    const lines = answered.map(a => `- ${a.label}: ${a.value}`);
+    return `${context}\n\nAlready answered on earlier steps of this form:\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Suggest an attachment for every resume/CV upload field: the first of
+   * `attachments` (already in preference order) that the field's `accept`
+   * allows. Applied like any other suggestion, so the overlay toggle removes it.
+   */
+  applyAttachments(elements, fieldsJson, attachments) {
+    if (!attachments || !attachments.length) return;
+    fieldsJson.forEach((f, idx) => {
+      if (!f.isFile) return;
+      const hint = [f.label, f.name, f.id, f.placeholder, ...(f.parentLabels || [])].join(' ');
+      if (!/r[eé]sum[eé]|\bcv\b|curriculum/i.test(hint)) return;
+      const attachment = attachments.find(a => this.acceptsFile(f.accept, a));
+      if (!attachment) return;
+      this.identifiedFields.push({
+        ...elements[idx],
+        suggestedValue: attachment.name,
+        attachment,
+        confidence: 0.9,
+        reason: attachment.origin === 'original' ? 'attachment: uploaded document' : 'attachment: rendered from the active tab',
+        included: true
+      });
+    });
+  }
+
+  // Same matching rules as the browser's file picker for the `accept` attribute
+  acceptsFile(accept, file) {
+    const tokens = (accept || '').split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+    if (!tokens.length) return true;
+    const name = file.name.toLowerCase();
+    const type = (file.type || '').toLowerCase();
+    return tokens.some(token => {
+      if (token.startsWith('.')) return name.endsWith(token);
+      if (token.endsWith('/*')) return type.startsWith(token.slice(0, -1));
+      return type === token;
+    });
+  }
+
+  /**
+   * Ask every child frame for its fields and append them to this frame's list.
+   * Remote entries have no element; `frameId` and `localIndex` route their
+   * values back to the frame that owns them, and their stable keys carry that
+   * frame's key (see computeStableKey). With `frameIds`, only those frames are
+   * asked, and only for the form whose chip was clicked there.
+   */
+  async collectChildFrameFields(elements, fieldsJson, frameIds = null) {
+    let results = [];
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'frameBroadcast',
+        frameIds,
+        message: { action: 'collectFrameFields', chipForm: !!frameIds }
+      });
+      results = (response && response.results) || [];
+    } catch (e) {
+      console.warn('Could not reach child frames:', e);
+    }
+
+    const seenKeys = new Set(fieldsJson.map(f => f.stableKey));
+    results.forEach(({ frameId, response }) => {
+      if (!response || !Array.isArray(response.fields)) return;
+      response.fields.forEach(f => {
+        // Two frames with the same URL and name would otherwise share keys
+        let stableKey = f.stableKey;
+        if (seenKeys.has(stableKey)) stableKey = `${stableKey}@${frameId}`;
+        seenKeys.add(stableKey);
+
+        fieldsJson.push({ ...f, index: fieldsJson.length, stableKey, frameId, localIndex: f.index });
+        elements.push({
+          element: null,
+          remote: true,
+          frameId,
+          localIndex: f.index,
+          type: f.type,
+          label: f.label,
+          isContentEditable: f.isContentEditable,
+          stableKey,
+          cssPath: f.cssPath,
+          dateFormat: f.dateFormat,
+          phoneFormat: f.phoneFormat,
+          placeFormat: f.placeFormat,
+          constraints: f.constraints
+        });
+      });
+    });
+  }
+
+  /**
+   * Child frame: show and fill the results the top frame picked for this frame.
+   */
+  applyFrameResults(results) {
+    this.clearOverlays(false);
+    this.identifiedFields = results
+      .filter(r => this.frameElements[r.localIndex])
+      .map(r => ({ ...this.frameElements[r.localIndex], ...r }));
+    this.createOverlays();
+  }
+
+  async extractFilledValuesFromAllFrames() {
+    const data = this.extractFilledValues();
+    const frameIds = [...new Set(this.identifiedFields.filter(f => f.remote).map(f => f.frameId))];
+    if (frameIds.length) {
+      try {
+        const response = await chrome.runtime.sendMessage({ action: 'frameBroadcast', frameIds, message: { action: 'frameExtract' } });
+        ((response && response.results) || []).forEach(({ response: r }) => {
+          if (r && Array.isArray(r.data)) data.push(...r.data);
+        });
+      } catch (e) {
+        console.warn('Could not read values from child frames:', e);
+      }
+    }
+    return data;
+  }
+
+  /**
+   * querySelectorAll that also searches open shadow roots, in document order.
+   * Fields inside web components (Lit, Stencil, Salesforce LWC) live there;
+   * closed roots stay invisible, as they are to the page itself.
+   */
+  deepQuerySelectorAll(selector, root = document) {
+    const results = [];
+    const visit = (node) => {
+      const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+      let el = walker.nextNode();
+      while (el) {
+        if (el.matches(selector)) results.push(el);
+        if (el.shadowRoot) visit(el.shadowRoot);
+        el = walker.nextNode();
+      }
+    };
+    visit(root);
+    return results;
+  }
+
+  /**
+   * The shadow host of the root containing `node`, or null in the light DOM.
+   */
+  shadowHostOf(node) {
+    const root = node.getRootNode ? node.getRootNode() : null;
+    return root instanceof ShadowRoot ? root.host : null;
+  }
+
+  /**
+   * Reading a widget's options opens it, which can fire a site search or move
+   * focus, so only widgets that belong to a form take part: inside a form or
+   * with a <label> of their own, and never a search box.
+   */
+  isFormWidget(el) {
+    if (el.getAttribute('type') === 'search' || this.closestAcrossShadow(el, '[role="search"]')) return false;
+    if (this.closestAcrossShadow(el, 'form')) return true;
+    if (el.labels && el.labels.length) return true;
+    const labelledBy = el.getAttribute('aria-labelledby');
+    return !!(labelledBy && labelledBy.split(/\s+/).some(id => {
+      const label = el.getRootNode().getElementById ? el.getRootNode().getElementById(id) : document.getElementById(id);
+      return label && label.tagName === 'LABEL';
+    }));
+  }
+
+  closestAcrossShadow(el, selector) {
+    let node = el;
+    while (node) {
+      const match = node.closest(selector);
+      if (match) return match;
+      node = this.shadowHostOf(node);
+    }
+    return null;
+  }
+
+  containsAcrossShadow(ancestor, el) {
+    let node = el;
+    while (node) {
+      if (ancestor.contains(node)) return true;
+      node = this.shadowHostOf(node);
+    }
+    return false;
+  }
+
+  /**
+   * Iteratively collect all form elements on the page
+   */
+  collectAllFormElements() {
+    const elements = [];
+    const seenElements = new Set();
+    const fieldSelector = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]), textarea, select';
+
+    // Prepare form indexing for stable addressing
+    const formsArr = this.deepQuerySelectorAll('form');
+    const formIndexMap = new Map(formsArr.map((f, i) => [f, i]));
+    const formOrderMap = new Map(formsArr.map((f) => [f, 0]));
+    let standaloneOrder = 0;
+
+    const addElement = (el, details) => {
+      if (!el || seenElements.has(el)) return;
+      const rect = el.getBoundingClientRect();
+      if (rect.width > 5 && rect.height > 5) {
+        elements.push({
+          element: el,
+          rect: rect,
+          ...details
+        });
+        seenElements.add(el);
+      }
+    };
+
+    // Upload widgets usually hide the real file input behind a button or drop zone
+    const addFileInput = (input, details) => {
+      if (seenElements.has(input)) return;
+      const anchor = this.visibleAnchor(input);
+      if (!anchor) return;
+      elements.push({
+        element: input,
+        anchor: anchor === input ? null : anchor,
+        rect: anchor.getBoundingClientRect(),
+        type: 'file',
+        label: this.findLabel(input),
+        ...details
+      });
+      seenElements.add(input);
+    };
+
+    // Comboboxes are often a tiny text box inside a larger control; the control is what shows
+    const addWidget = (el, kind, details) => {
+      if (seenElements.has(el) || !this.isFormWidget(el)) return;
+      const control = this.widgetDriver.control(el);
+      if (!control) return;
+      elements.push({
+        element: el,
+        anchor: control === el ? null : control,
+        rect: control.getBoundingClientRect(),
+        type: kind,
+        widget: kind,
+        label: this.findLabel(el),
+        ...details
+      });
+      seenElements.add(el);
+    };
+
+    // Radios and checkboxes sharing a name are one logical field; the first member stands for the group
+    const addField = (input, details) => {
+      if (input.tagName === 'INPUT' && (input.type || '').toLowerCase() === 'file') {
+        addFileInput(input, details);
+        return;
+      }
+      const widgetKind = this.widgetDriver.kind(input);
+      if (widgetKind) {
+        addWidget(input, widgetKind, details);
+        return;
+      }
+      if (!this.isChoiceInput(input)) {
+        addElement(input, { type: this.getFieldType(input), label: this.findLabel(input), ...details });
+        return;
+      }
+      const members = this.choiceGroupMembers(input);
+      if (members.some(m => seenElements.has(m))) return;
+      const rect = this.unionRect(members);
+      if (rect.width > 5 && rect.height > 5) {
+        elements.push({
+          element: members[0],
+          members,
+          rect,
+          type: input.type.toLowerCase(),
+          label: this.findChoiceGroupLabel(members),
+          ...details
+        });
+        members.forEach(m => seenElements.add(m));
+      }
+    };
+
+    // Collect all forms first
+    formsArr.forEach(form => {
+      // Get all input elements within this form, including those in components it contains
+      const formInputs = this.deepQuerySelectorAll(fieldSelector, form)
+        .filter(input => this.closestAcrossShadow(input, 'form') === form);
+      formInputs.forEach(input => {
+        const orderWithinForm = (formOrderMap.get(form) || 0);
+        formOrderMap.set(form, orderWithinForm + 1);
+
+        addField(input, {
+          formId: form.id || null,
+          formName: form.name || null,
+          formAction: form.action || null,
+          formMethod: form.method || null,
+          formIndex: formIndexMap.get(form),
+          orderWithinForm
+        });
+      });
+    });
+
+    // Also collect inputs outside of forms
+    const standaloneInputs = this.deepQuerySelectorAll(fieldSelector);
+    standaloneInputs.forEach(input => {
+      if (!this.closestAcrossShadow(input, 'form')) {
+        standaloneOrder += 1;
+        addField(input, {
+          formId: null,
+          formName: null,
+          formAction: null,
+          formMethod: null,
+          formIndex: -1,
+          orderWithinForm: standaloneOrder
+        });
+      }
+    });
+
+    // Dropdowns built from ARIA roles instead of <select>
+    this.deepQuerySelectorAll(WidgetDriver.SELECTOR).forEach(el => {
+      const kind = this.widgetDriver.kind(el);
+      if (!kind || (kind === 'listbox' && this.widgetDriver.busy)) return;
+      const form = this.closestAcrossShadow(el, 'form');
+      addWidget(el, kind, {
+        formIndex: form ? (formIndexMap.get(form) ?? -1) : -1,
+        orderWithinForm: 9999
+      });
+    });
+
+    // Collect contenteditable elements
+    const editables = this.deepQuerySelectorAll('[contenteditable="true"]');
+    editables.forEach(editable => {
+      const form = this.closestAcrossShadow(editable, 'form');
+      addElement(editable, {
+        type: 'text',
+        label: this.findLabel(editable),
+        isContentEditable: true,
+        formIndex: form ? (formIndexMap.get(form) ?? -1) : -1,
+        orderWithinForm: 9999
+      });
+    });
+
+    // Collect potential fields with ARIA attributes
+    const potentialFields = this.deepQuerySelectorAll('[role="textbox"], [aria-label], [data-placeholder]');
+    potentialFields.forEach(field => {
+      // Options and open menus belong to a dropdown collected above
+      if (field.closest('[role="listbox"], [role="option"]')) return;
+      const form = this.closestAcrossShadow(field, 'form');
+      addElement(field, {
+        type: 'text',
+        label: field.getAttribute('aria-label') || field.getAttribute('data-placeholder') || '',
+        isPotential: true,
+        formIndex: form ? (formIndexMap.get(form) ?? -1) : -1,
+        orderWithinForm: 9999
+      });
+    });
+
+    return elements;
+  }
+
+  /**
+   * Open every dropdown widget once to read its options; they go to the
+   * model with the field like a SELECT's. One widget at a time.
+   */
+  async loadWidgetOptions(elements) {
+    for (const field of elements) {
+      if (!field.widget || field.widgetOptions !== undefined) continue;
+      const result = await this.widgetDriver.readOptions(field.element);
+      field.widgetOptions = result ? result.options : null;
+      field.widgetMultiple = !!(result && result.multiple);
+      field.searchable = !!(result && result.searchable);
+    }
+  }
+
+  /**
+   * The element that shows where a file input is: the input itself when
+   * visible, else a visible label for it or a nearby visible ancestor.
+   */
+  visibleAnchor(input) {
+    const visible = (el) => {
+      const rect = el.getBoundingClientRect();
+      return rect.width > 5 && rect.height > 5;
+    };
+    if (visible(input)) return input;
+    const label = Array.from(input.labels || []).find(visible);
+    if (label) return label;
+    let node = input.parentElement;
+    for (let depth = 0; node && depth < 3; depth++, node = node.parentElement) {
+      if (visible(node)) return node;
+    }
+    return null;
+  }
+
+  isChoiceInput(el) {
+    return el.tagName === 'INPUT' && /^(radio|checkbox)$/i.test(el.type || '');
+  }
+
+  /**
+   * All inputs of the same type and name in the same form and tree as `input`.
+   * An unnamed input, or a checkbox with a unique name, is a group of one.
+   */
+  choiceGroupMembers(input) {
+    if (!input.name) return [input];
+    const root = input.getRootNode();
+    const selector = `input[type="${input.type.toLowerCase()}"][name="${CSS.escape(input.name)}"]`;
+    const members = Array.from(root.querySelectorAll(selector)).filter(m => m.form === input.form);
+    return members.length ? members : [input];
+  }
+
+  /**
+   * Choices offered to the model, aligned with `field.members`. A lone
+   * checkbox is a yes/no question.
+   */
+  choiceOptions(field) {
+    if (field.type === 'checkbox' && field.members.length === 1) {
+      return [{ value: 'yes', text: 'checked' }, { value: 'no', text: 'unchecked' }];
+    }
+    return field.members.map((m, i) => {
+      const text = this.choiceLabel(m);
+      const value = m.value && m.value !== 'on' ? m.value : (text || `option_${i + 1}`);
+      return { value, text: text || value };
+    });
+  }
+
+  // The text next to one radio/checkbox, not the question it belongs to
+  choiceLabel(input) {
+    const label = input.labels && input.labels[0];
+    const text = label ? label.textContent.trim().replace(/\s+/g, ' ') : (input.getAttribute('aria-label') || '');
+    return text || (input.value !== 'on' ? input.value : '');
+  }
+
+  /**
+   * The question a group answers: its fieldset legend, the label of an ARIA
+   * group, or the text just before the block holding all options.
+   */
+  findChoiceGroupLabel(members) {
+    const first = members[0];
+    if (members.length === 1 && first.type.toLowerCase() === 'checkbox') return this.findLabel(first);
+
+    const fieldset = this.closestAcrossShadow(first, 'fieldset');
+    if (fieldset && members.every(m => this.containsAcrossShadow(fieldset, m))) {
+      const legend = fieldset.querySelector('legend');
+      if (legend && legend.textContent.trim()) return legend.textContent.trim();
+    }
+
+    const group = this.closestAcrossShadow(first, '[role="radiogroup"], [role="group"]');
+    if (group) {
+      const ariaLabel = group.getAttribute('aria-label');
+      if (ariaLabel) return ariaLabel;
+      const labelledBy = group.getAttribute('aria-labelledby');
+      const labelEl = labelledBy && (group.getRootNode().getElementById(labelledBy) || document.getElementById(labelledBy));
+      if (labelEl) return labelEl.textContent.trim();
+    }
+
+    let container = first.parentElement;
+    while (container && !members.every(m => container.contains(m))) container = container.parentElement;
+    const prev = container && container.previousElementSibling;
+    const prevText = prev ? prev.textContent.trim() : '';
+    if (prevText && prevText.length < 200) return prevText;
+
+    return first.name || this.choiceLabel(first);
+  }
+
+  // Bounding box of a group's inputs and their labels; styled inputs are often invisible
+  unionRect(members) {
+    const rects = [];
+    members.forEach(m => {
+      rects.push(m.getBoundingClientRect());
+      Array.from(m.labels || []).forEach(l => rects.push(l.getBoundingClientRect()));
+    });
+    const visible = rects.filter(r => r.width > 0 && r.height > 0);
+    if (!visible.length) return { top: 0, left: 0, width: 0, height: 0 };
+    const top = Math.min(...visible.map(r => r.top));
+    const left = Math.min(...visible.map(r => r.left));
+    const bottom = Math.max(...visible.map(r => r.bottom));
+    const right = Math.max(...visible.map(r => r.right));
+    return { top, left, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * Map a suggested value onto a choice field's option values. Checkbox groups
+   * take a list (JSON array or comma-separated); the result is an array of
+   * values for those and a single value otherwise, or null if nothing matches.
+   */
+  matchChoiceOptions(fj, value) {
+    const norm = (s) => (s || '').toString().trim().toLowerCase();
+    const options = fj.options || [];
+    const find = (v) => options.find(o => norm(o.value) === norm(v) || norm(o.text) === norm(v));
+
+    if (fj.multiple) {
+      let wanted = value;
+      if (!Array.isArray(wanted)) {
+        const text = String(wanted).trim();
+        try {
+          wanted = text.startsWith('[') ? JSON.parse(text) : text.split(/[,;\n]/);
+        } catch (e) {
+          wanted = text.split(/[,;\n]/);
+        }
+      }
+      const values = [...new Set(wanted.map(find).filter(Boolean).map(o => o.value))];
+      return values.length ? values : null;
+    }
+
+    let single = Array.isArray(value) ? value[0] : value;
+    if (fj.type === 'checkbox') {
+      if (/^(yes|true|checked|on|1|agree|accept)$/i.test(String(single).trim())) single = 'yes';
+      else if (/^(no|false|unchecked|off|0)$/i.test(String(single).trim())) single = 'no';
+    }
+    const option = find(single);
+    return option ? option.value : null;
+  }
+
+  /**
+   * Create structured JSON representation of collected fields
+   */
+  createFieldsJson(elements) {
+    return elements.map((field, index) => {
+      const rec = {
+        index: index,
+        type: field.type,
+        label: field.label || '',
+        name: field.element.name || '',
+        id: field.element.id || '',
+        placeholder: field.element.placeholder || '',
+        required: field.element.required || false,
+        className: field.element.className || '',
+        formId: field.formId || null,
+        formName: field.formName || null,
+        formAction: field.formAction || null,
+        formMethod: field.formMethod || null,
+        formIndex: typeof field.formIndex === 'number' ? field.formIndex : -1,
+        orderWithinForm: typeof field.orderWithinForm === 'number' ? field.orderWithinForm : -1,
+        tagName: field.element.tagName,
+        attributes: this.getRelevantAttributes(field.element),
+        parentLabels: this.getParentLabels(field.element),
+        nearbyText: this.getNearbyText(field.element),
+        cssPath: this.computeCssPath(field.element),
+        isContentEditable: !!field.isContentEditable,
+        // Skip file inputs (cannot be filled programmatically)
+        isFile: field.type === 'file' || (field.element.tagName === 'INPUT' && (field.element.type || '').toLowerCase() === 'file')
+      };
+      if (rec.isFile) {
+        rec.accept = field.element.getAttribute('accept') || '';
+        rec.multiple = !!field.element.multiple;
+      }
+      // SELECT options travel with the record so fields from child frames can be validated here
+      if (field.element.tagName === 'SELECT') {
+        rec.options = Array.from(field.element.options).map(opt => ({
+          value: opt.value,
+          text: opt.text
+        }));
+      }
+      // ...and so are the options read from dropdown widgets
+      if (field.widget) {
+        rec.widget = field.widget;
+        if (field.widgetOptions) {
+          rec.options = field.widgetOptions;
+          rec.multiple = field.widgetMultiple;
+        }
+        // Without options the value is typed and the closest search result picked
+        if (field.searchable) rec.searchable = true;
+      }
+      // Radio and checkbox groups are offered as choices the same way
+      if (field.members) {
+        rec.options = this.choiceOptions(field);
+        rec.multiple = field.type === 'checkbox' && field.members.length > 1;
+      }
+      // Date-like fields carry the format they take, worked out where the element is
+      const dateFormat = this.dateFormatter.describe(field.element, field.label);
+      if (dateFormat) rec.dateFormat = dateFormat;
+      rec.stableKey = this.computeStableKey(rec);
+      // Identified fields are spread from these records; learning needs the keys
+      field.stableKey = rec.stableKey;
+      field.cssPath = rec.cssPath;
+      field.dateFormat = dateFormat;
+      // Phone inputs and the calling code selects beside them, likewise
+      const phoneFormat = dateFormat || field.widget || field.isContentEditable ? null : this.phoneFormatter.describe(field.element, field.label);
+      if (phoneFormat) rec.phoneFormat = phoneFormat;
+      field.phoneFormat = phoneFormat;
+      // Country and state/province selects and fields
+      const placeFormat = dateFormat || phoneFormat || field.widget || field.isContentEditable ? null : this.gazetteer.describe(field.element, field.label);
+      if (placeFormat) rec.placeFormat = placeFormat;
+      field.placeFormat = placeFormat;
+      // Dates have their own format; everything else may declare constraints to shape values to
+      const constraints = dateFormat ? null : this.valueShaper.describe(field.element);
+      if (constraints) rec.constraints = constraints;
+      field.constraints = constraints;
+      return rec;
+    });
+  }
+
+  /**
+   * Get relevant attributes from an element
+   */
+  getRelevantAttributes(element) {
+    const relevantAttrs = ['aria-label', 'aria-describedby', 'data-field', 'data-type', 'autocomplete', 'pattern', 'maxlength', 'minlength'];
+    const attrs = {};
+    relevantAttrs.forEach(attr => {
+      const value = element.getAttribute(attr);
+      if (value) attrs[attr] = value;
+    });
+    return attrs;
+  }
+
+  /**
+   * Get parent labels and headings. Climbing past the top of a shadow root
+   * continues at its host.
+   */
+  getParentLabels(element) {
+    const labels = [];
+    let parent = element.parentElement || this.shadowHostOf(element);
+    let depth = 0;
+    while (parent && depth < 3) {
+      const parentLabels = parent.querySelectorAll('label, h1, h2, h3, h4, h5, h6, th, legend');
+      parentLabels.forEach(label => {
+        if (!this.containsAcrossShadow(label, element)) {
+          labels.push(label.textContent.trim());
+        }
+      });
+      parent = parent.parentElement || this.shadowHostOf(parent);
+      depth++;
+    }
+    return labels;
+  }
+
+  /**
+   * Get nearby text content
+   */
+  getNearbyText(element) {
+    const texts = [];
+    let node = element;
+    // A lone input inside a component has no useful siblings; look around its host instead
+    while (node && texts.length === 0) {
+      const parent = node.parentElement || node.getRootNode();
+      const siblings = Array.from(parent.children || []);
+      const index = siblings.indexOf(node);
+
+      // Get text from previous sibling
+      if (index > 0 && siblings[index - 1]) {
+        const prevText = siblings[index - 1].textContent.trim();
+        if (prevText && prevText.length < 200) texts.push(prevText);
+      }
+
+      // Get text from next sibling
+      if (index >= 0 && index < siblings.length - 1 && siblings[index + 1]) {
+        const nextText = siblings[index + 1].textContent.trim();
+        if (nextText && nextText.length < 200) texts.push(nextText);
+      }
+      node = this.shadowHostOf(node);
+    }
+    return texts;
+  }
+
+  /**
+   * Compute a robust CSS path for an element, falling back to a structural path.
+   * Elements inside shadow roots get "<host path> >>> <path within the root>",
+   * so the path (and the stable key built from it) encodes the host chain.
+   */
+  computeCssPath(el) {
+    try {
+      const esc = (s) => {
+        if (window.CSS && CSS.escape) return CSS.escape(s);
+        return String(s).replace(/([ !"#$%&'()*+,.\/:;<=>?@[\\```^`{|}~])/g, '\\$1');
+      };
+
+      const host = this.shadowHostOf(el);
+      const root = host ? el.getRootNode() : document;
+      const prefix = host ? `${this.computeCssPath(host)} >>> ` : '';
+
+      if (el.id && root.querySelectorAll(`#${esc(el.id)}`).length === 1) {
+        return `${prefix}#${el.id}`;
+      }
+
+      const parts = [];
+      let node = el;
+      while (node && node.nodeType === 1 && node !== document.documentElement) {
+        let sel = node.nodeName.toLowerCase();
+
+        if (node.id) {
+          sel += `#${esc(node.id)}`;
+          parts.unshift(sel);
+          break;
+        } else {
+          const classList = Array.from(node.classList || []).slice(0, 2);
+          if (classList.length) {
+            sel += classList.map(c => `.${esc(c)}`).join('');
+          }
+          // nth-of-type for stability
+          let nth = 1;
+          let sib = node.previousElementSibling;
+          while (sib) {
+            if (sib.nodeName === node.nodeName) nth++;
+            sib = sib.previousElementSibling;
+          }
+          sel += `:nth-of-type(${nth})`;
+          parts.unshift(sel);
+          node = node.parentElement;
+        }
+      }
+      return prefix + parts.join(' > ');
+    } catch (e) {
+      return '';
+    }
+  }
+
+  hashString(s) {
+    let h = 0;
+    for (let i = 0; i < s.length; i++) {
+      h = ((h << 5) - h) + s.charCodeAt(i);
+      h |= 0;
+    }
+    return (h >>> 0).toString(36);
+  }
+
+  computeStableKey(fj) {
+    const norm = (v) => (v || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+    const payload = JSON.stringify({
+      t: norm(fj.type),
+      tg: norm(fj.tagName),
+      id: norm(fj.id),
+      nm: norm(fj.name),
+      lb: norm(fj.label),
+      ph: norm(fj.placeholder),
+      fid: norm(fj.formId),
+      fn: norm(fj.formName),
+      fa: norm(fj.formAction),
+      fm: norm(fj.formMethod),
+      fi: typeof fj.formIndex === 'number' ? fj.formIndex : -1,
+      of: typeof fj.orderWithinForm === 'number' ? fj.orderWithinForm : -1,
+      pL: (fj.parentLabels || []).map(norm).join('|'),
+      nT: (fj.nearbyText || []).map(norm).join('|'),
+      cp: norm(fj.cssPath)
+    });
+    // Keys from child frames are qualified by the frame they came from
+    return `${this.frameKey ? `${this.frameKey}/` : ''}k_${this.hashString(payload)}`;
+  }
+
+  /**
+   * Get FULL PAGE HTML
+   */
+  getFullPageHtml() {
+    // Clone the document to avoid modifying the actual page
+    const docClone = document.documentElement.cloneNode(true);
+    
+    // Remove script tags to reduce size
+    const scripts = docClone.querySelectorAll('script');
+    scripts.forEach(script => script.remove());
+    
+    // Remove style tags to reduce size
+    const styles = docClone.querySelectorAll('style');
+    styles.forEach(style => style.remove());
+    
+    // Get the HTML string
+    const htmlString = docClone.outerHTML;
+    
+    // Limit to reasonable size for LLM processing (keep first 15000 chars)
+    return htmlString.slice(0, 15000);
+  }
+
+  parseArrayFromText(input) {
+    // 1) Normalize to assistant's content if HF full object was returned
+    let text = '';
+    if (typeof input === 'string') {
+      text = input;
+      const trimmed = text.trim();
+      if (trimmed.startsWith('{') && trimmed.indexOf('"choices"') !== -1) {
+        try {
+          const obj = JSON.parse(trimmed);
+          const ch = obj && obj.choices && obj.choices[0];
+          const content = ch && ch.message && typeof ch.message.content === 'string'
+            ? ch.message.content
+            : (ch && ch.delta && typeof ch.delta.content === 'string' ? ch.delta.content : null);
+          if (typeof content === 'string') text = content;
+        } catch (_) {}
+      }
+    } else if (input && typeof input === 'object') {
+      try {
+        const ch = input.choices && input.choices[0];
+        const content = ch && ch.message && typeof ch.message.content === 'string'
+          ? ch.message.content
+          : (ch && ch.delta && typeof ch.delta.content === 'string' ? ch.delta.content : null);
+        text = typeof content === 'string' ? content : JSON.stringify(input);
+      } catch (_) {
+        text = '';
+      }
+    } else {
+      return [];
+    }
+
+    if (!text || typeof text !== 'string') return [];
+
+    // 2) Strip BOM
+    if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+
+    // 3) Strip code fences if present
+    const stripFences = (s) => {
+      s = s.trim();
+      if (s.startsWith('```')) {
+        const firstNewline = s.indexOf('\n');
+        if (firstNewline !== -1) s = s.slice(firstNewline + 1);
+        const lastFence = s.lastIndexOf('```');
+        if (lastFence !== -1) s = s.slice(0, lastFence);
+      }
+      return s.trim();
+    };
+    text = stripFences(text);
+
+    // 4) Try direct parse
+    try {
+      const j = JSON.parse(text);
+      if (Array.isArray(j)) return j;
+    } catch (_) {}
+
+    // 5) Locate the array and extract all complete JSON objects within it (tolerates truncation)
+    const start = text.indexOf('[');
+    if (start === -1) return [];
+
+    let inString = false;
+    let escape = false;
+    let curlyDepth = 0;
+    let objStart = -1;
+    const results = [];
+
+    for (let i = start + 1; i < text.length; i++) {
+      const ch = text[i];
+
+      if (inString) {
+        if (escape) {
+          escape = false;
+        } else if (ch === '\\') {
+          escape = true;
+        } else if (ch === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        inString = true;
+        continue;
+      }
+
+      if (ch === '{') {
+        if (curlyDepth === 0) objStart = i;
+        curlyDepth++;
+        continue;
+      }
+
+      if (ch === '}') {
+        curlyDepth--;
+        if (curlyDepth === 0 && objStart !== -1) {
+          const objText = text.slice(objStart, i + 1);
+          try {
+            const obj = JSON.parse(objText);
+            results.push(obj);
+          } catch (_) {
+            // ignore malformed object
+          }
+          objStart = -1;
+        }
+        continue;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * New: Batched AI analysis over ALL fields with robust key-based index resolution
+   */
+  async analyzeWithFullHtml(elements, fieldsJson, pageHtml, context, sessionId, profile = null, learned = null) {
+    if (this.isCancelled) return;
+
+    // Cache for robust resolution later
+    this.fieldsJsonCache = fieldsJson;
+    this.elementsCache = elements;
+    this.fieldKeyToIndex = new Map(fieldsJson.map((f, i) => [f.stableKey, i]));
+    this.cssPathToIndex = new Map();
+    fieldsJson.forEach((f, i) => {
+      if (f.cssPath && !this.cssPathToIndex.has(f.cssPath)) {
+        this.cssPathToIndex.set(f.cssPath, i);
+      }
+    });
+    
+    // Field records already carry SELECT options and the isFile flag
+    const fieldsWithOptions = fieldsJson;
+
+    // Process in batches so we don't miss fields
+    const batchSize = 24;
+    const usedIndices = new Set();
+    const usedKeys = new Set();
+    const norm = (s) => (s || '').toString().trim().toLowerCase();
+
+    // Learned and profile fields are filled deterministically, the model only sees the rest
+    if (learned) {
+      this.applyLearnedMappings(elements, fieldsJson, learned, profile, usedIndices);
+    }
+    if (profile) {
+      this.applyProfileValues(elements, fieldsJson, profile, usedIndices);
+    }
+    // The profile answers what it covers; the document text stays as the fallback for
+    // everything else (cover letters, "why us", salary), so it is kept but shortened
+    const contextBlock = profile
+      ? `User Profile (structured records, authoritative):\n${this.profileStore.toPromptJson(profile)}\n\n` +
+        `Document Excerpt (fallback for fields the profile does not cover; may be truncated):\n${context.slice(0, 1500)}`
+      : `User Context (may be truncated):\n${context.slice(0, 2500)}`;
+
+    for (let start = 0; start < fieldsWithOptions.length; start += batchSize) {
+      if (this.isCancelled) throw new Error("Cancelled by user");
+      const chunk = fieldsWithOptions.slice(start, start + batchSize)
+        // do not include file inputs in the prompt
+        .filter(f => !f.isFile)
+        // nor fields already resolved from the profile
+        .filter(f => !usedIndices.has(f.index));
+      if (!chunk.length) continue;
+
+      // Build minimal chunk description to reduce token usage
+      const chunkForModel = chunk.map(f => ({
+        key: f.stableKey,           // STABLE KEY (canonical)
+        index: f.index,             // GLOBAL INDEX (for reference only)
+        type: f.type,
+        tagName: f.tagName,
+        id: f.id,
+        name: f.name,
+        label: f.label,
+        placeholder: f.placeholder,
+        nearbyText: f.nearbyText,
+        //cssPath: f.cssPath,
+        formIndex: f.formIndex,
+        orderWithinForm: f.orderWithinForm,
+        options: f.options,
+        multiple: f.multiple,
+        searchable: f.searchable,
+        dateFormat: f.dateFormat,
+        placeFormat: f.placeFormat,
+        constraints: f.constraints
+      }));
+
+const prompt = `
+You are an intelligent form-filling assistant. Analyze the following fields and extract ONLY relevant values from the user context.
+
+IMPORTANT IDENTIFIERS:
+- key: The canonical unique identifier for a field. ALWAYS include this in your output exactly as provided.
+- index: A global numeric index of the field. May be used as a reference, but "key" is the source of truth.
+
+${contextBlock}
+
+Fields (GLOBAL indexes, canonical keys):
+${JSON.stringify(chunkForModel, null, 2)}
+
+Rules:
+- Return ONLY a JSON array of objects: [{"key": string, "index": number, "value": string | string[], "confidence": 0.0-1.0, "reason": string}]
+- "key" is REQUIRED and MUST exactly match one of the provided keys.
+- "index" is optional; if present it must refer to the same field as "key". If mismatch occurs, "key" takes precedence.
+- Only include fields you can confidently fill from the context or sensible defaults below.
+- For first name: only the first name (e.g., "Merry"). For last name: only the last name ("Christmas").
+- For phone: return the one phone number whose label in the context fits the field (mobile, work, home), with its country code as written (e.g., "+0 000 000 0000"); it is converted to the field's own format. For a country calling code select, return the option for the number's country code.
+- For email: extract a valid email if present.
+- For address fields: address1/street, city, state/province, zip/postal.
+- For DATE and TIME fields (type "date", "datetime-local", "month", "week", "time", or any field with "dateFormat"):
+  * Return ISO 8601: "YYYY-MM-DD", "YYYY-MM-DDTHH:mm", "YYYY-MM" or "HH:mm"; the value is converted to the field's own format
+  * For a start/end pair (see "dateFormat.role"), return the matching half of a period: "2017-01" for the start of "Jan 2017 – Present"
+  * An end date that is "Present" or "Current" means the period is ongoing: omit the field
+- For SELECT fields: choose only from "options" and return the option's "value" (not text).
+- For RADIO fields: choose exactly one of "options" and return its "value".
+- For CHECKBOX fields with "multiple": true ("select all that apply"): return a JSON array of the option "value"s to check.
+- For a single CHECKBOX (options "yes"/"no"): return "yes" to check it or "no" to leave it unchecked.
+- For COMBOBOX and LISTBOX fields with "options": treat them like SELECT fields ("multiple": true takes an array).
+- For COMBOBOX fields with "searchable": true and no options: return the text to search for (e.g., a city or company name).
+- For country and state/province fields (with "placeFormat"): a SELECT with "placeFormat.dependent": true may have no options until its country is chosen; return the state or province name and it is picked once the options load.
+- Defaults:
+  - "source" (how did you hear): prefer "search_engine" or "other" if unsure.
+  - "specify": short relevant text from the context; omit it if there is none.
+  - "work_authorization": if unsure, "yes".
+  - "start_date" or any date field: if context mentions only a year like "2017", return "2017"
+- For fields with "constraints": return a value that satisfies them ("pattern" is a regular expression for the whole value; respect "maxLength", "min", "max" and "step").
+- Skip file inputs — do NOT include them in output.
+- If no data for a field and no sensible default, omit it from the results.
+
+Return JSON array only.
+`.trim();
+
+      try {
+        const res = await this.aiBridge.prompt(sessionId, prompt);
+        const parsed = this.parseArrayFromText(res);
+        if (Array.isArray(parsed) && parsed.length > 0) {
+          parsed.forEach(item => {
+            const resolvedIdx = this.resolveFieldIndex(item, fieldsJson);
+            if (resolvedIdx === -1) return;
+            if (usedIndices.has(resolvedIdx)) return;
+            if (item == null || item.value == null || String(item.value).trim() === '') return;
+
+            const field = elements[resolvedIdx];
+            const fj = fieldsJson[resolvedIdx];
+            if (!field) return;
+
+            // Validate SELECT values
+            if (fj.tagName === 'SELECT') {
+              const options = fj.options || [];
+              const value = String(item.value).trim();
+              const hasOption = options.some(opt => 
+                norm(opt.value) === norm(value) || norm(opt.text) === norm(value)
+              );
+
+              if (!hasOption) {
+                // Provide consistent defaults for some known selects
+                if (fj.name === 'source' || fj.id === 'source') {
+                  const preferred = ['search_engine', 'other'];
+                  const firstMatch = options.find(o => preferred.includes(o.value));
+                  if (firstMatch) {
+                    item.value = firstMatch.value;
+                  } else {
+                    return; // skip if no sensible default
+                  }
+                } else if (fj.name === 'work_authorization' || fj.id === 'work_authorization') {
+                  const yesOpt = options.find(o => norm(o.value) === 'yes');
+                  if (yesOpt) {
+                    item.value = yesOpt.value;
+                  } else {
+                    return;
+                  }
+                } else if (fj.name === 'position' || fj.id === 'position') {
+                  const se = options.find(o => norm(o.value) === 'software_engineer') || options.find(o => o.value);
+                  if (se) {
+                    item.value = se.value;
+                  } else {
+                    return;
+                  }
+                } else {
+                  return; // skip invalid select choices
+                }
+              }
+            } else if (fj.options) {
+              // Radio and checkbox groups keep only values they actually offer
+              const picked = this.matchChoiceOptions(fj, item.value);
+              if (!picked) return;
+              item.value = picked;
+            }
+
+            usedIndices.add(resolvedIdx);
+            if (item.key) usedKeys.add(item.key);
+
+            this.identifiedFields.push({
+              ...field,
+              suggestedValue: Array.isArray(item.value) ? item.value : String(item.value).trim(),
+              confidence: Math.max(0, Math.min(1, Number(item.confidence) || 0.8)),
+              reason: item.reason || '',
+              included: true
+            });
+          });
+        }
+      } catch (e) {
+        if (e.message === "Cancelled by user") throw e;
+        console.warn('Batch AI analysis failed:', e);
+        // Continue with other batches
+      }
+    }
+
+    // Ensure sensible defaults for common required fields if AI omitted them
+    this.addMissingDefaults(elements, fieldsJson, usedIndices);
+
+    if (!this.identifiedFields.length) {
+      throw new Error("AI returned no valid data");
+    }
+  }
+
+  /**
+   * Fill fields whose description resolves to a profile attribute (see ProfileStore.resolveField).
+   */
+  applyProfileValues(elements, fieldsJson, profile, usedIndices) {
+    fieldsJson.forEach((f, idx) => {
+      const field = elements[idx];
+      if (!field || f.isFile || usedIndices.has(idx)) return;
+
+      const resolved = this.profileStore.resolveField(profile, {
+        type: f.type,
+        name: f.name,
+        id: f.id,
+        label: f.label,
+        placeholder: f.placeholder,
+        autocomplete: f.attributes && f.attributes.autocomplete
+      });
+      if (!resolved) return;
+
+      // Only pick SELECT values that exist as options
+      if (f.tagName === 'SELECT') {
+        const picked = this.selectOptionFor(f, resolved.value);
+        if (picked == null) return;
+        resolved.value = picked;
+      } else if (f.options) {
+        const picked = this.matchChoiceOptions(f, resolved.value);
+        if (!picked) return;
+        resolved.value = picked;
+      }
+
+      usedIndices.add(idx);
+      this.identifiedFields.push({
+        ...field,
+        suggestedValue: resolved.value,
+        confidence: 0.95,
+        reason: `profile: ${resolved.path}`,
+        profilePath: resolved.path,
+        included: true
+      });
+    });
+  }
+
+  /**
+   * The option value of a SELECT record for `value`: by value or text, and
+   * for country and state selects by ISO code. A state select still waiting
+   * for its country keeps the value, to be picked once it has repopulated.
+   * @returns {string|null}
+   */
+  selectOptionFor(f, value) {
+    const norm = (s) => (s || '').toString().trim().toLowerCase();
+    const option = (f.options || []).find(o => o.value && (norm(o.value) === norm(value) || norm(o.text) === norm(value)));
+    if (option) return option.value;
+    if (!f.placeFormat) return null;
+    const place = this.gazetteer.matchOption(f.options || [], value, f.placeFormat);
+    if (place) return place;
+    return f.placeFormat.dependent && this.gazetteer.resolve(value, f.placeFormat) ? value : null;
+  }
+
+  /**
+   * Apply what the user taught us on this site (see learnFromField) before
+   * the profile and the model. Skipped fields stay empty; the others get
+   * their profile attribute's current value, or the remembered literal.
+   */
+  applyLearnedMappings(elements, fieldsJson, learned, profile, usedIndices) {
+    fieldsJson.forEach((f, idx) => {
+      const field = elements[idx];
+      if (!field || f.isFile || usedIndices.has(idx)) return;
+      const entry = this.learnedMappings.find(learned, f);
+      if (!entry) return;
+      if (entry.skip) {
+        usedIndices.add(idx);
+        return;
+      }
+
+      let value = (entry.profilePath && this.profileStore.get(profile, entry.profilePath)) || entry.value;
+      if (f.tagName === 'SELECT') {
+        value = this.selectOptionFor(f, value);
+      } else if (f.options) {
+        value = this.matchChoiceOptions(f, value);
+      }
+      if (value == null || value === '') return;
+
+      usedIndices.add(idx);
+      this.identifiedFields.push({
+        ...field,
+        suggestedValue: value,
+        confidence: 1,
+        reason: entry.profilePath ? `learned: profile ${entry.profilePath}` : 'learned: your earlier correction',
+        profilePath: entry.profilePath,
+        learned: true,
+        included: true
+      });
+    });
+  }
+
+  /**
+   * Remember the user's verdict on a filled field for this site: a rejected
+   * or emptied field is skipped next time, and a corrected value is kept as
+   * the profile attribute it matches or else literally. Taking back a
+   * rejection (same value as suggested) undoes the skip. Secrets (see
+   * isSecretField) are never stored as literals.
+   */
+  async learnFromField(field) {
+    if (!field.stableKey || field.attachment) return;
+    const origin = this.topOrigin();
+    const base = { cssPath: field.cssPath || '', label: field.label || field.type };
+
+    const current = this.currentFieldValue(field);
+    const isEmpty = Array.isArray(current) ? !current.length : !String(current).trim();
+    if (!field.included || isEmpty) {
+      await this.learnedMappings.record(origin, field.stableKey, { ...base, skip: true });
+      return;
+    }
+    const suggested = field.originalSuggestion !== undefined ? field.originalSuggestion : field.suggestedValue;
+    if (this.sameValue(current, suggested)) {
+      // Our suggestion stands: a learned field keeps (or gets back) its lesson, any other needs none
+      if (!field.learned) {
+        await this.learnedMappings.forget(origin, field.stableKey);
+      } else if (field.profilePath) {
+        await this.learnedMappings.record(origin, field.stableKey, { ...base, profilePath: field.profilePath });
+      } else if (!this.isSecretField(field)) {
+        await this.learnedMappings.record(origin, field.stableKey, { ...base, value: suggested });
+      }
+      return;
+    }
+    if (this.isSecretField(field)) return;
+    const profile = Array.isArray(current) ? null : await this.profileStore.load();
+    const profilePath = profile && this.profileStore.pathForValue(profile, current);
+    await this.learnedMappings.record(origin, field.stableKey, profilePath ? { ...base, profilePath } : { ...base, value: current });
+  }
+
+  // Passwords, card details and one-time codes would end up in plain storage and the popup's list
+  isSecretField(field) {
+    const element = field.element;
+    if (!element || field.members || field.isContentEditable) return false;
+    const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase();
+    return (element.type || '').toLowerCase() === 'password' || /(^|\s)(cc-|one-time-code)/.test(autocomplete);
+  }
+
+  // The field's value in the shape of a suggestion (choice groups give option values)
+  currentFieldValue(field) {
+    if (field.members) {
+      if (field.type === 'checkbox' && field.members.length === 1) return field.members[0].checked ? 'yes' : 'no';
+      const options = this.choiceOptions(field);
+      const checked = field.members.map((m, i) => (m.checked ? options[i].value : null)).filter(v => v !== null);
+      return field.type === 'checkbox' ? checked : (checked[0] || '');
+    }
+    if (field.isContentEditable) return field.element.textContent.trim();
+    if (field.widget) return this.widgetDriver.currentValue(field.element, field.widgetOptions, field.widgetMultiple);
+    return field.element.value;
+  }
+
+  sameValue(a, b) {
+    const norm = (v) => (Array.isArray(v) ? [...v].sort().join('\n') : String(v == null ? '' : v)).trim().toLowerCase();
+    return norm(a) === norm(b);
+  }
+
+  /**
+   * Learn from the user's own edits to a filled field. Our fills dispatch
+   * untrusted events, so only real input reaches learnFromField.
+   *
+   * Dropdown widgets and contenteditables fire no change event of their
+   * own, so they are learned from on focusout. Focus moves caused by our
+   * own focus()/blur() calls are trusted too, so a focusout only counts
+   * after the user pressed a key or pointer in the field.
+   * @returns {Function} Detaches the listeners.
+   */
+  trackCorrections(field) {
+    if (field.attachment) return () => {};
+    const targets = field.members || [field.element];
+    const onFocus = field.isContentEditable || field.widget;
+    let touched = false;
+    const onTouch = (e) => {
+      if (e.isTrusted) touched = true;
+    };
+    const onEdit = (e) => {
+      if (!e.isTrusted) return;
+      if (onFocus) {
+        if (!touched || this.widgetDriver.busy) return;
+        touched = false;
+      }
+      if (field.pending) this.adoptUserValue(field);
+      else this.learnFromField(field);
+    };
+    const listeners = onFocus
+      ? [['pointerdown', onTouch], ['keydown', onTouch], ['focusout', onEdit]]
+      : [['change', onEdit]];
+    targets.forEach(t => listeners.forEach(([name, handler]) => t.addEventListener(name, handler)));
+    return () => targets.forEach(t => listeners.forEach(([name, handler]) => t.removeEventListener(name, handler)));
+  }
+
+  /**
+   * The user typed their own value into a field held for review: that
+   * settles it. A value is kept and learned; an emptied field is neither
+   * filled nor taught as a skip.
+   */
+  adoptUserValue(field) {
+    const index = this.identifiedFields.indexOf(field);
+    if (index === -1) return;
+    const current = this.currentFieldValue(field);
+    const isEmpty = Array.isArray(current) ? !current.length : !String(current).trim();
+    field.pending = false;
+    if (!isEmpty) field.included = true;
+    this.renderOverlayState(index);
+    this.reportFieldDecision(index, { learn: !isEmpty });
+  }
+
+  // Learned mappings belong to the site the user sees, also for fields in embedded frames
+  topOrigin() {
+    if (this.isTopFrame) return location.origin;
+    const ancestors = location.ancestorOrigins;
+    return ancestors && ancestors.length ? ancestors[ancestors.length - 1] : location.origin;
+  }
+
+  /**
+   * Resolve item to a global field index using robust key-first matching,
+   * then cssPath, then id/name/label, then formIndex+orderWithinForm, and finally index.
+   */
+  resolveFieldIndex(item, fieldsJson) {
+    const inRange = (n) => typeof n === 'number' && n >= 0 && n < fieldsJson.length;
+    const norm = (s) => (s || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+    // 1) Prefer the canonical stable key
+    if (item.key && this.fieldKeyToIndex.has(item.key)) {
+      return this.fieldKeyToIndex.get(item.key);
+    }
+
+    // 2) Try cssPath if provided
+    if (item.cssPath && this.cssPathToIndex.has(item.cssPath)) {
+      return this.cssPathToIndex.get(item.cssPath);
+    }
+
+    // 3) Try by id
+    if (item.id) {
+      const idx = fieldsJson.findIndex(f => norm(f.id) === norm(item.id));
+      if (idx !== -1) return idx;
+    }
+
+    // 4) Try by name
+    if (item.name) {
+      const idx = fieldsJson.findIndex(f => norm(f.name) === norm(item.name));
+      if (idx !== -1) return idx;
+    }
+
+    // 5) Try by label
+    if (item.label) {
+      const idx = fieldsJson.findIndex(f => norm(f.label) === norm(item.label));
+      if (idx !== -1) return idx;
+    }
+
+    // 6) Try by formIndex + orderWithinForm combo
+    if (typeof item.formIndex === 'number' && typeof item.orderWithinForm === 'number') {
+      const idx = fieldsJson.findIndex(f => f.formIndex === item.formIndex && f.orderWithinForm === item.orderWithinForm);
+      if (idx !== -1) return idx;
+    }
+
+    // 7) Fallback to global index only if valid
+    if (inRange(item.index)) return item.index;
+
+    return -1;
+  }
+
+  /**
+   * Ensure defaults for commonly required fields when omitted by the AI.
+   */
+  addMissingDefaults(elements, fieldsJson, usedIndices) {
+    // Every field picked so far (profile or AI) is in usedIndices
+    const hasIdx = (i) => usedIndices.has(i);
+
+    const findIdx = (pred) => fieldsJson.findIndex(pred);
+
+    // source
+    let idx = findIdx(f => (f.name === 'source' || f.id === 'source' || /how did you hear/i.test(f.label)) && f.tagName === 'SELECT');
+    if (idx !== -1 && !hasIdx(idx)) {
+      const options = fieldsJson[idx].options || [];
+      const preferred = options.find(o => o.value === 'search_engine') || options.find(o => o.value === 'other') || options.find(o => o.value);
+      if (preferred) {
+        usedIndices.add(idx);
+        this.identifiedFields.push({
+          ...elements[idx],
+          suggestedValue: preferred.value,
+          confidence: 0.6,
+          reason: 'default: required select',
+          included: true
+        });
+      }
+    }
+
+    // "Please specify" gets no default: the follow-up pass fills it from the context when it appears
+
+    // work_authorization
+    idx = findIdx(f => (f.name === 'work_authorization' || f.id === 'work_authorization') && f.tagName === 'SELECT');
+    if (idx !== -1 && !hasIdx(idx)) {
+      const options = fieldsJson[idx].options || [];
+      const yes = options.find(o => /yes/i.test(o.value) || /yes/i.test(o.text)) || options[0];
+      if (yes) {
+        usedIndices.add(idx);
+        this.identifiedFields.push({
+          ...elements[idx],
+          suggestedValue: yes.value,
+          confidence: 0.6,
+          reason: 'default: assume authorized',
+          included: true
+        });
+      }
+    }
+
+    // position
+    idx = findIdx(f => (f.name === 'position' || f.id === 'position') && f.tagName === 'SELECT');
+    if (idx !== -1 && !hasIdx(idx)) {
+      const options = (fieldsJson[idx].options || []).filter(o => o.value);
+      const se = options.find(o => o.value === 'software_engineer') || options[0];
+      if (se) {
+        usedIndices.add(idx);
+        this.identifiedFields.push({
+          ...elements[idx],
+          suggestedValue: se.value,
+          confidence: 0.55,
+          reason: 'default: common position',
+          included: true
+        });
+      }
+    }
+  }
+
+  async checkAI() {
+    try {
+      const caps = await this.aiBridge.capabilities();
+      return caps;
+    } catch (e) {
+      console.error("AI check failed:", e);
+      return { available: 'no', error: String(e) };
+    }
+  }
+
+  getFieldType(element) {
+    if (element.tagName === 'SELECT') return 'select';
+    if (element.tagName === 'TEXTAREA') return 'textarea';
+
+    const type = element.type?.toLowerCase();
+    const name = element.name?.toLowerCase() || '';
+    const id = element.id?.toLowerCase() || '';
+    const placeholder = element.placeholder?.toLowerCase() || '';
+    const label = this.findLabel(element).toLowerCase();
+    
+    // More specific field type detection
+    if (type === 'email' || name.includes('email') || id.includes('email') || label.includes('email')) return 'email';
+    if (type === 'tel' || name.includes('phone') || id.includes('phone') || label.includes('phone')) return 'phone';
+    if (type === 'password') return 'password';
+    if (DateFormatter.INPUT_KINDS.includes(type)) return type;
+    if (name.includes('date') || id.includes('date') || label.includes('date')) return 'date';
+    if (type === 'file') return 'file';
+    
+    // Improved name field detection
+    if (name === 'firstname' || id === 'fname' || label.includes('first name')) return 'firstName';
+    if (name === 'lastname' || id === 'lname' || label.includes('last name')) return 'lastName';
+    if (name.includes('name') || id.includes('name') || placeholder.includes('name') || label.includes('name')) {
+      if (name.includes('first') || id.includes('first') || label.includes('first')) return 'firstName';
+      if (name.includes('last') || id.includes('last') || label.includes('last') || label.includes('sur')) return 'lastName';
+      if (name.includes('full') || label.includes('full')) return 'fullName';
+      return 'name'; // Generic name field
+    }
+    
+    // Address-related fields
+    if (name === 'address1' || id === 'address1' || label.includes('street address')) return 'address';
+    if (name === 'address2' || id === 'address2' || label.includes('address line 2')) return 'address2';
+    if (name.includes('city') || id.includes('city') || label.includes('city')) return 'city';
+    if (name.includes('state') || id.includes('state') || label.includes('state') || label.includes('province')) return 'state';
+    if (name.includes('zip') || id.includes('zip') || name.includes('postal') || label.includes('zip') || label.includes('postal')) return 'zip';
+    if (name.includes('company') || id.includes('company') || label.includes('company')) return 'company';
+    
+    // Feedback/comments fields
+    if (name === 'feedback' || id === 'feedback' || label.includes('feedback')) return 'feedback';
+    if (name === 'specify' || id === 'specify' || label.includes('specify')) return 'specify';
+    if (name === 'source' || id === 'source' || label.includes('how did you hear')) return 'source';
+
+    // Other application-specific fields (non-critical typing, still useful for labels)
+    if (name === 'position' || id === 'position') return 'position';
+    if (name === 'linkedin' || id === 'linkedin') return 'url';
+    if (name === 'portfolio' || id === 'portfolio') return 'url';
+    if (name === 'job_title' || id === 'job_title') return 'text';
+    if (name === 'experience_years' || id === 'experience_years') return 'number';
+    if (name === 'skills' || id === 'skills') return 'textarea';
+    if (name === 'cover_letter' || id === 'cover_letter') return 'textarea';
+    if (name === 'work_authorization' || id === 'work_authorization') return 'select';
+    if (name === 'start_date' || id === 'start_date') return 'date';
+
+    return type || 'text';
+  }
+
+  findLabel(element) {
+    // `for` and aria-labelledby ids resolve within the element's own tree first
+    const host = this.shadowHostOf(element);
+    const root = host ? element.getRootNode() : document;
+
+    if (element.id) {
+      const label = root.querySelector(`label[for="${CSS.escape(element.id)}"]`);
+      if (label) return label.textContent.trim();
+    }
+
+    const parentLabel = this.closestAcrossShadow(element, 'label');
+    if (parentLabel) {
+      return Array.from(parentLabel.childNodes)
+        .filter(node => node.nodeType === Node.TEXT_NODE)
+        .map(n => n.textContent.trim())
+        .join(' ');
+    }
+
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel) return ariaLabel;
+    const ariaLabelledby = element.getAttribute('aria-labelledby');
+    if (ariaLabelledby) {
+      const labelEl = root.getElementById(ariaLabelledby) || document.getElementById(ariaLabelledby);
+      if (labelEl) return labelEl.textContent.trim();
+    }
+
+    // Components usually carry the label on the host (<my-input label="Email">)
+    if (host) {
+      const hostLabel = host.getAttribute('label') || this.findLabel(host);
+      if (hostLabel) return hostLabel;
+    }
+
+    return element.placeholder || element.name || '';
+  }
+
+  async analyzeWithPatterns(elements, context, fieldsJson, profile = null, learned = null) {
+    const usedIndices = new Set();
+    if (learned) {
+      this.applyLearnedMappings(elements, fieldsJson, learned, profile, usedIndices);
+    }
+    if (profile) {
+      this.applyProfileValues(elements, fieldsJson, profile, usedIndices);
+    }
+    elements.forEach((field, idx) => {
+      if (usedIndices.has(idx)) return;
+      this.analyzeFieldWithPatterns(field, context);
+    });
+  }
+
+  analyzeFieldWithPatterns(field, context) {
+    const patterns = {
+      email: /[\w._%+-]+@[\w.-]+\.[A-Za-z]{2,}/i,
+      firstName: /^([A-Z][a-z]+)/m,
+      lastName: /^[A-Z][a-z]+\s+([A-Z][a-z]+)/m,
+      fullName: /^([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/m,
+      address: /(?:address|street)[:\s]+([^,\n]+)/i,
+      city: /(?:city)[:\s]+([A-Za-z\s]+)/i,
+      state: /(?:state|province)[:\s]+([A-Za-z\s]+)/i,
+      zip: /\b\d{5}(?:-\d{4})?\b/,
+      company: /(?:company|organization|employer)[:\s]+([^,\n]+)/i
+    };
+
+    let suggestedValue = '';
+    let confidence = 0;
+
+    // Special handling for name fields from "Mr. Merry Christmas"
+    if (field.type === 'firstName') {
+      const nameMatch = context.match(/Mr\.\s+([A-Z][a-z]+)\s+([A-Z][a-z]+)/);
+      if (nameMatch) {
+        suggestedValue = nameMatch[1]; // "Merry"
+        confidence = 0.9;
+      }
+    } else if (field.type === 'lastName') {
+      const nameMatch = context.match(/Mr\.\s+([A-Z][a-z]+)\s+([A-Z][a-z]+)/);
+      if (nameMatch) {
+        suggestedValue = nameMatch[2]; // "Christmas"
+        confidence = 0.9;
+      }
+    } else if (field.type === 'phone') {
+      // Written in the field's format by normalizePhoneSuggestions
+      const number = this.phoneFormatter.pick(this.phoneFormatter.extract(context), field.phoneFormat && field.phoneFormat.role);
+      if (number) {
+        suggestedValue = number.countryCode ? `+${number.countryCode} ${number.display}` : number.display;
+        confidence = 0.9;
+      }
+    } else if (field.type === 'state') {
+      // Look for "European Union"
+      if (context.includes('European Union')) {
+        suggestedValue = 'European Union';
+        confidence = 0.7;
+      }
+    } else {
+      // Try generic pattern matching
+      const pattern = patterns[field.type];
+      if (pattern) {
+        const match = context.match(pattern);
+        if (match) {
+          suggestedValue = match[1] || match[0];
+          confidence = 0.7;
+        }
+      }
+    }
+
+    if (suggestedValue) {
+      this.identifiedFields.push({
+        ...field,
+        suggestedValue: suggestedValue.trim(),
+        confidence: confidence,
+        included: true
+      });
+    }
+  }
+
+  /**
+   * Draw overlays for, and fill, the identified fields from `start` on
+   * (follow-up passes add to the fields already shown).
+   */
+  createOverlays(start = 0) {
+    const remoteByFrame = new Map();
+    const writes = [];
+    this.identifiedFields.forEach((field, index) => {
+      if (index < start) return;
+      this.holdForReview([field]);
+      // Fields from child frames are drawn and filled by their own frame
+      if (field.remote) {
+        if (!remoteByFrame.has(field.frameId)) remoteByFrame.set(field.frameId, []);
+        remoteByFrame.get(field.frameId).push({
+          localIndex: field.localIndex,
+          suggestedValue: field.suggestedValue,
+          confidence: field.confidence,
+          reason: field.reason,
+          profilePath: field.profilePath,
+          attachment: field.attachment,
+          learned: field.learned,
+          // The child frame has no copy of the document to look these up in
+          alternatives: this.alternativesFor(field),
+          included: field.included,
+          pending: field.pending
+        });
+        this.fieldOverlays.push(null);
+        return;
+      }
+
+      const overlay = document.createElement('div');
+      overlay.className = 'ai-form-overlay';
+      overlay.style.cssText = `
+        position: absolute;
+        top: 0px;
+        left: 0px;
+        width: 0px;
+        height: 0px;
+        pointer-events: none;
+        z-index: 10000;
+      `;
+
+      const label = document.createElement('div');
+      label.className = 'ai-field-label';
+      label.style.cssText = `
+        position: absolute; top: -25px; left: 0; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        color: white; padding: 4px 8px; border-radius: 4px; font-family: sans-serif;
+        font-size: 11px; font-weight: bold; white-space: nowrap;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.2); pointer-events: auto; cursor: pointer;
+      `;
+      this.renderOverlayLabel(label, field);
+      label.title = field.attachment ? field.attachment.name : 'Click to edit this suggestion';
+      label.onclick = (e) => {
+        e.stopPropagation();
+        this.openInlineEditor(index);
+      };
+
+      const toggleBtn = document.createElement('button');
+      toggleBtn.className = 'ai-toggle-btn';
+      toggleBtn.style.cssText = `
+        position: absolute; top: -25px; right: 0; width: 20px; height: 20px;
+        border-radius: 50%; border: none; background: ${field.included ? '#4caf50' : '#f44336'};
+        color: white; font-size: 12px; cursor: pointer; pointer-events: auto;
+        display: flex; align-items: center; justify-content: center;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+      `;
+      toggleBtn.innerHTML = field.included ? '✓' : '✗';
+      toggleBtn.onclick = (e) => {
+        e.stopPropagation();
+        this.toggleField(index);
+      };
+
+      // Pending fields: the toggle accepts, this rejects (styles in content.css)
+      const rejectBtn = document.createElement('button');
+      rejectBtn.className = 'ai-reject-btn';
+      rejectBtn.textContent = '✗';
+      rejectBtn.title = 'Reject this suggestion';
+      rejectBtn.onclick = (e) => {
+        e.stopPropagation();
+        this.resolveField(index, false);
+      };
+
+      const preview = document.createElement('div');
+      preview.className = 'ai-field-preview';
+
+      // The browser's validationMessage after filling (see validateFields)
+      const invalid = document.createElement('div');
+      invalid.className = 'ai-field-invalid';
+
+      const border = document.createElement('div');
+      border.className = 'ai-field-border';
+      border.style.cssText = `
+        position: absolute; top: 0; left: 0; width: 100%; height: 100%;
+        border: 2px solid ${field.included ? '#667eea' : '#ccc'}; border-radius: 4px;
+        background: ${field.included ? 'rgba(102, 126, 234, 0.1)' : 'rgba(200, 200, 200, 0.1)'};
+        transition: all 0.3s; box-sizing: border-box;
+      `;
+
+      // Shown instead of the label in hover mode (styles in content.css)
+      const details = document.createElement('div');
+      details.className = 'ai-field-details';
+      details.textContent = this.overlayDetailsText(field);
+
+      overlay.appendChild(label);
+      overlay.appendChild(toggleBtn);
+      overlay.appendChild(rejectBtn);
+      overlay.appendChild(border);
+      overlay.appendChild(preview);
+      overlay.appendChild(invalid);
+      overlay.appendChild(details);
+      overlay.classList.add(`ai-mode-${this.overlayMode}`);
+      const unbindHover = this.bindOverlayHover(overlay, field);
+      const unbindCorrections = this.trackCorrections(field);
+      overlay.unbind = () => {
+        unbindHover();
+        unbindCorrections();
+      };
+      document.body.appendChild(overlay);
+
+      this.fieldOverlays.push(overlay);
+      this.renderOverlayState(index);
+
+      if (field.included && field.suggestedValue) {
+        writes.push(this.fillIdentifiedField(field));
+      }
+    });
+    this.validateAfter(writes);
+
+    remoteByFrame.forEach((fields, frameId) => {
+      chrome.runtime.sendMessage({ action: 'frameBroadcast', frameIds: [frameId], message: { action: 'frameApply', fields } })
+        .catch(e => console.warn('Could not fill child frame:', e));
+    });
+
+    // One panel in the top frame summarizes all frames (and, in wizard mode, all steps)
+    if ((this.identifiedFields.length > 0 || this.wizard) && this.isTopFrame) {
+      this.createActionPanel();
+    }
+
+    // Ensure overlays are positioned correctly and stay aligned on scroll/resize
+    this.startOverlayTracking();
+  }
+
+  renderOverlayLabel(label, field) {
+    label.textContent = field.attachment
+      ? `FILE • ${field.attachment.name}`
+      : `${field.type.toUpperCase()} • ${Math.round(field.confidence * 100)}%`;
+    if (field.learned) {
+      const badge = document.createElement('span');
+      badge.className = 'ai-learned-badge';
+      badge.textContent = 'learned';
+      label.appendChild(badge);
+    }
+    if (field.edited) {
+      const badge = document.createElement('span');
+      badge.className = 'ai-learned-badge ai-edited-badge';
+      badge.textContent = 'edited';
+      label.appendChild(badge);
+    }
+  }
+
+  renderOverlayState(index) {
+    const field = this.identifiedFields[index];
+    const overlay = this.fieldOverlays[index];
+    if (!overlay) return;
+    const toggleBtn = overlay.querySelector('.ai-toggle-btn');
+    const border = overlay.querySelector('.ai-field-border');
+
+    // filled: ✓ on blue, pending: ? on orange with a value preview, rejected: ✗ on grey
+    overlay.classList.toggle('ai-pending', !!field.pending);
+    border.style.borderStyle = field.pending ? 'dashed' : 'solid';
+    if (field.pending) {
+      toggleBtn.style.background = '#ff9800';
+      toggleBtn.innerHTML = '?';
+      toggleBtn.title = 'Accept this suggestion';
+      border.style.borderColor = '#ff9800';
+      border.style.background = 'rgba(255, 152, 0, 0.08)';
+    } else {
+      toggleBtn.style.background = field.included ? '#4caf50' : '#f44336';
+      toggleBtn.innerHTML = field.included ? '✓' : '✗';
+      toggleBtn.title = field.included ? 'Remove this value' : 'Fill this value';
+      border.style.borderColor = field.included ? '#667eea' : '#ccc';
+      border.style.background = field.included ? 'rgba(102, 126, 234, 0.1)' : 'rgba(200, 200, 200, 0.1)';
+    }
+    const value = field.attachment ? field.attachment.name : field.suggestedValue;
+    overlay.querySelector('.ai-field-preview').textContent = Array.isArray(value) ? value.join(', ') : String(value == null ? '' : value);
+    this.renderOverlayLabel(overlay.querySelector('.ai-field-label'), field);
+    overlay.querySelector('.ai-field-details').textContent = this.overlayDetailsText(field);
+    overlay.classList.toggle('ai-invalid', !!field.validationMessage);
+    overlay.querySelector('.ai-field-invalid').textContent = field.validationMessage || '';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inline editor (opened from an overlay label)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Show the suggestion for one field with its reason, confidence and the
+   * alternatives found in the document, and let the user change it.
+   */
+  openInlineEditor(index) {
+    this.closeInlineEditor();
+    const field = this.identifiedFields[index];
+    const overlay = this.fieldOverlays[index];
+    if (!field || !overlay || field.attachment) return;
+
+    const editor = document.createElement('div');
+    editor.className = 'ai-inline-editor';
+
+    const title = document.createElement('div');
+    title.className = 'ai-editor-title';
+    title.textContent = field.label || field.type;
+
+    const input = this.createEditorInput(field);
+    input.classList.add('ai-editor-input');
+
+    const meta = document.createElement('div');
+    meta.className = 'ai-editor-meta';
+    meta.textContent = `Confidence ${Math.round(field.confidence * 100)}% · ${field.reason || 'no reason given'}`;
+
+    editor.appendChild(title);
+    editor.appendChild(input);
+    editor.appendChild(meta);
+
+    const alternatives = this.alternativesFor(field);
+    if (alternatives.length) {
+      const list = document.createElement('div');
+      list.className = 'ai-editor-alternatives';
+      const caption = document.createElement('div');
+      caption.className = 'ai-editor-meta';
+      caption.textContent = 'Also in your document:';
+      list.appendChild(caption);
+      alternatives.forEach(value => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'ai-editor-alt';
+        chip.textContent = value;
+        chip.onclick = () => {
+          input.value = value;
+          input.focus();
+        };
+        list.appendChild(chip);
+      });
+      editor.appendChild(list);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'ai-editor-actions';
+    const applyBtn = document.createElement('button');
+    applyBtn.type = 'button';
+    applyBtn.className = 'ai-editor-apply';
+    applyBtn.textContent = 'Apply';
+    applyBtn.onclick = () => this.applyInlineEdit(index, this.readEditorValue(input));
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'ai-editor-cancel';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.onclick = () => this.closeInlineEditor();
+    actions.appendChild(applyBtn);
+    if (field.history && field.history.length) {
+      const undoBtn = document.createElement('button');
+      undoBtn.type = 'button';
+      undoBtn.className = 'ai-editor-cancel';
+      undoBtn.textContent = field.history.length > 1 ? 'Undo last change' : 'Restore original';
+      undoBtn.onclick = () => this.undoField(index);
+      actions.appendChild(undoBtn);
+    }
+    actions.appendChild(cancelBtn);
+    editor.appendChild(actions);
+
+    // Keep the page's own handlers (form shortcuts, click-away menus) out of the editor
+    ['click', 'mousedown', 'keydown'].forEach(type => editor.addEventListener(type, e => e.stopPropagation()));
+    editor.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.closeInlineEditor();
+      if (e.key === 'Enter' && input.tagName !== 'TEXTAREA' && !input.multiple) {
+        e.preventDefault();
+        applyBtn.click();
+      }
+    });
+    const onOutside = (e) => {
+      if (!editor.contains(e.target)) this.closeInlineEditor();
+    };
+    document.addEventListener('mousedown', onOutside, true);
+
+    overlay.appendChild(editor);
+    this.inlineEditor = { editor, onOutside };
+    input.focus();
+  }
+
+  closeInlineEditor() {
+    if (!this.inlineEditor) return;
+    document.removeEventListener('mousedown', this.inlineEditor.onOutside, true);
+    this.inlineEditor.editor.remove();
+    this.inlineEditor = null;
+  }
+
+  // Fields with a fixed set of values get a select; everything else free text
+  createEditorInput(field) {
+    let options = null;
+    if (field.members) options = this.choiceOptions(field);
+    else if (field.widgetOptions) options = field.widgetOptions;
+    else if (field.element.tagName === 'SELECT') {
+      options = Array.from(field.element.options).filter(o => o.value).map(o => ({ value: o.value, text: o.text }));
+    }
+
+    if (options) {
+      const select = document.createElement('select');
+      select.multiple = (!!field.members && field.type === 'checkbox' && field.members.length > 1) || !!field.widgetMultiple;
+      const chosen = Array.isArray(field.suggestedValue) ? field.suggestedValue : [field.suggestedValue];
+      options.forEach(o => {
+        const option = document.createElement('option');
+        option.value = o.value;
+        option.textContent = o.text;
+        option.selected = chosen.includes(o.value);
+        select.appendChild(option);
+      });
+      return select;
+    }
+
+    const value = String(field.suggestedValue == null ? '' : field.suggestedValue);
+    const multiline = field.type === 'textarea' || field.isContentEditable || value.length > 60;
+    const input = document.createElement(multiline ? 'textarea' : 'input');
+    // Date and time inputs get the browser's own picker; masked fields stay text
+    const dateKind = field.dateFormat && field.dateFormat.kind !== 'masked' ? field.dateFormat.kind : null;
+    if (!multiline) input.type = dateKind || 'text';
+    input.value = value;
+    return input;
+  }
+
+  readEditorValue(input) {
+    if (input.tagName === 'SELECT' && input.multiple) {
+      return Array.from(input.selectedOptions).map(o => o.value);
+    }
+    return input.value;
+  }
+
+  /**
+   * Make the edited value the field's suggestion and fill it. The first
+   * suggestion is kept so learnFromField sees this as a correction.
+   */
+  applyInlineEdit(index, value) {
+    const field = this.identifiedFields[index];
+    this.closeInlineEditor();
+    if (!field) return;
+    if (field.originalSuggestion === undefined) field.originalSuggestion = field.suggestedValue;
+    field.suggestedValue = value;
+    field.confidence = 1;
+    field.edited = true;
+    field.included = true;
+    field.pending = false;
+    this.applyFieldDecision(index);
+  }
+
+  /**
+   * Other values in the document or profile that could fill this field:
+   * every e-mail, phone, date or link in the text for such fields, and the
+   * sibling records of the profile attribute used (all job titles when
+   * work.0.title was picked).
+   */
+  alternativesFor(field) {
+    if (field.alternatives) return field.alternatives;
+    const text = this.lastContext || '';
+    const patterns = {
+      email: /[\w.%+-]+@[\w.-]+\.[A-Za-z]{2,}/g,
+      date: /\b\d{4}-\d{2}-\d{2}\b|\b\d{1,2}[./]\d{1,2}[./]\d{2,4}\b|\b(?:19|20)\d{2}\b/g,
+      url: /https?:\/\/[^\s)>,]+|(?:www\.)?(?:linkedin|github)\.com\/[^\s)>,]+/gi
+    };
+    const hint = `${field.label || ''} ${(field.element && field.element.name) || ''}`;
+    let kind = patterns[field.type] ? field.type : null;
+    if (!kind && /url|link|website|portfolio|linkedin|github/i.test(hint)) kind = 'url';
+
+    const found = [];
+    if (field.phoneFormat && field.phoneFormat.kind !== 'countryCode') {
+      // Offered in the field's format, as the suggestion is
+      found.push(...this.phoneFormatter.extract(text).map(n => this.phoneFormatter.format(n, field.phoneFormat)));
+    } else if (kind) {
+      found.push(...(text.match(patterns[kind]) || []).map(v => v.trim()));
+    }
+    const record = (field.profilePath || '').match(/^(\w+)\.\d+\.(\w+)$/);
+    if (record && this.lastProfile) {
+      (this.lastProfile[record[1]] || []).forEach((_, i) => {
+        found.push(this.profileStore.get(this.lastProfile, `${record[1]}.${i}.${record[2]}`));
+      });
+    }
+
+    const current = String(field.suggestedValue == null ? '' : field.suggestedValue).trim().toLowerCase();
+    return [...new Set(found.filter(Boolean))].filter(v => v.toLowerCase() !== current).slice(0, 6);
+  }
+
+  applySettings(settings) {
+    this.setOverlayMode(this.overlayModeFrom(settings));
+    if (settings && typeof settings.autoFillThreshold === 'number') this.autoFillThreshold = settings.autoFillThreshold;
+  }
+
+  overlayModeFrom(settings) {
+    if (settings && FormAnalyzer.OVERLAY_MODES.includes(settings.overlayMode)) return settings.overlayMode;
+    // Before display modes there was only the "Show field labels" checkbox
+    return settings && settings.showLabels === false ? 'minimal' : 'full';
+  }
+
+  /**
+   * Switch the display mode, including for overlays already on screen.
+   */
+  setOverlayMode(mode) {
+    this.overlayMode = mode;
+    this.fieldOverlays.forEach(overlay => {
+      if (!overlay) return;
+      FormAnalyzer.OVERLAY_MODES.forEach(m => overlay.classList.remove(`ai-mode-${m}`));
+      overlay.classList.add(`ai-mode-${mode}`);
+    });
+  }
+
+  static get OVERLAY_MODES() {
+    return ['full', 'minimal', 'hover', 'off'];
+  }
+
+  overlayDetailsText(field) {
+    let value = field.attachment ? field.attachment.name : field.suggestedValue;
+    if (Array.isArray(value)) value = value.join(', ');
+    value = String(value == null ? '' : value);
+    const lines = [
+      `${field.label || field.type}: ${value.length > 80 ? `${value.slice(0, 80)}…` : value}`,
+      `Confidence ${Math.round(field.confidence * 100)}%${field.pending ? ' (waiting for review)' : field.included ? '' : ' (not filled)'}`
+    ];
+    if (field.reason) lines.push(field.reason);
+    if (field.edited) lines.push('Edited by you');
+    if (field.validationMessage) lines.push(`Invalid: ${field.validationMessage}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Hover mode shows the details while the pointer is on the field or on the
+   * popover itself; the short delay lets the pointer cross the gap between them.
+   * @returns {Function} Detaches the listeners from the page's elements.
+   */
+  bindOverlayHover(overlay, field) {
+    let hideTimer = null;
+    const show = () => {
+      clearTimeout(hideTimer);
+      overlay.classList.add('ai-hovered');
+    };
+    const hide = () => {
+      clearTimeout(hideTimer);
+      hideTimer = setTimeout(() => overlay.classList.remove('ai-hovered'), 200);
+    };
+    const targets = [
+      ...(field.members || [field.anchor || field.element]),
+      ...overlay.querySelectorAll('.ai-field-label, .ai-toggle-btn, .ai-field-details')
+    ];
+    targets.forEach(t => {
+      t.addEventListener('mouseenter', show);
+      t.addEventListener('mouseleave', hide);
+    });
+    return () => {
+      clearTimeout(hideTimer);
+      targets.forEach(t => {
+        t.removeEventListener('mouseenter', show);
+        t.removeEventListener('mouseleave', hide);
+      });
+    };
+  }
+
+startOverlayTracking() {
+  if (this.updateOverlayPositionsBound) return;
+  this.updateOverlayPositionsBound = this.updateOverlayPositions.bind(this);
+  
+  // Instant updates on scroll/resize (keep original behavior)
+  window.addEventListener('scroll', this.updateOverlayPositionsBound, true);
+  window.addEventListener('resize', this.updateOverlayPositionsBound);
+  
+  // Also check every 100ms for AJAX/dynamic changes
+  this.positionCheckInterval = setInterval(() => {
+    this.updateOverlayPositions();
+  }, 100);
+  
+  // Initial position
+  this.updateOverlayPositions();
+}
+
+stopOverlayTracking() {
+  if (this.updateOverlayPositionsBound) {
+    window.removeEventListener('scroll', this.updateOverlayPositionsBound, true);
+    window.removeEventListener('resize', this.updateOverlayPositionsBound);
+    this.updateOverlayPositionsBound = null;
+  }
+  
+  if (this.positionCheckInterval) {
+    clearInterval(this.positionCheckInterval);
+    this.positionCheckInterval = null;
+  }
+}
+
+updateOverlayPositions() {
+  this.fieldOverlays.forEach((overlay, i) => {
+    const field = this.identifiedFields[i];
+    if (!overlay || !field || !field.element || !field.element.isConnected) {
+      if (overlay) overlay.style.display = 'none';
+      return;
+    }
+    
+    const rect = field.members ? this.unionRect(field.members) : (field.anchor || field.element).getBoundingClientRect();
+    if (rect.width < 1 || rect.height < 1) {
+      overlay.style.display = 'none';
+      return;
+    }
+    
+    overlay.style.display = 'block';
+    overlay.style.top = `${rect.top + window.scrollY}px`;
+    overlay.style.left = `${rect.left + window.scrollX}px`;
+    overlay.style.width = `${rect.width}px`;
+    overlay.style.height = `${rect.height}px`;
+  });
+}
+
+createActionPanel() {
+  const existing = document.querySelector('.ai-action-panel');
+  if (existing) existing.remove();
+  const panel = document.createElement('div');
+  panel.className = 'ai-action-panel';
+  panel.style.cssText = `
+    position: fixed; bottom: 20px; right: 20px; background: white; border-radius: 8px;
+    padding: 15px; box-shadow: 0 4px 12px rgba(0,0,0,0.15); z-index: 10001;
+    font-family: sans-serif; min-width: 220px;
+  `;
+  panel.innerHTML = `
+    <div style="font-weight: bold; margin-bottom: 10px; color: #333; font-size: 14px;">
+      AI Form Fill Analysis
+    </div>
+    <div id="aiPanelSummary" style="font-size: 13px; color: #666; margin-bottom: 15px; white-space: pre-line; max-width: 280px;"></div>
+    <div id="aiPendingActions" style="display: none; gap: 6px; margin-bottom: 6px;">
+      <button id="aiAcceptPending" style="
+        flex: 1; padding: 8px; background: #4caf50; color: white;
+        border: none; border-radius: 4px; cursor: pointer;
+      ">Accept all pending</button>
+      <button id="aiRejectPending" style="
+        flex: 1; padding: 8px; background: #f5f5f5; color: #333;
+        border: 1px solid #ddd; border-radius: 4px; cursor: pointer;
+      ">Reject all pending</button>
+    </div>
+    ${this.wizard ? `<button id="aiFinishWizard" style="
+      width: 100%; padding: 8px; margin-bottom: 6px; background: #667eea; color: white;
+      border: none; border-radius: 4px; cursor: pointer;
+    ">Finish Wizard</button>` : ''}
+    <button id="aiRevertAll" style="
+      width: 100%; padding: 8px; margin-bottom: 6px; background: #f5f5f5; color: #333;
+      border: 1px solid #ddd; border-radius: 4px; cursor: pointer;
+    ">Revert all</button>
+    <button id="aiClearAnalysis" style="
+      width: 100%; padding: 8px; background: #f5f5f5; color: #333;
+      border: 1px solid #ddd; border-radius: 4px; cursor: pointer;
+    ">Clear and Close</button>
+  `;
+  document.body.appendChild(panel);
+  this.updateActionPanelSummary();
+
+  document.getElementById('aiAcceptPending').onclick = () => this.resolvePending(true);
+  document.getElementById('aiRejectPending').onclick = () => this.resolvePending(false);
+  document.getElementById('aiRevertAll').onclick = () => this.revertAll();
+  
+  // Closing the panel ends wizard mode; Finish keeps the values, Clear removes this step's
+  document.getElementById('aiClearAnalysis').onclick = () => {
+    this.stopWizard();
+    this.clearOverlays(true);
+  };
+  const finishBtn = document.getElementById('aiFinishWizard');
+  if (finishBtn) {
+    finishBtn.onclick = () => {
+      this.stopWizard();
+      this.clearOverlays(false);
+    };
+  }
+}
+
+actionPanelSummary() {
+  const remote = this.identifiedFields.filter(f => f.remote).length;
+  const filled = this.identifiedFields.filter(f => f.included).length;
+  const pending = this.identifiedFields.filter(f => f.pending).length;
+  const rejected = this.identifiedFields.length - filled - pending;
+  const invalid = this.identifiedFields.filter(f => f.validationMessage).length;
+  const current = `Found ${this.identifiedFields.length} fields${remote ? ` (${remote} in embedded frames)` : ''}: ` +
+    `${filled} filled, ${pending} pending review, ${rejected} rejected.` +
+    (invalid ? `\n${invalid} field${invalid === 1 ? '' : 's'} would not pass validation; see the red notes.` : '');
+  if (!this.wizard) return current;
+
+  const steps = this.wizard.steps;
+  const total = steps.reduce((sum, step) => sum + step.filled, 0);
+  const lines = [
+    `Wizard: ${total} fields filled over ${steps.length} step${steps.length === 1 ? '' : 's'}. New fields are filled as the next steps appear.`
+  ];
+  if (this.identifiedFields.length) lines.push(current);
+  // The newest steps are the interesting ones on a long wizard
+  steps.slice(-5).forEach((step, i) => {
+    lines.push(`Step ${steps.length - Math.min(steps.length, 5) + i + 1}: ${step.filled} of ${step.found} — ${step.title}`);
+  });
+  return lines.join('\n');
+}
+
+updateActionPanelSummary() {
+  const summary = document.getElementById('aiPanelSummary');
+  if (summary) summary.textContent = this.actionPanelSummary();
+  const pendingActions = document.getElementById('aiPendingActions');
+  if (pendingActions) pendingActions.style.display = this.identifiedFields.some(f => f.pending) ? 'flex' : 'none';
+}
+
+  extractFilledValues() {
+    const filledData = [];
+    
+    this.identifiedFields.forEach(field => {
+      if (field.included && field.element) {
+        let value = '';
+        let fieldName = '';
+        
+        // Get the actual current value from the element
+        if (field.members) {
+          value = field.members.filter(m => m.checked).map(m => this.choiceLabel(m) || 'Yes').join(', ');
+        } else if (field.attachment) {
+          value = Array.from(field.element.files || []).map(f => f.name).join(', ');
+        } else if (field.isContentEditable) {
+          value = field.element.textContent.trim();
+        } else if (field.element.tagName === 'SELECT') {
+          const selectedOption = field.element.options[field.element.selectedIndex];
+          value = selectedOption ? selectedOption.text : field.element.value;
+        } else {
+          value = field.element.value;
+        }
+        
+        // Only include fields that have values
+        if (value) {
+          // Determine a readable field name
+          fieldName = field.label || field.element.name || field.element.id || field.type;
+          
+          // Clean up the field name
+          fieldName = fieldName
+            .replace(/[_-]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .split(' ')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+            .join(' ');
+          
+          // Add type info if field name is generic
+          if (!fieldName || fieldName.toLowerCase() === 'text') {
+            fieldName = field.type.charAt(0).toUpperCase() + field.type.slice(1);
+          }
+          
+          filledData.push({
+            name: fieldName,
+            value: value,
+            type: field.type
+          });
+        }
+      }
+    });
+    
+    return filledData;
+  }
+
+  formatExtractedData(data) {
+    // Format data in a readable way
+    let formatted='';/* = "=== EXTRACTED FORM DATA ===\n";
+    formatted += `Date: ${new Date().toLocaleString()}\n`;
+    formatted += `URL: ${window.location.href}\n`;
+    formatted += "=".repeat(30) + "\n\n";
+    */
+    // Group by categories if possible
+	/*
+    const categories = {
+      'Personal Information': ['firstName', 'lastName', 'name', 'fullName', 'email', 'phone'],
+      'Address': ['address', 'address2', 'city', 'state', 'zip'],
+      'Work Information': ['company', 'position', 'job_title', 'experience_years', 'work_authorization'],
+      'Other': []
+    };
+    
+    const categorized = {
+      'Personal Information': [],
+      'Address': [],
+      'Work Information': [],
+      'Other': []
+    };
+    
+    data.forEach(item => {
+      let placed = false;
+      for (const [category, types] of Object.entries(categories)) {
+        if (types.some(type => item.type.toLowerCase().includes(type.toLowerCase()))) {
+          categorized[category].push(item);
+          placed = true;
+          break;
+        }
+      }
+      if (!placed) {
+        categorized['Other'].push(item);
+      }
+    });
+    */
+    // Format each category
+    /*for (const [category, items] of Object.entries(categorized)) {
+      if (items.length > 0) {
+        formatted += `${category}:\n`;
+        formatted += "-".repeat(category.length + 1) + "\n";
+        items.forEach(item => {
+          formatted += `${item.name}: ${item.value}\n`;
+        });
+        formatted += "\n";
+      }
+    }*/
+    
+    // Also add a copy-paste friendly format at the bottom
+    //formatted += "\n" + "=".repeat(30) + "\n";
+    //formatted += "QUICK COPY FORMAT:\n";
+    formatted += "-".repeat(18) + "\n";
+    data.forEach(item => {
+      formatted += `${item.name}: ${item.value}\n`;
+    });
+    
+    return formatted;
+  }
+
+  sendExtractedDataToPopup(data) {
+    chrome.runtime.sendMessage({
+      action: 'extractedFormData',
+      data: data
+    });
+  }
+
+  // A pending field is accepted by its toggle; the others flip between filled and rejected
+  toggleField(index) {
+    const field = this.identifiedFields[index];
+    this.resolveField(index, field.pending || !field.included);
+  }
+
+  resolveField(index, include) {
+    const field = this.identifiedFields[index];
+    field.pending = false;
+    field.included = include;
+    this.applyFieldDecision(index);
+  }
+
+  /**
+   * Accept or reject every pending suggestion, here and in child frames.
+   */
+  resolvePending(accept) {
+    this.identifiedFields.forEach((field, index) => {
+      if (!field.pending) return;
+      if (field.remote) {
+        field.pending = false;
+        field.included = accept;
+      } else {
+        this.resolveField(index, accept);
+      }
+    });
+    const frameIds = [...new Set(this.identifiedFields.filter(f => f.remote).map(f => f.frameId))];
+    if (frameIds.length) {
+      chrome.runtime.sendMessage({ action: 'frameBroadcast', frameIds, message: { action: 'frameResolvePending', accept } })
+        .catch(e => console.warn('Could not update child frames:', e));
+    }
+    if (this.isTopFrame) this.updateActionPanelSummary();
+  }
+
+  /**
+   * Write a field's decision (included, suggestedValue) to the page and its
+   * overlay, learn from it, and keep the top frame's summary current.
+   */
+  applyFieldDecision(index) {
+    const field = this.identifiedFields[index];
+    this.renderOverlayState(index);
+
+    this.validateAfter([field.included ? this.fillIdentifiedField(field) : this.clearIdentifiedField(field)]);
+    this.reportFieldDecision(index);
+  }
+
+  /**
+   * Step one field back to the state before our last write to it: the
+   * previous suggestion after an edit, or the page's own value after the
+   * first fill.
+   */
+  undoField(index) {
+    const field = this.identifiedFields[index];
+    if (!field || !field.history || !field.history.length) return;
+    this.closeInlineEditor();
+    const { state, applied } = field.history.pop();
+    this.validateAfter([this.restoreFieldState(field, state)]);
+    if (applied) {
+      Object.assign(field, applied);
+      field.included = true;
+    } else {
+      field.applied = null;
+      field.included = false;
+    }
+    field.pending = false;
+    this.renderOverlayState(index);
+    this.reportFieldDecision(index);
+  }
+
+  /**
+   * Put every field we wrote back to its value from before the run. Pending
+   * suggestions stay pending; nothing is learned from a revert.
+   */
+  revertAll() {
+    this.closeInlineEditor();
+    const writes = [];
+    this.identifiedFields.forEach((field, index) => {
+      if (!field.included) return;
+      field.included = false;
+      if (field.remote) return;
+      writes.push(this.clearIdentifiedField(field));
+      this.renderOverlayState(index);
+    });
+    this.validateAfter(writes);
+    const frameIds = [...new Set(this.identifiedFields.filter(f => f.remote).map(f => f.frameId))];
+    if (frameIds.length) {
+      chrome.runtime.sendMessage({ action: 'frameBroadcast', frameIds, message: { action: 'frameRevertAll' } })
+        .catch(e => console.warn('Could not revert child frames:', e));
+    }
+    if (this.isTopFrame) this.updateActionPanelSummary();
+    this.updateOverlayPositions();
+  }
+
+  // Learn from a field's new state and tell the panel (in the top frame) about it
+  reportFieldDecision(index, { learn = true } = {}) {
+    const field = this.identifiedFields[index];
+    // A pending suggestion has no verdict yet
+    if (learn && !field.pending) this.learnFromField(field);
+
+    if (this.isTopFrame) {
+      this.updateActionPanelSummary();
+    } else if (typeof field.localIndex === 'number') {
+      chrome.runtime.sendMessage({
+        action: 'frameToTop',
+        message: { action: 'frameFieldToggled', localIndex: field.localIndex, included: field.included, pending: !!field.pending }
+      });
+    }
+
+    // Reposition in case visibility changed layout
+    this.updateOverlayPositions();
+  }
+
+  // Validate once the given writes (promises or plain results) have settled
+  validateAfter(writes) {
+    Promise.allSettled(writes).then(() => this.validateFields());
+  }
+
+  /**
+   * Check every identified field the way a submit would and show each
+   * one's validationMessage on its overlay, so invalid fields are visible
+   * before the user submits. Child frames report theirs to the top frame.
+   */
+  validateFields() {
+    const report = [];
+    this.identifiedFields.forEach((field, index) => {
+      if (field.remote) return;
+      field.validationMessage = this.validationMessageFor(field);
+      this.renderOverlayState(index);
+      if (typeof field.localIndex === 'number') report.push({ localIndex: field.localIndex, message: field.validationMessage });
+    });
+    if (this.isTopFrame) {
+      this.updateActionPanelSummary();
+    } else if (report.length) {
+      chrome.runtime.sendMessage({ action: 'frameToTop', message: { action: 'frameValidation', results: report } });
+    }
+  }
+
+  validationMessageFor(field) {
+    const element = field.members ? field.members[0] : field.element;
+    if (!element || !element.isConnected || typeof element.checkValidity !== 'function' || !element.willValidate) return '';
+    // checkValidity also runs the page's own `invalid` handlers, as a submit would
+    return element.checkValidity() ? '' : element.validationMessage;
+  }
+
+	// Resolves once the page has kept the value, or every write strategy has been tried
+	fillField(element, value, isContentEditable) {
+	  const dateFormat = !isContentEditable && this.dateFormatter.describe(element);
+	  const phoneFormat = !isContentEditable && !dateFormat && this.phoneFormatter.describe(element);
+	  if (isContentEditable) {
+		return this.fieldWriter.write(element, value, { isContentEditable: true });
+	  } else if (element.tagName === 'SELECT') {
+		const placeFormat = this.gazetteer.describe(element, this.findLabel(element));
+		if (placeFormat && this.gazetteer.resolve(value, placeFormat)) {
+		  // By ISO code, so "USA" finds "United States of America" and "CA" never finds "Canada"
+		  return this.fillPlaceSelect(element, value, placeFormat);
+		}
+
+		// Handle SELECT elements specially
+		const options = Array.from(element.options);
+		const valueLower = String(value).toLowerCase().trim();
+		
+		// Try exact match first
+		let matchedOption = options.find(opt => 
+		  opt.value.toLowerCase() === valueLower || opt.text.toLowerCase() === valueLower
+		);
+		
+		// If no exact match, try partial match
+		if (!matchedOption) {
+		  matchedOption = options.find(opt => 
+			opt.value.toLowerCase().includes(valueLower) || 
+			opt.text.toLowerCase().includes(valueLower) ||
+			valueLower.includes(opt.value.toLowerCase()) ||
+			valueLower.includes(opt.text.toLowerCase())
+		  );
+		}
+		
+		if (matchedOption) {
+		  return this.fieldWriter.write(element, matchedOption.value);
+		} else {
+		  console.warn(`Could not find matching option for "${value}" in select element`, element);
+		}
+	  } else if (dateFormat) {
+		// Date, time and masked date fields only take their own format
+		const dateValue = this.dateFormatter.convert(value, dateFormat);
+		if (dateValue) {
+		  return this.fieldWriter.write(element, dateValue);
+		} else {
+		  console.warn(`Invalid date format "${value}" for ${element.type} input, skipping`);
+		  return; // Don't fill if date is invalid
+		}
+	  } else if (phoneFormat) {
+		// Numbers typed in the editor get the field's format too
+		return this.fieldWriter.write(element, this.phoneFormatter.convert(value, phoneFormat) || value);
+	  } else {
+		return this.fieldWriter.write(element, value);
+	  }
+	}
+
+  /**
+   * Pick a country or state option through the gazetteer. A state select
+   * driven by a country select may still hold the previous country's list,
+   * or none, while the page loads the new one: wait for it to repopulate.
+   */
+  async fillPlaceSelect(element, value, placeFormat) {
+    const find = () => {
+      // The country picked beside it can change while we wait
+      const format = { ...placeFormat, country: this.gazetteer.partnerCountry(element) || placeFormat.country };
+      return this.gazetteer.matchOption(Array.from(element.options, o => ({ value: o.value, text: o.text })), value, format);
+    };
+    let match = find();
+    if (!match && placeFormat.dependent) match = await this.widgetDriver.waitFor(find, this.dependentSelectTimeoutMs);
+    if (!match) {
+      console.warn(`Could not find an option for "${value}" in select element`, element);
+      return;
+    }
+    return this.fieldWriter.write(element, match);
+  }
+
+  fillIdentifiedField(field) {
+    // Every write can be undone: keep the state it replaces and the suggestion behind that state
+    if (!field.history) field.history = [];
+    field.history.push({ state: this.captureFieldState(field), applied: field.applied || null });
+    field.applied = { suggestedValue: field.suggestedValue, confidence: field.confidence, edited: !!field.edited };
+    // Writes that settle later (framework-aware and widget writes) return a promise
+    if (field.attachment) {
+      this.attachFile(field);
+    } else if (field.widget) {
+      return this.widgetDriver.select(field.element, field.suggestedValue);
+    } else if (field.members) {
+      this.fillChoiceGroup(field, field.suggestedValue);
+    } else {
+      return this.fillField(field.element, field.suggestedValue, field.isContentEditable);
+    }
+  }
+
+  // Restore the page's own value from before our first write; fields we never wrote are left alone
+  clearIdentifiedField(field) {
+    if (!field.history || !field.history.length) return;
+    const restored = this.restoreFieldState(field, field.history[0].state);
+    field.history = [];
+    field.applied = null;
+    return restored;
+  }
+
+  /**
+   * Snapshot what a field shows right now: value, checked state, selected
+   * options, contenteditable HTML or picked files, whichever applies.
+   */
+  captureFieldState(field) {
+    const element = field.element;
+    if (field.members) return { checked: field.members.map(m => m.checked) };
+    if (field.widget) return { widget: this.currentFieldValue(field) };
+    if (element.type === 'file') return { files: Array.from(element.files || []) };
+    if (field.isContentEditable) return { html: element.innerHTML };
+    if (element.tagName === 'SELECT' && element.multiple) return { selected: Array.from(element.options).map(o => o.selected) };
+    return { value: element.value };
+  }
+
+  restoreFieldState(field, state) {
+    const element = field.element;
+    if (state.checked) {
+      // Uncheck first so restoring a radio group never passes through two checked options
+      field.members.forEach((m, i) => { if (!state.checked[i]) this.setChecked(m, false); });
+      field.members.forEach((m, i) => { if (state.checked[i]) this.setChecked(m, true); });
+      return;
+    }
+    if (state.files) {
+      this.setFiles(element, state.files);
+      return;
+    }
+    if (state.widget !== undefined) {
+      const empty = Array.isArray(state.widget) ? !state.widget.length : !state.widget;
+      const cleared = this.widgetDriver.clear(element);
+      return empty ? cleared : this.widgetDriver.select(element, state.widget);
+    }
+    if (state.value !== undefined) {
+      return this.fieldWriter.write(element, state.value);
+    }
+    if (state.html !== undefined) {
+      element.innerHTML = state.html;
+    } else {
+      Array.from(element.options).forEach((o, i) => { o.selected = !!state.selected[i]; });
+    }
+    element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+  }
+
+  /**
+   * Put `field.attachment` into a file input. Whatever the user had picked
+   * before is remembered so removing the attachment restores it; a
+   * `multiple` input keeps those files alongside ours.
+   */
+  attachFile(field) {
+    const { attachment, element } = field;
+    if (!field.previousFiles) field.previousFiles = Array.from(element.files || []);
+    const bytes = Uint8Array.from(atob(attachment.data), c => c.charCodeAt(0));
+    const file = new File([bytes], attachment.name, { type: attachment.type, lastModified: Date.now() });
+    this.setFiles(element, element.multiple ? [...field.previousFiles, file] : [file]);
+  }
+
+  setFiles(input, files) {
+    const transfer = new DataTransfer();
+    files.forEach(f => transfer.items.add(f));
+    input.files = transfer.files;
+    input.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+  }
+
+  /**
+   * Check the members of a radio/checkbox group whose option value is in
+   * `value` (a value or list of values from choiceOptions) and uncheck the rest.
+   */
+  fillChoiceGroup(field, value) {
+    const wanted = Array.isArray(value) ? value : [value];
+    if (field.type === 'checkbox' && field.members.length === 1) {
+      this.setChecked(field.members[0], wanted[0] === 'yes');
+      return;
+    }
+    const options = this.choiceOptions(field);
+    field.members.forEach((member, i) => {
+      const on = wanted.includes(options[i].value);
+      // Checking one radio unchecks its siblings by itself
+      if (field.type === 'radio' && !on) return;
+      this.setChecked(member, on);
+    });
+  }
+
+  setChecked(input, checked) {
+    if (input.checked === checked) return;
+    // A real click fires input/change/click the way widget libraries expect
+    input.click();
+    if (input.checked !== checked) {
+      input.checked = checked;
+      input.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+      input.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+    }
+  }
+
+  clearOverlays(clearValues = false) {
+    // Stop tracking before removing overlays
+    this.stopOverlayTracking();
+
+    if (clearValues) {
+      this.identifiedFields.forEach(field => {
+        if (field.element) this.clearIdentifiedField(field);
+      });
+    }
+    const frameIds = [...new Set(this.identifiedFields.filter(f => f.remote).map(f => f.frameId))];
+    if (frameIds.length) {
+      chrome.runtime.sendMessage({ action: 'frameBroadcast', frameIds, message: { action: 'frameClear', clearValues } })
+        .catch(e => console.warn('Could not clear child frames:', e));
+    }
+    this.closeInlineEditor();
+    this.fieldOverlays.forEach(overlay => {
+      if (!overlay) return;
+      overlay.unbind();
+      overlay.remove();
+    });
+    this.fieldOverlays = [];
+    const panel = document.querySelector('.ai-action-panel');
+    if (panel) panel.remove();
+    this.identifiedFields = [];
+  }
+}
+// Initialize the integrated form analyzer
 new FormAnalyzer();
\ No newline at end of file
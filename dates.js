@@ -0,0 +1,291 @@
+// dates.js
+
+/**
+ * DateFormatter turns the dates people write ("March 2017", "15.01.2024",
+ * "2017 – Present") into what a date-like field accepts: the value format of
+ * `date`, `datetime-local`, `month`, `week` and `time` inputs, or the mask
+ * of a text field whose placeholder reads like "DD.MM.YYYY".
+ *
+ * A field's format is described once, where the element is (see describe),
+ * as `{ kind, mask, dayFirst, role }`. `dayFirst` settles 03/04/2024: the
+ * mask's order if there is one, else the page's `lang`. `role` says whether
+ * the field is the start or the end of a period, so a range in the document
+ * fills a start/end pair with its two halves.
+ */
+class DateFormatter {
+  static get INPUT_KINDS() {
+    return ['date', 'datetime-local', 'month', 'week', 'time'];
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @param {string} [label] - The field's label, for the start/end role.
+   * @returns {{kind: string, mask: string|null, dayFirst: boolean, role: 'start'|'end'|null}|null}
+   *   null for fields that do not take a date.
+   */
+  describe(element, label = '') {
+    if (element.tagName !== 'INPUT') return null;
+    const type = (element.type || '').toLowerCase();
+    let kind = DateFormatter.INPUT_KINDS.includes(type) ? type : null;
+    let mask = null;
+    if (!kind && /^(text|search|tel|)$/.test(type)) {
+      mask = this.maskOf(element);
+      if (mask) kind = 'masked';
+    }
+    if (!kind) return null;
+
+    const dayFirst = mask ? mask.indexOf('D') !== -1 && mask.indexOf('D') < mask.indexOf('M') : this.dayFirstFor(element);
+    const role = this.roleOf([label, element.name, element.id, element.getAttribute('aria-label')].filter(Boolean).join(' '));
+    return { kind, mask, dayFirst, role };
+  }
+
+  /**
+   * A date mask spelled out in the field's hints, normalized to D/M/Y
+   * tokens: "TT.MM.JJJJ" and "jj/mm/aaaa" become "DD.MM.YYYY" and "DD/MM/YYYY".
+   */
+  maskOf(element) {
+    const hints = ['placeholder', 'data-mask', 'data-inputmask', 'data-date-format', 'aria-label', 'title']
+      .map(attr => element.getAttribute(attr) || '')
+      .join(' ');
+    const token = '(?:yyyy|jjjj|aaaa|dd|tt|jj|mm|yy|aa|d|m)';
+    const match = hints.match(new RegExp(`(?:^|[^a-z])(${token}(?:[./\\- ]${token}){1,2})(?![a-z])`, 'i'));
+    if (!match) return null;
+    const mask = match[1].toUpperCase()
+      .replace(/JJJJ|AAAA/g, 'YYYY')
+      .replace(/AA/g, 'YY')
+      .replace(/JJ|TT/g, 'DD');
+    // Needs a month and a year to be a date at all
+    return /M/.test(mask) && /Y/.test(mask) ? mask : null;
+  }
+
+  // Whether the page's language writes the day before the month (en-GB, de, fr) or not (en-US)
+  dayFirstFor(element) {
+    const holder = element.closest('[lang]');
+    const lang = (holder && holder.getAttribute('lang')) || document.documentElement.lang || navigator.language;
+    try {
+      const parts = new Intl.DateTimeFormat(lang).formatToParts(new Date(2000, 11, 31)).map(p => p.type);
+      return parts.indexOf('day') < parts.indexOf('month');
+    } catch (e) {
+      // Not a valid language tag
+      return !/^en-US$/i.test(navigator.language);
+    }
+  }
+
+  roleOf(text) {
+    // endDate, end_date and "End date" all read "end date"
+    const hint = String(text || '').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().replace(/[_\-.]+/g, ' ').trim();
+    // A bare "to" only counts as the label's own word ("From / To", "Date to")
+    if (/\b(end|until|till|finish|finished|leaving|graduation|completion|expiry|expires)\b|^to\b|\bto$|\bdate to\b/.test(hint)) return 'end';
+    if (/\b(start|from|begin|beginning|since|joined|enrollment|enrolment)\b/.test(hint)) return 'start';
+    return null;
+  }
+
+  /**
+   * Convert `value` for a field described by describe().
+   * @returns {string|null} null when there is no date to write: unparseable
+   *   input, or the end of a period that is still going on.
+   */
+  convert(value, format) {
+    const text = String(value == null ? '' : value).trim();
+    if (!text) return null;
+    const range = this.splitRange(text);
+    const part = range ? (format.role === 'end' ? range.end : range.start) : text;
+
+    // A value already in the field's mask reads back as written ("01/24" for MM/YY)
+    let date = (format.mask && this.parseMasked(part, format.mask)) || this.parse(part, format.dayFirst);
+    if (!date) return null;
+    if (date.present) {
+      if (format.role === 'end') return null;
+      const now = new Date();
+      date = { year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate(), hour: now.getHours(), minute: now.getMinutes() };
+    }
+    // A bare year or month ends on its last day when it closes a period
+    if (date.year && !date.month) date.month = format.role === 'end' ? 12 : 1;
+    if (date.year && !date.day) date.day = format.role === 'end' ? this.daysInMonth(date.year, date.month) : 1;
+    return this.format(date, format);
+  }
+
+  format(date, { kind, mask }) {
+    const pad = (n, len = 2) => String(n).padStart(len, '0');
+    const ymd = date.year ? `${pad(date.year, 4)}-${pad(date.month)}-${pad(date.day)}` : null;
+    const hm = date.hour != null ? `${pad(date.hour)}:${pad(date.minute || 0)}` : null;
+    switch (kind) {
+      case 'date': return ymd;
+      case 'datetime-local': return ymd && `${ymd}T${hm || '00:00'}`;
+      case 'month': return date.year ? `${pad(date.year, 4)}-${pad(date.month)}` : null;
+      case 'week': return date.year ? this.isoWeek(date) : null;
+      case 'time': return hm;
+      case 'masked':
+        if (!date.year) return null;
+        return mask.replace(/YYYY|YY|MM|M|DD|D/g, token => ({
+          YYYY: pad(date.year, 4),
+          YY: pad(date.year % 100),
+          MM: pad(date.month),
+          M: String(date.month),
+          DD: pad(date.day),
+          D: String(date.day)
+        })[token]);
+      default: return null;
+    }
+  }
+
+  /**
+   * "2017 – Present", "Jan 2017 to Mar 2020", "2011-2017" -> both halves.
+   * A single date with hyphens (2017-01-15) is not a range.
+   */
+  splitRange(text) {
+    const spaced = text.match(/^(.+?)\s*(?:–|—|\s-\s|\s(?:to|until|till|bis|au)\s)\s*(.+)$/i);
+    const compact = text.match(/^(\d{4}|\d{1,2}[./]\d{4})\s*-\s*(\d{4}|\d{1,2}[./]\d{4}|present|current|now|today)$/i);
+    const match = spaced || compact;
+    if (!match) return null;
+    return { start: match[1].trim(), end: match[2].trim() };
+  }
+
+  /**
+   * Parse one date or time. Returns the parts it found
+   * ({year, month?, day?, hour?, minute?}), `{present: true}` for words like
+   * "Present", or null.
+   */
+  parse(text, dayFirst = false) {
+    const value = String(text || '').trim().replace(/\s+/g, ' ');
+    if (/^(present|current|now|today|ongoing|heute|aktuell|actuel|aujourd'hui)$/i.test(value)) return { present: true };
+
+    let m = value.match(/^(\d{4})-W(\d{1,2})$/i);
+    if (m) return this.fromIsoWeek(Number(m[1]), Number(m[2]));
+
+    m = value.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?(?:[T ](\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?(?:Z|[+-]\d{2}:?\d{2})?$/);
+    if (m) return this.valid({ year: +m[1], month: +m[2], day: m[3] ? +m[3] : undefined, ...this.time(m[4], m[5]) });
+
+    m = value.match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i);
+    if (m) return this.valid(this.time(m[1], m[2], m[3]));
+
+    // Numeric day, month and year in either order; the year may come first
+    m = value.match(/^(\d{1,4})[./\- ](\d{1,2})[./\- ](\d{2,4})(?:,? (\d{1,2}):(\d{2})\s*([ap]\.?m\.?)?)?$/i);
+    if (m) {
+      const [a, b, c] = [+m[1], +m[2], +m[3]];
+      const time = this.time(m[4], m[5], m[6]);
+      if (m[1].length === 4) return this.valid({ year: a, month: b, day: c, ...time });
+      const year = this.fullYear(m[3]);
+      // A number above 12 can only be the day
+      const first = a > 12 ? true : b > 12 ? false : dayFirst;
+      return this.valid(first ? { year, month: b, day: a, ...time } : { year, month: a, day: b, ...time });
+    }
+
+    m = value.match(/^(\d{1,2})[./\-](\d{4})$/);
+    if (m) return this.valid({ year: +m[2], month: +m[1] });
+    m = value.match(/^(\d{4})[./](\d{1,2})$/);
+    if (m) return this.valid({ year: +m[1], month: +m[2] });
+    m = value.match(/^(\d{4})$/);
+    if (m) return { year: +m[1] };
+
+    return this.parseWithMonthName(value);
+  }
+
+  /**
+   * Read `text` by the mask that format() writes, so converting a value
+   * twice (suggestion, then the write) gives the same result.
+   * @returns {{year: number, month: number, day?: number}|null}
+   */
+  parseMasked(text, mask) {
+    const tokens = [];
+    const source = mask.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/YYYY|YY|MM|M|DD|D/g, token => {
+      tokens.push(token);
+      return token === 'YYYY' ? '(\\d{4})' : token === 'YY' ? '(\\d{2})' : '(\\d{1,2})';
+    });
+    const m = String(text || '').trim().match(new RegExp(`^${source}$`));
+    if (!m) return null;
+    const date = {};
+    tokens.forEach((token, i) => {
+      if (token[0] === 'Y') date.year = token === 'YY' ? this.fullYear(m[i + 1]) : Number(m[i + 1]);
+      else if (token[0] === 'M') date.month = Number(m[i + 1]);
+      else date.day = Number(m[i + 1]);
+    });
+    return this.valid(date);
+  }
+
+  // "March 2017", "Mar 3, 2017", "3 March 2017", "3. März 2017"
+  parseWithMonthName(value) {
+    const lower = value.toLowerCase().replace(/\./g, ' ');
+    const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const month = this.monthNames().find(entry => new RegExp(`(^|[^\\p{L}])${escape(entry.name)}([^\\p{L}]|$)`, 'u').test(lower));
+    if (!month) return null;
+    const time = lower.match(/\b(\d{1,2}):(\d{2})\s*([ap] ?m)?/i);
+    const rest = lower.replace(month.name, ' ').replace(time ? time[0] : '', ' ');
+    const year = rest.match(/\b(\d{4})\b/);
+    if (!year) return null;
+    const day = rest.replace(year[0], ' ').match(/\b(\d{1,2})(?:st|nd|rd|th|er|e)?\b/);
+    return this.valid({
+      year: +year[1],
+      month: month.index,
+      day: day ? +day[1] : undefined,
+      ...(time ? this.time(time[1], time[2], time[3]) : {})
+    });
+  }
+
+  // Month names in the page's language and in English, longest first so "june" wins over "jun"
+  monthNames() {
+    if (this.cachedMonthNames) return this.cachedMonthNames;
+    const names = [];
+    [document.documentElement.lang, navigator.language, 'en'].filter(Boolean).forEach(lang => {
+      ['long', 'short'].forEach(width => {
+        try {
+          const format = new Intl.DateTimeFormat(lang, { month: width, timeZone: 'UTC' });
+          for (let i = 0; i < 12; i++) {
+            const name = format.format(new Date(Date.UTC(2000, i, 15))).toLowerCase().replace(/\./g, '').trim();
+            if (name && !/\d/.test(name)) names.push({ name, index: i + 1 });
+          }
+        } catch (e) {
+          // Not a valid language tag
+        }
+      });
+    });
+    this.cachedMonthNames = names.sort((a, b) => b.name.length - a.name.length);
+    return this.cachedMonthNames;
+  }
+
+  time(hour, minute, meridiem) {
+    if (hour == null) return {};
+    let h = Number(hour);
+    if (meridiem) {
+      const pm = /^p/i.test(meridiem);
+      if (h === 12) h = pm ? 12 : 0;
+      else if (pm) h += 12;
+    }
+    return { hour: h, minute: Number(minute) };
+  }
+
+  fullYear(text) {
+    if (text.length === 4) return Number(text);
+    // Two-digit years up to ten years ahead are this century
+    const yy = Number(text);
+    const limit = (new Date().getFullYear() + 10) % 100;
+    return yy <= limit ? 2000 + yy : 1900 + yy;
+  }
+
+  valid(date) {
+    if (date.month !== undefined && (date.month < 1 || date.month > 12)) return null;
+    if (date.day !== undefined && (date.day < 1 || date.day > this.daysInMonth(date.year, date.month))) return null;
+    if (date.hour !== undefined && (date.hour > 23 || date.minute > 59)) return null;
+    return date;
+  }
+
+  daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+
+  // ISO 8601 week: weeks start on Monday and week 1 holds the year's first Thursday
+  isoWeek({ year, month, day }) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    date.setUTCDate(date.getUTCDate() + 4 - (date.getUTCDay() || 7));
+    const week = Math.ceil(((date - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+    return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+  }
+
+  fromIsoWeek(year, week) {
+    if (week < 1 || week > 53) return null;
+    const jan4 = new Date(Date.UTC(year, 0, 4));
+    const monday = new Date(jan4);
+    monday.setUTCDate(jan4.getUTCDate() - ((jan4.getUTCDay() || 7) - 1) + (week - 1) * 7);
+    return { year: monday.getUTCFullYear(), month: monday.getUTCMonth() + 1, day: monday.getUTCDate() };
+  }
+}
@@ -0,0 +1,189 @@
+// fieldwriter.js
+
+/**
+ * FieldWriter puts a value into a text input, textarea, select or
+ * contenteditable so that the page's framework notices it, not just the DOM.
+ *
+ * React, Vue and Angular keep their own copy of an input's value and only
+ * update it from the events they listen for; a controlled input whose state
+ * did not change is re-rendered back to the old value. So every write is
+ * checked: after the page's handlers have run, the field is sent a blur
+ * (which makes most form libraries validate and re-render) and the value is
+ * read back once that render has settled. A field that reverted or never
+ * changed gets the next, more invasive strategy:
+ *
+ *   native     - the prototype's value setter, then input and change
+ *   typed      - focus, keydown, beforeinput, native setter, input, keyup,
+ *                change and blur, like a user pasting the value
+ *   keystrokes - the value typed one character at a time (short values only),
+ *                for inputs that mask or reformat while typing
+ *
+ * Contenteditable hosts get `text` (textContent and input) and then
+ * `command` (focus, select all, execCommand insertText), which rich text
+ * editors handle through their own beforeinput listeners.
+ *
+ * The strategy that worked is remembered per element, so later writes
+ * (edits, undo) start there.
+ *
+ * This is best effort. The framework's own state is out of reach of a
+ * content script, so a page that neither re-renders on blur nor reverts the
+ * field still reads as written.
+ */
+class FieldWriter {
+  constructor() {
+    this.preferred = new WeakMap(); // element -> strategy name
+    this.settleMs = 30;
+    this.maxKeystrokes = 200;
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @param {string} value - Exactly what the element should read afterwards
+   *   (for a select, the option value).
+   * @param {{isContentEditable?: boolean}} [options]
+   * @returns {Promise<{ok: boolean, strategy: string}>}
+   */
+  async write(element, value, options = {}) {
+    const text = String(value == null ? '' : value);
+    const strategies = this.strategiesFor(element, text, options);
+    const start = Math.max(0, strategies.indexOf(this.preferred.get(element)));
+
+    let strategy = strategies[start];
+    for (let i = start; i < strategies.length; i++) {
+      strategy = strategies[i];
+      this[strategy](element, text);
+      if (await this.kept(element, text, options)) {
+        this.preferred.set(element, strategy);
+        return { ok: true, strategy };
+      }
+    }
+    console.warn(`The page did not keep the value written to this field (tried ${strategies.slice(start).join(', ')})`, element);
+    return { ok: false, strategy };
+  }
+
+  /**
+   * Whether the field still shows `text` after the page reacted to the write
+   * and to a blur. Controlled inputs revert on the render that follows.
+   */
+  async kept(element, text, options) {
+    const settle = () => new Promise(resolve => setTimeout(resolve, this.settleMs));
+    await settle();
+    if (!this.matches(this.readValue(element, options), text)) return false;
+    // React listens for focusout, Vue and Angular for blur
+    element.dispatchEvent(new FocusEvent('focusout', { bubbles: true, composed: true }));
+    element.dispatchEvent(new FocusEvent('blur', { composed: true }));
+    await settle();
+    return this.matches(this.readValue(element, options), text);
+  }
+
+  strategiesFor(element, text, options) {
+    if (options.isContentEditable) return ['text', 'command'];
+    if (element.tagName === 'SELECT') return ['native', 'typed'];
+    const strategies = ['native', 'typed'];
+    if (text.length <= this.maxKeystrokes && !text.includes('\n')) strategies.push('keystrokes');
+    return strategies;
+  }
+
+  readValue(element, options = {}) {
+    return options.isContentEditable ? element.textContent : element.value;
+  }
+
+  // Pages reformat what they accept (phone masks, thousands separators); compare the substance
+  matches(actual, expected) {
+    if (actual === expected) return true;
+    const squash = s => String(s || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    return squash(actual) === squash(expected);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Strategies
+  // ---------------------------------------------------------------------------
+
+  native(element, text) {
+    this.setNativeValue(element, text);
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, composed: true, inputType: 'insertReplacementText', data: text }));
+    element.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+  }
+
+  typed(element, text) {
+    element.focus({ preventScroll: true });
+    this.key(element, 'keydown', text.slice(-1));
+    if (this.beforeInput(element, 'insertReplacementText', text)) this.setNativeValue(element, text);
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, composed: true, inputType: 'insertReplacementText', data: text }));
+    this.key(element, 'keyup', text.slice(-1));
+    element.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+    element.blur();
+  }
+
+  keystrokes(element, text) {
+    element.focus({ preventScroll: true });
+    if (this.beforeInput(element, 'deleteContentBackward', null)) this.setNativeValue(element, '');
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, composed: true, inputType: 'deleteContentBackward' }));
+    this.typeText(element, text);
+    element.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+    element.blur();
+  }
+
+  /**
+   * Type `text` at the end of a focused input, one key at a time. Also used
+   * by WidgetDriver to search comboboxes, which must keep focus afterwards.
+   */
+  typeText(element, text) {
+    for (const ch of text) {
+      this.key(element, 'keydown', ch);
+      this.key(element, 'keypress', ch);
+      // Append to what the page left after the last character, so masks can reformat as they go
+      if (this.beforeInput(element, 'insertText', ch)) this.setNativeValue(element, element.value + ch);
+      element.dispatchEvent(new InputEvent('input', { bubbles: true, composed: true, inputType: 'insertText', data: ch }));
+      this.key(element, 'keyup', ch);
+    }
+  }
+
+  text(element, text) {
+    element.textContent = text;
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, composed: true, inputType: 'insertReplacementText', data: text }));
+  }
+
+  command(element, text) {
+    element.focus({ preventScroll: true });
+    const selection = element.ownerDocument.getSelection();
+    const range = element.ownerDocument.createRange();
+    range.selectNodeContents(element);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    // Deprecated but still the one call editors (ProseMirror, Draft, Lexical) treat as user input
+    if (!element.ownerDocument.execCommand('insertText', false, text)) this.text(element, text);
+    element.blur();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Assign through the setter on the element's prototype chain rather than
+   * any own `value` property a framework may have defined on the element.
+   */
+  setNativeValue(element, text) {
+    let proto = Object.getPrototypeOf(element);
+    while (proto) {
+      const descriptor = Object.getOwnPropertyDescriptor(proto, 'value');
+      if (descriptor && descriptor.set) {
+        descriptor.set.call(element, text);
+        return;
+      }
+      proto = Object.getPrototypeOf(proto);
+    }
+    element.value = text;
+  }
+
+  // @returns {boolean} false when the page cancelled the insertion and handled it itself
+  beforeInput(element, inputType, data) {
+    return element.dispatchEvent(new InputEvent('beforeinput', { bubbles: true, cancelable: true, composed: true, inputType, data }));
+  }
+
+  key(element, type, ch) {
+    const key = ch || 'Unidentified';
+    element.dispatchEvent(new KeyboardEvent(type, { key, bubbles: true, cancelable: true, composed: true }));
+  }
+}
@@ -0,0 +1,883 @@
+// gazetteer.js
+
+/**
+ * Gazetteer matches countries and their subdivisions (states, provinces,
+ * regions) by ISO 3166 code rather than by text, so "USA" finds "United
+ * States of America", "CA" in a state select finds California and never
+ * Canada, and "Bayern" finds "Bavaria".
+ *
+ * Every country is listed with its alpha-2 and alpha-3 codes, native names
+ * and common aliases. Subdivisions are listed for the countries forms ask
+ * them of most: US, CA, AU, GB, DE, AT, CH, FR, IT, ES, NL, IN, CN, JP,
+ * MX and BR. The data is bundled, so matching works offline.
+ *
+ * A field's place format is described where the element is (describe), as
+ * `{ kind, select, country, dependent, style }`: whether it takes a country or a
+ * subdivision, of which country, and whether a country control on the same
+ * form drives its options.
+ */
+class Gazetteer {
+  // alpha-2|alpha-3|English name|native names|aliases (lists separated by ;)
+  static get COUNTRIES() {
+    return `
+AF|AFG|Afghanistan|افغانستان|
+AX|ALA|Åland Islands|Åland|Aland
+AL|ALB|Albania|Shqipëri;Shqipëria|
+DZ|DZA|Algeria|الجزائر;Algérie|
+AS|ASM|American Samoa||
+AD|AND|Andorra||
+AO|AGO|Angola||
+AI|AIA|Anguilla||
+AQ|ATA|Antarctica||
+AG|ATG|Antigua and Barbuda||
+AR|ARG|Argentina||
+AM|ARM|Armenia|Հայաստան|
+AW|ABW|Aruba||
+AU|AUS|Australia||
+AT|AUT|Austria|Österreich|
+AZ|AZE|Azerbaijan|Azərbaycan|
+BS|BHS|Bahamas||
+BH|BHR|Bahrain|البحرين|
+BD|BGD|Bangladesh|বাংলাদেশ|
+BB|BRB|Barbados||
+BY|BLR|Belarus|Беларусь|Byelorussia
+BE|BEL|Belgium|België;Belgique;Belgien|
+BZ|BLZ|Belize||
+BJ|BEN|Benin|Bénin|
+BM|BMU|Bermuda||
+BT|BTN|Bhutan||
+BO|BOL|Bolivia||Bolivia, Plurinational State of;Plurinational State of Bolivia
+BQ|BES|Bonaire, Sint Eustatius and Saba||Caribbean Netherlands;Bonaire
+BA|BIH|Bosnia and Herzegovina|Bosna i Hercegovina|Bosnia
+BW|BWA|Botswana||
+BV|BVT|Bouvet Island||
+BR|BRA|Brazil|Brasil|
+IO|IOT|British Indian Ocean Territory||
+BN|BRN|Brunei Darussalam||Brunei
+BG|BGR|Bulgaria|България|
+BF|BFA|Burkina Faso||
+BI|BDI|Burundi||
+CV|CPV|Cabo Verde||Cape Verde
+KH|KHM|Cambodia|កម្ពុជា|
+CM|CMR|Cameroon|Cameroun|
+CA|CAN|Canada||
+KY|CYM|Cayman Islands||
+CF|CAF|Central African Republic|République centrafricaine|
+TD|TCD|Chad|Tchad|
+CL|CHL|Chile||
+CN|CHN|China|中国|People's Republic of China;PRC;Mainland China
+CX|CXR|Christmas Island||
+CC|CCK|Cocos (Keeling) Islands||Cocos Islands
+CO|COL|Colombia||
+KM|COM|Comoros||
+CG|COG|Congo||Republic of the Congo;Congo-Brazzaville
+CD|COD|Congo, Democratic Republic of the||Democratic Republic of the Congo;Congo, The Democratic Republic of the;DR Congo;DRC;Congo-Kinshasa
+CK|COK|Cook Islands||
+CR|CRI|Costa Rica||
+CI|CIV|Côte d'Ivoire||Ivory Coast
+HR|HRV|Croatia|Hrvatska|
+CU|CUB|Cuba||
+CW|CUW|Curaçao||
+CY|CYP|Cyprus|Κύπρος;Kıbrıs|
+CZ|CZE|Czechia|Česko;Česká republika|Czech Republic
+DK|DNK|Denmark|Danmark|
+DJ|DJI|Djibouti||
+DM|DMA|Dominica||
+DO|DOM|Dominican Republic|República Dominicana|
+EC|ECU|Ecuador||
+EG|EGY|Egypt|مصر|
+SV|SLV|El Salvador||
+GQ|GNQ|Equatorial Guinea|Guinea Ecuatorial|
+ER|ERI|Eritrea||
+EE|EST|Estonia|Eesti|
+SZ|SWZ|Eswatini||Swaziland
+ET|ETH|Ethiopia||
+FK|FLK|Falkland Islands (Malvinas)||Falkland Islands;Malvinas
+FO|FRO|Faroe Islands|Føroyar|
+FJ|FJI|Fiji||
+FI|FIN|Finland|Suomi|
+FR|FRA|France||
+GF|GUF|French Guiana|Guyane|
+PF|PYF|French Polynesia|Polynésie française|
+TF|ATF|French Southern Territories||
+GA|GAB|Gabon||
+GM|GMB|Gambia||
+GE|GEO|Georgia|საქართველო;Sakartvelo|
+DE|DEU|Germany|Deutschland|Federal Republic of Germany
+GH|GHA|Ghana||
+GI|GIB|Gibraltar||
+GR|GRC|Greece|Ελλάδα;Ελλάς|Hellas
+GL|GRL|Greenland|Kalaallit Nunaat;Grønland|
+GD|GRD|Grenada||
+GP|GLP|Guadeloupe||
+GU|GUM|Guam||
+GT|GTM|Guatemala||
+GG|GGY|Guernsey||
+GN|GIN|Guinea|Guinée|
+GW|GNB|Guinea-Bissau||
+GY|GUY|Guyana||
+HT|HTI|Haiti|Haïti|
+HM|HMD|Heard Island and McDonald Islands||
+VA|VAT|Holy See||Holy See (Vatican City State);Vatican City State;Vatican City;Vatican
+HN|HND|Honduras||
+HK|HKG|Hong Kong|香港|Hong Kong SAR
+HU|HUN|Hungary|Magyarország|
+IS|ISL|Iceland|Ísland|
+IN|IND|India|भारत;Bharat|
+ID|IDN|Indonesia||
+IR|IRN|Iran|ایران|Iran, Islamic Republic of;Islamic Republic of Iran;Persia
+IQ|IRQ|Iraq|العراق|
+IE|IRL|Ireland|Éire|Republic of Ireland
+IM|IMN|Isle of Man||
+IL|ISR|Israel|ישראל|
+IT|ITA|Italy|Italia|
+JM|JAM|Jamaica||
+JP|JPN|Japan|日本;Nippon;Nihon|
+JE|JEY|Jersey||
+JO|JOR|Jordan|الأردن|
+KZ|KAZ|Kazakhstan|Қазақстан;Казахстан|
+KE|KEN|Kenya||
+KI|KIR|Kiribati||
+XK|XKX|Kosovo|Kosova;Косово|
+KP|PRK|Korea, Democratic People's Republic of|조선|Democratic People's Republic of Korea;North Korea;DPRK
+KR|KOR|Korea, Republic of|대한민국;한국|Republic of Korea;South Korea;Korea
+KW|KWT|Kuwait|الكويت|
+KG|KGZ|Kyrgyzstan|Кыргызстан|Kyrgyz Republic
+LA|LAO|Lao People's Democratic Republic||Laos
+LV|LVA|Latvia|Latvija|
+LB|LBN|Lebanon|لبنان|
+LS|LSO|Lesotho||
+LR|LBR|Liberia||
+LY|LBY|Libya|ليبيا|
+LI|LIE|Liechtenstein||
+LT|LTU|Lithuania|Lietuva|
+LU|LUX|Luxembourg|Lëtzebuerg;Luxemburg|
+MO|MAC|Macao|澳門|Macau;Macao SAR
+MG|MDG|Madagascar||
+MW|MWI|Malawi||
+MY|MYS|Malaysia||
+MV|MDV|Maldives||
+ML|MLI|Mali||
+MT|MLT|Malta||
+MH|MHL|Marshall Islands||
+MQ|MTQ|Martinique||
+MR|MRT|Mauritania|موريتانيا|
+MU|MUS|Mauritius||
+YT|MYT|Mayotte||
+MX|MEX|Mexico|México|
+FM|FSM|Micronesia, Federated States of||Federated States of Micronesia;Micronesia
+MD|MDA|Moldova, Republic of||Republic of Moldova;Moldova
+MC|MCO|Monaco||
+MN|MNG|Mongolia|Монгол Улс|
+ME|MNE|Montenegro|Crna Gora|
+MS|MSR|Montserrat||
+MA|MAR|Morocco|المغرب;Maroc|
+MZ|MOZ|Mozambique|Moçambique|
+MM|MMR|Myanmar||Burma
+NA|NAM|Namibia||
+NR|NRU|Nauru||
+NP|NPL|Nepal|नेपाल|
+NL|NLD|Netherlands|Nederland|Holland
+NC|NCL|New Caledonia|Nouvelle-Calédonie|
+NZ|NZL|New Zealand|Aotearoa|
+NI|NIC|Nicaragua||
+NE|NER|Niger||
+NG|NGA|Nigeria||
+NU|NIU|Niue||
+NF|NFK|Norfolk Island||
+MK|MKD|North Macedonia|Северна Македонија|Macedonia;Macedonia, the former Yugoslav Republic of;FYROM
+MP|MNP|Northern Mariana Islands||
+NO|NOR|Norway|Norge;Noreg|
+OM|OMN|Oman|عُمان|
+PK|PAK|Pakistan|پاکستان|
+PW|PLW|Palau||
+PS|PSE|Palestine, State of|فلسطين|State of Palestine;Palestine;Palestinian Territories
+PA|PAN|Panama|Panamá|
+PG|PNG|Papua New Guinea||
+PY|PRY|Paraguay||
+PE|PER|Peru|Perú|
+PH|PHL|Philippines|Pilipinas|
+PN|PCN|Pitcairn||Pitcairn Islands
+PL|POL|Poland|Polska|
+PT|PRT|Portugal||
+PR|PRI|Puerto Rico||
+QA|QAT|Qatar|قطر|
+RE|REU|Réunion||
+RO|ROU|Romania|România|
+RU|RUS|Russian Federation|Россия;Российская Федерация;Rossiya|Russia
+RW|RWA|Rwanda||
+BL|BLM|Saint Barthélemy||St. Barts
+SH|SHN|Saint Helena, Ascension and Tristan da Cunha||Saint Helena
+KN|KNA|Saint Kitts and Nevis||St. Kitts and Nevis
+LC|LCA|Saint Lucia||St. Lucia
+MF|MAF|Saint Martin (French part)||Saint Martin
+PM|SPM|Saint Pierre and Miquelon||
+VC|VCT|Saint Vincent and the Grenadines||St. Vincent and the Grenadines
+WS|WSM|Samoa||
+SM|SMR|San Marino||
+ST|STP|Sao Tome and Principe|São Tomé e Príncipe|
+SA|SAU|Saudi Arabia|السعودية|KSA
+SN|SEN|Senegal|Sénégal|
+RS|SRB|Serbia|Србија;Srbija|
+SC|SYC|Seychelles||
+SL|SLE|Sierra Leone||
+SG|SGP|Singapore|Singapura;新加坡|
+SX|SXM|Sint Maarten (Dutch part)||Sint Maarten
+SK|SVK|Slovakia|Slovensko|Slovak Republic
+SI|SVN|Slovenia|Slovenija|
+SB|SLB|Solomon Islands||
+SO|SOM|Somalia|Soomaaliya|
+ZA|ZAF|South Africa|Suid-Afrika|RSA
+GS|SGS|South Georgia and the South Sandwich Islands||
+SS|SSD|South Sudan||
+ES|ESP|Spain|España|
+LK|LKA|Sri Lanka|ශ්‍රී ලංකාව;இலங்கை|
+SD|SDN|Sudan|السودان|
+SR|SUR|Suriname||
+SJ|SJM|Svalbard and Jan Mayen||
+SE|SWE|Sweden|Sverige|
+CH|CHE|Switzerland|Schweiz;Suisse;Svizzera;Svizra|
+SY|SYR|Syrian Arab Republic|سوريا|Syria
+TW|TWN|Taiwan|臺灣;台灣|Taiwan, Province of China;Republic of China
+TJ|TJK|Tajikistan|Тоҷикистон|
+TZ|TZA|Tanzania, United Republic of||United Republic of Tanzania;Tanzania
+TH|THA|Thailand|ประเทศไทย|
+TL|TLS|Timor-Leste||East Timor
+TG|TGO|Togo||
+TK|TKL|Tokelau||
+TO|TON|Tonga||
+TT|TTO|Trinidad and Tobago||
+TN|TUN|Tunisia|تونس;Tunisie|
+TR|TUR|Türkiye||Turkey
+TM|TKM|Turkmenistan|Türkmenistan|
+TC|TCA|Turks and Caicos Islands||
+TV|TUV|Tuvalu||
+UG|UGA|Uganda||
+UA|UKR|Ukraine|Україна|
+AE|ARE|United Arab Emirates|الإمارات|UAE;Emirates
+GB|GBR|United Kingdom||United Kingdom of Great Britain and Northern Ireland;UK;Great Britain;Britain;England;Scotland;Wales;Northern Ireland
+US|USA|United States|Estados Unidos|United States of America;America
+UM|UMI|United States Minor Outlying Islands||
+UY|URY|Uruguay||
+UZ|UZB|Uzbekistan|Oʻzbekiston|
+VU|VUT|Vanuatu||
+VE|VEN|Venezuela||Venezuela, Bolivarian Republic of;Bolivarian Republic of Venezuela
+VN|VNM|Viet Nam|Việt Nam|Vietnam
+VG|VGB|Virgin Islands (British)||Virgin Islands, British;British Virgin Islands
+VI|VIR|Virgin Islands (U.S.)||Virgin Islands, U.S.;US Virgin Islands
+WF|WLF|Wallis and Futuna||
+EH|ESH|Western Sahara||
+YE|YEM|Yemen|اليمن|
+ZM|ZMB|Zambia||
+ZW|ZWE|Zimbabwe||`;
+  }
+
+  // Per country: ISO 3166-2 code (without the country prefix)|name|other names (separated by ;)
+  static get SUBDIVISIONS() {
+    return {
+      US: `
+AL|Alabama|
+AK|Alaska|
+AZ|Arizona|
+AR|Arkansas|
+CA|California|Calif
+CO|Colorado|
+CT|Connecticut|
+DE|Delaware|
+DC|District of Columbia|Washington DC;Washington D.C.
+FL|Florida|
+GA|Georgia|
+HI|Hawaii|
+ID|Idaho|
+IL|Illinois|
+IN|Indiana|
+IA|Iowa|
+KS|Kansas|
+KY|Kentucky|
+LA|Louisiana|
+ME|Maine|
+MD|Maryland|
+MA|Massachusetts|
+MI|Michigan|
+MN|Minnesota|
+MS|Mississippi|
+MO|Missouri|
+MT|Montana|
+NE|Nebraska|
+NV|Nevada|
+NH|New Hampshire|
+NJ|New Jersey|
+NM|New Mexico|
+NY|New York|
+NC|North Carolina|
+ND|North Dakota|
+OH|Ohio|
+OK|Oklahoma|
+OR|Oregon|
+PA|Pennsylvania|
+RI|Rhode Island|
+SC|South Carolina|
+SD|South Dakota|
+TN|Tennessee|
+TX|Texas|
+UT|Utah|
+VT|Vermont|
+VA|Virginia|
+WA|Washington|
+WV|West Virginia|
+WI|Wisconsin|
+WY|Wyoming|
+AS|American Samoa|
+GU|Guam|
+MP|Northern Mariana Islands|
+PR|Puerto Rico|
+UM|United States Minor Outlying Islands|
+VI|Virgin Islands|U.S. Virgin Islands`,
+      CA: `
+AB|Alberta|
+BC|British Columbia|Colombie-Britannique
+MB|Manitoba|
+NB|New Brunswick|Nouveau-Brunswick
+NL|Newfoundland and Labrador|Terre-Neuve-et-Labrador;Newfoundland
+NS|Nova Scotia|Nouvelle-Écosse
+NT|Northwest Territories|Territoires du Nord-Ouest
+NU|Nunavut|
+ON|Ontario|
+PE|Prince Edward Island|Île-du-Prince-Édouard;PEI
+QC|Quebec|Québec;PQ
+SK|Saskatchewan|
+YT|Yukon|`,
+      AU: `
+ACT|Australian Capital Territory|
+NSW|New South Wales|
+NT|Northern Territory|
+QLD|Queensland|
+SA|South Australia|
+TAS|Tasmania|
+VIC|Victoria|
+WA|Western Australia|`,
+      GB: `
+ENG|England|
+SCT|Scotland|
+WLS|Wales|Cymru
+NIR|Northern Ireland|`,
+      DE: `
+BW|Baden-Württemberg|
+BY|Bavaria|Bayern
+BE|Berlin|
+BB|Brandenburg|
+HB|Bremen|
+HH|Hamburg|
+HE|Hesse|Hessen
+MV|Mecklenburg-Vorpommern|Mecklenburg-Western Pomerania
+NI|Lower Saxony|Niedersachsen
+NW|North Rhine-Westphalia|Nordrhein-Westfalen;NRW
+RP|Rhineland-Palatinate|Rheinland-Pfalz
+SL|Saarland|
+SN|Saxony|Sachsen
+ST|Saxony-Anhalt|Sachsen-Anhalt
+SH|Schleswig-Holstein|
+TH|Thuringia|Thüringen`,
+      AT: `
+1|Burgenland|
+2|Carinthia|Kärnten
+3|Lower Austria|Niederösterreich
+4|Upper Austria|Oberösterreich
+5|Salzburg|
+6|Styria|Steiermark
+7|Tyrol|Tirol
+8|Vorarlberg|
+9|Vienna|Wien`,
+      CH: `
+AG|Aargau|
+AR|Appenzell Ausserrhoden|
+AI|Appenzell Innerrhoden|
+BL|Basel-Landschaft|
+BS|Basel-Stadt|
+BE|Bern|Berne
+FR|Fribourg|Freiburg
+GE|Geneva|Genève;Genf
+GL|Glarus|
+GR|Graubünden|Grisons
+JU|Jura|
+LU|Lucerne|Luzern
+NE|Neuchâtel|
+NW|Nidwalden|
+OW|Obwalden|
+SH|Schaffhausen|
+SZ|Schwyz|
+SO|Solothurn|
+SG|St. Gallen|Sankt Gallen
+TG|Thurgau|
+TI|Ticino|Tessin
+UR|Uri|
+VS|Valais|Wallis
+VD|Vaud|Waadt
+ZG|Zug|
+ZH|Zurich|Zürich`,
+      FR: `
+ARA|Auvergne-Rhône-Alpes|
+BFC|Bourgogne-Franche-Comté|
+BRE|Brittany|Bretagne
+CVL|Centre-Val de Loire|
+20R|Corsica|Corse
+GES|Grand Est|
+HDF|Hauts-de-France|
+IDF|Île-de-France|
+NOR|Normandy|Normandie
+NAQ|Nouvelle-Aquitaine|
+OCC|Occitanie|Occitania
+PDL|Pays de la Loire|
+PAC|Provence-Alpes-Côte d'Azur|`,
+      IT: `
+21|Piedmont|Piemonte
+23|Aosta Valley|Valle d'Aosta
+25|Lombardy|Lombardia
+32|Trentino-South Tyrol|Trentino-Alto Adige
+34|Veneto|
+36|Friuli Venezia Giulia|Friuli-Venezia Giulia
+42|Liguria|
+45|Emilia-Romagna|
+52|Tuscany|Toscana
+55|Umbria|
+57|Marche|
+62|Lazio|Latium
+65|Abruzzo|
+67|Molise|
+72|Campania|
+75|Apulia|Puglia
+77|Basilicata|
+78|Calabria|
+82|Sicily|Sicilia
+88|Sardinia|Sardegna`,
+      ES: `
+AN|Andalusia|Andalucía
+AR|Aragon|Aragón
+AS|Asturias|Principado de Asturias
+IB|Balearic Islands|Illes Balears;Islas Baleares
+CN|Canary Islands|Canarias
+CB|Cantabria|
+CL|Castile and León|Castilla y León
+CM|Castilla-La Mancha|Castile-La Mancha
+CT|Catalonia|Catalunya;Cataluña
+EX|Extremadura|
+GA|Galicia|
+RI|La Rioja|
+MD|Community of Madrid|Comunidad de Madrid;Madrid
+MC|Region of Murcia|Región de Murcia;Murcia
+NC|Navarre|Navarra;Comunidad Foral de Navarra
+PV|Basque Country|País Vasco;Euskadi
+VC|Valencian Community|Comunitat Valenciana;Comunidad Valenciana
+CE|Ceuta|
+ML|Melilla|`,
+      NL: `
+DR|Drenthe|
+FL|Flevoland|
+FR|Friesland|Fryslân
+GE|Gelderland|
+GR|Groningen|
+LI|Limburg|
+NB|North Brabant|Noord-Brabant
+NH|North Holland|Noord-Holland
+OV|Overijssel|
+UT|Utrecht|
+ZE|Zeeland|
+ZH|South Holland|Zuid-Holland`,
+      IN: `
+AN|Andaman and Nicobar Islands|
+AP|Andhra Pradesh|
+AR|Arunachal Pradesh|
+AS|Assam|
+BR|Bihar|
+CH|Chandigarh|
+CG|Chhattisgarh|
+DH|Dadra and Nagar Haveli and Daman and Diu|
+DL|Delhi|
+GA|Goa|
+GJ|Gujarat|
+HR|Haryana|
+HP|Himachal Pradesh|
+JK|Jammu and Kashmir|
+JH|Jharkhand|
+KA|Karnataka|
+KL|Kerala|
+LA|Ladakh|
+LD|Lakshadweep|
+MP|Madhya Pradesh|
+MH|Maharashtra|
+MN|Manipur|
+ML|Meghalaya|
+MZ|Mizoram|
+NL|Nagaland|
+OD|Odisha|Orissa
+PY|Puducherry|Pondicherry
+PB|Punjab|
+RJ|Rajasthan|
+SK|Sikkim|
+TN|Tamil Nadu|
+TG|Telangana|
+TR|Tripura|
+UP|Uttar Pradesh|
+UK|Uttarakhand|Uttaranchal
+WB|West Bengal|`,
+      CN: `
+AH|Anhui|
+BJ|Beijing|
+CQ|Chongqing|
+FJ|Fujian|
+GS|Gansu|
+GD|Guangdong|
+GX|Guangxi|
+GZ|Guizhou|
+HI|Hainan|
+HE|Hebei|
+HL|Heilongjiang|
+HA|Henan|
+HB|Hubei|
+HN|Hunan|
+JS|Jiangsu|
+JX|Jiangxi|
+JL|Jilin|
+LN|Liaoning|
+NM|Inner Mongolia|Nei Mongol
+NX|Ningxia|
+QH|Qinghai|
+SN|Shaanxi|
+SD|Shandong|
+SH|Shanghai|
+SX|Shanxi|
+SC|Sichuan|
+TJ|Tianjin|
+XZ|Tibet|Xizang
+XJ|Xinjiang|
+YN|Yunnan|
+ZJ|Zhejiang|`,
+      JP: `
+01|Hokkaido|北海道
+02|Aomori|
+03|Iwate|
+04|Miyagi|
+05|Akita|
+06|Yamagata|
+07|Fukushima|
+08|Ibaraki|
+09|Tochigi|
+10|Gunma|
+11|Saitama|
+12|Chiba|
+13|Tokyo|東京都
+14|Kanagawa|
+15|Niigata|
+16|Toyama|
+17|Ishikawa|
+18|Fukui|
+19|Yamanashi|
+20|Nagano|
+21|Gifu|
+22|Shizuoka|
+23|Aichi|
+24|Mie|
+25|Shiga|
+26|Kyoto|京都府
+27|Osaka|大阪府
+28|Hyogo|
+29|Nara|
+30|Wakayama|
+31|Tottori|
+32|Shimane|
+33|Okayama|
+34|Hiroshima|
+35|Yamaguchi|
+36|Tokushima|
+37|Kagawa|
+38|Ehime|
+39|Kochi|
+40|Fukuoka|
+41|Saga|
+42|Nagasaki|
+43|Kumamoto|
+44|Oita|
+45|Miyazaki|
+46|Kagoshima|
+47|Okinawa|`,
+      MX: `
+AGU|Aguascalientes|
+BCN|Baja California|
+BCS|Baja California Sur|
+CAM|Campeche|
+CHP|Chiapas|
+CHH|Chihuahua|
+CMX|Mexico City|Ciudad de México;CDMX;Distrito Federal
+COA|Coahuila|
+COL|Colima|
+DUR|Durango|
+GUA|Guanajuato|
+GRO|Guerrero|
+HID|Hidalgo|
+JAL|Jalisco|
+MEX|State of Mexico|Estado de México;México
+MIC|Michoacán|
+MOR|Morelos|
+NAY|Nayarit|
+NLE|Nuevo León|
+OAX|Oaxaca|
+PUE|Puebla|
+QUE|Querétaro|
+ROO|Quintana Roo|
+SLP|San Luis Potosí|
+SIN|Sinaloa|
+SON|Sonora|
+TAB|Tabasco|
+TAM|Tamaulipas|
+TLA|Tlaxcala|
+VER|Veracruz|
+YUC|Yucatán|
+ZAC|Zacatecas|`,
+      BR: `
+AC|Acre|
+AL|Alagoas|
+AP|Amapá|
+AM|Amazonas|
+BA|Bahia|
+CE|Ceará|
+DF|Distrito Federal|Federal District
+ES|Espírito Santo|
+GO|Goiás|
+MA|Maranhão|
+MT|Mato Grosso|
+MS|Mato Grosso do Sul|
+MG|Minas Gerais|
+PA|Pará|
+PB|Paraíba|
+PR|Paraná|
+PE|Pernambuco|
+PI|Piauí|
+RJ|Rio de Janeiro|
+RN|Rio Grande do Norte|
+RS|Rio Grande do Sul|
+RO|Rondônia|
+RR|Roraima|
+SC|Santa Catarina|
+SP|São Paulo|
+SE|Sergipe|
+TO|Tocantins|`
+    };
+  }
+
+  constructor() {
+    // Built on first use: normalized name or code -> entries
+    this.countries = null;
+    this.subdivisions = null;
+  }
+
+  load() {
+    if (this.countries) return;
+    this.countries = new Map(); // key -> {entry, via}
+    this.subdivisions = new Map(); // key -> [{entry, via}], names repeat across countries
+    Gazetteer.COUNTRIES.trim().split('\n').forEach(line => {
+      const [code, alpha3, name, native, aliases] = line.split('|');
+      const entry = { code, alpha3, name };
+      const add = (text, via) => {
+        const key = this.key(text);
+        if (key && !this.countries.has(key)) this.countries.set(key, { entry, via });
+      };
+      add(code, 'code');
+      add(alpha3, 'code');
+      [name, ...native.split(';')].forEach(text => add(text, 'name'));
+      aliases.split(';').forEach(text => add(text, 'alias'));
+    });
+    Object.entries(Gazetteer.SUBDIVISIONS).forEach(([country, list]) => {
+      list.trim().split('\n').forEach(line => {
+        const [short, name, others] = line.split('|');
+        const entry = { code: `${country}-${short}`, short, name, country };
+        const add = (text, via) => {
+          const key = this.key(text);
+          if (!key) return;
+          if (!this.subdivisions.has(key)) this.subdivisions.set(key, []);
+          this.subdivisions.get(key).push({ entry, via });
+        };
+        add(entry.code, 'code');
+        // Numeric codes ("13" for Tokyo) would match option ids; only letter codes stand alone
+        if (/[a-z]/i.test(short)) add(short, 'code');
+        [name, ...others.split(';')].forEach(text => add(text, 'name'));
+      });
+    });
+  }
+
+  // Lower case without accents, dots or punctuation: "U.S.A." -> "usa", "Côte d'Ivoire" -> "cote divoire"
+  key(text) {
+    return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+      .replace(/['’.]/g, '').replace(/&/g, ' and ').replace(/[^\p{L}\p{N}]+/gu, ' ').trim()
+      .replace(/^the /, '');
+  }
+
+  /**
+   * The keys to look `text` up by: as written, without a parenthetical
+   * ("United States (+1)"), turned around ("Korea, Republic of"), and
+   * without a trailing "State" or "Province".
+   */
+  variants(text) {
+    const raw = String(text || '').trim();
+    const keys = [raw, raw.replace(/\s*\([^)]*\)/g, '')];
+    const comma = raw.match(/^([^,]+),\s*(.+)$/);
+    if (comma) keys.push(`${comma[2]} ${comma[1]}`);
+    keys.push(raw.replace(/\s+(state|province|prefecture|region|territory)$/i, ''));
+    return [...new Set(keys.map(k => this.key(k)).filter(Boolean))];
+  }
+
+  /** @returns {{entry: {code: string, alpha3: string, name: string}, via: 'code'|'name'|'alias'}|null} */
+  country(text) {
+    this.load();
+    for (const key of this.variants(text)) {
+      if (this.countries.has(key)) return this.countries.get(key);
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} [country] - Alpha-2 code; when its subdivisions are
+   *   listed, only those match
+   * @returns {{entry: {code: string, short: string, name: string, country: string}, via: 'code'|'name'}|null}
+   */
+  subdivision(text, country = null) {
+    const candidates = this.subdivisionCandidates(text);
+    if (country && Gazetteer.SUBDIVISIONS[country]) return candidates.find(c => c.entry.country === country) || null;
+    return candidates[0] || null;
+  }
+
+  subdivisionCandidates(text) {
+    this.load();
+    for (const key of this.variants(text)) {
+      if (this.subdivisions.has(key)) return this.subdivisions.get(key);
+    }
+    return [];
+  }
+
+  resolve(text, format) {
+    return format.kind === 'country' ? this.country(text) : this.subdivision(text, format.country);
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @param {string} [label]
+   * @returns {{kind: 'country'|'subdivision', select: boolean, country?: string,
+   *   dependent?: boolean, style?: 'name'|'code', codeLength?: number}|null}
+   *   null when the element takes neither.
+   */
+  describe(element, label = '') {
+    if (element.tagName !== 'SELECT' && element.tagName !== 'INPUT') return null;
+    if (element.tagName === 'INPUT' && !['text', 'search', ''].includes((element.type || '').toLowerCase())) return null;
+    const hinted = this.kindOf(this.hintOf(element, label), element.getAttribute('autocomplete'));
+    let format = null;
+
+    if (element.tagName === 'SELECT') {
+      const options = Array.from(element.options).filter(o => o.value && o.text.trim());
+      if (options.length >= 5) {
+        // Enough options to tell by them, whatever the label says
+        const countries = options.filter(o => this.country(o.text)).length;
+        const tally = new Map();
+        options.forEach(o => {
+          new Set(this.subdivisionCandidates(o.text).map(c => c.entry.country))
+            .forEach(code => tally.set(code, (tally.get(code) || 0) + 1));
+        });
+        const [country, count] = [...tally.entries()].sort((a, b) => b[1] - a[1])[0] || [null, 0];
+        if (countries >= options.length * 0.6) format = { kind: 'country', select: true };
+        else if (count >= options.length * 0.6) format = { kind: 'subdivision', select: true, country };
+      } else if (hinted) {
+        // A state select waiting for its country to be picked, or a short list
+        format = { kind: hinted, select: true };
+      }
+    } else if (hinted) {
+      format = { kind: hinted, select: false, style: 'name' };
+      const example = (element.placeholder || '').replace(/^\s*(?:e\.?g\.?|ex\.?)[:\s]*/i, '').trim();
+      const codeLength = element.maxLength >= 2 && element.maxLength <= 3 ? element.maxLength
+        : /^[A-Z]{2,3}$/.test(example) ? example.length : 0;
+      if (codeLength) Object.assign(format, { style: 'code', codeLength });
+    }
+
+    if (format && format.kind === 'subdivision') {
+      const control = this.countryControl(element);
+      if (control) {
+        format.dependent = format.select;
+        format.country = format.country || this.countryOf(control);
+      }
+    }
+    return format;
+  }
+
+  hintOf(element, label = '') {
+    return `${label} ${element.name || ''} ${element.id || ''} ${element.getAttribute('aria-label') || ''}`
+      .replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_\-.[\]]+/g, ' ').toLowerCase();
+  }
+
+  kindOf(hint, autocomplete) {
+    const ac = String(autocomplete || '').toLowerCase().split(/\s+/).pop();
+    if (ac === 'country' || ac === 'country-name') return 'country';
+    if (ac === 'address-level1') return 'subdivision';
+    // Calling code selects beside phone inputs are not countries
+    if (/code|dial|calling|phone|prefix/.test(hint)) return null;
+    if (/\b(country|nation|land|pays|país|paese)\b/.test(hint)) return 'country';
+    if (/\b(state|province|region|county|prefecture|territory|canton|bundesland|provincia|estado|région)\b/.test(hint)) return 'subdivision';
+    return null;
+  }
+
+  // The country select or field on the same form, by its name, id or autocomplete
+  countryControl(element) {
+    const scope = element.form || element.ownerDocument;
+    return Array.from(scope.querySelectorAll('select, input')).find(el =>
+      el !== element && this.kindOf(this.hintOf(el), el.getAttribute('autocomplete')) === 'country'
+    ) || null;
+  }
+
+  // Alpha-2 code of what a country control currently holds
+  countryOf(control) {
+    const texts = control.tagName === 'SELECT'
+      ? [control.selectedOptions[0] && control.selectedOptions[0].text, control.value]
+      : [control.value];
+    for (const text of texts) {
+      const hit = text && this.country(text);
+      if (hit) return hit.entry.code;
+    }
+    return null;
+  }
+
+  // The country picked beside a subdivision field right now, which changes as the form is filled
+  partnerCountry(element) {
+    const control = this.countryControl(element);
+    return control ? this.countryOf(control) : null;
+  }
+
+  /**
+   * The option for `value` among a place select's options, compared by ISO code.
+   * @param {Array<{value: string, text: string}>} options
+   * @returns {string|null} The option's value.
+   */
+  matchOption(options, value, format) {
+    const target = this.resolve(value, format);
+    if (!target) return null;
+    // Options are read as subdivisions of the value's own country
+    const hint = format.kind === 'subdivision' ? { ...format, country: target.entry.country } : format;
+    const option = options.find(o => o.value && [o.text, o.value].some(text => {
+      const hit = this.resolve(text, hint);
+      return hit && hit.entry.code === target.entry.code;
+    }));
+    return option ? option.value : null;
+  }
+
+  /**
+   * What a text field gets for `value`: the code when it takes one, else
+   * the name. Names as written (native or English) are kept; codes and
+   * abbreviations are spelled out ("USA" -> "United States").
+   * @returns {string|null} null when `value` is not a known place.
+   */
+  convert(value, format) {
+    const hit = this.resolve(value, format);
+    if (!hit) return null;
+    const { entry } = hit;
+    if (format.style === 'code') {
+      if (format.kind === 'subdivision') return entry.short;
+      return format.codeLength === 3 ? entry.alpha3 : entry.code;
+    }
+    return hit.via === 'name' ? String(value).trim() : entry.name;
+  }
+}
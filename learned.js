@@ -0,0 +1,68 @@
+// learned.js
+
+/**
+ * LearnedMappings remembers, per site, how the user corrected our fills.
+ * Stored in chrome.storage.local under `learnedMappings`:
+ *
+ *   { [origin]: { [stableKey]: { cssPath, label, profilePath?, value?, skip?, updatedAt } } }
+ *
+ * An entry points a field at a profile attribute, a literal value, or
+ * `skip` (the user rejected the field). The content script applies entries
+ * before the profile and the model; the popup lists and deletes them.
+ */
+class LearnedMappings {
+  constructor() {
+    this.storageKey = 'learnedMappings';
+    // Writes are read-modify-write; chain them so quick corrections do not race
+    this.queue = Promise.resolve();
+  }
+
+  async loadAll() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || {};
+  }
+
+  async forOrigin(origin) {
+    return (await this.loadAll())[origin] || {};
+  }
+
+  /**
+   * Look up a field's entry: by stable key, then by CSS path for pages
+   * whose form layout shifted since the entry was recorded.
+   */
+  find(mappings, field) {
+    if (mappings[field.stableKey]) return mappings[field.stableKey];
+    return Object.values(mappings).find(entry => entry.cssPath && entry.cssPath === field.cssPath) || null;
+  }
+
+  record(origin, stableKey, entry) {
+    return this.update(all => {
+      all[origin] = { ...(all[origin] || {}), [stableKey]: { ...entry, updatedAt: new Date().toISOString() } };
+    });
+  }
+
+  forget(origin, stableKey) {
+    return this.update(all => {
+      if (!all[origin] || !all[origin][stableKey]) return false;
+      delete all[origin][stableKey];
+      if (!Object.keys(all[origin]).length) delete all[origin];
+    });
+  }
+
+  forgetOrigin(origin) {
+    return this.update(all => {
+      if (!all[origin]) return false;
+      delete all[origin];
+    });
+  }
+
+  // `change` edits the stored object in place; returning false skips the write
+  update(change) {
+    this.queue = this.queue.then(async () => {
+      const all = await this.loadAll();
+      if (change(all) === false) return;
+      await chrome.storage.local.set({ [this.storageKey]: all });
+    }).catch(e => console.error('Could not update learned mappings:', e));
+    return this.queue;
+  }
+}
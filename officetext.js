@@ -0,0 +1,380 @@
+// officetext.js
+
+/**
+ * OfficeTextExtractor turns Word (.docx) and OpenDocument (.odt) files into
+ * plain text in the browser. Both formats are ZIP archives of XML parts; the
+ * archive is read with the built-in DecompressionStream, the XML with DOMParser.
+ * Headings are written in capitals on their own line, list items get "- " or
+ * "1. " markers and table rows become "cell | cell" lines, so section structure
+ * survives for the profile parser and the model.
+ */
+class OfficeTextExtractor {
+  /**
+   * @param {ArrayBuffer} buffer - Raw file contents.
+   * @param {string} fileName - Used to pick the format and for error messages.
+   * @returns {Promise<string>}
+   */
+  async extract(buffer, fileName) {
+    const bytes = new Uint8Array(buffer);
+    const lowerName = (fileName || '').toLowerCase();
+
+    // Compound File Binary header: legacy .doc (Word 97-2003)
+    if (bytes[0] === 0xD0 && bytes[1] === 0xCF && bytes[2] === 0x11 && bytes[3] === 0xE0) {
+      throw new Error('Legacy Word .doc files are not supported. Save the document as .docx, .odt or PDF and upload it again.');
+    }
+    if (bytes[0] !== 0x50 || bytes[1] !== 0x4B) {
+      throw new Error(lowerName.endsWith('.doc')
+        ? 'Legacy Word .doc files are not supported. Save the document as .docx, .odt or PDF and upload it again.'
+        : 'This file is not a valid Word or OpenDocument file.');
+    }
+
+    this.entries = this.readCentralDirectory(bytes);
+    this.bytes = bytes;
+
+    let text;
+    if (this.entries.has('word/document.xml')) {
+      text = await this.extractDocx();
+    } else if (this.entries.has('content.xml')) {
+      text = await this.extractOdt();
+    } else {
+      throw new Error('This archive does not contain a Word or OpenDocument text body.');
+    }
+
+    text = text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    if (!text) throw new Error('This document does not contain any text.');
+    return text;
+  }
+
+  // ---------------------------------------------------------------------------
+  // ZIP
+  // ---------------------------------------------------------------------------
+
+  readCentralDirectory(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) throw new Error('This file is damaged: ZIP directory not found.');
+
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const entries = new Map();
+    const decoder = new TextDecoder();
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) break;
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+      entries.set(name, { method, compressedSize, localOffset });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  }
+
+  async readEntry(name) {
+    const entry = this.entries.get(name);
+    if (!entry) return null;
+    const view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    const local = entry.localOffset;
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const data = this.bytes.subarray(start, start + entry.compressedSize);
+
+    let raw;
+    if (entry.method === 0) {
+      raw = data;
+    } else if (entry.method === 8) {
+      raw = new Uint8Array(await new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).arrayBuffer());
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${entry.method} in ${name}.`);
+    }
+    return new TextDecoder().decode(raw);
+  }
+
+  async readXml(name) {
+    const text = await this.readEntry(name);
+    if (text == null) return null;
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+      throw new Error(`This document is damaged: ${name} is not valid XML.`);
+    }
+    return doc;
+  }
+
+  children(el, localName) {
+    return Array.from(el ? el.children : []).filter(c => !localName || c.localName === localName);
+  }
+
+  child(el, localName) {
+    return this.children(el, localName)[0] || null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // DOCX (WordprocessingML)
+  // ---------------------------------------------------------------------------
+
+  async extractDocx() {
+    const doc = await this.readXml('word/document.xml');
+    this.styleOutline = await this.readDocxStyles();
+    this.numberFormats = await this.readDocxNumbering();
+    this.listCounters = new Map();
+
+    const body = doc.getElementsByTagNameNS('*', 'body')[0];
+    const lines = [];
+    this.docxBlocks(body, lines);
+    return lines.join('\n');
+  }
+
+  /**
+   * styleId -> outline level (0-based) for heading styles, including styles
+   * whose id is localized but whose name is "heading N".
+   */
+  async readDocxStyles() {
+    const outline = new Map();
+    const doc = await this.readXml('word/styles.xml');
+    if (!doc) return outline;
+    Array.from(doc.getElementsByTagNameNS('*', 'style')).forEach(style => {
+      const id = style.getAttribute('w:styleId');
+      const name = (this.child(style, 'name') || { getAttribute: () => '' }).getAttribute('w:val') || '';
+      const pPr = this.child(style, 'pPr');
+      const lvl = pPr && this.child(pPr, 'outlineLvl');
+      const byName = name.match(/^heading\s*(\d)/i);
+      if (byName) outline.set(id, parseInt(byName[1], 10) - 1);
+      else if (lvl) outline.set(id, parseInt(lvl.getAttribute('w:val'), 10) || 0);
+      else if (/^title$/i.test(name)) outline.set(id, -1);
+    });
+    return outline;
+  }
+
+  /**
+   * numId -> { ilvl -> numFmt } so bullets and numbered lists render differently.
+   */
+  async readDocxNumbering() {
+    const formats = new Map();
+    const doc = await this.readXml('word/numbering.xml');
+    if (!doc) return formats;
+    const abstract = new Map();
+    Array.from(doc.getElementsByTagNameNS('*', 'abstractNum')).forEach(a => {
+      const levels = {};
+      this.children(a, 'lvl').forEach(lvl => {
+        const fmt = this.child(lvl, 'numFmt');
+        levels[lvl.getAttribute('w:ilvl')] = fmt ? fmt.getAttribute('w:val') : 'bullet';
+      });
+      abstract.set(a.getAttribute('w:abstractNumId'), levels);
+    });
+    Array.from(doc.getElementsByTagNameNS('*', 'num')).forEach(num => {
+      const ref = this.child(num, 'abstractNumId');
+      if (ref) formats.set(num.getAttribute('w:numId'), abstract.get(ref.getAttribute('w:val')) || {});
+    });
+    return formats;
+  }
+
+  docxBlocks(container, lines) {
+    this.children(container).forEach(el => {
+      if (el.localName === 'p') {
+        this.docxParagraph(el, lines);
+      } else if (el.localName === 'tbl') {
+        this.docxTable(el, lines);
+      } else if (el.localName === 'sdt') {
+        this.docxBlocks(this.child(el, 'sdtContent'), lines);
+      } else if (el.localName === 'customXml' || el.localName === 'ins' || el.localName === 'smartTag') {
+        this.docxBlocks(el, lines);
+      }
+    });
+  }
+
+  docxParagraph(p, lines) {
+    const floating = [];
+    const text = this.docxInline(p, floating).replace(/[ \t]+$/g, '');
+    const pPr = this.child(p, 'pPr');
+    const styleEl = pPr && this.child(pPr, 'pStyle');
+    const styleId = styleEl ? styleEl.getAttribute('w:val') : null;
+    const outline = styleId != null ? this.styleOutline.get(styleId) : undefined;
+    const numPr = pPr && this.child(pPr, 'numPr');
+
+    if (text.trim()) {
+      if (outline !== undefined && outline >= 0) {
+        // Headings get their own paragraph in capitals, the way resume section titles usually look
+        lines.push('', text.trim().toUpperCase());
+      } else if (numPr) {
+        lines.push(this.docxListMarker(numPr) + text.trim());
+      } else {
+        lines.push(text);
+      }
+    }
+
+    // Text boxes anchored in this paragraph follow it
+    floating.forEach(box => this.docxBlocks(box, lines));
+  }
+
+  docxListMarker(numPr) {
+    const ilvlEl = this.child(numPr, 'ilvl');
+    const numIdEl = this.child(numPr, 'numId');
+    const ilvl = ilvlEl ? ilvlEl.getAttribute('w:val') : '0';
+    const numId = numIdEl ? numIdEl.getAttribute('w:val') : '0';
+    const indent = '  '.repeat(parseInt(ilvl, 10) || 0);
+    const fmt = (this.numberFormats.get(numId) || {})[ilvl] || 'bullet';
+    if (fmt === 'bullet' || fmt === 'none') return `${indent}- `;
+
+    const key = `${numId}:${ilvl}`;
+    const n = (this.listCounters.get(key) || 0) + 1;
+    this.listCounters.set(key, n);
+    // Restart deeper levels when a parent item advances
+    Array.from(this.listCounters.keys()).forEach(k => {
+      const [id, lvl] = k.split(':');
+      if (id === numId && parseInt(lvl, 10) > parseInt(ilvl, 10)) this.listCounters.delete(k);
+    });
+    return `${indent}${n}. `;
+  }
+
+  docxInline(node, floating) {
+    let out = '';
+    this.children(node).forEach(el => {
+      switch (el.localName) {
+        case 't':
+          out += el.textContent;
+          break;
+        case 'tab':
+          out += '\t';
+          break;
+        case 'br':
+        case 'cr':
+          out += '\n';
+          break;
+        case 'noBreakHyphen':
+          out += '-';
+          break;
+        case 'delText':
+        case 'del':
+        case 'pPr':
+        case 'rPr':
+        case 'instrText':
+          break;
+        case 'AlternateContent':
+          // Prefer the modern representation; Fallback repeats the same content
+          out += this.docxInline(this.child(el, 'Choice') || this.child(el, 'Fallback'), floating);
+          break;
+        case 'txbxContent':
+          floating.push(el);
+          break;
+        default:
+          out += this.docxInline(el, floating);
+      }
+    });
+    return out;
+  }
+
+  docxTable(tbl, lines) {
+    lines.push('');
+    this.children(tbl, 'tr').forEach(tr => {
+      const cells = this.children(tr, 'tc').map(tc => {
+        const cellLines = [];
+        this.docxBlocks(tc, cellLines);
+        return cellLines.filter(l => l.trim()).map(l => l.trim()).join(' ');
+      });
+      if (cells.some(Boolean)) lines.push(cells.join(' | '));
+    });
+    lines.push('');
+  }
+
+  // ---------------------------------------------------------------------------
+  // ODT (OpenDocument Text)
+  // ---------------------------------------------------------------------------
+
+  async extractOdt() {
+    const doc = await this.readXml('content.xml');
+    const body = doc.getElementsByTagNameNS('*', 'body')[0];
+    const lines = [];
+    this.odtBlocks(this.child(body, 'text'), lines, 0);
+    return lines.join('\n');
+  }
+
+  odtBlocks(container, lines, listDepth) {
+    this.children(container).forEach(el => {
+      switch (el.localName) {
+        case 'h': {
+          const text = this.odtInline(el, lines).trim();
+          if (text) lines.push('', text.toUpperCase());
+          break;
+        }
+        case 'p': {
+          const text = this.odtInline(el, lines).replace(/[ \t]+$/g, '');
+          if (text.trim()) lines.push(text);
+          break;
+        }
+        case 'list':
+          this.children(el).forEach(item => {
+            if (item.localName !== 'list-item' && item.localName !== 'list-header') return;
+            const itemLines = [];
+            this.odtBlocks(item, itemLines, listDepth + 1);
+            const indent = '  '.repeat(listDepth);
+            itemLines.filter(l => l.trim()).forEach((l, i) => {
+              // Nested lists already carry their own marker
+              lines.push(i === 0 && !/^\s*- /.test(l) ? `${indent}- ${l.trim()}` : l);
+            });
+          });
+          break;
+        case 'table':
+          lines.push('');
+          Array.from(el.getElementsByTagNameNS('*', 'table-row')).forEach(row => {
+            const cells = this.children(row, 'table-cell').map(cell => {
+              const cellLines = [];
+              this.odtBlocks(cell, cellLines, 0);
+              return cellLines.filter(l => l.trim()).map(l => l.trim()).join(' ');
+            });
+            if (cells.some(Boolean)) lines.push(cells.join(' | '));
+          });
+          lines.push('');
+          break;
+        case 'section':
+        case 'text-box':
+        case 'frame':
+          this.odtBlocks(el, lines, listDepth);
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  odtInline(node, lines) {
+    let out = '';
+    Array.from(node.childNodes).forEach(n => {
+      if (n.nodeType === 3) {
+        out += n.nodeValue;
+        return;
+      }
+      if (n.nodeType !== 1) return;
+      switch (n.localName) {
+        case 's':
+          out += ' '.repeat(parseInt(n.getAttribute('text:c'), 10) || 1);
+          break;
+        case 'tab':
+          out += '\t';
+          break;
+        case 'line-break':
+          out += '\n';
+          break;
+        case 'note':
+        case 'annotation':
+        case 'tracked-changes':
+          break;
+        case 'frame':
+          // Text boxes inside a paragraph: emit their blocks as separate lines
+          this.odtBlocks(n, lines, 0);
+          break;
+        default:
+          out += this.odtInline(n, lines);
+      }
+    });
+    return out;
+  }
+}
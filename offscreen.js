@@ -0,0 +1,93 @@
+// offscreen.js
+
+/**
+ * OnDeviceModel hosts Chrome's built-in model (Gemini Nano) in the extension's
+ * offscreen document, so on-device filling works on any site regardless of the
+ * page's CSP or origin-trial state. It accepts both the current `LanguageModel`
+ * global and the legacy `ai.languageModel` shape, and reports availability in
+ * the legacy vocabulary ('readily' | 'after-download' | 'no') that the rest of
+ * the extension uses. Driven by the background worker via runtime messages
+ * addressed with `target: 'offscreen'`.
+ */
+class OnDeviceModel {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  api() {
+    if (typeof LanguageModel !== 'undefined') return { kind: 'current', factory: LanguageModel };
+    if (self.ai && self.ai.languageModel) return { kind: 'legacy', factory: self.ai.languageModel };
+    return null;
+  }
+
+  async availability() {
+    const api = this.api();
+    if (!api) return 'no';
+    if (api.kind === 'legacy') {
+      const capabilities = await api.factory.capabilities();
+      return capabilities.available;
+    }
+    const state = await api.factory.availability();
+    if (state === 'available') return 'readily';
+    if (state === 'downloadable' || state === 'downloading') return 'after-download';
+    return 'no';
+  }
+
+  async createSession(options = {}) {
+    const api = this.api();
+    if (!api) throw new Error('Chrome built-in AI is not available in this browser');
+    // Not guessable: the background worker hands ids to content scripts
+    const sessionId = crypto.randomUUID();
+    this.sessions.set(sessionId, await api.factory.create(options));
+    return sessionId;
+  }
+
+  async prompt(sessionId, prompt) {
+    const session = this.sessions.get(sessionId);
+    if (!session) throw new Error('Session not found');
+    return session.prompt(prompt);
+  }
+
+  destroySession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session && session.destroy) session.destroy();
+    this.sessions.delete(sessionId);
+  }
+}
+
+const onDeviceModel = new OnDeviceModel();
+
+const backgroundUrl = chrome.runtime.getURL(chrome.runtime.getManifest().background.service_worker);
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') return;
+  // Only the background worker, which checks which tab owns a session, drives the model
+  if (sender.tab || sender.url !== backgroundUrl) return;
+
+  let work;
+  switch (request.action) {
+    case 'availability':
+      work = onDeviceModel.availability().then(available => ({ available }));
+      break;
+    case 'createSession':
+      work = onDeviceModel.createSession(request.options).then(sessionId => ({ sessionId }));
+      break;
+    case 'prompt':
+      work = onDeviceModel.prompt(request.sessionId, request.prompt).then(result => ({ result }));
+      break;
+    case 'destroySession':
+      onDeviceModel.destroySession(request.sessionId);
+      work = Promise.resolve({ ok: true });
+      break;
+    default:
+      return;
+  }
+
+  work
+    .then(sendResponse)
+    .catch(error => {
+      console.error('On-device model error:', error);
+      sendResponse({ error: error.message });
+    });
+  return true;
+});
@@ -0,0 +1,884 @@
+// pdftext.js
+
+/**
+ * PdfTextExtractor reads the text layer of a PDF entirely inside the extension:
+ * no network calls and no third-party library. It understands the parts of the
+ * format that carry text (object streams, Flate/ASCII filters, ToUnicode CMaps,
+ * simple font encodings, form XObjects) and rebuilds reading order and line
+ * breaks from glyph positions.
+ */
+class PdfTextExtractor {
+  constructor() {
+    this.maxFormDepth = 5;
+  }
+
+  /**
+   * Extract plain text from a PDF.
+   * @param {ArrayBuffer} buffer - Raw file contents.
+   * @returns {Promise<string>} The text, one line per visual line, blank lines between paragraphs/pages.
+   */
+  async extract(buffer) {
+    this.bytes = new Uint8Array(buffer);
+    this.objects = new Map();
+    this.streamCache = new Map();
+    this.fontCache = new Map();
+
+    this.src = this.toBinaryString(this.bytes);
+    if (this.src.slice(0, 1024).indexOf('%PDF-') === -1) {
+      throw new Error('This file is not a PDF.');
+    }
+
+    this.scanObjects();
+    await this.expandObjectStreams();
+
+    if (this.isEncrypted()) {
+      throw new Error('This PDF is encrypted. Remove the password protection (e.g. print it to a new PDF) and try again.');
+    }
+
+    const pages = this.collectPages();
+    if (!pages.length) throw new Error('Could not find any pages in this PDF.');
+
+    const pageTexts = [];
+    for (const page of pages) {
+      const items = [];
+      const content = await this.getPageContent(page.dict);
+      await this.runContent(content, page.resources, this.identity(), items, 0);
+      pageTexts.push(this.layoutText(items));
+    }
+
+    const text = pageTexts.join('\n\n')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    if (!text) {
+      throw new Error('This PDF has no text layer (it looks like a scanned image). Run it through OCR or paste the text into a new tab.');
+    }
+    return text;
+  }
+
+  toBinaryString(bytes) {
+    let out = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+      out += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return out;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Object model
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Find every "N G obj ... endobj" in the file. Later definitions win, which
+   * matches how incremental updates append replacement objects.
+   */
+  scanObjects() {
+    const re = /(\d+)\s+(\d+)\s+obj\b/g;
+    let m;
+    while ((m = re.exec(this.src)) !== null) {
+      const num = parseInt(m[1], 10);
+      let parsed;
+      try {
+        parsed = this.parseValue(this.src, re.lastIndex, true);
+      } catch (e) {
+        continue;
+      }
+      const entry = { value: parsed.value, stream: null };
+
+      let pos = this.skipWhitespace(this.src, parsed.pos, false);
+      if (this.src.startsWith('stream', pos)) {
+        pos += 6;
+        if (this.src[pos] === '\r') pos++;
+        if (this.src[pos] === '\n') pos++;
+        const end = this.findStreamEnd(entry.value, pos);
+        entry.stream = this.bytes.subarray(pos, end);
+        re.lastIndex = end;
+      } else {
+        re.lastIndex = parsed.pos;
+      }
+      this.objects.set(num, entry);
+    }
+  }
+
+  findStreamEnd(dictValue, start) {
+    const length = dictValue && dictValue.dict ? dictValue.dict.Length : null;
+    if (typeof length === 'number') {
+      const marker = this.src.indexOf('endstream', start + length);
+      if (marker !== -1 && marker - (start + length) < 16) return start + length;
+    }
+    let end = this.src.indexOf('endstream', start);
+    if (end === -1) return this.src.length;
+    if (this.src[end - 1] === '\n') end--;
+    if (this.src[end - 1] === '\r') end--;
+    return end;
+  }
+
+  async expandObjectStreams() {
+    const containers = Array.from(this.objects.values()).filter(o =>
+      o.stream && o.value && o.value.dict && this.nameOf(o.value.dict.Type) === 'ObjStm'
+    );
+    for (const container of containers) {
+      let data;
+      try {
+        data = this.toBinaryString(await this.decodeStream(container));
+      } catch (e) {
+        console.warn('PDF object stream could not be decoded:', e);
+        continue;
+      }
+      const dict = container.value.dict;
+      const count = this.resolve(dict.N) || 0;
+      const first = this.resolve(dict.First) || 0;
+      let pos = 0;
+      const header = [];
+      for (let i = 0; i < count; i++) {
+        const num = this.parseValue(data, pos, false);
+        const offset = this.parseValue(data, num.pos, false);
+        header.push([num.value, offset.value]);
+        pos = offset.pos;
+      }
+      header.forEach(([num, offset]) => {
+        if (this.objects.has(num)) return;
+        try {
+          this.objects.set(num, { value: this.parseValue(data, first + offset, true).value, stream: null });
+        } catch (e) {
+          // skip malformed member
+        }
+      });
+    }
+  }
+
+  isEncrypted() {
+    if (/trailer\s*<<[\s\S]*?\/Encrypt[\s\/<\d]/.test(this.src)) return true;
+    return Array.from(this.objects.values()).some(o =>
+      o.value && o.value.dict && this.nameOf(o.value.dict.Type) === 'XRef' && o.value.dict.Encrypt
+    );
+  }
+
+  resolve(value, depth = 0) {
+    if (value && typeof value === 'object' && 'ref' in value && depth < 10) {
+      const entry = this.objects.get(value.ref);
+      return entry ? this.resolve(entry.value, depth + 1) : null;
+    }
+    return value;
+  }
+
+  resolveEntry(value) {
+    if (value && typeof value === 'object' && 'ref' in value) return this.objects.get(value.ref) || null;
+    return null;
+  }
+
+  dictOf(value) {
+    const v = this.resolve(value);
+    return v && v.dict ? v.dict : null;
+  }
+
+  nameOf(value) {
+    const v = this.resolve(value);
+    return v && typeof v === 'object' && 'name' in v ? v.name : null;
+  }
+
+  /**
+   * Walk the page tree in document order, carrying inherited Resources.
+   */
+  collectPages() {
+    const trailerRoot = this.src.match(/\/Root\s+(\d+)\s+\d+\s+R/g);
+    let catalog = null;
+    if (trailerRoot) {
+      const num = parseInt(trailerRoot[trailerRoot.length - 1].match(/\/Root\s+(\d+)/)[1], 10);
+      catalog = this.dictOf({ ref: num });
+    }
+    if (!catalog) {
+      const found = Array.from(this.objects.values()).find(o => o.value && o.value.dict && this.nameOf(o.value.dict.Type) === 'Catalog');
+      catalog = found ? found.value.dict : null;
+    }
+
+    const pages = [];
+    const visited = new Set();
+    const walk = (nodeRef, inheritedResources, depth) => {
+      if (depth > 50) return;
+      const key = nodeRef && nodeRef.ref;
+      if (key != null) {
+        if (visited.has(key)) return;
+        visited.add(key);
+      }
+      const node = this.dictOf(nodeRef);
+      if (!node) return;
+      const resources = node.Resources ? this.dictOf(node.Resources) : inheritedResources;
+      if (this.nameOf(node.Type) === 'Pages' || node.Kids) {
+        (this.resolve(node.Kids) || []).forEach(kid => walk(kid, resources, depth + 1));
+      } else {
+        pages.push({ dict: node, resources: resources || {} });
+      }
+    };
+
+    if (catalog && catalog.Pages) walk(catalog.Pages, null, 0);
+
+    if (!pages.length) {
+      // Damaged page tree: fall back to every Page object in object-number order
+      Array.from(this.objects.entries())
+        .sort((a, b) => a[0] - b[0])
+        .forEach(([, o]) => {
+          if (o.value && o.value.dict && this.nameOf(o.value.dict.Type) === 'Page') {
+            pages.push({ dict: o.value.dict, resources: this.dictOf(o.value.dict.Resources) || {} });
+          }
+        });
+    }
+    return pages;
+  }
+
+  async getPageContent(pageDict) {
+    const contents = pageDict.Contents;
+    const refs = Array.isArray(this.resolve(contents)) ? this.resolve(contents) : [contents];
+    const parts = [];
+    for (const ref of refs) {
+      const entry = this.resolveEntry(ref);
+      if (!entry || !entry.stream) continue;
+      try {
+        parts.push(this.toBinaryString(await this.decodeStream(entry)));
+      } catch (e) {
+        console.warn('PDF content stream could not be decoded:', e);
+      }
+    }
+    return parts.join('\n');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Streams and filters
+  // ---------------------------------------------------------------------------
+
+  async decodeStream(entry) {
+    if (this.streamCache.has(entry)) return this.streamCache.get(entry);
+    const dict = entry.value && entry.value.dict ? entry.value.dict : {};
+    let filters = this.resolve(dict.Filter);
+    filters = filters ? (Array.isArray(filters) ? filters : [filters]) : [];
+
+    let data = entry.stream;
+    for (const f of filters) {
+      const name = this.nameOf(f);
+      if (name === 'FlateDecode' || name === 'Fl') data = await this.inflate(data);
+      else if (name === 'ASCIIHexDecode' || name === 'AHx') data = this.asciiHexDecode(data);
+      else if (name === 'ASCII85Decode' || name === 'A85') data = this.ascii85Decode(data);
+      else throw new Error(`Unsupported PDF stream filter: ${name}`);
+    }
+    this.streamCache.set(entry, data);
+    return data;
+  }
+
+  async inflate(data) {
+    try {
+      return await this.pipeThrough(data, 'deflate');
+    } catch (e) {
+      // Some producers write raw deflate data without the zlib header
+      return this.pipeThrough(data, 'deflate-raw');
+    }
+  }
+
+  async pipeThrough(data, format) {
+    const ds = new DecompressionStream(format);
+    const writer = ds.writable.getWriter();
+    writer.write(data).catch(() => {});
+    writer.close().catch(() => {});
+
+    const reader = ds.readable.getReader();
+    const chunks = [];
+    let total = 0;
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        total += value.length;
+      }
+    } catch (e) {
+      // Keep whatever inflated before a corrupt checksum or trailing garbage
+      if (!total) throw e;
+    }
+
+    const out = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(c => {
+      out.set(c, offset);
+      offset += c.length;
+    });
+    return out;
+  }
+
+  asciiHexDecode(data) {
+    const hex = this.toBinaryString(data).replace(/>.*$/s, '').replace(/[^0-9a-fA-F]/g, '');
+    const padded = hex.length % 2 ? hex + '0' : hex;
+    const out = new Uint8Array(padded.length / 2);
+    for (let i = 0; i < out.length; i++) out[i] = parseInt(padded.substr(i * 2, 2), 16);
+    return out;
+  }
+
+  ascii85Decode(data) {
+    const text = this.toBinaryString(data).replace(/~>.*$/s, '').replace(/^<~/, '').replace(/\s+/g, '');
+    const out = [];
+    let group = [];
+    for (const ch of text) {
+      if (ch === 'z' && group.length === 0) {
+        out.push(0, 0, 0, 0);
+        continue;
+      }
+      group.push(ch.charCodeAt(0) - 33);
+      if (group.length === 5) {
+        let value = 0;
+        group.forEach(d => { value = value * 85 + d; });
+        out.push((value >>> 24) & 255, (value >>> 16) & 255, (value >>> 8) & 255, value & 255);
+        group = [];
+      }
+    }
+    if (group.length) {
+      const n = group.length;
+      while (group.length < 5) group.push(84);
+      let value = 0;
+      group.forEach(d => { value = value * 85 + d; });
+      const bytes = [(value >>> 24) & 255, (value >>> 16) & 255, (value >>> 8) & 255, value & 255];
+      out.push(...bytes.slice(0, n - 1));
+    }
+    return new Uint8Array(out);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lexer / parser
+  // ---------------------------------------------------------------------------
+
+  skipWhitespace(src, pos, skipComments = true) {
+    while (pos < src.length) {
+      const c = src.charCodeAt(pos);
+      if (c === 32 || c === 10 || c === 13 || c === 9 || c === 12 || c === 0) {
+        pos++;
+      } else if (c === 37 && skipComments) {
+        while (pos < src.length && src[pos] !== '\n' && src[pos] !== '\r') pos++;
+      } else {
+        break;
+      }
+    }
+    return pos;
+  }
+
+  isDelimiter(ch) {
+    return ch === undefined || ' \t\n\r\f\0()<>[]{}/%'.indexOf(ch) !== -1;
+  }
+
+  /**
+   * Parse one PDF value starting at pos.
+   * Values: numbers, booleans, null, { name }, { str } (binary string),
+   * { ref }, { dict: {...} }, arrays, and { op } for bare keywords.
+   */
+  parseValue(src, pos, allowRefs) {
+    pos = this.skipWhitespace(src, pos);
+    const ch = src[pos];
+
+    if (ch === '/') {
+      let end = pos + 1;
+      while (end < src.length && !this.isDelimiter(src[end])) end++;
+      const raw = src.slice(pos + 1, end).replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)));
+      return { value: { name: raw }, pos: end };
+    }
+
+    if (ch === '(') return this.parseLiteralString(src, pos);
+
+    if (ch === '<') {
+      if (src[pos + 1] === '<') {
+        const dict = {};
+        pos += 2;
+        while (true) {
+          pos = this.skipWhitespace(src, pos);
+          if (pos >= src.length) break;
+          if (src[pos] === '>' && src[pos + 1] === '>') {
+            pos += 2;
+            break;
+          }
+          const key = this.parseValue(src, pos, allowRefs);
+          const val = this.parseValue(src, key.pos, allowRefs);
+          pos = val.pos;
+          if (key.value && key.value.name !== undefined) dict[key.value.name] = val.value;
+        }
+        return { value: { dict }, pos };
+      }
+      const end = src.indexOf('>', pos);
+      const hex = src.slice(pos + 1, end === -1 ? src.length : end).replace(/[^0-9a-fA-F]/g, '');
+      const padded = hex.length % 2 ? hex + '0' : hex;
+      let str = '';
+      for (let i = 0; i < padded.length; i += 2) str += String.fromCharCode(parseInt(padded.substr(i, 2), 16));
+      return { value: { str }, pos: end === -1 ? src.length : end + 1 };
+    }
+
+    if (ch === '[') {
+      const arr = [];
+      pos++;
+      while (true) {
+        pos = this.skipWhitespace(src, pos);
+        if (pos >= src.length) break;
+        if (src[pos] === ']') {
+          pos++;
+          break;
+        }
+        const item = this.parseValue(src, pos, allowRefs);
+        if (item.pos === pos) {
+          pos++;
+          continue;
+        }
+        pos = item.pos;
+        arr.push(item.value);
+      }
+      return { value: arr, pos };
+    }
+
+    const numMatch = /^[+-]?(?:\d+\.?\d*|\.\d+)/.exec(src.slice(pos, pos + 32));
+    if (numMatch) {
+      const end = pos + numMatch[0].length;
+      const num = parseFloat(numMatch[0]);
+      if (allowRefs && /^\d+$/.test(numMatch[0])) {
+        const refMatch = /^\s+(\d+)\s+R(?![^\s\/<>\[\]()%])/.exec(src.slice(end, end + 24));
+        if (refMatch) return { value: { ref: num }, pos: end + refMatch[0].length };
+      }
+      return { value: num, pos: end };
+    }
+
+    let end = pos;
+    while (end < src.length && !this.isDelimiter(src[end])) end++;
+    if (end === pos) return { value: { op: src[pos] }, pos: pos + 1 };
+    const word = src.slice(pos, end);
+    if (word === 'true') return { value: true, pos: end };
+    if (word === 'false') return { value: false, pos: end };
+    if (word === 'null') return { value: null, pos: end };
+    return { value: { op: word }, pos: end };
+  }
+
+  parseLiteralString(src, pos) {
+    let depth = 1;
+    let out = '';
+    pos++;
+    while (pos < src.length) {
+      const c = src[pos];
+      if (c === '\\') {
+        const next = src[pos + 1];
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        if (escapes[next] !== undefined) {
+          out += escapes[next];
+          pos += 2;
+        } else if (next === '\r') {
+          pos += src[pos + 2] === '\n' ? 3 : 2;
+        } else if (next === '\n') {
+          pos += 2;
+        } else if (/[0-7]/.test(next)) {
+          const oct = /^[0-7]{1,3}/.exec(src.slice(pos + 1, pos + 4))[0];
+          out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+          pos += 1 + oct.length;
+        } else {
+          pos += 1;
+        }
+        continue;
+      }
+      if (c === '(') depth++;
+      if (c === ')') {
+        depth--;
+        if (depth === 0) {
+          pos++;
+          break;
+        }
+      }
+      out += c;
+      pos++;
+    }
+    return { value: { str: out }, pos };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Content stream interpretation
+  // ---------------------------------------------------------------------------
+
+  identity() {
+    return [1, 0, 0, 1, 0, 0];
+  }
+
+  multiply(m, n) {
+    return [
+      m[0] * n[0] + m[1] * n[2],
+      m[0] * n[1] + m[1] * n[3],
+      m[2] * n[0] + m[3] * n[2],
+      m[2] * n[1] + m[3] * n[3],
+      m[4] * n[0] + m[5] * n[2] + n[4],
+      m[4] * n[1] + m[5] * n[3] + n[5]
+    ];
+  }
+
+  async runContent(src, resources, ctm, items, depth) {
+    const fonts = this.dictOf(resources && resources.Font) || {};
+    const xobjects = this.dictOf(resources && resources.XObject) || {};
+
+    let gs = { ctm, font: null, fontSize: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+    const stack = [];
+    let tm = this.identity();
+    let tlm = this.identity();
+    const operands = [];
+
+    const moveLine = (tx, ty) => {
+      tlm = this.multiply([1, 0, 0, 1, tx, ty], tlm);
+      tm = tlm.slice();
+    };
+
+    const show = (str) => {
+      if (!gs.font) return;
+      const glyphs = this.decodeGlyphs(gs.font, str.str || '');
+      const trm = this.multiply([gs.fontSize * gs.scale, 0, 0, gs.fontSize, 0, gs.rise], this.multiply(tm, gs.ctm));
+      let text = '';
+      let advance = 0;
+      glyphs.forEach(g => {
+        text += g.unicode;
+        const w = g.width * gs.font.widthScale;
+        advance += (w * gs.fontSize + gs.charSpacing + (g.isSpace ? gs.wordSpacing : 0)) * gs.scale;
+      });
+      tm = this.multiply([1, 0, 0, 1, advance, 0], tm);
+      const endTrm = this.multiply([gs.fontSize * gs.scale, 0, 0, gs.fontSize, 0, gs.rise], this.multiply(tm, gs.ctm));
+      if (text) {
+        items.push({
+          x: trm[4],
+          y: trm[5],
+          endX: endTrm[4],
+          size: Math.max(1, Math.hypot(trm[2], trm[3])),
+          text
+        });
+      }
+    };
+
+    let pos = 0;
+    while (pos < src.length) {
+      pos = this.skipWhitespace(src, pos);
+      if (pos >= src.length) break;
+      const parsed = this.parseValue(src, pos, false);
+      pos = parsed.pos;
+      const value = parsed.value;
+      if (!(value && typeof value === 'object' && 'op' in value)) {
+        operands.push(value);
+        continue;
+      }
+
+      const op = value.op;
+      const a = operands;
+      switch (op) {
+        case 'q': stack.push({ ...gs }); break;
+        case 'Q': if (stack.length) gs = stack.pop(); break;
+        case 'cm': gs.ctm = this.multiply(a.slice(0, 6), gs.ctm); break;
+        case 'BT': tm = this.identity(); tlm = this.identity(); break;
+        case 'Tf': {
+          const fontRef = fonts[a[0] && a[0].name];
+          gs.font = fontRef ? await this.loadFont(fontRef) : null;
+          gs.fontSize = a[1] || 0;
+          break;
+        }
+        case 'Tc': gs.charSpacing = a[0] || 0; break;
+        case 'Tw': gs.wordSpacing = a[0] || 0; break;
+        case 'Tz': gs.scale = (a[0] == null ? 100 : a[0]) / 100; break;
+        case 'TL': gs.leading = a[0] || 0; break;
+        case 'Ts': gs.rise = a[0] || 0; break;
+        case 'Td': moveLine(a[0] || 0, a[1] || 0); break;
+        case 'TD': gs.leading = -(a[1] || 0); moveLine(a[0] || 0, a[1] || 0); break;
+        case 'Tm': tlm = a.slice(0, 6); tm = tlm.slice(); break;
+        case 'T*': moveLine(0, -gs.leading); break;
+        case 'Tj': if (a[0]) show(a[0]); break;
+        case "'": moveLine(0, -gs.leading); if (a[0]) show(a[0]); break;
+        case '"':
+          gs.wordSpacing = a[0] || 0;
+          gs.charSpacing = a[1] || 0;
+          moveLine(0, -gs.leading);
+          if (a[2]) show(a[2]);
+          break;
+        case 'TJ':
+          (Array.isArray(a[0]) ? a[0] : []).forEach(part => {
+            if (typeof part === 'number') {
+              tm = this.multiply([1, 0, 0, 1, -part / 1000 * gs.fontSize * gs.scale, 0], tm);
+            } else if (part && part.str !== undefined) {
+              show(part);
+            }
+          });
+          break;
+        case 'Do': {
+          if (depth >= this.maxFormDepth) break;
+          const entry = this.resolveEntry(xobjects[a[0] && a[0].name]);
+          const dict = entry && entry.value && entry.value.dict;
+          if (!dict || !entry.stream || this.nameOf(dict.Subtype) !== 'Form') break;
+          try {
+            const formSrc = this.toBinaryString(await this.decodeStream(entry));
+            const matrix = this.resolve(dict.Matrix) || this.identity();
+            const formResources = this.dictOf(dict.Resources) || resources;
+            await this.runContent(formSrc, formResources, this.multiply(matrix, gs.ctm), items, depth + 1);
+          } catch (e) {
+            console.warn('PDF form XObject could not be read:', e);
+          }
+          break;
+        }
+        case 'BI': {
+          // Inline image: skip the binary payload between ID and EI
+          const id = src.indexOf('ID', pos);
+          const ei = id === -1 ? -1 : src.slice(id + 3).search(/\sEI(?=\s|$)/);
+          pos = ei === -1 ? src.length : id + 3 + ei + 3;
+          break;
+        }
+        default:
+          break;
+      }
+      operands.length = 0;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Fonts and encodings
+  // ---------------------------------------------------------------------------
+
+  async loadFont(fontRef) {
+    const cacheKey = fontRef && fontRef.ref != null ? fontRef.ref : fontRef;
+    if (this.fontCache.has(cacheKey)) return this.fontCache.get(cacheKey);
+
+    const dict = this.dictOf(fontRef) || {};
+    const subtype = this.nameOf(dict.Subtype);
+    const font = {
+      twoByte: subtype === 'Type0',
+      toUnicode: null,
+      encoding: null,
+      widths: new Map(),
+      defaultWidth: 500,
+      widthScale: 1 / 1000
+    };
+
+    if (font.twoByte) {
+      const descendant = this.dictOf((this.resolve(dict.DescendantFonts) || [])[0]) || {};
+      font.defaultWidth = this.resolve(descendant.DW) || 1000;
+      this.readCidWidths(this.resolve(descendant.W) || [], font.widths);
+      const encName = this.nameOf(dict.Encoding);
+      if (encName && !/Identity|UCS2|UTF16|-H$|-V$/.test(encName)) font.twoByte = false;
+    } else {
+      const firstChar = this.resolve(dict.FirstChar) || 0;
+      (this.resolve(dict.Widths) || []).forEach((w, i) => font.widths.set(firstChar + i, this.resolve(w)));
+      const descriptor = this.dictOf(dict.FontDescriptor) || {};
+      const missing = this.resolve(descriptor.MissingWidth);
+      if (missing) font.defaultWidth = missing;
+      if (subtype === 'Type3') {
+        const matrix = this.resolve(dict.FontMatrix) || [0.001];
+        font.widthScale = matrix[0];
+        if (!font.widths.size) font.defaultWidth = 0.5 / matrix[0];
+      }
+      font.encoding = this.buildSimpleEncoding(dict.Encoding);
+    }
+
+    const toUnicodeEntry = this.resolveEntry(dict.ToUnicode);
+    if (toUnicodeEntry && toUnicodeEntry.stream) {
+      try {
+        font.toUnicode = this.parseCMap(this.toBinaryString(await this.decodeStream(toUnicodeEntry)));
+      } catch (e) {
+        console.warn('PDF ToUnicode map could not be read:', e);
+      }
+    }
+
+    this.fontCache.set(cacheKey, font);
+    return font;
+  }
+
+  readCidWidths(w, widths) {
+    for (let i = 0; i < w.length;) {
+      const first = this.resolve(w[i]);
+      const next = this.resolve(w[i + 1]);
+      if (Array.isArray(next)) {
+        next.forEach((width, k) => widths.set(first + k, this.resolve(width)));
+        i += 2;
+      } else {
+        const last = next;
+        const width = this.resolve(w[i + 2]);
+        for (let c = first; c <= last && c - first < 65536; c++) widths.set(c, width);
+        i += 3;
+      }
+    }
+  }
+
+  buildSimpleEncoding(encodingValue) {
+    const encoding = PdfTextExtractor.WIN_ANSI.slice();
+    const resolved = this.resolve(encodingValue);
+    const baseName = this.nameOf(resolved) || (resolved && resolved.dict ? this.nameOf(resolved.dict.BaseEncoding) : null);
+    if (baseName === 'MacRomanEncoding') {
+      for (let i = 0; i < 128; i++) encoding[128 + i] = PdfTextExtractor.MAC_ROMAN_HIGH[i];
+    }
+    if (resolved && resolved.dict) {
+      let code = 0;
+      (this.resolve(resolved.dict.Differences) || []).forEach(item => {
+        if (typeof item === 'number') {
+          code = item;
+        } else if (item && item.name !== undefined) {
+          encoding[code] = this.glyphNameToUnicode(item.name);
+          code++;
+        }
+      });
+    }
+    return encoding;
+  }
+
+  glyphNameToUnicode(name) {
+    const base = name.split('.')[0];
+    if (PdfTextExtractor.GLYPHS[base] !== undefined) return PdfTextExtractor.GLYPHS[base];
+    if (/^[A-Za-z]$/.test(base)) return base;
+    const uni = base.match(/^uni((?:[0-9A-Fa-f]{4})+)$/);
+    if (uni) return uni[1].match(/.{4}/g).map(h => String.fromCharCode(parseInt(h, 16))).join('');
+    const u = base.match(/^u([0-9A-Fa-f]{4,6})$/);
+    if (u) return String.fromCodePoint(parseInt(u[1], 16));
+    const accented = base.match(/^([A-Za-z])(acute|grave|circumflex|tilde|dieresis|ring|cedilla|caron)$/);
+    if (accented) {
+      const marks = { acute: '́', grave: '̀', circumflex: '̂', tilde: '̃', dieresis: '̈', ring: '̊', cedilla: '̧', caron: '̌' };
+      return (accented[1] + marks[accented[2]]).normalize('NFC');
+    }
+    return '';
+  }
+
+  /**
+   * Parse a ToUnicode CMap into a code -> string map plus the code byte length.
+   */
+  parseCMap(text) {
+    const map = new Map();
+    let codeLength = 0;
+    const hexToUnicode = (hex) => {
+      let out = '';
+      for (let i = 0; i + 4 <= hex.length; i += 4) out += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+      if (hex.length === 2) out = String.fromCharCode(parseInt(hex, 16));
+      return out;
+    };
+
+    const spaceRe = /begincodespacerange([\s\S]*?)endcodespacerange/g;
+    let m;
+    while ((m = spaceRe.exec(text)) !== null) {
+      const first = m[1].match(/<([0-9a-fA-F]+)>/);
+      if (first) codeLength = Math.max(codeLength, first[1].length / 2);
+    }
+
+    const charRe = /beginbfchar([\s\S]*?)endbfchar/g;
+    while ((m = charRe.exec(text)) !== null) {
+      const pairRe = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g;
+      let p;
+      while ((p = pairRe.exec(m[1])) !== null) {
+        map.set(parseInt(p[1], 16), hexToUnicode(p[2]));
+        if (!codeLength) codeLength = p[1].length / 2;
+      }
+    }
+
+    const rangeRe = /beginbfrange([\s\S]*?)endbfrange/g;
+    while ((m = rangeRe.exec(text)) !== null) {
+      const lineRe = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]*)>|\[([^\]]*)\])/g;
+      let r;
+      while ((r = lineRe.exec(m[1])) !== null) {
+        const lo = parseInt(r[1], 16);
+        const hi = parseInt(r[2], 16);
+        if (!codeLength) codeLength = r[1].length / 2;
+        if (r[3] !== undefined) {
+          const dst = hexToUnicode(r[3]);
+          const lastCode = dst.charCodeAt(dst.length - 1);
+          for (let c = lo; c <= hi && c - lo < 65536; c++) {
+            map.set(c, dst.slice(0, -1) + String.fromCharCode(lastCode + (c - lo)));
+          }
+        } else {
+          const dsts = r[4].match(/<([0-9a-fA-F]*)>/g) || [];
+          dsts.forEach((d, k) => map.set(lo + k, hexToUnicode(d.slice(1, -1))));
+        }
+      }
+    }
+
+    return { map, codeLength: codeLength || 2 };
+  }
+
+  decodeGlyphs(font, bytes) {
+    const glyphs = [];
+    const cmap = font.toUnicode;
+    const step = cmap ? cmap.codeLength : (font.twoByte ? 2 : 1);
+    for (let i = 0; i < bytes.length; i += step) {
+      let code = 0;
+      for (let k = 0; k < step; k++) code = (code << 8) | (bytes.charCodeAt(i + k) || 0);
+
+      let unicode = cmap ? cmap.map.get(code) : undefined;
+      if (unicode === undefined) unicode = font.twoByte ? '' : (font.encoding[code] || '');
+      const width = font.widths.has(code) ? font.widths.get(code) : font.defaultWidth;
+      glyphs.push({ unicode, width, isSpace: step === 1 && code === 32 });
+    }
+    return glyphs;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Layout
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Group positioned text runs into visual lines (top to bottom, left to right),
+   * inserting spaces for horizontal gaps and blank lines for paragraph gaps.
+   */
+  layoutText(items) {
+    if (!items.length) return '';
+    const sorted = items.slice().sort((a, b) => (b.y - a.y) || (a.x - b.x));
+
+    const lines = [];
+    sorted.forEach(item => {
+      const line = lines[lines.length - 1];
+      if (line && Math.abs(line.y - item.y) <= Math.max(line.size, item.size) * 0.5) {
+        line.items.push(item);
+      } else {
+        lines.push({ y: item.y, size: item.size, items: [item] });
+      }
+    });
+
+    let out = '';
+    lines.forEach((line, li) => {
+      line.items.sort((a, b) => a.x - b.x);
+      let text = '';
+      let prev = null;
+      line.items.forEach(item => {
+        if (prev) {
+          const gap = item.x - prev.endX;
+          if (gap > Math.min(prev.size, item.size) * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.text)) {
+            text += ' ';
+          }
+        }
+        text += item.text;
+        prev = item;
+      });
+
+      if (li > 0) {
+        const gap = lines[li - 1].y - line.y;
+        out += gap > lines[li - 1].size * 1.9 ? '\n\n' : '\n';
+      }
+      out += text.replace(/\s+$/, '');
+    });
+    return out;
+  }
+}
+
+PdfTextExtractor.WIN_ANSI = (() => {
+  const table = new Array(256).fill('');
+  for (let i = 32; i < 127; i++) table[i] = String.fromCharCode(i);
+  const high = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+  for (let i = 0; i < 32; i++) table[128 + i] = high[i];
+  for (let i = 160; i < 256; i++) table[i] = String.fromCharCode(i);
+  table[9] = '\t';
+  table[10] = '\n';
+  table[13] = '\n';
+  return table;
+})();
+
+PdfTextExtractor.MAC_ROMAN_HIGH =
+  'ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø' +
+  '¿¡¬√ƒ≈∆«»… ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ';
+
+PdfTextExtractor.GLYPHS = {
+  space: ' ', nbspace: ' ', nonbreakingspace: ' ', exclam: '!', quotedbl: '"', numbersign: '#',
+  dollar: '$', percent: '%', ampersand: '&', quotesingle: "'", quoteright: '’', quoteleft: '‘',
+  parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', minus: '−',
+  period: '.', slash: '/', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>',
+  question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']', asciicircum: '^',
+  underscore: '_', grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  bullet: '•', endash: '–', emdash: '—', quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚',
+  quotedblbase: '„', ellipsis: '…', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl',
+  copyright: '©', registered: '®', trademark: '™', degree: '°', section: '§', paragraph: '¶',
+  dagger: '†', daggerdbl: '‡', Euro: '€', sterling: '£', yen: '¥', cent: '¢', multiply: '×',
+  divide: '÷', plusminus: '±', periodcentered: '·', guillemotleft: '«', guillemotright: '»',
+  guilsinglleft: '‹', guilsinglright: '›', germandbls: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ',
+  oslash: 'ø', Oslash: 'Ø', dotlessi: 'ı', lslash: 'ł', Lslash: 'Ł', exclamdown: '¡',
+  questiondown: '¿', ordfeminine: 'ª', ordmasculine: 'º', mu: 'µ', florin: 'ƒ', perthousand: '‰'
+};
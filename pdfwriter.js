@@ -0,0 +1,151 @@
+// pdfwriter.js
+
+/**
+ * PdfTextWriter renders plain text into a minimal A4 PDF (Helvetica,
+ * WinAnsi encoding) so the active document tab can be attached to upload
+ * fields that only accept PDF. Lines are word-wrapped and paginated; blank
+ * lines are kept. Characters outside WinAnsi are written as '?' and counted
+ * in `unsupportedCount`, so callers can fall back to a TXT attachment.
+ */
+class PdfTextWriter {
+  constructor(options = {}) {
+    this.fontSize = options.fontSize || 10.5;
+    this.lineHeight = this.fontSize * 1.35;
+    this.margin = options.margin || 56;
+    this.pageWidth = 595.28;
+    this.pageHeight = 841.89;
+    this.unsupportedCount = 0;
+  }
+
+  /**
+   * @param {string} text
+   * @param {string} [title] - Written to the document info dictionary.
+   * @returns {Uint8Array}
+   */
+  render(text, title = '') {
+    this.unsupportedCount = 0;
+    const maxWidth = this.pageWidth - this.margin * 2;
+    const linesPerPage = Math.floor((this.pageHeight - this.margin * 2) / this.lineHeight);
+
+    const lines = [];
+    String(text || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+      lines.push(...this.wrap(this.encode(line.replace(/\t/g, '    ')), maxWidth));
+    });
+    const pages = [];
+    for (let i = 0; i < lines.length; i += linesPerPage) pages.push(lines.slice(i, i + linesPerPage));
+    if (!pages.length) pages.push([]);
+
+    // Object numbers: 1 catalog, 2 page tree, 3 font, 4 info, then page/content pairs
+    const objects = [];
+    const pageIds = pages.map((_, i) => 5 + i * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = `<< /Title <${this.hex(this.encode(title))}> /Producer (AI Form Filler) >>`;
+
+    pages.forEach((pageLines, i) => {
+      const top = this.pageHeight - this.margin - this.fontSize;
+      const ops = [`BT /F1 ${this.fontSize} Tf ${this.lineHeight.toFixed(2)} TL ${this.margin} ${top.toFixed(2)} Td`];
+      pageLines.forEach((bytes, n) => {
+        if (n > 0) ops.push('T*');
+        if (bytes.length) ops.push(`<${this.hex(bytes)}> Tj`);
+      });
+      ops.push('ET');
+      const stream = ops.join('\n');
+      objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.pageWidth} ${this.pageHeight}] ` +
+        `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+      objects[pageIds[i] + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+    });
+
+    // Everything above is ASCII, so string length equals byte length
+    let out = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = out.length;
+      out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xref = out.length;
+    out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      out += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    out += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return new TextEncoder().encode(out);
+  }
+
+  /**
+   * Split one encoded line into lines that fit `maxWidth`, breaking at spaces
+   * and hard-breaking words that are longer than a line.
+   */
+  wrap(bytes, maxWidth) {
+    if (!bytes.length) return [[]];
+    const limit = maxWidth * 1000 / this.fontSize;
+    const lines = [];
+    let line = [];
+    let width = 0;
+    let lastSpace = -1;
+    bytes.forEach(b => {
+      line.push(b);
+      width += this.charWidth(b);
+      if (b === 32) lastSpace = line.length - 1;
+      if (width <= limit) return;
+      const cut = lastSpace > 0 ? lastSpace : line.length - 1;
+      lines.push(line.slice(0, cut));
+      line = line.slice(lastSpace > 0 ? cut + 1 : cut);
+      width = line.reduce((sum, c) => sum + this.charWidth(c), 0);
+      lastSpace = line.lastIndexOf(32);
+    });
+    lines.push(line);
+    return lines;
+  }
+
+  charWidth(code) {
+    if (code >= 32 && code <= 126) return PdfTextWriter.HELVETICA_WIDTHS[code - 32];
+    return 556;
+  }
+
+  // Unicode string -> WinAnsi byte codes
+  encode(str) {
+    const bytes = [];
+    for (const ch of String(str || '')) {
+      const cp = ch.codePointAt(0);
+      if ((cp >= 32 && cp <= 126) || (cp >= 160 && cp <= 255)) {
+        bytes.push(cp);
+      } else if (PdfTextWriter.WIN_ANSI_EXTRA[cp]) {
+        bytes.push(PdfTextWriter.WIN_ANSI_EXTRA[cp]);
+      } else if (cp < 32) {
+        continue;
+      } else {
+        this.unsupportedCount++;
+        bytes.push(63);
+      }
+    }
+    return bytes;
+  }
+
+  hex(bytes) {
+    return bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Unicode code points that WinAnsi places in 0x80-0x9F
+  static get WIN_ANSI_EXTRA() {
+    return {
+      0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+      0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91,
+      0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98,
+      0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B, 0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+    };
+  }
+
+  // Helvetica advance widths (1/1000 em) for codes 32-126
+  static get HELVETICA_WIDTHS() {
+    return [
+      278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+      1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+      333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+      556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ];
+  }
+}
@@ -0,0 +1,277 @@
+// phone.js
+
+/**
+ * PhoneFormatter reads phone numbers out of free text ("+7 995 664 9220 /
+ * WhatsApp", "Work: (555) 123-4567") as country code plus national number,
+ * and writes one back in the form its field expects.
+ *
+ * The expected form is worked out where the element is (describe) from, in
+ * order: an input mask or a placeholder made of digit slots ("(000) 000-0000",
+ * "+1 ___ ___ ____"), the `pattern` attribute, and a country code select next
+ * to the field, which leaves only the national number for the input. The
+ * format travels with the field record, like a date format, so fields of
+ * child frames are converted in the top frame too.
+ */
+class PhoneFormatter {
+  /**
+   * @param {ValueShaper} valueShaper - Compiles `pattern` attributes the way browsers do
+   */
+  constructor(valueShaper) {
+    this.valueShaper = valueShaper;
+  }
+
+  // Calling codes of two digits; 1 and 7 are the one-digit ones, everything else has three
+  static get TWO_DIGIT_CODES() {
+    return [
+      '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+      '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66',
+      '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98'
+    ];
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @param {string} [label]
+   * @returns {{kind: 'number'|'national'|'countryCode', mask?: string, pattern?: string,
+   *   maxLength?: number, role: 'mobile'|'work'|'home'|null, codes?: Array<{value: string, code: string}>}|null}
+   *   null when the element does not take a phone number or a calling code.
+   */
+  describe(element, label = '') {
+    if (element.tagName === 'SELECT') {
+      const codes = this.callingCodeOptions(element);
+      return codes && this.findPartner(element, el => el.tagName === 'INPUT' && this.isPhoneInput(el))
+        ? { kind: 'countryCode', codes, role: null }
+        : null;
+    }
+    if (element.tagName !== 'INPUT' || !this.isPhoneInput(element, label)) return null;
+
+    const format = { kind: 'number', role: this.roleOf(`${label} ${element.name || ''} ${element.id || ''} ${element.getAttribute('autocomplete') || ''}`) };
+    const mask = this.maskOf(element);
+    if (mask) format.mask = mask;
+    const pattern = element.getAttribute('pattern');
+    if (pattern) format.pattern = pattern;
+    if (element.maxLength > 0) format.maxLength = element.maxLength;
+    if (this.findPartner(element, el => el.tagName === 'SELECT' && !!this.callingCodeOptions(el))) format.kind = 'national';
+    return format;
+  }
+
+  isPhoneInput(element, label = '') {
+    if ((element.type || '').toLowerCase() === 'tel') return true;
+    if (!['text', 'number', ''].includes((element.type || '').toLowerCase())) return false;
+    const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase();
+    if (/\btel(-national)?$/.test(autocomplete)) return true;
+    return /phone|mobile|\btel\b|telefon|t[ée]l[ée]phone/i.test(`${label} ${element.name || ''} ${element.id || ''}`);
+  }
+
+  roleOf(text) {
+    const t = String(text || '').toLowerCase();
+    if (/mobile|cell|whatsapp|telegram/.test(t)) return 'mobile';
+    if (/work|office|business/.test(t)) return 'work';
+    if (/home/.test(t)) return 'home';
+    return null;
+  }
+
+  /**
+   * A digit-slot mask from an input mask attribute or the placeholder. Digits,
+   * 0/9, X, # and _ are slots; "e.g. +1 555 123 4567" counts as a mask too.
+   */
+  maskOf(element) {
+    const declared = element.getAttribute('data-mask') || element.getAttribute('data-inputmask-mask') ||
+      element.getAttribute('data-format') || element.getAttribute('mask');
+    const inputmask = (element.getAttribute('data-inputmask') || '').match(/mask['"]?\s*:\s*['"]([^'"]+)['"]/);
+    const candidates = [declared, inputmask && inputmask[1], element.placeholder];
+    for (const candidate of candidates) {
+      const mask = String(candidate || '').replace(/^\s*(?:e\.?g\.?|ex\.?|example)[:\s]+/i, '').trim();
+      if (/^[+\d\sXx#_*().\-/]+$/.test(mask) && (mask.match(/[\dXx#_*]/g) || []).length >= 6) return mask;
+    }
+    return null;
+  }
+
+  // Options like "+44", "United Kingdom (+44)" or value "44" under a code-ish name
+  callingCodeOptions(select) {
+    const named = /country.?code|dial|calling|phone.?code|prefix/i.test(`${select.name || ''} ${select.id || ''} ${select.getAttribute('aria-label') || ''}`);
+    const codes = [];
+    Array.from(select.options).forEach(option => {
+      const match = option.text.match(/\+\s?(\d{1,4})\b/) || option.value.match(/^\+?(\d{1,4})$/);
+      if (match && (named || /\+/.test(option.text + option.value))) codes.push({ value: option.value, code: match[1] });
+    });
+    return codes.length >= 2 && codes.length >= select.options.length / 2 ? codes : null;
+  }
+
+  // The nearest matching control in the same small group (a row with the phone input and its code select)
+  findPartner(element, test) {
+    let container = element.parentElement;
+    for (let depth = 0; container && depth < 3; depth++, container = container.parentElement) {
+      const controls = Array.from(container.querySelectorAll('input, select')).filter(el => el !== element);
+      if (controls.length > 4) return null;
+      const partner = controls.find(test);
+      if (partner) return partner;
+    }
+    return null;
+  }
+
+  /**
+   * Every phone number in the text, labelled by the words on its line: the
+   * nearest label before it ("Work: …, Mobile: …"), or else the first one
+   * after it ("+7 995 664 9220 / WhatsApp").
+   * @returns {Array<{countryCode: string|null, national: string, display: string, role: string|null}>}
+   */
+  extract(text) {
+    const numbers = [];
+    const seen = new Set();
+    String(text || '').split(/\n/).forEach(line => {
+      const candidates = [...line.matchAll(/(?:\+|\b00)?\(?\d[\d\s().-]{5,}\d/g)];
+      candidates.forEach((candidate, i) => {
+        const parsed = this.parse(candidate[0]);
+        // Year ranges such as "2011-2017" look like numbers but are never 7+ digits
+        if (!parsed || seen.has(parsed.countryCode + parsed.national)) return;
+        seen.add(parsed.countryCode + parsed.national);
+        // Only the text between this number and its neighbours can label it
+        const previousEnd = i > 0 ? candidates[i - 1].index + candidates[i - 1][0].length : 0;
+        const end = candidate.index + candidate[0].length;
+        const nextStart = i < candidates.length - 1 ? candidates[i + 1].index : line.length;
+        const before = this.roleWords(line.slice(previousEnd, candidate.index));
+        const after = this.roleWords(line.slice(end, nextStart));
+        const label = before.length ? before[before.length - 1] : after[0];
+        numbers.push({ ...parsed, role: label ? this.roleOf(label) : null });
+      });
+    });
+    return numbers;
+  }
+
+  // The words roleOf knows, in the order they appear
+  roleWords(text) {
+    return String(text || '').toLowerCase().match(/mobile|cell|whatsapp|telegram|work|office|business|home/g) || [];
+  }
+
+  /**
+   * @returns {{countryCode: string|null, national: string, display: string}|null}
+   *   `display` is the national number grouped as written.
+   */
+  parse(candidate) {
+    // "+44 (0)20…": the trunk prefix in brackets is dialled only from inside the country
+    let text = String(candidate).trim().replace(/^00(?=\d)/, '+').replace(/\(0\)\s?/, '');
+    const digits = text.replace(/\D/g, '');
+    if (digits.length < 7 || digits.length > 15 || /^\d{4}\s*[-–]\s*\d{4}$/.test(text)) return null;
+
+    let countryCode = null;
+    if (text.startsWith('+')) {
+      // A separator after the code tells its length; otherwise go by the known codes
+      const grouped = text.match(/^\+\s?(\d{1,3})[\s().-]/);
+      if (grouped && digits.length - grouped[1].length >= 6) {
+        countryCode = grouped[1];
+      } else if (['1', '7'].includes(digits[0])) {
+        countryCode = digits[0];
+      } else {
+        countryCode = PhoneFormatter.TWO_DIGIT_CODES.includes(digits.slice(0, 2)) ? digits.slice(0, 2) : digits.slice(0, 3);
+      }
+      text = text.replace(new RegExp(`^\\+\\s?${countryCode.split('').join('\\D?')}`), '');
+    }
+    const national = digits.slice(countryCode ? countryCode.length : 0);
+    const display = text.replace(/^[\s.-]+/, '').replace(/\s+/g, ' ').replace(/[\s.-]+$/, '');
+    return { countryCode, national, display };
+  }
+
+  /**
+   * One number from several: the one labelled with the field's role, else the first.
+   */
+  pick(numbers, role) {
+    if (!numbers.length) return null;
+    return (role && numbers.find(n => n.role === role)) || numbers[0];
+  }
+
+  /**
+   * Convert a suggestion to what the field takes.
+   * @param {string} value - Free text holding one or more numbers
+   * @param {object} format - From describe()
+   * @param {string} [context] - The document, consulted when the suggestion
+   *   has no number labelled with the field's role
+   * @returns {string|null} null when there is no number in the value (for
+   *   a calling code select: no code to pick an option by).
+   */
+  convert(value, format, context = '') {
+    if (format.kind === 'countryCode') return this.convertCountryCode(value, format, context);
+    let number = this.pick(this.extract(value), format.role);
+    if (format.role && (!number || number.role !== format.role)) {
+      number = this.pick(this.extract(context).filter(n => n.role === format.role), format.role) || number;
+    }
+    return number ? this.format(number, format) : null;
+  }
+
+  // The option for "+44", a number's code, or else the code of the document's first international number
+  convertCountryCode(value, { codes }, context) {
+    const text = String(value == null ? '' : value).trim();
+    if (codes.some(c => c.value === text)) return text;
+    // A country name is left to the select's own option matching
+    if (!/\d/.test(text) && /\p{L}/u.test(text)) return null;
+    const bare = text.match(/^\+?\s?(\d{1,4})$/);
+    const number = [...this.extract(text), ...this.extract(context)].find(n => n.countryCode);
+    const code = bare ? bare[1] : number && number.countryCode;
+    const option = code && codes.find(c => c.code === code);
+    return option ? option.value : null;
+  }
+
+  format(number, format) {
+    const { countryCode, national } = number;
+    if (format.mask) {
+      const masked = this.applyMask(format.mask, countryCode, national, format.kind === 'national');
+      if (masked) return masked;
+    }
+
+    const international = countryCode && format.kind !== 'national';
+    const candidates = [
+      international ? `+${countryCode} ${number.display}` : number.display,
+      international ? `+${countryCode}${national}` : national,
+      ...(countryCode ? [number.display, national, `${countryCode}${national}`, `+${countryCode}-${this.group(national, '-')}`] : []),
+      this.group(national, '-'),
+      this.group(national, ' '),
+      national.length === 10 ? `(${national.slice(0, 3)}) ${national.slice(3, 6)}-${national.slice(6)}` : null
+    ].filter(Boolean);
+
+    if (format.pattern) {
+      const fitting = candidates.find(c => this.valueShaper.matchesPattern(c, format.pattern));
+      if (fitting) return fitting;
+    }
+    if (format.maxLength) {
+      const fitting = candidates.slice(0, 2).find(c => c.length <= format.maxLength);
+      if (fitting) return fitting;
+      return national;
+    }
+    return candidates[0];
+  }
+
+  /**
+   * Fill the mask's slots with the digits. A leading "+__" group takes the
+   * country code; the rest must match the national number digit for digit.
+   * @returns {string|null} null when the digits do not fit the mask.
+   */
+  applyMask(mask, countryCode, national, nationalOnly) {
+    const isSlot = ch => /[\dXx#_*]/.test(ch);
+    const codeGroup = mask.match(/^(\+\s?)([\dXx#_*]{1,3})(?![\dXx#_*])/);
+    let rest = mask;
+    let prefix = '';
+    if (codeGroup) {
+      if (!countryCode || nationalOnly) return null;
+      prefix = codeGroup[1] + countryCode;
+      rest = mask.slice(codeGroup[0].length);
+    }
+
+    const slots = rest.split('').filter(isSlot).length;
+    let digits = national;
+    if (!codeGroup && countryCode && !nationalOnly && slots === countryCode.length + national.length) digits = countryCode + national;
+    if (slots !== digits.length) {
+      // "0201…" read without a country code fits a 10-slot mask once the trunk prefix goes
+      if (digits.startsWith('0') && slots === digits.length - 1) digits = digits.slice(1);
+      else return null;
+    }
+
+    let i = 0;
+    return prefix + rest.split('').map(ch => (isSlot(ch) ? digits[i++] : ch)).join('');
+  }
+
+  // 3-3-4 for ten digits, else threes with the remainder at the end
+  group(digits, separator) {
+    if (digits.length === 10) return [digits.slice(0, 3), digits.slice(3, 6), digits.slice(6)].join(separator);
+    return digits.match(/\d{1,3}/g).join(separator).replace(new RegExp(`${separator}(\\d)$`), '$1');
+  }
+}
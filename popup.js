@@ -1,472 +1,1046 @@
-class AIFormFiller {
-  constructor() {
-    this.tabs = [
-    {
-        "content": "Stanislav D.\r\n44 y.o.\r\nChief Technology Officer (CTO), Vice President of Production\r\n2017-Present\r\nEuropean Union, Remote\r\n+7 995 664 9220 / WhatsApp / leadbit.flash1@gmail.com\r\n500+ projects, 20+ games, 400 million players\r\n\r\n2011 Establishing Peak Casual\r\n2001-2010 LeadBit, \r\ncooperation with BridgeStone and Symantec Europe\r\n\r\nA highly skilled and dedicated Producer and Software Engineer with a strong background in cutting-edge GameDev technologies, including visual content creation, animation techniques, and custom game engine development. With a proven track record of success in managing more than 500 completed projects and reaching millions of users worldwide, I offer unparalleled expertise in driving product growth, user engagement, and revenue generation while ensuring a seamless gaming experience. Leveraging excellent communication, leadership, and creative problem-solving abilities, I am eager to contribute my extensive knowledge and experience to a challenging role in the gaming industry.\r\n\r\nACHIEVEMENTS:\r\n\r\n- Successfully led and managed over 500 projects, including more than 20 popular casual games on Facebook between 2011 and 2023.\r\n- Reached over 400 million users globally, showcasing a strong understanding of user preferences and gaming trends.\r\n- Contributed to the significant financial success of multiple games, including “Toon Blast”, earning nearly $1 billion in 2020.\r\n- Led the company through a strategic partnership with Peak Games, resulting in company rebranding and acquisition.\r\n\r\nSKILLS & TECHNICAL PROFICIENCIES:\r\n\r\n- Proficient in various GameDev technologies, including OpenGl/WebGl, VR, UNITY, THREE.JS evangelist, C++/#, WEBSOCKET, OPENAI, Backend Clusterization, and more.\r\n- Agile Methodology, DevOps, Data Analysis, User Acquisition (UA), User Interface (UI)/User Experience (UX) Design, Version Control Systems (Git, SVN), Cloud Platforms (AWS, Azure, GCP).\r\n- Playtesting and User Feedback Analysis, Game Analytics and Data Visualization, Performance Optimization Techniques, Cross-Platform Development Strategies, Marketing Automation Tools and Techniques, Community Management and Social Media Marketing, Design Thinking and User Research Methods.\r\n- Solid understanding of visual content creation, animation techniques, graphics technology, and custom game engine development to drive product innovation and marketability.\r\n- Expertise in project management, team leadership, and collaboration, resulting in the successful delivery of numerous high-quality gaming projects.\r\n- Language proficiency in English (Advanced/C1), Romanian (Intermediate), and Russian (Native).\r\n\r\n\r\nSUMMARY OF QUALIFICATIONS:\r\n\r\n- Over 15 years of experience in the gaming and software development industries, including executive and management positions.\r\n- Strong technical background with a proven track record of successful game development, marketing, and monetization.\r\n- Proficient in project management, team leadership, and business development.\r\n\r\nPROFESSIONAL EXPERIENCE:\r\n\r\n2017-Present: Co-Founder, Chief Technology Officer (CTO) and Vice President of Production, Acrobatic Games\r\n\r\n- Oversaw the development and success of Toon Blast, which earned nearly $1 billion in revenue by 2020.\r\n- Collaborated with Peak Games in 2012 to rebrand the company, joining forces to create popular titles including Lost Bubble and Lost Jewels.\r\n- Managed a strong portfolio of games, helping to grow the company and ultimately resulting in its acquisition by Peak Games.\r\n\r\n2011-2017: Co-Founder, Chief Operating Officer (COO) and Vice President of Production, Peak Casual\r\n\r\n- Initiated the development of casual games, resulting in the successful launch of the Sultan Bubble series of games.\r\n- Grew the game's Facebook presence to reach over 1 million daily active users in just two weeks and eventually achieved 5 million daily active users in one month.\r\n- Settled a lawsuit with King.com over intellectual property disputes for over £1 million.\r\n\r\n2001-2011: Founder and CEO, LeadBit - The Outsourcing Company\r\n\r\n- Completed over 500 projects for major clients including Bridgestone and Symantec Europe, consistently delivering high-quality results that met or exceeded client expectations.\r\n- Built and managed a diverse team of software and game developers, integrating various skill sets to deliver effective solutions for clients.\r\n- Developed and published the first three games for Nokia's Ovi Store, winning the top three places in a Nokia competition.\r\n\r\nEDUCATION:\r\n\r\nBachelor of Science in Computer Science (College of Informatics, Government State University)\r\n\r\nPROFESSIONAL SKILLS:\r\n\r\n- Game Development: Strong experience in developing, marketing and monetizing successful casual games.\r\n- Technical Expertise: Proficient in various programming languages and development tools, with a deep understanding of game design concepts.\r\n- Project Management: Expert in managing multiple projects simultaneously, ensuring timely delivery and adherence to strict quality standards.\r\n- Team Leadership: Strong ability to build, lead, and motivate teams of varying sizes and skill sets.\r\n- Business Development: Track record of identifying and capitalizing on new opportunities to grow and expand the company.\r\n\r\n\r\nReferences available upon request.",
-        "id": "tab-1760029488841-fv4lodytj",
-        "name": "!MY RESUME!.txt"
-    }
-]
-    this.activeTabId = "tab-1760029488841-fv4lodytj";
-    this.aiSession = null;
-    this.isProcessing = false;
-    this.init();
-  }
-
-  async init() {
-    await this.ensureContentScriptInjected();
-    this.setupEventListeners();
-    this.setupMessageListener(); // Centralized message listener
-    await this.checkAIAvailability();
-    this.loadSavedTabs();
-    this.loadHFSettings();
-  }
-
-  async ensureContentScriptInjected() {
-    try {
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (!tab) return;
-
-      try {
-        await chrome.tabs.sendMessage(tab.id, { action: 'ping' });
-      } catch (e) {
-        console.log('Injecting content script...');
-        await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ['content.js']
-        });
-        
-        await chrome.scripting.insertCSS({
-          target: { tabId: tab.id },
-          files: ['content.css']
-        });
-        
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-    } catch (e) {
-      console.error('Failed to inject content script:', e);
-    }
-  }
-  
-  // NEW: Centralized message listener
-  setupMessageListener() {
-    chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-      if (msg.action === 'extractedFormData') {
-        this.createExtractedDataTab(msg.data);
-      }
-
-      if (msg.action === 'aiStatus') {
-        const statusIndicator = document.querySelector('.status-indicator');
-        const statusText = document.querySelector('.status-text');
-        const fillFormsBtn = document.getElementById('fillFormsBtn');
-        
-        const caps = msg.payload || {};
-        if (caps.available === 'readily') {
-          statusIndicator.classList.remove('error');
-          statusIndicator.classList.add('ready');
-          // Display the model name from the bridge
-          statusText.textContent = caps.model || 'Using Llama 3.2';
-          fillFormsBtn.disabled = false;
-        } else {
-          // Even if not available, we'll use Llama
-          statusIndicator.classList.remove('error');
-          statusIndicator.classList.add('ready');
-          statusText.textContent = 'Using Llama 3.2';
-          fillFormsBtn.disabled = false;
-        }
-      }
-      
-      if (msg.action === 'processingComplete') {
-        this.isProcessing = false;
-        const fillFormsBtn = document.getElementById('fillFormsBtn');
-        fillFormsBtn.disabled = false;
-        fillFormsBtn.innerHTML = '<span class="btn-icon">🤖</span>FILL FORMS';
-      }
-    });
-  }
-  
-  async checkAIAvailability() {
-    const statusIndicator = document.querySelector('.status-indicator');
-    const statusText = document.querySelector('.status-text');
-    const fillFormsBtn = document.getElementById('fillFormsBtn');
-
-    statusIndicator.className = 'status-indicator';
-    statusText.textContent = 'Checking AI status...';
-
-    try {
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (!tab) {
-        throw new Error("No active tab found.");
-      }
-      
-      const timeoutPromise = new Promise((resolve) => {
-        setTimeout(() => resolve({ error: 'timeout' }), 3000);
-      });
-      
-      const messagePromise = chrome.tabs.sendMessage(tab.id, { action: 'checkAI' });
-      
-      const resp = await Promise.race([messagePromise, timeoutPromise]);
-      
-      if (resp?.error === 'timeout') {
-        console.log('AI check timed out, using Llama.');
-        statusIndicator.classList.add('ready');
-        statusText.textContent = 'Using Llama 3.2';
-      }
-    } catch (e) {
-      console.log('Could not check AI, using Llama:', e);
-      statusIndicator.classList.add('ready');
-      statusText.textContent = 'Using Llama 3.2';
-    }
-    
-    fillFormsBtn.disabled = false;
-  }
-
-  async fillForms() {
-    if (this.isProcessing) return;
-    
-    const activeTab = this.tabs.find(tab => tab.id === this.activeTabId);
-    
-    if (!activeTab) {
-      alert('Please select or upload a document first.');
-      return;
-    }
-
-    await this.ensureContentScriptInjected();
-
-    try {
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (!tab) throw new Error("No active tab found.");
-      
-      this.isProcessing = true;
-      const fillFormsBtn = document.getElementById('fillFormsBtn');
-      fillFormsBtn.disabled = true;
-      fillFormsBtn.innerHTML = '<span class="btn-icon">⏳</span>PROCESSING...';
-      
-      await chrome.tabs.sendMessage(tab.id, {
-        action: 'fillForms',
-        context: activeTab.content,
-        useAI: true
-      });
-    } catch (e) {
-      console.error('Failed to send message to content script:', e);
-      alert('Could not communicate with the page. Please refresh the page and try again.');
-      this.isProcessing = false;
-      const fillFormsBtn = document.getElementById('fillFormsBtn');
-      fillFormsBtn.disabled = false;
-      fillFormsBtn.innerHTML = '<span class="btn-icon">🤖</span>FILL FORMS';
-    }
-  }
-
-async extractFormData() {
-  await this.ensureContentScriptInjected();
-  
-  try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!tab) throw new Error("No active tab found.");
-    
-    // Send message to content script to extract data
-    const response = await chrome.tabs.sendMessage(tab.id, {
-      action: 'extractFormData'
-    });
-    
-    if (response && response.data) {
-      this.createExtractedDataTab(response.data);
-    } else {
-      alert('No form data found to extract. Please fill a form first.');
-    }
-  } catch (e) {
-    console.error('Failed to extract form data:', e);
-    alert('Could not extract form data. Please ensure you have filled a form on the current page.');
-  }
-}
-
-setupEventListeners() {
-    const dropArea = document.getElementById('dropArea');
-    const fileInput = document.getElementById('fileInput');
-
-    // NEW TAB BUTTON EVENT LISTENER
-    document.getElementById('newTabBtn').addEventListener('click', () => {
-      this.createNewEmptyTab();
-    });
-
-    // EXTRACT DATA BUTTON EVENT LISTENER
-    document.getElementById('extractDataBtn').addEventListener('click', () => {
-      this.extractFormData();
-    });
-
-    dropArea.addEventListener('click', () => fileInput.click());
-    
-    dropArea.addEventListener('dragover', (e) => {
-      e.preventDefault();
-      dropArea.classList.add('dragging');
-    });
-
-    dropArea.addEventListener('dragleave', () => {
-      dropArea.classList.remove('dragging');
-    });
-
-    dropArea.addEventListener('drop', (e) => {
-      e.preventDefault();
-      dropArea.classList.remove('dragging');
-      this.handleFiles(e.dataTransfer.files);
-    });
-
-    fileInput.addEventListener('change', (e) => {
-      this.handleFiles(e.target.files);
-    });
-
-    document.getElementById('fillFormsBtn').addEventListener('click', () => this.fillForms());
-    document.getElementById('clearBtn').addEventListener('click', () => this.clearAllTabs());
-    document.getElementById('settingsBtn').addEventListener('click', () => this.toggleSettings());
-    document.getElementById('saveHFSettings').addEventListener('click', () => this.saveHFSettings());
-}
-
-  // NEW METHOD: Create a new empty tab
-  createNewEmptyTab() {
-    const tabId = `tab-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    const tabNumber = this.tabs.filter(t => t.name.startsWith('New Tab')).length + 1;
-    
-    this.tabs.push({
-      id: tabId,
-      name: `New Tab ${tabNumber}`,
-      content: ''
-    });
-
-    this.renderTabs();
-    this.setActiveTab(tabId);
-    this.saveTabs();
-
-    // Focus on the textarea for the new tab
-    setTimeout(() => {
-      const textarea = document.querySelector(`.editable-content[data-tab="${tabId}"]`);
-      if (textarea) textarea.focus();
-    }, 100);
-  }
-
-  // NEW METHOD: Create tab from extracted form data
-  createExtractedDataTab(formattedData) {
-    const tabId = `tab-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    const timestamp = new Date().toLocaleTimeString();
-    
-    this.tabs.push({
-      id: tabId,
-      name: `📋 Form Data ${timestamp}`,
-      content: formattedData
-    });
-
-    this.renderTabs();
-    this.setActiveTab(tabId);
-    this.saveTabs();
-    
-    // Show a notification in the popup
-    const notification = document.createElement('div');
-    notification.style.cssText = `
-      position: absolute;
-      bottom: 60px; /* Position above buttons */
-      left: 50%;
-      transform: translateX(-50%);
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-      color: white;
-      padding: 10px 15px;
-      border-radius: 8px;
-      box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-      z-index: 10000;
-      font-family: sans-serif;
-      font-size: 13px;
-      white-space: nowrap;
-    `;
-    notification.textContent = '✅ Data extracted to new tab!';
-    document.body.appendChild(notification);
-    
-    setTimeout(() => {
-        notification.style.transition = 'opacity 0.5s';
-        notification.style.opacity = '0';
-        setTimeout(() => notification.remove(), 500);
-    }, 2500);
-  }
-
-  toggleSettings() {
-    const panel = document.getElementById('hfSettingsPanel');
-    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
-  }
-
-  async saveHFSettings() {
-    const token = document.getElementById('hfToken').value.trim();
-    const model = document.getElementById('hfModel').value.trim();
-    
-    await chrome.storage.local.set({ 
-      hfToken: token,
-      hfModel: model || 'meta-llama/Llama-3.2-3B-Instruct:novita'
-    });
-
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    try {
-      if (tab) {
-        await chrome.tabs.sendMessage(tab.id, { action: 'updateHFToken' });
-      }
-    } catch (e) {
-      console.log('Content script not ready to receive HF token update.');
-    }
-
-    document.getElementById('hfSaveStatus').textContent = 'Settings saved!';
-    setTimeout(() => {
-      document.getElementById('hfSaveStatus').textContent = '';
-    }, 2000);
-
-    await this.checkAIAvailability();
-  }
-
-  async loadHFSettings() {
-    const result = await chrome.storage.local.get(['hfToken', 'hfModel']);
-    if (result.hfToken) {
-      document.getElementById('hfToken').value = result.hfToken;
-    }
-    if (result.hfModel) {
-      document.getElementById('hfModel').value = result.hfModel;
-    } else {
-      document.getElementById('hfModel').value = 'meta-llama/Llama-3.2-3B-Instruct:novita';
-    }
-  }
-
-  handleFiles(files) {
-    Array.from(files).forEach(file => {
-      if (file.type.startsWith('text/') || file.name.endsWith('.txt')) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          this.addTab(file.name, e.target.result);
-        };
-        reader.readAsText(file);
-      }
-    });
-  }
-
-  addTab(name, content) {
-    const tabId = `tab-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    
-    this.tabs.push({
-      id: tabId,
-      name: name.length > 20 ? name.substring(0, 20) + '...' : name,
-      content: content
-    });
-
-    this.renderTabs();
-    this.setActiveTab(tabId);
-    this.saveTabs();
-  }
-
-  renderTabs() {
-    const tabsHeader = document.getElementById('tabsHeader');
-    const tabsContent = document.getElementById('tabsContent');
-
-    // Always keep the New Tab button
-    const newTabButton = '<button id="newTabBtn" class="new-tab-button" title="Create new empty tab"><span>+ New Tab</span></button>';
-
-    if (this.tabs.length === 0) {
-      tabsHeader.innerHTML = newTabButton + '<div style="padding: 10px; color: #999; display: inline-block;">No documents uploaded</div>';
-      tabsContent.innerHTML = '';
-      // Re-attach event listener
-      document.getElementById('newTabBtn').addEventListener('click', () => this.createNewEmptyTab());
-      return;
-    }
-
-    tabsHeader.innerHTML = newTabButton + this.tabs.map(tab => `
-      <button class="tab-button ${tab.id === this.activeTabId ? 'active' : ''}" data-tab="${tab.id}">
-        <span>${tab.name}</span>
-        <button class="tab-close" data-tab="${tab.id}">×</button>
-      </button>
-    `).join('');
-
-    tabsContent.innerHTML = this.tabs.map(tab => `
-      <div class="tab-panel ${tab.id === this.activeTabId ? 'active' : ''}" data-tab="${tab.id}">
-        <textarea class="editable-content" data-tab="${tab.id}" placeholder="Enter or edit text here...">${tab.content}</textarea>
-      </div>
-    `).join('');
-
-    // Re-attach all event listeners
-    document.getElementById('newTabBtn').addEventListener('click', () => this.createNewEmptyTab());
-
-    document.querySelectorAll('.tab-button').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        if (!e.target.classList.contains('tab-close')) {
-          this.setActiveTab(btn.dataset.tab);
-        }
-      });
-    });
-
-    document.querySelectorAll('.tab-close').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.removeTab(btn.dataset.tab);
-      });
-    });
-
-    document.querySelectorAll('.editable-content').forEach(textarea => {
-      textarea.addEventListener('input', (e) => {
-        const tab = this.tabs.find(t => t.id === e.target.dataset.tab);
-        if (tab) {
-          tab.content = e.target.value;
-          this.saveTabs();
-        }
-      });
-    });
-  }
-
-  setActiveTab(tabId) {
-    this.activeTabId = tabId;
-    
-    document.querySelectorAll('.tab-button').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.tab === tabId);
-    });
-    
-    document.querySelectorAll('.tab-panel').forEach(panel => {
-      panel.classList.toggle('active', panel.dataset.tab === tabId);
-    });
-  }
-
-  removeTab(tabId) {
-    this.tabs = this.tabs.filter(tab => tab.id !== tabId);
-    
-    if (this.activeTabId === tabId && this.tabs.length > 0) {
-      this.activeTabId = this.tabs[0].id;
-    } else if (this.tabs.length === 0) {
-      this.activeTabId = null;
-    }
-    
-    this.renderTabs();
-    this.saveTabs();
-  }
-
-  clearAllTabs() {
-    if (confirm('Are you sure you want to clear all documents?')) {
-      this.tabs = [];
-      this.activeTabId = null;
-      this.renderTabs();
-      this.saveTabs();
-    }
-  }
-
-  saveTabs() {
-    chrome.storage.local.set({ 
-      tabs: this.tabs,
-      activeTabId: this.activeTabId 
-    });
-  }
-
-  loadSavedTabs() {
-    chrome.storage.local.get(['tabs', 'activeTabId'], (result) => {
-      if (result.tabs && result.tabs.length > 0) {
-        this.tabs = result.tabs;
-        this.activeTabId = result.activeTabId || this.tabs[0].id;
-        this.renderTabs();
-        this.setActiveTab(this.activeTabId);
-      } else {
-        // Still render to show the New Tab button
-        this.renderTabs();
-      }
-    });
-  }
-}
-
-document.addEventListener('DOMContentLoaded', () => {
-  new AIFormFiller();
+class AIFormFiller {
+  constructor() {
+    this.tabs = [
+    {
+        "content": "Stanislav D.\r\n44 y.o.\r\nChief Technology Officer (CTO), Vice President of Production\r\n2017-Present\r\nEuropean Union, Remote\r\n+7 995 664 9220 / WhatsApp / leadbit.flash1@gmail.com\r\n500+ projects, 20+ games, 400 million players\r\n\r\n2011 Establishing Peak Casual\r\n2001-2010 LeadBit, \r\ncooperation with BridgeStone and Symantec Europe\r\n\r\nA highly skilled and dedicated Producer and Software Engineer with a strong background in cutting-edge GameDev technologies, including visual content creation, animation techniques, and custom game engine development. With a proven track record of success in managing more than 500 completed projects and reaching millions of users worldwide, I offer unparalleled expertise in driving product growth, user engagement, and revenue generation while ensuring a seamless gaming experience. Leveraging excellent communication, leadership, and creative problem-solving abilities, I am eager to contribute my extensive knowledge and experience to a challenging role in the gaming industry.\r\n\r\nACHIEVEMENTS:\r\n\r\n- Successfully led and managed over 500 projects, including more than 20 popular casual games on Facebook between 2011 and 2023.\r\n- Reached over 400 million users globally, showcasing a strong understanding of user preferences and gaming trends.\r\n- Contributed to the significant financial success of multiple games, including “Toon Blast”, earning nearly $1 billion in 2020.\r\n- Led the company through a strategic partnership with Peak Games, resulting in company rebranding and acquisition.\r\n\r\nSKILLS & TECHNICAL PROFICIENCIES:\r\n\r\n- Proficient in various GameDev technologies, including OpenGl/WebGl, VR, UNITY, THREE.JS evangelist, C++/#, WEBSOCKET, OPENAI, Backend Clusterization, and more.\r\n- Agile Methodology, DevOps, Data Analysis, User Acquisition (UA), User Interface (UI)/User Experience (UX) Design, Version Control Systems (Git, SVN), Cloud Platforms (AWS, Azure, GCP).\r\n- Playtesting and User Feedback Analysis, Game Analytics and Data Visualization, Performance Optimization Techniques, Cross-Platform Development Strategies, Marketing Automation Tools and Techniques, Community Management and Social Media Marketing, Design Thinking and User Research Methods.\r\n- Solid understanding of visual content creation, animation techniques, graphics technology, and custom game engine development to drive product innovation and marketability.\r\n- Expertise in project management, team leadership, and collaboration, resulting in the successful delivery of numerous high-quality gaming projects.\r\n- Language proficiency in English (Advanced/C1), Romanian (Intermediate), and Russian (Native).\r\n\r\n\r\nSUMMARY OF QUALIFICATIONS:\r\n\r\n- Over 15 years of experience in the gaming and software development industries, including executive and management positions.\r\n- Strong technical background with a proven track record of successful game development, marketing, and monetization.\r\n- Proficient in project management, team leadership, and business development.\r\n\r\nPROFESSIONAL EXPERIENCE:\r\n\r\n2017-Present: Co-Founder, Chief Technology Officer (CTO) and Vice President of Production, Acrobatic Games\r\n\r\n- Oversaw the development and success of Toon Blast, which earned nearly $1 billion in revenue by 2020.\r\n- Collaborated with Peak Games in 2012 to rebrand the company, joining forces to create popular titles including Lost Bubble and Lost Jewels.\r\n- Managed a strong portfolio of games, helping to grow the company and ultimately resulting in its acquisition by Peak Games.\r\n\r\n2011-2017: Co-Founder, Chief Operating Officer (COO) and Vice President of Production, Peak Casual\r\n\r\n- Initiated the development of casual games, resulting in the successful launch of the Sultan Bubble series of games.\r\n- Grew the game's Facebook presence to reach over 1 million daily active users in just two weeks and eventually achieved 5 million daily active users in one month.\r\n- Settled a lawsuit with King.com over intellectual property disputes for over £1 million.\r\n\r\n2001-2011: Founder and CEO, LeadBit - The Outsourcing Company\r\n\r\n- Completed over 500 projects for major clients including Bridgestone and Symantec Europe, consistently delivering high-quality results that met or exceeded client expectations.\r\n- Built and managed a diverse team of software and game developers, integrating various skill sets to deliver effective solutions for clients.\r\n- Developed and published the first three games for Nokia's Ovi Store, winning the top three places in a Nokia competition.\r\n\r\nEDUCATION:\r\n\r\nBachelor of Science in Computer Science (College of Informatics, Government State University)\r\n\r\nPROFESSIONAL SKILLS:\r\n\r\n- Game Development: Strong experience in developing, marketing and monetizing successful casual games.\r\n- Technical Expertise: Proficient in various programming languages and development tools, with a deep understanding of game design concepts.\r\n- Project Management: Expert in managing multiple projects simultaneously, ensuring timely delivery and adherence to strict quality standards.\r\n- Team Leadership: Strong ability to build, lead, and motivate teams of varying sizes and skill sets.\r\n- Business Development: Track record of identifying and capitalizing on new opportunities to grow and expand the company.\r\n\r\n\r\nReferences available upon request.",
+        "id": "tab-1760029488841-fv4lodytj",
+        "name": "!MY RESUME!.txt"
+    }
+]
+    this.activeTabId = "tab-1760029488841-fv4lodytj";
+    this.aiSession = null;
+    this.isProcessing = false;
+    this.profileStore = new ProfileStore();
+    this.learnedMappings = new LearnedMappings();
+    this.tabAttachments = new TabAttachments();
+    this.profile = null;
+    this.init();
+  }
+
+  async init() {
+    await this.ensureContentScriptInjected();
+    this.setupEventListeners();
+    this.setupMessageListener(); // Centralized message listener
+    await this.loadProviderSettings();
+    await this.loadVaultStatus();
+    await this.checkAIAvailability();
+    this.loadSavedTabs();
+    this.loadProfile();
+    this.loadSettings();
+  }
+
+  async loadSettings() {
+    const { settings = {} } = await chrome.storage.local.get(['settings']);
+    document.getElementById('wizardMode').checked = !!settings.wizardMode;
+    document.getElementById('autoDetect').checked = !!settings.autoDetect;
+    // Older installs only have the showLabels flag
+    document.getElementById('overlayMode').value = settings.overlayMode || (settings.showLabels === false ? 'minimal' : 'full');
+    const threshold = typeof settings.autoFillThreshold === 'number' ? settings.autoFillThreshold : 0.7;
+    document.getElementById('autoFillThreshold').value = Math.round(threshold * 100);
+    this.renderThreshold();
+
+    // The per-site switch applies to the page the popup was opened on
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    let hostname = '';
+    try {
+      const url = new URL(tab && tab.url);
+      if (/^https?:$/.test(url.protocol)) hostname = url.hostname;
+    } catch (e) {
+      // No usable URL (new tab page, chrome:// pages)
+    }
+    this.siteHostname = hostname;
+    document.getElementById('autoDetectSiteRow').style.display = hostname ? '' : 'none';
+    if (hostname) {
+      document.getElementById('autoDetectSiteLabel').textContent = `Show the Fill chip on ${hostname}`;
+      this.renderSiteSetting(settings);
+    }
+  }
+
+  renderSiteSetting(settings) {
+    const sites = settings.autoDetectSites || {};
+    document.getElementById('autoDetectSite').checked = Object.prototype.hasOwnProperty.call(sites, this.siteHostname)
+      ? !!sites[this.siteHostname]
+      : !!settings.autoDetect;
+  }
+
+  /**
+   * A site only keeps an override while it differs from the global switch.
+   */
+  async saveSiteSetting(enabled) {
+    const { settings = {} } = await chrome.storage.local.get(['settings']);
+    const sites = { ...(settings.autoDetectSites || {}) };
+    if (enabled === !!settings.autoDetect) {
+      delete sites[this.siteHostname];
+    } else {
+      sites[this.siteHostname] = enabled;
+    }
+    await chrome.storage.local.set({ settings: { ...settings, autoDetectSites: sites } });
+  }
+
+  renderThreshold() {
+    document.getElementById('autoFillThresholdValue').textContent = `${document.getElementById('autoFillThreshold').value}%`;
+  }
+
+  async saveSetting(name, value) {
+    const { settings } = await chrome.storage.local.get(['settings']);
+    await chrome.storage.local.set({ settings: { ...(settings || {}), [name]: value } });
+  }
+
+  async ensureContentScriptInjected() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return;
+
+      try {
+        await chrome.tabs.sendMessage(tab.id, { action: 'ping' }, { frameId: 0 });
+      } catch (e) {
+        console.log('Injecting content script...');
+        await chrome.scripting.executeScript({
+          target: { tabId: tab.id, allFrames: true },
+          files: chrome.runtime.getManifest().content_scripts[0].js
+        });
+        
+        await chrome.scripting.insertCSS({
+          target: { tabId: tab.id, allFrames: true },
+          files: ['content.css']
+        });
+        
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    } catch (e) {
+      console.error('Failed to inject content script:', e);
+    }
+  }
+  
+  // NEW: Centralized message listener
+  setupMessageListener() {
+    chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+      if (msg.action === 'extractedFormData') {
+        this.createExtractedDataTab(msg.data);
+      }
+
+      if (msg.action === 'aiStatus') {
+        const statusIndicator = document.querySelector('.status-indicator');
+        const statusText = document.querySelector('.status-text');
+        const fillFormsBtn = document.getElementById('fillFormsBtn');
+        
+        const caps = msg.payload || {};
+        if (caps.available === 'readily' || caps.available === 'after-download') {
+          statusIndicator.classList.remove('error');
+          statusIndicator.classList.add('ready');
+          // Display the active provider/model reported by the bridge
+          statusText.textContent = caps.model ? `${caps.local ? '🔒 ' : ''}${caps.model}` : this.providerStatusText();
+          if (caps.available === 'after-download') statusText.textContent += ' (downloads on first use)';
+          fillFormsBtn.disabled = false;
+        } else if (caps.reason) {
+          // Provider configured but its key is unavailable (vault locked or no key)
+          statusIndicator.classList.remove('ready');
+          statusIndicator.classList.add('error');
+          statusText.textContent = caps.reason;
+          fillFormsBtn.disabled = false;
+        } else {
+          // Even if not available, we'll use the configured provider
+          statusIndicator.classList.remove('error');
+          statusIndicator.classList.add('ready');
+          statusText.textContent = this.providerStatusText();
+          fillFormsBtn.disabled = false;
+        }
+      }
+      
+      if (msg.action === 'processingComplete') {
+        this.isProcessing = false;
+        const fillFormsBtn = document.getElementById('fillFormsBtn');
+        fillFormsBtn.disabled = false;
+        fillFormsBtn.innerHTML = '<span class="btn-icon">🤖</span>FILL FORMS';
+      }
+    });
+  }
+  
+  async checkAIAvailability() {
+    const statusIndicator = document.querySelector('.status-indicator');
+    const statusText = document.querySelector('.status-text');
+    const fillFormsBtn = document.getElementById('fillFormsBtn');
+
+    statusIndicator.className = 'status-indicator';
+    statusText.textContent = 'Checking AI status...';
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) {
+        throw new Error("No active tab found.");
+      }
+      
+      const timeoutPromise = new Promise((resolve) => {
+        setTimeout(() => resolve({ error: 'timeout' }), 3000);
+      });
+      
+      const messagePromise = chrome.tabs.sendMessage(tab.id, { action: 'checkAI' }, { frameId: 0 });
+      
+      const resp = await Promise.race([messagePromise, timeoutPromise]);
+      
+      if (resp?.error === 'timeout') {
+        console.log('AI check timed out, using configured provider.');
+        statusIndicator.classList.add('ready');
+        statusText.textContent = this.providerStatusText();
+      }
+    } catch (e) {
+      console.log('Could not check AI, using configured provider:', e);
+      statusIndicator.classList.add('ready');
+      statusText.textContent = this.providerStatusText();
+    }
+    
+    fillFormsBtn.disabled = false;
+  }
+
+  async fillForms() {
+    if (this.isProcessing) return;
+    
+    const activeTab = this.tabs.find(tab => tab.id === this.activeTabId);
+    
+    if (!activeTab) {
+      alert('Please select or upload a document first.');
+      return;
+    }
+
+    await this.ensureContentScriptInjected();
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) throw new Error("No active tab found.");
+      
+      this.isProcessing = true;
+      const fillFormsBtn = document.getElementById('fillFormsBtn');
+      fillFormsBtn.disabled = true;
+      fillFormsBtn.innerHTML = '<span class="btn-icon">⏳</span>PROCESSING...';
+      
+      // The top frame orchestrates the run and reaches child frames itself
+      await chrome.tabs.sendMessage(tab.id, {
+        action: 'fillForms',
+        context: activeTab.content,
+        useAI: true,
+        attachments: await this.tabAttachments.build(activeTab),
+        wizard: document.getElementById('wizardMode').checked,
+        documentTabId: activeTab.id
+      }, { frameId: 0 });
+    } catch (e) {
+      console.error('Failed to send message to content script:', e);
+      alert('Could not communicate with the page. Please refresh the page and try again.');
+      this.isProcessing = false;
+      const fillFormsBtn = document.getElementById('fillFormsBtn');
+      fillFormsBtn.disabled = false;
+      fillFormsBtn.innerHTML = '<span class="btn-icon">🤖</span>FILL FORMS';
+    }
+  }
+
+async extractFormData() {
+  await this.ensureContentScriptInjected();
+  
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) throw new Error("No active tab found.");
+    
+    // Send message to content script to extract data
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: 'extractFormData'
+    }, { frameId: 0 });
+    
+    if (response && response.data) {
+      this.createExtractedDataTab(response.data);
+    } else {
+      alert('No form data found to extract. Please fill a form first.');
+    }
+  } catch (e) {
+    console.error('Failed to extract form data:', e);
+    alert('Could not extract form data. Please ensure you have filled a form on the current page.');
+  }
+}
+
+setupEventListeners() {
+    const dropArea = document.getElementById('dropArea');
+    const fileInput = document.getElementById('fileInput');
+
+    // NEW TAB BUTTON EVENT LISTENER
+    document.getElementById('newTabBtn').addEventListener('click', () => {
+      this.createNewEmptyTab();
+    });
+
+    // EXTRACT DATA BUTTON EVENT LISTENER
+    document.getElementById('extractDataBtn').addEventListener('click', () => {
+      this.extractFormData();
+    });
+
+    dropArea.addEventListener('click', () => fileInput.click());
+    
+    dropArea.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dropArea.classList.add('dragging');
+    });
+
+    dropArea.addEventListener('dragleave', () => {
+      dropArea.classList.remove('dragging');
+    });
+
+    dropArea.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropArea.classList.remove('dragging');
+      this.handleFiles(e.dataTransfer.files);
+    });
+
+    fileInput.addEventListener('change', (e) => {
+      this.handleFiles(e.target.files);
+    });
+
+    document.getElementById('fillFormsBtn').addEventListener('click', () => this.fillForms());
+    document.getElementById('clearBtn').addEventListener('click', () => this.clearAllTabs());
+    document.getElementById('wizardMode').addEventListener('change', (e) => this.saveSetting('wizardMode', e.target.checked));
+    document.getElementById('autoDetect').addEventListener('change', async (e) => {
+      await this.saveSetting('autoDetect', e.target.checked);
+      if (this.siteHostname) {
+        const { settings = {} } = await chrome.storage.local.get(['settings']);
+        this.renderSiteSetting(settings);
+      }
+    });
+    document.getElementById('overlayMode').addEventListener('change', (e) => this.saveSetting('overlayMode', e.target.value));
+    document.getElementById('autoFillThreshold').addEventListener('input', () => this.renderThreshold());
+    document.getElementById('autoFillThreshold').addEventListener('change', (e) => this.saveSetting('autoFillThreshold', Number(e.target.value) / 100));
+    document.getElementById('autoDetectSite').addEventListener('change', (e) => this.saveSiteSetting(e.target.checked));
+    document.getElementById('settingsBtn').addEventListener('click', () => this.toggleSettings());
+    document.getElementById('saveProviderSettings').addEventListener('click', () => this.saveProviderSettings());
+    document.getElementById('providerPreset').addEventListener('change', (e) => this.applyProviderPreset(e.target.value));
+    document.getElementById('vaultUnlockBtn').addEventListener('click', () => this.submitVaultPassphrase());
+    document.getElementById('vaultPassphrase').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.submitVaultPassphrase();
+    });
+    document.getElementById('vaultLockBtn').addEventListener('click', () => this.lockVault());
+    document.getElementById('buildProfileBtn').addEventListener('click', () => this.buildProfileFromActiveTab());
+    document.getElementById('editProfileBtn').addEventListener('click', () => this.toggleProfileEditor());
+    document.getElementById('learnedBtn').addEventListener('click', () => this.toggleLearnedPanel());
+    document.getElementById('saveProfileBtn').addEventListener('click', () => this.saveProfile());
+    document.getElementById('deleteProfileBtn').addEventListener('click', () => this.deleteProfile());
+}
+
+  // NEW METHOD: Create a new empty tab
+  createNewEmptyTab() {
+    const tabId = `tab-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const tabNumber = this.tabs.filter(t => t.name.startsWith('New Tab')).length + 1;
+    
+    this.tabs.push({
+      id: tabId,
+      name: `New Tab ${tabNumber}`,
+      content: ''
+    });
+
+    this.renderTabs();
+    this.setActiveTab(tabId);
+    this.saveTabs();
+
+    // Focus on the textarea for the new tab
+    setTimeout(() => {
+      const textarea = document.querySelector(`.editable-content[data-tab="${tabId}"]`);
+      if (textarea) textarea.focus();
+    }, 100);
+  }
+
+  // NEW METHOD: Create tab from extracted form data
+  createExtractedDataTab(formattedData) {
+    const tabId = `tab-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const timestamp = new Date().toLocaleTimeString();
+    
+    this.tabs.push({
+      id: tabId,
+      name: `📋 Form Data ${timestamp}`,
+      content: formattedData
+    });
+
+    this.renderTabs();
+    this.setActiveTab(tabId);
+    this.saveTabs();
+    
+    this.showNotification('✅ Data extracted to new tab!');
+  }
+
+  // Show a short-lived notification in the popup; errors stay longer and may wrap
+  showNotification(message, type = 'info') {
+    const isError = type === 'error';
+    const notification = document.createElement('div');
+    notification.style.cssText = `
+      position: absolute;
+      bottom: 60px; /* Position above buttons */
+      left: 50%;
+      transform: translateX(-50%);
+      background: ${isError ? '#f44336' : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'};
+      color: white;
+      padding: 10px 15px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+      z-index: 10000;
+      font-family: sans-serif;
+      font-size: 13px;
+      white-space: ${isError ? 'normal' : 'nowrap'};
+      max-width: 400px;
+    `;
+    notification.textContent = message;
+    document.body.appendChild(notification);
+    
+    setTimeout(() => {
+        notification.style.transition = 'opacity 0.5s';
+        notification.style.opacity = '0';
+        setTimeout(() => notification.remove(), 500);
+    }, isError ? 6000 : 2500);
+  }
+
+  toggleSettings() {
+    const panel = document.getElementById('providerSettingsPanel');
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+  }
+
+  providerStatusText() {
+    if (!this.providerConfig) return 'Checking AI status...';
+    const provider = new ChatProvider(this.providerConfig);
+    return `${provider.isLocal() ? '🔒 ' : ''}${provider.label}/${this.providerConfig.model}`;
+  }
+
+  // Switching preset swaps in that preset's URL and model; key and sampling are kept
+  applyProviderPreset(presetId) {
+    const preset = PROVIDER_PRESETS[presetId];
+    if (!preset) return;
+    document.getElementById('providerBaseUrl').value = preset.baseUrl;
+    document.getElementById('providerModel').value = preset.model;
+    document.getElementById('providerModel').placeholder = preset.model || 'model name';
+  }
+
+  async saveProviderSettings() {
+    const keyInput = document.getElementById('providerApiKey');
+    const apiKey = keyInput.value.trim();
+    this.providerConfig = await ProviderSettings.save({
+      preset: document.getElementById('providerPreset').value,
+      baseUrl: document.getElementById('providerBaseUrl').value,
+      model: document.getElementById('providerModel').value,
+      temperature: document.getElementById('providerTemperature').value,
+      maxTokens: document.getElementById('providerMaxTokens').value,
+      topP: document.getElementById('providerTopP').value
+    });
+    this.renderProviderSettings();
+
+    // The key goes straight into the vault; it is never written to providerConfig
+    let keyError = null;
+    if (apiKey) {
+      try {
+        await this.vaultRequest('setKey', { provider: this.providerConfig.preset, apiKey });
+        keyInput.value = '';
+      } catch (e) {
+        keyError = e.message;
+      }
+    }
+
+    await this.notifyProviderChanged();
+
+    const status = document.getElementById('providerSaveStatus');
+    try {
+      if (keyError) throw new Error(`the API key was not stored (${keyError})`);
+      new ChatProvider(this.providerConfig).validate();
+      status.style.color = '';
+      status.textContent = 'Settings saved!';
+    } catch (e) {
+      status.style.color = '#f44336';
+      status.textContent = `Saved, but: ${e.message}`;
+    }
+    setTimeout(() => {
+      status.textContent = '';
+    }, 3000);
+
+    await this.checkAIAvailability();
+  }
+
+  async loadProviderSettings() {
+    const presetSelect = document.getElementById('providerPreset');
+    presetSelect.innerHTML = '';
+    Object.entries(PROVIDER_PRESETS).forEach(([id, preset]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = preset.label;
+      presetSelect.appendChild(option);
+    });
+
+    this.providerConfig = await ProviderSettings.load();
+    this.renderProviderSettings();
+  }
+
+  renderProviderSettings() {
+    const config = this.providerConfig;
+    document.getElementById('providerPreset').value = config.preset;
+    document.getElementById('providerBaseUrl').value = config.baseUrl;
+    document.getElementById('providerApiKey').value = '';
+    document.getElementById('providerModel').value = config.model;
+    document.getElementById('providerTemperature').value = config.temperature;
+    document.getElementById('providerMaxTokens').value = config.maxTokens;
+    document.getElementById('providerTopP').value = config.topP;
+    if (this.vaultStatus) this.renderVault();
+  }
+
+  async notifyProviderChanged() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    try {
+      if (tab) {
+        await chrome.tabs.sendMessage(tab.id, { action: 'updateProvider' });
+      }
+    } catch (e) {
+      console.log('Content script not ready to receive provider update.');
+    }
+  }
+
+  /**
+   * Run a vault operation in the background worker, which is the only place
+   * keys are decrypted. Resolves with the new vault status.
+   */
+  async vaultRequest(op, params = {}) {
+    const response = await chrome.runtime.sendMessage({ action: 'vault', op, ...params });
+    if (!response) throw new Error('No response from the background worker');
+    if (response.error) throw new Error(response.error);
+    this.vaultStatus = response.status;
+    return response.status;
+  }
+
+  async loadVaultStatus() {
+    try {
+      await this.vaultRequest('status');
+    } catch (e) {
+      console.error('Could not read vault status:', e);
+      this.vaultStatus = { initialized: false, unlocked: false, keys: [] };
+    }
+    this.renderVault();
+  }
+
+  renderVault() {
+    const { initialized, unlocked, keys } = this.vaultStatus;
+    const badge = document.getElementById('vaultBadge');
+    const state = document.getElementById('vaultState');
+    badge.textContent = !initialized ? '' : unlocked ? '🔓' : '🔐';
+    badge.title = !initialized ? '' : unlocked ? 'Credential vault unlocked' : 'Credential vault locked';
+    state.textContent = !initialized ? '(not set up)' : unlocked ? '(unlocked)' : '(locked)';
+
+    document.getElementById('vaultPassphraseForm').style.display = unlocked ? 'none' : 'block';
+    document.getElementById('vaultConfirmGroup').style.display = initialized ? 'none' : 'block';
+    document.getElementById('vaultUnlockBtn').textContent = initialized ? 'Unlock' : 'Create Vault';
+    document.getElementById('vaultUnlockedView').style.display = unlocked ? 'block' : 'none';
+
+    const list = document.getElementById('vaultKeyList');
+    list.innerHTML = '';
+    if (keys.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'vault-empty';
+      empty.textContent = 'No API keys stored.';
+      list.appendChild(empty);
+    }
+    keys.forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'vault-key';
+      const name = document.createElement('span');
+      name.className = 'vault-key-name';
+      const preset = PROVIDER_PRESETS[entry.provider];
+      name.textContent = `${preset ? preset.label : entry.provider} ${entry.hint}`;
+      name.title = `Updated ${new Date(entry.updatedAt).toLocaleString()}`;
+      const rotate = document.createElement('button');
+      rotate.className = 'mini-btn';
+      rotate.textContent = 'Rotate';
+      rotate.addEventListener('click', () => this.rotateVaultKey(entry.provider));
+      const remove = document.createElement('button');
+      remove.className = 'mini-btn';
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', () => this.deleteVaultKey(entry.provider));
+      row.append(name, rotate, remove);
+      list.appendChild(row);
+    });
+
+    // Tell the user where the key for the selected provider stands
+    const hint = document.getElementById('providerKeyHint');
+    const stored = this.providerConfig && keys.find(k => k.provider === this.providerConfig.preset);
+    if (stored) {
+      hint.textContent = `Stored in the vault (${stored.hint}). Enter a new key to replace it.`;
+    } else if (this.vaultStatus.heldLegacyKeys && this.vaultStatus.heldLegacyKeys.length) {
+      hint.textContent = 'Your saved key is kept only until the browser closes. Create the credential vault below to keep it.';
+    } else if (!initialized) {
+      hint.textContent = 'Create the credential vault below before saving a key.';
+    } else if (!unlocked) {
+      hint.textContent = 'Unlock the credential vault below to save a key.';
+    } else {
+      hint.textContent = 'Keys are stored encrypted in the credential vault below.';
+    }
+  }
+
+  async submitVaultPassphrase() {
+    const passphraseInput = document.getElementById('vaultPassphrase');
+    const confirmInput = document.getElementById('vaultPassphraseConfirm');
+    const status = document.getElementById('vaultStatus');
+    try {
+      if (this.vaultStatus.initialized) {
+        await this.vaultRequest('unlock', { passphrase: passphraseInput.value });
+        status.textContent = 'Vault unlocked for this browser session.';
+      } else {
+        if (passphraseInput.value !== confirmInput.value) throw new Error('The passphrases do not match');
+        await this.vaultRequest('setup', { passphrase: passphraseInput.value });
+        status.textContent = 'Vault created.';
+      }
+      status.style.color = '';
+      passphraseInput.value = '';
+      confirmInput.value = '';
+    } catch (e) {
+      status.style.color = '#f44336';
+      status.textContent = e.message;
+    }
+    this.renderVault();
+    setTimeout(() => {
+      status.textContent = '';
+    }, 3000);
+    await this.notifyProviderChanged();
+    await this.checkAIAvailability();
+  }
+
+  async lockVault() {
+    await this.vaultRequest('lock');
+    this.renderVault();
+    await this.notifyProviderChanged();
+    await this.checkAIAvailability();
+  }
+
+  async rotateVaultKey(provider) {
+    const preset = PROVIDER_PRESETS[provider];
+    const apiKey = prompt(`New API key for ${preset ? preset.label : provider}:`);
+    if (!apiKey || !apiKey.trim()) return;
+    try {
+      await this.vaultRequest('setKey', { provider, apiKey });
+      this.showNotification('API key replaced');
+    } catch (e) {
+      this.showNotification(`Could not replace the key: ${e.message}`, 'error');
+    }
+    this.renderVault();
+    await this.notifyProviderChanged();
+  }
+
+  async deleteVaultKey(provider) {
+    const preset = PROVIDER_PRESETS[provider];
+    if (!confirm(`Delete the stored API key for ${preset ? preset.label : provider}?`)) return;
+    await this.vaultRequest('deleteKey', { provider });
+    this.renderVault();
+    await this.notifyProviderChanged();
+    await this.checkAIAvailability();
+  }
+
+  async loadProfile() {
+    this.profile = await this.profileStore.load();
+    this.renderProfileStatus();
+  }
+
+  renderProfileStatus() {
+    const status = document.getElementById('profileStatus');
+    if (!this.profile) {
+      status.textContent = 'No profile yet';
+      status.title = '';
+      return;
+    }
+    const name = this.profile.identity.fullName || 'Unnamed profile';
+    const source = this.profile.source ? ` • from ${this.profile.source.name}` : '';
+    status.textContent = `👤 ${name}${source}`;
+    status.title = this.profile.updatedAt ? `Updated ${new Date(this.profile.updatedAt).toLocaleString()}` : '';
+  }
+
+  async buildProfileFromActiveTab() {
+    const activeTab = this.tabs.find(tab => tab.id === this.activeTabId);
+    if (!activeTab || !activeTab.content.trim()) {
+      alert('Please select or upload a document first.');
+      return;
+    }
+    if (this.profile && !confirm('Replace the current profile with one built from this document?')) {
+      return;
+    }
+
+    this.profile = await this.profileStore.save(this.profileStore.buildFromText(activeTab.content, activeTab));
+    this.renderProfileStatus();
+
+    // Open the editor so the user can review what was extracted
+    document.getElementById('profilePanel').style.display = 'block';
+    this.renderProfileEditor();
+  }
+
+  toggleProfileEditor() {
+    const panel = document.getElementById('profilePanel');
+    const opening = panel.style.display === 'none';
+    panel.style.display = opening ? 'block' : 'none';
+    if (opening) this.renderProfileEditor();
+  }
+
+  /**
+   * Render editable inputs for every attribute in ProfileStore.SCHEMA.
+   * Inputs carry their attribute path in data-path (e.g. "work.0.title").
+   */
+  renderProfileEditor() {
+    const editor = document.getElementById('profileEditor');
+    const profile = this.profile || ProfileStore.emptyProfile();
+    editor.innerHTML = '';
+
+    const makeInput = (path, labelText, value, multiline) => {
+      const group = document.createElement('div');
+      group.className = 'form-group';
+      const label = document.createElement('label');
+      label.textContent = labelText;
+      const input = document.createElement(multiline ? 'textarea' : 'input');
+      if (!multiline) input.type = 'text';
+      input.dataset.path = path;
+      input.value = value == null ? '' : value;
+      group.appendChild(label);
+      group.appendChild(input);
+      return group;
+    };
+    const isMultiline = (key) => key === 'summary' || key === 'highlights';
+
+    Object.entries(ProfileStore.SCHEMA).forEach(([sectionKey, section]) => {
+      const wrap = document.createElement('div');
+      wrap.className = 'profile-section';
+      const heading = document.createElement('h4');
+      heading.textContent = section.label;
+      wrap.appendChild(heading);
+
+      if (section.tags) {
+        wrap.appendChild(makeInput(sectionKey, 'Comma-separated', (profile[sectionKey] || []).join(', '), true));
+      } else if (section.list) {
+        (profile[sectionKey] || []).forEach((record, i) => {
+          const recordEl = document.createElement('div');
+          recordEl.className = 'profile-record';
+          Object.entries(section.fields).forEach(([key, labelText]) => {
+            recordEl.appendChild(makeInput(`${sectionKey}.${i}.${key}`, labelText, record[key], isMultiline(key)));
+          });
+          const removeBtn = document.createElement('button');
+          removeBtn.className = 'mini-btn';
+          removeBtn.textContent = 'Remove';
+          removeBtn.addEventListener('click', () => {
+            this.profile = this.readProfileEditor();
+            this.profile[sectionKey].splice(i, 1);
+            this.renderProfileEditor();
+          });
+          recordEl.appendChild(removeBtn);
+          wrap.appendChild(recordEl);
+        });
+        const addBtn = document.createElement('button');
+        addBtn.className = 'mini-btn';
+        addBtn.textContent = `+ Add`;
+        addBtn.addEventListener('click', () => {
+          this.profile = this.readProfileEditor();
+          this.profile[sectionKey].push(Object.fromEntries(Object.keys(section.fields).map(k => [k, ''])));
+          this.renderProfileEditor();
+        });
+        wrap.appendChild(addBtn);
+      } else {
+        Object.entries(section.fields).forEach(([key, labelText]) => {
+          wrap.appendChild(makeInput(`${sectionKey}.${key}`, labelText, (profile[sectionKey] || {})[key], isMultiline(key)));
+        });
+      }
+
+      editor.appendChild(wrap);
+    });
+  }
+
+  readProfileEditor() {
+    const profile = JSON.parse(JSON.stringify(this.profile || ProfileStore.emptyProfile()));
+    document.querySelectorAll('#profileEditor [data-path]').forEach(input => {
+      const parts = input.dataset.path.split('.');
+      const section = ProfileStore.SCHEMA[parts[0]];
+      if (section.tags) {
+        profile[parts[0]] = input.value.split(',').map(v => v.trim()).filter(Boolean);
+        return;
+      }
+      let target = profile;
+      parts.slice(0, -1).forEach(key => {
+        target = target[key];
+      });
+      target[parts[parts.length - 1]] = input.value.trim();
+    });
+    return profile;
+  }
+
+  async saveProfile() {
+    this.profile = await this.profileStore.save(this.readProfileEditor());
+    this.renderProfileStatus();
+
+    document.getElementById('profileSaveStatus').textContent = 'Profile saved!';
+    setTimeout(() => {
+      document.getElementById('profileSaveStatus').textContent = '';
+    }, 2000);
+  }
+
+  async deleteProfile() {
+    if (!confirm('Delete the saved profile? Forms will be filled from the raw document text.')) return;
+    await this.profileStore.clear();
+    this.profile = null;
+    this.renderProfileStatus();
+    document.getElementById('profilePanel').style.display = 'none';
+  }
+
+  toggleLearnedPanel() {
+    const panel = document.getElementById('learnedPanel');
+    const opening = panel.style.display === 'none';
+    panel.style.display = opening ? 'block' : 'none';
+    if (opening) this.renderLearned();
+  }
+
+  /**
+   * List learned mappings grouped by site, each with a delete button.
+   */
+  async renderLearned() {
+    const list = document.getElementById('learnedList');
+    const all = await this.learnedMappings.loadAll();
+    list.innerHTML = '';
+
+    const origins = Object.keys(all).sort();
+    if (!origins.length) {
+      const empty = document.createElement('div');
+      empty.className = 'learned-empty';
+      empty.textContent = 'Nothing learned yet. Corrections and rejected fields are remembered per site.';
+      list.appendChild(empty);
+      return;
+    }
+
+    origins.forEach(origin => {
+      const site = document.createElement('div');
+      site.className = 'learned-site';
+      const header = document.createElement('div');
+      header.className = 'learned-site-header';
+      const name = document.createElement('span');
+      name.textContent = origin.replace(/^https?:\/\//, '');
+      name.title = origin;
+      const forgetSite = document.createElement('button');
+      forgetSite.className = 'mini-btn';
+      forgetSite.textContent = 'Forget site';
+      forgetSite.addEventListener('click', async () => {
+        if (!confirm(`Forget everything learned on ${origin}?`)) return;
+        await this.learnedMappings.forgetOrigin(origin);
+        this.renderLearned();
+      });
+      header.appendChild(name);
+      header.appendChild(forgetSite);
+      site.appendChild(header);
+
+      Object.entries(all[origin]).forEach(([stableKey, entry]) => {
+        const row = document.createElement('div');
+        row.className = 'learned-entry';
+        const text = document.createElement('span');
+        text.className = 'learned-entry-text';
+        text.textContent = `${entry.label}: ${this.describeLearnedEntry(entry)}`;
+        text.title = `${text.textContent}\nLearned ${new Date(entry.updatedAt).toLocaleString()}`;
+        const remove = document.createElement('button');
+        remove.className = 'mini-btn';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', async () => {
+          await this.learnedMappings.forget(origin, stableKey);
+          this.renderLearned();
+        });
+        row.appendChild(text);
+        row.appendChild(remove);
+        site.appendChild(row);
+      });
+      list.appendChild(site);
+    });
+  }
+
+  describeLearnedEntry(entry) {
+    if (entry.skip) return 'leave empty';
+    if (entry.profilePath) return `profile → ${entry.profilePath}`;
+    return `"${Array.isArray(entry.value) ? entry.value.join(', ') : entry.value}"`;
+  }
+
+  handleFiles(files) {
+    Array.from(files).forEach(file => {
+      const lowerName = file.name.toLowerCase();
+      if (file.type.startsWith('text/') || lowerName.endsWith('.txt')) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+          this.addTab(file.name, e.target.result, file);
+        };
+        reader.readAsText(file);
+      } else if (file.type === 'application/pdf' || lowerName.endsWith('.pdf')) {
+        this.importDocument(file, new PdfTextExtractor());
+      } else if (/\.(docx|odt|doc)$/.test(lowerName)) {
+        this.importDocument(file, new OfficeTextExtractor());
+      } else {
+        this.showNotification(`❌ ${file.name}: unsupported file type`, 'error');
+      }
+    });
+  }
+
+  async importDocument(file, extractor) {
+    try {
+      const text = await extractor.extract(await file.arrayBuffer(), file.name);
+      this.addTab(file.name, text, file);
+    } catch (e) {
+      console.error(`Import of ${file.name} failed:`, e);
+      this.showNotification(`❌ ${file.name}: ${e.message}`, 'error');
+    }
+  }
+
+  addTab(name, content, sourceFile = null) {
+    const tabId = `tab-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    
+    this.tabs.push({
+      id: tabId,
+      name: name.length > 20 ? name.substring(0, 20) + '...' : name,
+      content: content
+    });
+
+    this.renderTabs();
+    this.setActiveTab(tabId);
+    this.saveTabs();
+    if (sourceFile) this.storeTabSource(tabId, sourceFile);
+  }
+
+  /**
+   * Keep the uploaded file itself so it can be attached to upload fields.
+   * Stored apart from `tabs`, which is rewritten on every keystroke.
+   */
+  async storeTabSource(tabId, file) {
+    if (file.size > 4 * 1024 * 1024) return; // stay well inside the storage quota
+    try {
+      const data = this.toBase64(new Uint8Array(await file.arrayBuffer()));
+      await chrome.storage.local.set({
+        [`tabSource_${tabId}`]: { name: file.name, type: file.type || this.guessMimeType(file.name), data }
+      });
+    } catch (e) {
+      console.error(`Could not keep ${file.name} for attachments:`, e);
+    }
+  }
+
+  guessMimeType(fileName) {
+    const types = {
+      pdf: 'application/pdf',
+      docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      odt: 'application/vnd.oasis.opendocument.text',
+      doc: 'application/msword',
+      txt: 'text/plain'
+    };
+    return types[(fileName.split('.').pop() || '').toLowerCase()] || 'application/octet-stream';
+  }
+
+  toBase64(bytes) {
+    let s = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(s);
+  }
+
+  renderTabs() {
+    const tabsHeader = document.getElementById('tabsHeader');
+    const tabsContent = document.getElementById('tabsContent');
+
+    // Always keep the New Tab button
+    const newTabButton = '<button id="newTabBtn" class="new-tab-button" title="Create new empty tab"><span>+ New Tab</span></button>';
+
+    if (this.tabs.length === 0) {
+      tabsHeader.innerHTML = newTabButton + '<div style="padding: 10px; color: #999; display: inline-block;">No documents uploaded</div>';
+      tabsContent.innerHTML = '';
+      // Re-attach event listener
+      document.getElementById('newTabBtn').addEventListener('click', () => this.createNewEmptyTab());
+      return;
+    }
+
+    tabsHeader.innerHTML = newTabButton + this.tabs.map(tab => `
+      <button class="tab-button ${tab.id === this.activeTabId ? 'active' : ''}" data-tab="${tab.id}">
+        <span>${tab.name}</span>
+        <button class="tab-close" data-tab="${tab.id}">×</button>
+      </button>
+    `).join('');
+
+    tabsContent.innerHTML = this.tabs.map(tab => `
+      <div class="tab-panel ${tab.id === this.activeTabId ? 'active' : ''}" data-tab="${tab.id}">
+        <textarea class="editable-content" data-tab="${tab.id}" placeholder="Enter or edit text here...">${tab.content}</textarea>
+      </div>
+    `).join('');
+
+    // Re-attach all event listeners
+    document.getElementById('newTabBtn').addEventListener('click', () => this.createNewEmptyTab());
+
+    document.querySelectorAll('.tab-button').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        if (!e.target.classList.contains('tab-close')) {
+          this.setActiveTab(btn.dataset.tab);
+        }
+      });
+    });
+
+    document.querySelectorAll('.tab-close').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.removeTab(btn.dataset.tab);
+      });
+    });
+
+    document.querySelectorAll('.editable-content').forEach(textarea => {
+      textarea.addEventListener('input', (e) => {
+        const tab = this.tabs.find(t => t.id === e.target.dataset.tab);
+        if (tab) {
+          tab.content = e.target.value;
+          this.saveTabs();
+        }
+      });
+    });
+  }
+
+  setActiveTab(tabId) {
+    this.activeTabId = tabId;
+    
+    document.querySelectorAll('.tab-button').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.tab === tabId);
+    });
+    
+    document.querySelectorAll('.tab-panel').forEach(panel => {
+      panel.classList.toggle('active', panel.dataset.tab === tabId);
+    });
+  }
+
+  removeTab(tabId) {
+    this.tabs = this.tabs.filter(tab => tab.id !== tabId);
+    chrome.storage.local.remove(`tabSource_${tabId}`);
+    
+    if (this.activeTabId === tabId && this.tabs.length > 0) {
+      this.activeTabId = this.tabs[0].id;
+    } else if (this.tabs.length === 0) {
+      this.activeTabId = null;
+    }
+    
+    this.renderTabs();
+    this.saveTabs();
+  }
+
+  clearAllTabs() {
+    if (confirm('Are you sure you want to clear all documents?')) {
+      chrome.storage.local.remove(this.tabs.map(tab => `tabSource_${tab.id}`));
+      this.tabs = [];
+      this.activeTabId = null;
+      this.renderTabs();
+      this.saveTabs();
+    }
+  }
+
+  saveTabs() {
+    chrome.storage.local.set({ 
+      tabs: this.tabs,
+      activeTabId: this.activeTabId 
+    });
+  }
+
+  loadSavedTabs() {
+    chrome.storage.local.get(['tabs', 'activeTabId'], (result) => {
+      if (result.tabs && result.tabs.length > 0) {
+        this.tabs = result.tabs;
+        this.activeTabId = result.activeTabId || this.tabs[0].id;
+        this.renderTabs();
+        this.setActiveTab(this.activeTabId);
+      } else {
+        // Still render to show the New Tab button
+        this.renderTabs();
+      }
+    });
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new AIFormFiller();
 });
\ No newline at end of file
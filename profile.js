@@ -0,0 +1,626 @@
+// profile.js
+
+/**
+ * ProfileStore turns a document tab (usually a resume) into typed, editable
+ * records and keeps them in chrome.storage.local under `profile`.
+ * It is shared by the popup (building and editing) and the content script
+ * (resolving form fields to profile attributes before any AI call).
+ */
+class ProfileStore {
+  constructor() {
+    this.storageKey = 'profile';
+  }
+
+  /**
+   * Describes every section and attribute. The popup editor is rendered from
+   * this schema, so adding an attribute here is enough to make it editable.
+   */
+  static get SCHEMA() {
+    return {
+      identity: {
+        label: 'Identity',
+        fields: {
+          fullName: 'Full name',
+          firstName: 'First name',
+          lastName: 'Last name',
+          headline: 'Headline',
+          age: 'Age',
+          summary: 'Summary'
+        }
+      },
+      contact: {
+        label: 'Contact',
+        fields: {
+          email: 'E-mail'
+        }
+      },
+      phones: {
+        label: 'Phone numbers',
+        list: true,
+        fields: {
+          number: 'Number',
+          label: 'Label (mobile/work/home)'
+        }
+      },
+      address: {
+        label: 'Address',
+        fields: {
+          street: 'Street address',
+          street2: 'Address line 2',
+          city: 'City',
+          state: 'State / Province',
+          postalCode: 'Postal / Zip code',
+          country: 'Country',
+          location: 'Location (as written)'
+        }
+      },
+      links: {
+        label: 'Links',
+        fields: {
+          linkedin: 'LinkedIn',
+          github: 'GitHub',
+          portfolio: 'Portfolio / Website'
+        }
+      },
+      work: {
+        label: 'Work history',
+        list: true,
+        fields: {
+          title: 'Title',
+          company: 'Company',
+          start: 'Start',
+          end: 'End',
+          highlights: 'Highlights'
+        }
+      },
+      education: {
+        label: 'Education',
+        list: true,
+        fields: {
+          degree: 'Degree',
+          field: 'Field of study',
+          institution: 'Institution',
+          start: 'Start',
+          end: 'End'
+        }
+      },
+      languages: {
+        label: 'Languages',
+        list: true,
+        fields: {
+          language: 'Language',
+          level: 'Level'
+        }
+      },
+      skills: {
+        label: 'Skills',
+        tags: true
+      }
+    };
+  }
+
+  static emptyProfile() {
+    return {
+      version: 1,
+      source: null,
+      identity: { fullName: '', firstName: '', lastName: '', headline: '', age: '', summary: '' },
+      contact: { email: '' },
+      phones: [],
+      address: { street: '', street2: '', city: '', state: '', postalCode: '', country: '', location: '' },
+      links: { linkedin: '', github: '', portfolio: '' },
+      work: [],
+      education: [],
+      languages: [],
+      skills: []
+    };
+  }
+
+  async load() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    const stored = result[this.storageKey];
+    if (!stored) return null;
+    // Merge over an empty profile so records saved by older versions still have every section
+    return { ...ProfileStore.emptyProfile(), ...stored };
+  }
+
+  async save(profile) {
+    profile.updatedAt = new Date().toISOString();
+    await chrome.storage.local.set({ [this.storageKey]: profile });
+    return profile;
+  }
+
+  async clear() {
+    await chrome.storage.local.remove(this.storageKey);
+  }
+
+  /**
+   * Build a profile from free-form document text.
+   * @param {string} text - The document tab content.
+   * @param {{id: string, name: string}} [sourceTab] - The tab the text came from.
+   */
+  buildFromText(text, sourceTab = null) {
+    const profile = ProfileStore.emptyProfile();
+    profile.source = sourceTab ? { tabId: sourceTab.id, name: sourceTab.name, builtAt: new Date().toISOString() } : null;
+
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n').map(l => l.trim());
+    const { header, sections } = this.splitSections(lines);
+
+    this.parseIdentity(header, profile);
+    this.parseContact(lines, profile);
+    this.parseLinks(text, profile);
+    this.parseAddress(lines, header, profile);
+
+    sections.forEach(section => {
+      const kind = this.classifyHeading(section.heading);
+      if (kind === 'work') profile.work.push(...this.parseWork(section.lines));
+      if (kind === 'education') profile.education.push(...this.parseEducation(section.lines));
+      if (kind === 'languages') profile.languages.push(...this.parseLanguageList(section.lines));
+      if (kind === 'skills') profile.skills.push(...this.parseSkills(section.lines));
+      if (kind === 'summary' && !profile.identity.summary) {
+        profile.identity.summary = section.lines.filter(Boolean).map(l => l.replace(/^[-•*▪]\s*/, '')).join(' ').slice(0, 1500);
+      }
+    });
+
+    // Resumes without headed sections still often list "YYYY-YYYY: Title, Company" lines
+    if (!profile.work.length) profile.work = this.parseWork(lines);
+
+    if (!profile.languages.length) profile.languages = this.parseInlineLanguages(lines);
+    profile.skills = this.dedupe(profile.skills.filter(s => !profile.languages.some(l => this.norm(l.language) === this.norm(s))));
+
+    if (!profile.identity.summary) {
+      const paragraph = header.find(l => l.length > 200);
+      if (paragraph) profile.identity.summary = paragraph;
+    }
+
+    return profile;
+  }
+
+  /**
+   * Split lines into the header block and headed sections. A heading is a short
+   * line written in capitals, optionally ending with a colon (e.g. "EDUCATION:").
+   */
+  splitSections(lines) {
+    const header = [];
+    const sections = [];
+    let current = null;
+
+    lines.forEach(line => {
+      if (this.isHeading(line)) {
+        current = { heading: line.replace(/:\s*$/, '').trim(), lines: [] };
+        sections.push(current);
+      } else if (current) {
+        current.lines.push(line);
+      } else {
+        header.push(line);
+      }
+    });
+
+    return { header, sections };
+  }
+
+  isHeading(line) {
+    if (!line || line.length > 60) return false;
+    const letters = line.replace(/[^A-Za-z]/g, '');
+    if (letters.length < 4) return false;
+    return letters === letters.toUpperCase() && !/\d{4}/.test(line) && !/@/.test(line);
+  }
+
+  classifyHeading(heading) {
+    const h = heading.toLowerCase();
+    if (/experience|employment|work history|career/.test(h)) return 'work';
+    if (/education|academic|qualification.*degree/.test(h)) return 'education';
+    if (/language/.test(h)) return 'languages';
+    if (/skill|proficienc|competenc|technolog/.test(h)) return 'skills';
+    if (/summary|profile|about|objective/.test(h)) return 'summary';
+    return 'other';
+  }
+
+  parseIdentity(header, profile) {
+    const nonEmpty = header.filter(Boolean);
+    const nameIdx = nonEmpty.findIndex(l => this.looksLikeName(l));
+    if (nameIdx !== -1) {
+      const fullName = nonEmpty[nameIdx].replace(/^(mr|mrs|ms|miss|dr)\.?\s+/i, '').trim();
+      const parts = fullName.split(/\s+/);
+      profile.identity.fullName = fullName;
+      profile.identity.firstName = parts[0] || '';
+      profile.identity.lastName = parts.length > 1 ? parts[parts.length - 1] : '';
+    }
+
+    nonEmpty.forEach((line, i) => {
+      const age = line.match(/^(\d{2})\s*(?:y\.?\s*o\.?|years? old)$/i);
+      if (age && !profile.identity.age) {
+        profile.identity.age = age[1];
+        return;
+      }
+      if (i > nameIdx && !profile.identity.headline && nameIdx !== -1 &&
+          line.length < 120 && /[A-Za-z]{3}/.test(line) && !/\d{3}|@|https?:/i.test(line) &&
+          !/,\s*remote$/i.test(line)) {
+        profile.identity.headline = line;
+      }
+    });
+  }
+
+  looksLikeName(line) {
+    if (line.length > 40 || /\d|@|:/.test(line)) return false;
+    const words = line.replace(/^(mr|mrs|ms|miss|dr)\.?\s+/i, '').split(/\s+/);
+    return words.length >= 2 && words.length <= 4 && words.every(w => /^[A-ZÀ-ɏ][\wÀ-ɏ'’.-]*$/.test(w));
+  }
+
+  parseContact(lines, profile) {
+    const emailMatch = lines.join('\n').match(/[\w._%+-]+@[\w.-]+\.[A-Za-z]{2,}/);
+    if (emailMatch) profile.contact.email = emailMatch[0];
+
+    const seen = new Set();
+    lines.forEach(line => {
+      const candidates = line.match(/\+?\d[\d\s().-]{7,}\d/g) || [];
+      candidates.forEach(candidate => {
+        const digits = candidate.replace(/\D/g, '');
+        // Year ranges such as "2001-2010" look like numbers but are never 9+ digits
+        if (digits.length < 9 || digits.length > 15 || seen.has(digits)) return;
+        seen.add(digits);
+        profile.phones.push({ number: candidate.trim(), label: this.phoneLabel(line) });
+      });
+    });
+  }
+
+  phoneLabel(line) {
+    const l = line.toLowerCase();
+    if (/mobile|cell|whatsapp|telegram/.test(l)) return 'mobile';
+    if (/work|office|business/.test(l)) return 'work';
+    if (/home/.test(l)) return 'home';
+    return '';
+  }
+
+  parseLinks(text, profile) {
+    const urls = String(text || '').match(/(?:https?:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}\/[^\s,;)]*/gi) || [];
+    urls.forEach(raw => {
+      const url = /^https?:\/\//i.test(raw) ? raw : `https://${raw}`;
+      if (/linkedin\.com/i.test(url)) profile.links.linkedin = profile.links.linkedin || url;
+      else if (/github\.com/i.test(url)) profile.links.github = profile.links.github || url;
+      else profile.links.portfolio = profile.links.portfolio || url;
+    });
+  }
+
+  parseAddress(lines, header, profile) {
+    const labelled = {
+      street: /^(?:address|street)\s*[:\-]\s*(.+)$/i,
+      city: /^city\s*[:\-]\s*(.+)$/i,
+      state: /^(?:state|province|region)\s*[:\-]\s*(.+)$/i,
+      postalCode: /^(?:zip|postal(?:\s*code)?|postcode)\s*[:\-]\s*(.+)$/i,
+      country: /^country\s*[:\-]\s*(.+)$/i
+    };
+    lines.forEach(line => {
+      Object.entries(labelled).forEach(([key, re]) => {
+        const m = line.match(re);
+        if (m && !profile.address[key]) profile.address[key] = m[1].trim();
+      });
+    });
+
+    // "Springfield, IL 62704" style city/state/zip line
+    if (!profile.address.city) {
+      for (const line of lines) {
+        const m = line.match(/^([A-Za-z .'-]+),\s*([A-Z]{2})\s+(\d{5}(?:-\d{4})?)$/);
+        if (m) {
+          profile.address.city = m[1].trim();
+          profile.address.state = m[2];
+          profile.address.postalCode = m[3];
+          break;
+        }
+      }
+    }
+
+    // Free-form location lines in the header ("European Union, Remote")
+    const location = header.find(l => /,/.test(l) && l.length < 80 && !/\d{3}|@/.test(l) &&
+      /\b(remote|relocat|based|[A-Z][a-z]+,\s*[A-Z])/.test(l) && !this.looksLikeName(l));
+    if (location) profile.address.location = location;
+  }
+
+  parseWork(lines) {
+    const entries = [];
+    let current = null;
+    const rangeRe = /^(\d{4}|\w{3,9}\.?\s+\d{4})\s*(?:[-–—]|to)\s*(\d{4}|\w{3,9}\.?\s+\d{4}|present|current|now)\s*[:,|-]?\s*(.*)$/i;
+
+    lines.forEach(line => {
+      const m = line.match(rangeRe);
+      if (m && m[3]) {
+        const current_ = /present|current|now/i.test(m[2]);
+        const { title, company } = this.splitTitleCompany(m[3]);
+        current = {
+          title,
+          company,
+          start: m[1],
+          end: current_ ? '' : m[2],
+          current: current_,
+          highlights: ''
+        };
+        entries.push(current);
+        return;
+      }
+      if (current && /^[-•*▪]\s*/.test(line)) {
+        const bullet = line.replace(/^[-•*▪]\s*/, '');
+        current.highlights = current.highlights ? `${current.highlights}\n${bullet}` : bullet;
+      }
+    });
+
+    return entries;
+  }
+
+  splitTitleCompany(text) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    const at = clean.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+    if (at) return { title: at[1].trim(), company: at[2].trim() };
+    const comma = clean.lastIndexOf(',');
+    if (comma !== -1) {
+      return { title: clean.slice(0, comma).trim(), company: clean.slice(comma + 1).trim() };
+    }
+    return { title: clean, company: '' };
+  }
+
+  parseEducation(lines) {
+    const entries = [];
+    lines.filter(Boolean).forEach(line => {
+      const text = line.replace(/^[-•*▪]\s*/, '');
+      const years = text.match(/\b(19|20)\d{2}\b/g) || [];
+      const withoutYears = text.replace(/\(?\b(?:19|20)\d{2}\b\s*(?:[-–—]\s*(?:\b(?:19|20)\d{2}\b|present))?\)?/gi, '').trim();
+
+      let degree = withoutYears;
+      let field = '';
+      let institution = '';
+
+      const paren = withoutYears.match(/^(.+?)\s*\((.+)\)\s*$/);
+      if (paren) {
+        degree = paren[1];
+        institution = paren[2];
+      } else {
+        const parts = withoutYears.split(/\s*[,|–—]\s*/);
+        if (parts.length > 1) {
+          degree = parts[0];
+          institution = parts.slice(1).join(', ');
+        }
+      }
+
+      const inField = degree.match(/^(.+)\s+in\s+([A-Z].+)$/);
+      if (inField && /bachelor|master|doctor|ph\.?d|associate|diploma|b\.?sc?|m\.?sc?|mba|degree/i.test(inField[1])) {
+        degree = inField[1];
+        field = inField[2];
+      }
+
+      entries.push({
+        degree: degree.trim(),
+        field: field.trim(),
+        institution: institution.trim(),
+        start: years.length > 1 ? years[0] : '',
+        end: years.length ? years[years.length - 1] : ''
+      });
+    });
+    return entries.filter(e => e.degree || e.institution);
+  }
+
+  parseLanguageList(lines) {
+    const entries = [];
+    lines.filter(Boolean).forEach(line => {
+      const text = line.replace(/^[-•*▪]\s*/, '');
+      const inline = this.parseInlineLanguages([text]);
+      if (inline.length) {
+        entries.push(...inline);
+        return;
+      }
+      const m = text.match(/^([A-Z][\wÀ-ɏ]+)\s*[:\-–—]\s*(.+)$/);
+      if (m) entries.push({ language: m[1], level: m[2].trim() });
+      else if (/^[A-Z][\wÀ-ɏ]+$/.test(text)) entries.push({ language: text, level: '' });
+    });
+    return entries;
+  }
+
+  /**
+   * Parse sentences such as "English (Advanced/C1), Romanian (Intermediate)".
+   */
+  parseInlineLanguages(lines) {
+    const entries = [];
+    lines.filter(l => /language|native|fluent|\b[ABC][12]\b/i.test(l)).forEach(line => {
+      const re = /([A-Z][a-zÀ-ɏ]+)\s*\(([^)]+)\)/g;
+      let m;
+      while ((m = re.exec(line)) !== null) {
+        if (/native|fluent|advanced|intermediate|basic|beginner|proficient|mother|[ABC][12]/i.test(m[2])) {
+          entries.push({ language: m[1], level: m[2].trim() });
+        }
+      }
+    });
+    return entries;
+  }
+
+  parseSkills(lines) {
+    const skills = [];
+    lines.filter(Boolean).forEach(line => {
+      let text = line.replace(/^[-•*▪]\s*/, '');
+      if (/language proficiency|upon request/i.test(text)) return;
+
+      // "Game Development: Strong experience in ..." → "Game Development"
+      const colon = text.match(/^([^:]{2,40}):\s+.{20,}$/);
+      if (colon) {
+        skills.push(colon[1].trim());
+        return;
+      }
+
+      text = text.replace(/\.$/, '');
+      this.splitOutsideParens(text).forEach(part => {
+        const skill = part.trim().replace(/^(?:and|including|such as|e\.g\.)\s+/i, '');
+        const words = skill.split(/\s+/).length;
+        // Sentence fragments ("Proficient in various ...") are prose, not skill names
+        if (/^(?:proficient|solid|strong|expertise|experience|knowledge)\b/i.test(skill)) return;
+        if (skill && words <= 6 && !/^(more|etc|others?)$/i.test(skill)) skills.push(skill);
+      });
+    });
+    return skills;
+  }
+
+  splitOutsideParens(text) {
+    const parts = [];
+    let depth = 0;
+    let buf = '';
+    for (const ch of text) {
+      if (ch === '(') depth++;
+      if (ch === ')') depth = Math.max(0, depth - 1);
+      if ((ch === ',' || ch === ';') && depth === 0) {
+        parts.push(buf);
+        buf = '';
+      } else {
+        buf += ch;
+      }
+    }
+    parts.push(buf);
+    return parts;
+  }
+
+  dedupe(list) {
+    const seen = new Set();
+    return list.filter(item => {
+      const key = this.norm(item);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  norm(s) {
+    return (s || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Read a dotted attribute path such as "work.0.title" or "skills".
+   */
+  get(profile, path) {
+    if (!profile || !path) return '';
+    const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), profile);
+    if (Array.isArray(value)) return value.filter(Boolean).join(', ');
+    return value == null ? '' : String(value);
+  }
+
+  /**
+   * Resolve a form field description to a profile attribute.
+   * @param {Object} profile - A profile produced by buildFromText / the editor.
+   * @param {{type: string, name: string, id: string, label: string, placeholder: string, autocomplete: string}} field
+   * @returns {{path: string, value: string}|null}
+   */
+  resolveField(profile, field) {
+    const path = this.pathForField(profile, field);
+    if (!path) return null;
+    const value = path === 'derived.experienceYears'
+      ? this.experienceYears(profile)
+      : this.get(profile, path);
+    return value ? { path, value } : null;
+  }
+
+  pathForField(profile, field) {
+    const ac = this.norm(field.autocomplete).split(' ').pop();
+    const byAutocomplete = {
+      'name': 'identity.fullName',
+      'given-name': 'identity.firstName',
+      'family-name': 'identity.lastName',
+      'email': 'contact.email',
+      'street-address': 'address.street',
+      'address-line1': 'address.street',
+      'address-line2': 'address.street2',
+      'address-level2': 'address.city',
+      'address-level1': 'address.state',
+      'postal-code': 'address.postalCode',
+      'country-name': 'address.country',
+      'country': 'address.country',
+      'organization': 'work.0.company',
+      'organization-title': 'work.0.title'
+    };
+    if (byAutocomplete[ac]) return byAutocomplete[ac];
+
+    const hint = [field.name, field.id, field.label, field.placeholder].map(s => this.norm(s)).join(' ');
+    // "mobile tel", "work tel": the autocomplete token before tel names the number too
+    if (ac === 'tel' || ac === 'tel-national') return this.phonePath(profile, `${this.norm(field.autocomplete)} ${hint}`);
+    if (field.type === 'phone') return this.phonePath(profile, hint);
+    const byType = {
+      firstName: 'identity.firstName',
+      lastName: 'identity.lastName',
+      fullName: 'identity.fullName',
+      name: 'identity.fullName',
+      email: 'contact.email',
+      address: 'address.street',
+      address2: 'address.street2',
+      city: 'address.city',
+      state: 'address.state',
+      zip: 'address.postalCode',
+      company: 'work.0.company'
+    };
+    if (byType[field.type]) return byType[field.type];
+
+    if (/linkedin/.test(hint)) return 'links.linkedin';
+    if (/github/.test(hint)) return profile.links.github ? 'links.github' : 'links.portfolio';
+    if (/portfolio|website|personal site/.test(hint)) return 'links.portfolio';
+    if (/country/.test(hint)) return 'address.country';
+    if (/job.?title|current title|position title|most recent.*title/.test(hint)) return 'work.0.title';
+    if (/years.*experience|experience.?years/.test(hint)) return 'derived.experienceYears';
+    if (/skill/.test(hint)) return 'skills';
+    if (/degree/.test(hint)) return 'education.0.degree';
+    if (/school|university|institution|college/.test(hint)) return 'education.0.institution';
+    if (/headline|summary|about you|introduction/.test(hint) && field.type === 'textarea') return 'identity.summary';
+    return null;
+  }
+
+  // The phone whose label matches the field's ("Mobile phone" -> the mobile number), else the first
+  phonePath(profile, hint) {
+    const label = this.phoneLabel(hint);
+    const index = label ? (profile.phones || []).findIndex(p => p.label === label) : -1;
+    return `phones.${Math.max(index, 0)}.number`;
+  }
+
+  /**
+   * The attribute path holding `value`, the reverse of get(). Used to
+   * remember a user's correction as "this profile attribute" rather than a copy.
+   * @returns {string|null}
+   */
+  pathForValue(profile, value) {
+    const wanted = this.norm(value);
+    if (!profile || !wanted) return null;
+    for (const [sectionKey, section] of Object.entries(ProfileStore.SCHEMA)) {
+      if (section.tags) {
+        if (this.norm(this.get(profile, sectionKey)) === wanted) return sectionKey;
+        continue;
+      }
+      const bases = section.list ? (profile[sectionKey] || []).map((_, i) => `${sectionKey}.${i}`) : [sectionKey];
+      for (const base of bases) {
+        const key = Object.keys(section.fields).find(k => this.norm(this.get(profile, `${base}.${k}`)) === wanted);
+        if (key) return `${base}.${key}`;
+      }
+    }
+    return null;
+  }
+
+  experienceYears(profile) {
+    const starts = (profile.work || [])
+      .map(w => parseInt(String(w.start || '').match(/\d{4}/)?.[0], 10))
+      .filter(n => !isNaN(n));
+    if (!starts.length) return '';
+    return String(new Date().getFullYear() - Math.min(...starts));
+  }
+
+  /**
+   * Compact JSON for prompts: drops empty attributes and records.
+   */
+  toPromptJson(profile) {
+    const prune = (value) => {
+      if (Array.isArray(value)) {
+        const arr = value.map(prune).filter(v => v !== undefined);
+        return arr.length ? arr : undefined;
+      }
+      if (value && typeof value === 'object') {
+        const out = {};
+        Object.entries(value).forEach(([k, v]) => {
+          const p = prune(v);
+          if (p !== undefined) out[k] = p;
+        });
+        return Object.keys(out).length ? out : undefined;
+      }
+      if (value === '' || value == null || value === false) return undefined;
+      return value;
+    };
+    const { source, version, updatedAt, ...records } = profile;
+    return JSON.stringify(prune(records) || {});
+  }
+}
@@ -0,0 +1,208 @@
+// providers.js
+
+/**
+ * Chat-completion providers. Every provider speaks the OpenAI-compatible
+ * `/chat/completions` protocol, so presets only differ in their defaults;
+ * "custom" covers any other compatible server.
+ * Loaded by the background service worker (which makes the calls) and by the
+ * popup (which edits the settings).
+ */
+const PROVIDER_PRESETS = {
+  huggingface: {
+    label: 'HuggingFace Router',
+    baseUrl: 'https://router.huggingface.co/v1',
+    model: 'meta-llama/Llama-3.2-3B-Instruct:novita'
+  },
+  openai: {
+    label: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini'
+  },
+  ollama: {
+    label: 'Ollama (local)',
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.2'
+  },
+  llamacpp: {
+    label: 'llama.cpp server (local)',
+    baseUrl: 'http://localhost:8080/v1',
+    model: 'default'
+  },
+  vllm: {
+    label: 'vLLM (local)',
+    baseUrl: 'http://localhost:8000/v1',
+    model: ''
+  },
+  custom: {
+    label: 'Custom OpenAI-compatible',
+    baseUrl: '',
+    model: ''
+  }
+};
+
+const DEFAULT_SAMPLING = {
+  temperature: 0.3,
+  maxTokens: 1000,
+  topP: 1
+};
+
+/**
+ * A configured OpenAI-compatible chat endpoint.
+ */
+class ChatProvider {
+  /**
+   * @param {{preset: string, baseUrl: string, model: string,
+   *          temperature: number, maxTokens: number, topP: number}} config
+   */
+  constructor(config) {
+    this.config = config;
+    this.preset = PROVIDER_PRESETS[config.preset] || PROVIDER_PRESETS.custom;
+  }
+
+  get label() {
+    return this.config.preset === 'custom' ? `Custom (${this.host() || 'no URL'})` : this.preset.label;
+  }
+
+  host() {
+    try {
+      return new URL(this.config.baseUrl).hostname;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * True when the endpoint is on this machine or the local network, i.e.
+   * prompts never leave for a third-party service.
+   */
+  isLocal() {
+    const host = this.host().replace(/^\[|\]$/g, '');
+    return host === 'localhost' || host === '::1' || host.endsWith('.localhost') || host.endsWith('.local') ||
+      /^127\./.test(host) || /^10\./.test(host) || /^192\.168\./.test(host) ||
+      /^172\.(1[6-9]|2\d|3[01])\./.test(host);
+  }
+
+  /**
+   * Summary used by CAPABILITIES and the popup status line. Remote endpoints
+   * always need a user key; only local servers may be called without one.
+   */
+  describe() {
+    return {
+      id: this.config.preset,
+      label: this.label,
+      model: this.config.model,
+      baseUrl: this.config.baseUrl,
+      local: this.isLocal(),
+      requiresKey: !this.isLocal()
+    };
+  }
+
+  validate() {
+    let url;
+    try {
+      url = new URL(this.config.baseUrl);
+    } catch (e) {
+      throw new Error('Provider base URL is missing or invalid');
+    }
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && this.isLocal())) {
+      throw new Error('Remote providers must use https:// (plain http is only allowed for local servers)');
+    }
+    if (!this.config.model) throw new Error('Provider model is not set');
+  }
+
+  /**
+   * Send a single-turn prompt and return the assistant's text.
+   * @param {string} prompt
+   * @param {string|null} apiKey - Key from the credential vault.
+   */
+  async complete(prompt, apiKey) {
+    this.validate();
+    if (!apiKey && !this.isLocal()) {
+      throw new Error(`No API key stored for ${this.label}`);
+    }
+    const url = `${this.config.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        model: this.config.model,
+        max_tokens: this.config.maxTokens,
+        temperature: this.config.temperature,
+        top_p: this.config.topP
+      })
+    });
+
+    if (response.status === 401) {
+      throw new Error(`Authentication failed (401): Invalid API key for ${this.label}`);
+    }
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`${this.label} API error: ${response.status} - ${text}`);
+    }
+
+    const result = await response.json();
+    // Extract the actual message content from the chat completion response
+    if (result.choices && result.choices[0] && result.choices[0].message) {
+      return result.choices[0].message.content;
+    }
+    return JSON.stringify(result);
+  }
+}
+
+/**
+ * Loads and saves the provider configuration in chrome.storage.local under
+ * `providerConfig`, migrating the older `hfModel` key. API keys are not part
+ * of the configuration; they live in the CredentialVault (vault.js), which
+ * takes plaintext keys left by older versions out of local storage.
+ */
+class ProviderSettings {
+  static defaults(presetId = 'huggingface') {
+    const preset = PROVIDER_PRESETS[presetId] || PROVIDER_PRESETS.custom;
+    return {
+      preset: presetId,
+      baseUrl: preset.baseUrl,
+      model: preset.model,
+      ...DEFAULT_SAMPLING
+    };
+  }
+
+  static async load() {
+    const result = await chrome.storage.local.get(['providerConfig', 'hfModel']);
+    if (result.providerConfig) {
+      const { apiKey, ...config } = result.providerConfig;
+      return { ...ProviderSettings.defaults(config.preset), ...config };
+    }
+    const config = ProviderSettings.defaults('huggingface');
+    if (result.hfModel) config.model = result.hfModel;
+    return config;
+  }
+
+  static async save(config) {
+    const clean = {
+      preset: PROVIDER_PRESETS[config.preset] ? config.preset : 'custom',
+      baseUrl: String(config.baseUrl || '').trim(),
+      model: String(config.model || '').trim(),
+      temperature: ProviderSettings.number(config.temperature, DEFAULT_SAMPLING.temperature, 0, 2),
+      maxTokens: Math.round(ProviderSettings.number(config.maxTokens, DEFAULT_SAMPLING.maxTokens, 1, 32768)),
+      topP: ProviderSettings.number(config.topP, DEFAULT_SAMPLING.topP, 0, 1)
+    };
+    await chrome.storage.local.set({ providerConfig: clean });
+    await chrome.storage.local.remove(['hfModel']);
+    return clean;
+  }
+
+  static number(value, fallback, min, max) {
+    const n = parseFloat(value);
+    if (isNaN(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+  }
+}
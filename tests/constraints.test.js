@@ -0,0 +1,85 @@
+// tests/constraints.test.js
+// Run with: node tests/constraints.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+vm.runInThisContext(`${fs.readFileSync(path.join(__dirname, '..', 'constraints.js'), 'utf8')}\nglobalThis.ValueShaper = ValueShaper;`);
+
+const shaper = new ValueShaper();
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+  } catch (error) {
+    failures++;
+    console.error(`FAIL ${name}: ${error.message}`);
+  }
+}
+
+const value = (text, constraints) => {
+  const shaped = shaper.shape(text, constraints);
+  return shaped && shaped.value;
+};
+
+check('numbers are taken from the text', () => {
+  assert.strictEqual(value('5+ years', { type: 'number' }), '5');
+  assert.strictEqual(value('1,200 employees', { type: 'number' }), '1200');
+  assert.strictEqual(value('3,5', { type: 'number', step: 'any' }), '3.5');
+  assert.strictEqual(shaper.shape('many', { type: 'number' }), null);
+});
+
+check('numbers are clamped to min and max', () => {
+  assert.strictEqual(value('25', { type: 'number', min: 0, max: 10 }), '10');
+  assert.strictEqual(value('-3', { type: 'number', min: 0, max: 10 }), '0');
+  assert.strictEqual(value('120', { type: 'range', min: 0, max: 100 }), '100');
+});
+
+check('numbers are rounded to the step, counted from min', () => {
+  assert.strictEqual(value('7', { type: 'number', step: 5 }), '5');
+  assert.strictEqual(value('8', { type: 'number', step: 5 }), '10');
+  assert.strictEqual(value('4', { type: 'number', min: 1, step: 2 }), '5');
+  assert.strictEqual(value('0.36', { type: 'number', step: 0.1 }), '0.4');
+  assert.strictEqual(value('2.7', { type: 'number' }), '3');
+  assert.strictEqual(value('2.75', { type: 'number', step: 'any' }), '2.75');
+});
+
+check('values are rewritten to fit the pattern', () => {
+  assert.strictEqual(value('ab 12 cd', { type: 'text', pattern: '[A-Z]{2}[0-9]{2}[A-Z]{2}' }), 'AB12CD');
+  assert.strictEqual(value('(555) 123-4567', { type: 'tel', pattern: '\\d{10}' }), '5551234567');
+  assert.strictEqual(value('12345', { type: 'text', pattern: '\\d{5}' }), '12345');
+});
+
+check('a value that cannot fit the pattern is kept and noted', () => {
+  const shaped = shaper.shape('hello', { type: 'text', pattern: '\\d{5}' });
+  assert.strictEqual(shaped.value, 'hello');
+  assert.strictEqual(shaped.note, 'does not match the required format');
+});
+
+check('an invalid pattern is ignored, as browsers do', () => {
+  assert.deepStrictEqual(shaper.shape('anything', { type: 'text', pattern: '[' }), { value: 'anything', note: null });
+});
+
+check('long values are cut at a word near the limit', () => {
+  const shaped = shaper.shape('Senior software engineer', { type: 'text', maxLength: 18 });
+  assert.strictEqual(shaped.value, 'Senior software');
+  assert.strictEqual(shaped.note, 'shortened to 18 characters');
+  assert.strictEqual(value('abcdefghij', { type: 'text', maxLength: 4 }), 'abcd');
+});
+
+check('email and url fields take the address out of the text', () => {
+  assert.strictEqual(value('Mail me at jane.doe@example.com please', { type: 'email' }), 'jane.doe@example.com');
+  assert.strictEqual(shaper.shape('no address', { type: 'email' }), null);
+  assert.strictEqual(value('github.com/jane', { type: 'url' }), 'https://github.com/jane');
+  assert.strictEqual(value('https://example.com/a).', { type: 'url' }), 'https://example.com/a');
+  assert.strictEqual(shaper.shape('see my profile', { type: 'url' }), null);
+});
+
+if (failures) {
+  console.error(`${failures} failed`);
+  process.exit(1);
+}
+console.log('constraints: all checks pass');
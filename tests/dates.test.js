@@ -0,0 +1,60 @@
+// tests/dates.test.js
+// Run with: node tests/dates.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// dates.js is a content script; give it the page globals it reads
+global.document = { documentElement: { lang: 'en-US' } };
+global.navigator = { language: 'en-US' };
+vm.runInThisContext(`${fs.readFileSync(path.join(__dirname, '..', 'dates.js'), 'utf8')}\nglobalThis.DateFormatter = DateFormatter;`);
+
+const formatter = new DateFormatter();
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+  } catch (error) {
+    failures++;
+    console.error(`FAIL ${name}: ${error.message}`);
+  }
+}
+
+// Suggestions are converted in the top frame and again when written: both must agree
+const masks = [
+  'DD.MM.YYYY', 'DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'YYYY/MM/DD', 'D.M.YYYY', 'M/D/YY',
+  'DD-MM-YY', 'MM/YY', 'MM YYYY', 'MM/YYYY', 'MM.YYYY', 'YYYY/MM', 'YYYY-MM'
+];
+const inputs = ['2024-01-15', '2024-01', '2017', 'March 2017', '15.01.2024', '2011 - 2017', '1999-12-31'];
+
+masks.forEach(mask => {
+  const dayFirst = mask.indexOf('D') !== -1 && mask.indexOf('D') < mask.indexOf('M');
+  [null, 'start', 'end'].forEach(role => {
+    const format = { kind: 'masked', mask, dayFirst, role };
+    inputs.forEach(input => {
+      check(`${mask} (${role || 'no role'}) "${input}"`, () => {
+        const once = formatter.convert(input, format);
+        assert.ok(once, 'converts');
+        assert.strictEqual(formatter.convert(once, format), once);
+      });
+    });
+  });
+});
+
+DateFormatter.INPUT_KINDS.forEach(kind => {
+  ['2024-01-15', '2024-01-15T09:30', '09:30'].forEach(input => {
+    const format = { kind, mask: null, dayFirst: false, role: null };
+    const once = formatter.convert(input, format);
+    if (!once) return; // A time has no date, and the other way round
+    check(`${kind} "${input}"`, () => assert.strictEqual(formatter.convert(once, format), once));
+  });
+});
+
+if (failures) {
+  console.error(`${failures} failed`);
+  process.exit(1);
+}
+console.log('dates: all round trips pass');
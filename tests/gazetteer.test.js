@@ -0,0 +1,92 @@
+// tests/gazetteer.test.js
+// Run with: node tests/gazetteer.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+vm.runInThisContext(`${fs.readFileSync(path.join(__dirname, '..', 'gazetteer.js'), 'utf8')}\nglobalThis.Gazetteer = Gazetteer;`);
+
+const gazetteer = new Gazetteer();
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+  } catch (error) {
+    failures++;
+    console.error(`FAIL ${name}: ${error.message}`);
+  }
+}
+
+// Just enough of a <select> for describe(): no form, so no country control beside it
+function select(name, pairs) {
+  const options = pairs.map(([value, text]) => ({ value, text }));
+  return {
+    tagName: 'SELECT',
+    name,
+    id: '',
+    options,
+    form: null,
+    ownerDocument: { querySelectorAll: () => [] },
+    getAttribute: () => null
+  };
+}
+
+const states = [['', 'Select a state'], ['AL', 'Alabama'], ['AK', 'Alaska'], ['AZ', 'Arizona'], ['CA', 'California'],
+  ['CO', 'Colorado'], ['NY', 'New York'], ['TX', 'Texas']];
+const countries = [['', 'Select a country'], ['US', 'United States'], ['CA', 'Canada'], ['DE', 'Germany'],
+  ['FR', 'France'], ['GB', 'United Kingdom'], ['JP', 'Japan']];
+
+check('a state select is described by its options', () => {
+  assert.deepStrictEqual(gazetteer.describe(select('region', states)), { kind: 'subdivision', select: true, country: 'US' });
+});
+
+check('"CA" in a state select is California, never Canada', () => {
+  const format = gazetteer.describe(select('state', states));
+  assert.strictEqual(gazetteer.matchOption(states.map(([value, text]) => ({ value, text })), 'CA', format), 'CA');
+  assert.strictEqual(gazetteer.resolve('CA', format).entry.name, 'California');
+});
+
+check('"CA" in a country select is Canada', () => {
+  const format = gazetteer.describe(select('country', countries));
+  assert.deepStrictEqual(format, { kind: 'country', select: true });
+  assert.strictEqual(gazetteer.matchOption(countries.map(([value, text]) => ({ value, text })), 'CA', format), 'CA');
+  assert.strictEqual(gazetteer.resolve('CA', format).entry.name, 'Canada');
+});
+
+check('countries match by code, alias and native name', () => {
+  assert.strictEqual(gazetteer.country('USA').entry.code, 'US');
+  assert.strictEqual(gazetteer.country('U.S.A.').entry.code, 'US');
+  assert.strictEqual(gazetteer.country('Deutschland').entry.code, 'DE');
+  assert.strictEqual(gazetteer.country('Korea, Republic of').entry.code, 'KR');
+  assert.strictEqual(gazetteer.country('United States (+1)').entry.code, 'US');
+  assert.strictEqual(gazetteer.country('Atlantis'), null);
+});
+
+check('subdivisions match by local name and respect the country', () => {
+  assert.strictEqual(gazetteer.subdivision('Bayern').entry.code, 'DE-BY');
+  assert.strictEqual(gazetteer.subdivision('Ontario Province').entry.code, 'CA-ON');
+  assert.strictEqual(gazetteer.subdivision('Ontario', 'US'), null);
+});
+
+check('text fields get names spelled out or codes as the field takes them', () => {
+  assert.strictEqual(gazetteer.convert('USA', { kind: 'country', style: 'name' }), 'United States');
+  assert.strictEqual(gazetteer.convert('Deutschland', { kind: 'country', style: 'name' }), 'Deutschland');
+  assert.strictEqual(gazetteer.convert('Germany', { kind: 'country', style: 'code', codeLength: 3 }), 'DEU');
+  assert.strictEqual(gazetteer.convert('California', { kind: 'subdivision', style: 'code', country: 'US' }), 'CA');
+  assert.strictEqual(gazetteer.convert('Narnia', { kind: 'country', style: 'name' }), null);
+});
+
+check('calling code selects are not countries', () => {
+  assert.strictEqual(gazetteer.kindOf('country code', null), null);
+  assert.strictEqual(gazetteer.kindOf('billing country', null), 'country');
+  assert.strictEqual(gazetteer.kindOf('', 'shipping address-level1'), 'subdivision');
+});
+
+if (failures) {
+  console.error(`${failures} failed`);
+  process.exit(1);
+}
+console.log('gazetteer: all checks pass');
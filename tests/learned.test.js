@@ -0,0 +1,57 @@
+// tests/learned.test.js
+// Run with: node tests/learned.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// chrome.storage.local as the extension sees it: values are copied in and out
+const local = {};
+global.chrome = {
+  storage: {
+    local: {
+      get: async (keys) => Object.fromEntries(keys.filter(k => k in local).map(k => [k, structuredClone(local[k])])),
+      set: async (items) => { Object.entries(items).forEach(([k, v]) => { local[k] = structuredClone(v); }); }
+    }
+  }
+};
+vm.runInThisContext(`${fs.readFileSync(path.join(__dirname, '..', 'learned.js'), 'utf8')}\nglobalThis.LearnedMappings = LearnedMappings;`);
+
+const origin = 'https://jobs.example.com';
+
+(async () => {
+  const learned = new LearnedMappings();
+
+  // Quick corrections in a row all land: writes are chained, not raced
+  learned.record(origin, 'k_email', { cssPath: 'form > input:nth-of-type(2)', label: 'Email', profilePath: 'contact.email' });
+  learned.record(origin, 'k_title', { cssPath: 'form > input:nth-of-type(5)', label: 'Title', value: 'CTO' });
+  await learned.record(origin, 'k_fax', { cssPath: 'form > input:nth-of-type(9)', label: 'Fax', skip: true });
+  const mappings = await learned.forOrigin(origin);
+  assert.deepStrictEqual(Object.keys(mappings).sort(), ['k_email', 'k_fax', 'k_title']);
+  assert.ok(mappings.k_title.updatedAt);
+
+  // By stable key first, then by CSS path when the layout shifted the key
+  assert.strictEqual(learned.find(mappings, { stableKey: 'k_email', cssPath: 'elsewhere' }).profilePath, 'contact.email');
+  assert.strictEqual(learned.find(mappings, { stableKey: 'k_changed', cssPath: 'form > input:nth-of-type(5)' }).value, 'CTO');
+  assert.strictEqual(learned.find(mappings, { stableKey: 'k_changed', cssPath: 'form > textarea' }), null);
+  // An entry without a CSS path never matches a field without one
+  assert.strictEqual(learned.find({ k_x: { label: 'X', value: '1' } }, { stableKey: 'k_y' }), null);
+
+  // Recording again replaces the entry
+  await learned.record(origin, 'k_title', { cssPath: 'form > input:nth-of-type(5)', label: 'Title', value: 'CEO' });
+  assert.strictEqual((await learned.forOrigin(origin)).k_title.value, 'CEO');
+
+  // Sites are kept apart, and a site without entries disappears
+  await learned.record('https://other.example', 'k_email', { label: 'Email', value: 'x@example.com' });
+  assert.strictEqual((await learned.forOrigin(origin)).k_email.profilePath, 'contact.email');
+  await learned.forget('https://other.example', 'k_email');
+  assert.deepStrictEqual(Object.keys(await learned.loadAll()), [origin]);
+  await learned.forgetOrigin(origin);
+  assert.deepStrictEqual(await learned.loadAll(), {});
+
+  console.log('learned: all checks pass');
+})().catch(error => {
+  console.error(`FAIL ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,27 @@
+// tests/phone.test.js
+// Run with: node tests/phone.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+['constraints.js', 'phone.js'].forEach(file => {
+  vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+});
+vm.runInThisContext('globalThis.PhoneFormatter = PhoneFormatter; globalThis.ValueShaper = ValueShaper;');
+
+const formatter = new PhoneFormatter(new ValueShaper());
+
+// Each number takes the label before it, or the one after it when none precedes
+const line = 'Work: (555) 123-4567, Mobile: +1 555 987 6543';
+assert.deepStrictEqual(formatter.extract(line).map(n => n.role), ['work', 'mobile']);
+assert.strictEqual(formatter.convert(line, { kind: 'number', role: 'mobile' }), '+1 555 987 6543');
+assert.strictEqual(formatter.convert(line, { kind: 'number', role: 'work' }), '(555) 123-4567');
+assert.deepStrictEqual(formatter.extract('+7 995 664 9220 / WhatsApp').map(n => n.role), ['mobile']);
+
+// The sample form's placeholder
+assert.strictEqual(formatter.convert('+7 995 664 9220 / WhatsApp', { kind: 'number', role: null, mask: '(000) 000-0000' }), '(995) 664-9220');
+assert.strictEqual(formatter.convert('2011-2017', { kind: 'number', role: null }), null);
+
+console.log('phone: all checks pass');
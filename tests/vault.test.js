@@ -0,0 +1,80 @@
+// tests/vault.test.js
+// Run with: node tests/vault.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// chrome.storage as the background worker sees it: values are copied in and out
+function fakeArea() {
+  const data = {};
+  return {
+    data,
+    get: async (keys) => Object.fromEntries([].concat(keys).filter(k => k in data).map(k => [k, structuredClone(data[k])])),
+    set: async (items) => { Object.entries(items).forEach(([k, v]) => { data[k] = structuredClone(v); }); },
+    remove: async (keys) => { [].concat(keys).forEach(k => { delete data[k]; }); }
+  };
+}
+const local = fakeArea();
+const session = fakeArea();
+global.chrome = { storage: { local, session } };
+vm.runInThisContext(`${fs.readFileSync(path.join(__dirname, '..', 'vault.js'), 'utf8')}\nglobalThis.CredentialVault = CredentialVault;`);
+
+(async () => {
+  // Plaintext keys an older version left behind
+  local.data.providerConfig = { preset: 'openai', baseUrl: 'https://api.openai.com/v1', apiKey: 'sk-legacy-openai-1234' };
+  local.data.hfToken = 'hf_legacy_token_5678';
+
+  const vault = new CredentialVault();
+  await vault.holdLegacyKeys();
+  // Out of local storage at once, and still usable for this browser session
+  assert.deepStrictEqual(local.data.providerConfig, { preset: 'openai', baseUrl: 'https://api.openai.com/v1' });
+  assert.ok(!('hfToken' in local.data));
+  assert.strictEqual(await vault.getKey('openai'), 'sk-legacy-openai-1234');
+  assert.deepStrictEqual((await vault.status()).heldLegacyKeys.sort(), ['huggingface', 'openai']);
+
+  await assert.rejects(vault.setup('short'), /at least 8 characters/);
+
+  // Setup seals the held keys and empties the holding slot
+  await vault.setup('correct horse battery');
+  const sealed = local.data.credentialVault;
+  assert.deepStrictEqual(Object.keys(sealed.keys).sort(), ['huggingface', 'openai']);
+  assert.ok(!JSON.stringify(sealed).includes('sk-legacy-openai-1234'));
+  assert.strictEqual(sealed.keys.openai.hint, '…1234');
+  assert.ok(!(vault.legacyKey in session.data));
+  const status = await vault.status();
+  assert.ok(status.initialized && status.unlocked);
+  assert.deepStrictEqual(status.heldLegacyKeys, []);
+  assert.strictEqual(await vault.getKey('openai'), 'sk-legacy-openai-1234');
+  assert.strictEqual(await vault.getKey('huggingface'), 'hf_legacy_token_5678');
+  await assert.rejects(vault.setup('another passphrase'), /already exists/);
+
+  // Locked: nothing can be read or stored
+  await vault.lock();
+  assert.strictEqual(await vault.getKey('openai'), null);
+  assert.strictEqual(await vault.hasKey('openai'), true);
+  await assert.rejects(vault.setKey('anthropic', 'sk-ant-0000'), /locked/);
+
+  await assert.rejects(vault.unlock('wrong passphrase'), /Wrong passphrase/);
+  await vault.unlock('correct horse battery');
+  await vault.setKey('openai', '  sk-rotated-9999  ');
+  assert.strictEqual(await vault.getKey('openai'), 'sk-rotated-9999');
+  await assert.rejects(vault.setKey('openai', '   '), /empty/);
+  await vault.deleteKey('huggingface');
+  assert.strictEqual(await vault.hasKey('huggingface'), false);
+
+  // A key sealed under another passphrase does not open
+  const other = new CredentialVault();
+  const foreignKey = await other.deriveKey('someone else entirely', crypto.getRandomValues(new Uint8Array(16)));
+  local.data.credentialVault.keys.openai = await other.sealEntry(foreignKey, 'sk-foreign');
+  const originalError = console.error;
+  console.error = () => {};
+  assert.strictEqual(await vault.getKey('openai'), null);
+  console.error = originalError;
+
+  console.log('vault: all checks pass');
+})().catch(error => {
+  console.error(`FAIL ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,233 @@
+// vault.js
+
+/**
+ * CredentialVault keeps provider API keys encrypted at rest.
+ *
+ * Keys are sealed with AES-GCM under a key derived from the user's passphrase
+ * (PBKDF2-SHA256) and stored in chrome.storage.local under `credentialVault`.
+ * Unlocking puts the derived key in chrome.storage.session, which is cleared
+ * when the browser closes and is not readable by content scripts, so the vault
+ * stays unlocked for one browser session. Used only by the background worker.
+ *
+ * Plaintext keys left by older versions (`providerConfig.apiKey`, `hfToken`)
+ * are moved out of chrome.storage.local into a session-only holding slot as
+ * soon as the worker starts. They keep working until the browser closes, and
+ * creating the vault in that time seals them.
+ */
+class CredentialVault {
+  constructor() {
+    this.storageKey = 'credentialVault';
+    this.sessionKey = 'credentialVaultKey';
+    this.legacyKey = 'credentialVaultLegacy';
+    this.iterations = 310000;
+    this.checkPlaintext = 'ai-form-filler-vault';
+  }
+
+  async read() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || null;
+  }
+
+  async write(vault) {
+    await chrome.storage.local.set({ [this.storageKey]: vault });
+  }
+
+  /**
+   * @returns {Promise<{initialized: boolean, unlocked: boolean, heldLegacyKeys: Array<string>, keys: Array<{provider: string, hint: string, updatedAt: string}>}>}
+   */
+  async status() {
+    const vault = await this.read();
+    return {
+      initialized: !!vault,
+      heldLegacyKeys: vault ? [] : Object.keys(await this.readHeldLegacyKeys()),
+      unlocked: !!vault && !!(await this.sessionCryptoKey()),
+      keys: vault ? Object.entries(vault.keys).map(([provider, entry]) => ({
+        provider,
+        hint: entry.hint,
+        updatedAt: entry.updatedAt
+      })) : []
+    };
+  }
+
+  /**
+   * Move plaintext keys left by older versions out of chrome.storage.local
+   * into the session-only holding slot, provider preset -> key.
+   */
+  async holdLegacyKeys() {
+    const legacy = await chrome.storage.local.get(['providerConfig', 'hfToken']);
+    const held = await this.readHeldLegacyKeys();
+    if (legacy.providerConfig && legacy.providerConfig.apiKey) {
+      held[legacy.providerConfig.preset || 'custom'] = legacy.providerConfig.apiKey;
+      const { apiKey, ...rest } = legacy.providerConfig;
+      await chrome.storage.local.set({ providerConfig: rest });
+    }
+    if (legacy.hfToken && !held.huggingface) held.huggingface = legacy.hfToken;
+    if (Object.keys(held).length) await chrome.storage.session.set({ [this.legacyKey]: held });
+    await chrome.storage.local.remove(['hfToken']);
+  }
+
+  async readHeldLegacyKeys() {
+    const result = await chrome.storage.session.get([this.legacyKey]);
+    return result[this.legacyKey] || {};
+  }
+
+  /**
+   * Create the vault and unlock it, sealing the held legacy keys.
+   */
+  async setup(passphrase) {
+    if (await this.read()) throw new Error('The vault already exists');
+    this.assertPassphrase(passphrase);
+    await this.holdLegacyKeys();
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this.deriveKey(passphrase, salt);
+    const vault = {
+      version: 1,
+      salt: this.toBase64(salt),
+      iterations: this.iterations,
+      check: await this.seal(key, this.checkPlaintext),
+      keys: {}
+    };
+
+    const held = await this.readHeldLegacyKeys();
+    for (const [provider, apiKey] of Object.entries(held)) {
+      vault.keys[provider] = await this.sealEntry(key, apiKey);
+    }
+
+    await this.write(vault);
+    await this.storeSessionKey(key);
+    await chrome.storage.session.remove(this.legacyKey);
+  }
+
+  async unlock(passphrase) {
+    const vault = await this.read();
+    if (!vault) throw new Error('The vault has not been set up yet');
+    const key = await this.deriveKey(passphrase, this.fromBase64(vault.salt), vault.iterations);
+    try {
+      if (await this.open(key, vault.check) !== this.checkPlaintext) throw new Error('mismatch');
+    } catch (e) {
+      throw new Error('Wrong passphrase');
+    }
+    await this.storeSessionKey(key);
+  }
+
+  async lock() {
+    await chrome.storage.session.remove(this.sessionKey);
+  }
+
+  /**
+   * Store or rotate the key for a provider preset.
+   */
+  async setKey(provider, apiKey) {
+    const value = String(apiKey || '').trim();
+    if (!value) throw new Error('The API key is empty');
+    const { vault, key } = await this.requireUnlocked();
+    vault.keys[provider] = await this.sealEntry(key, value);
+    await this.write(vault);
+  }
+
+  async deleteKey(provider) {
+    const vault = await this.read();
+    if (!vault || !vault.keys[provider]) return;
+    delete vault.keys[provider];
+    await this.write(vault);
+  }
+
+  /**
+   * @returns {Promise<string|null>} The decrypted key, or null when locked or missing.
+   */
+  async getKey(provider) {
+    const vault = await this.read();
+    if (!vault) return (await this.readHeldLegacyKeys())[provider] || null;
+    if (!vault.keys[provider]) return null;
+    const key = await this.sessionCryptoKey();
+    if (!key) return null;
+    try {
+      return await this.open(key, vault.keys[provider]);
+    } catch (e) {
+      console.error('Vault entry could not be decrypted:', e);
+      return null;
+    }
+  }
+
+  async hasKey(provider) {
+    const vault = await this.read();
+    return !!(vault && vault.keys[provider]);
+  }
+
+  async requireUnlocked() {
+    const vault = await this.read();
+    if (!vault) throw new Error('Set up the credential vault first');
+    const key = await this.sessionCryptoKey();
+    if (!key) throw new Error('The credential vault is locked');
+    return { vault, key };
+  }
+
+  assertPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < 8) {
+      throw new Error('The passphrase must be at least 8 characters');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // WebCrypto helpers
+  // ---------------------------------------------------------------------------
+
+  async deriveKey(passphrase, salt, iterations = this.iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async seal(key, plaintext) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+    return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+  }
+
+  async sealEntry(key, apiKey) {
+    return {
+      ...(await this.seal(key, apiKey)),
+      hint: apiKey.length > 8 ? `…${apiKey.slice(-4)}` : '…',
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  async open(key, sealed) {
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: this.fromBase64(sealed.iv) },
+      key,
+      this.fromBase64(sealed.data)
+    );
+    return new TextDecoder().decode(plain);
+  }
+
+  async storeSessionKey(key) {
+    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    await chrome.storage.session.set({ [this.sessionKey]: this.toBase64(raw) });
+  }
+
+  async sessionCryptoKey() {
+    const result = await chrome.storage.session.get([this.sessionKey]);
+    if (!result[this.sessionKey]) return null;
+    return crypto.subtle.importKey('raw', this.fromBase64(result[this.sessionKey]), 'AES-GCM', true, ['encrypt', 'decrypt']);
+  }
+
+  toBase64(bytes) {
+    let s = '';
+    bytes.forEach(b => { s += String.fromCharCode(b); });
+    return btoa(s);
+  }
+
+  fromBase64(b64) {
+    const s = atob(b64);
+    const out = new Uint8Array(s.length);
+    for (let i = 0; i < s.length; i++) out[i] = s.charCodeAt(i);
+    return out;
+  }
+}
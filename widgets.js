@@ -0,0 +1,385 @@
+// widgets.js
+
+/**
+ * WidgetDriver operates dropdowns that are not native <select>s: ARIA
+ * comboboxes (react-select, Downshift, MUI Autocomplete, typeaheads and
+ * select-only comboboxes) and standalone listboxes.
+ *
+ * Options are read by opening the widget the way a user would, so they can
+ * be offered to the model like a SELECT's `options`. A combobox that shows
+ * nothing until you type (search-as-you-type) is `searchable`: it is filled
+ * by typing the value and clicking the best match once results arrive.
+ *
+ * Widgets share focus and popups, so every operation runs one at a time.
+ */
+class WidgetDriver {
+  constructor(fieldWriter) {
+    this.fieldWriter = fieldWriter;
+    this.openTimeoutMs = 600;
+    this.searchTimeoutMs = 2500;
+    this.pollMs = 50;
+    // Longer lists are only worth sending to the model when they cannot be searched
+    this.maxOptions = 150;
+    this.queue = Promise.resolve();
+    this.pendingOperations = 0;
+    // Listboxes shown as part of the page, never mistaken for a combobox's popup
+    this.standaloneListboxes = new WeakSet();
+    // Menus already on the page when a widget was last opened (see popupFor)
+    this.menusBeforeOpen = new Set();
+  }
+
+  static get SELECTOR() {
+    return '[role="combobox"], [role="listbox"], [aria-haspopup="listbox"], input[aria-autocomplete="list"], input[aria-autocomplete="both"]';
+  }
+
+  /**
+   * @returns {'combobox'|'listbox'|null} How to drive `element`, or null when
+   *   it is not a widget or is driven through another element. Listboxes
+   *   found here are remembered as part of the page (see popupFor).
+   */
+  kind(element) {
+    if (element.tagName === 'SELECT' || element.tagName === 'TEXTAREA') return null;
+    const role = element.getAttribute('role');
+    if (role === 'listbox') {
+      // A combobox's popup is driven through its combobox
+      if (this.ownerCombobox(element)) return null;
+      this.standaloneListboxes.add(element);
+      return 'listbox';
+    }
+    if (element.tagName === 'INPUT') {
+      if (!/^(text|search|)$/i.test(element.getAttribute('type') || '')) return null;
+      if (role === 'combobox' || /^(list|both)$/.test(element.getAttribute('aria-autocomplete') || '')) return 'combobox';
+      // ARIA 1.1 puts the role on a wrapper around the text box
+      return element.parentElement && element.parentElement.closest('[role="combobox"]') ? 'combobox' : null;
+    }
+    if (role === 'combobox' || element.getAttribute('aria-haspopup') === 'listbox') {
+      // ...in which case the text box inside is the one to drive
+      return element.querySelector('input') ? null : 'combobox';
+    }
+    return null;
+  }
+
+  // Text comboboxes can be searched; select-only ones (a div or button) cannot
+  isTypeable(element) {
+    return element.tagName === 'INPUT' && !element.readOnly && !element.disabled;
+  }
+
+  /**
+   * The visible box of a widget. react-select and friends shrink their text
+   * box to the width of what is typed, so climb to the surrounding control.
+   */
+  control(element) {
+    let node = element;
+    for (let depth = 0; node && depth < 4; depth++, node = node.parentElement) {
+      const rect = node.getBoundingClientRect();
+      if (rect.width > 40 && rect.height > 15) return node;
+    }
+    return null;
+  }
+
+  ownerCombobox(listbox) {
+    if (!listbox.id) return null;
+    const root = listbox.getRootNode();
+    const id = CSS.escape(listbox.id);
+    return root.querySelector(`[aria-controls~="${id}"], [aria-owns~="${id}"]`) ||
+      (root !== document ? document.querySelector(`[aria-controls~="${id}"], [aria-owns~="${id}"]`) : null);
+  }
+
+  /**
+   * Read a widget's options. Comboboxes are opened and closed again.
+   * @returns {Promise<{options: Array<{value: string, text: string}>|null, multiple: boolean, searchable: boolean}>}
+   */
+  readOptions(element) {
+    return this.run(async () => {
+      if (this.standaloneListboxes.has(element)) {
+        return {
+          options: this.describe(this.optionsIn(element)),
+          multiple: element.getAttribute('aria-multiselectable') === 'true',
+          searchable: false
+        };
+      }
+      const popup = await this.open(element);
+      const options = popup ? this.describe(this.optionsIn(popup)) : [];
+      const multiple = !!popup && popup.getAttribute('aria-multiselectable') === 'true';
+      this.close(element);
+      const searchable = this.isTypeable(element);
+      const tooMany = searchable && options.length > this.maxOptions;
+      return { options: options.length && !tooMany ? options : null, multiple, searchable };
+    });
+  }
+
+  /**
+   * Pick `value` (or every value of an array, for multi-select widgets).
+   * @returns {Promise<boolean>} Whether every value was selected.
+   */
+  select(element, value) {
+    return this.run(async () => {
+      const wanted = (Array.isArray(value) ? value : [value]).map(v => String(v)).filter(v => v.trim());
+      let ok = true;
+      for (const text of wanted) {
+        ok = (this.standaloneListboxes.has(element) ? this.pickInListbox(element, text) : await this.pickInCombobox(element, text)) && ok;
+      }
+      return ok;
+    });
+  }
+
+  /**
+   * Remove the widget's selection, used when a fill is undone.
+   */
+  clear(element) {
+    return this.run(async () => {
+      if (this.standaloneListboxes.has(element)) {
+        this.optionsIn(element).filter(o => o.getAttribute('aria-selected') === 'true').forEach(o => this.press(o));
+        return;
+      }
+      if (!this.isTypeable(element)) return;
+      element.focus({ preventScroll: true });
+      this.fieldWriter.setNativeValue(element, '');
+      element.dispatchEvent(new InputEvent('input', { bubbles: true, composed: true, inputType: 'deleteContentBackward' }));
+      // Backspace in an empty combobox removes its (last) selected value
+      for (let i = 0; i < 10 && this.selectedText(element); i++) {
+        this.fieldWriter.key(element, 'keydown', 'Backspace');
+        this.fieldWriter.key(element, 'keyup', 'Backspace');
+        await this.wait(this.pollMs);
+      }
+      this.close(element);
+    });
+  }
+
+  /**
+   * What the widget shows as selected: the option values when `options`
+   * are known, else the displayed text.
+   * @returns {string|string[]}
+   */
+  currentValue(element, options = null, multiple = false) {
+    let texts;
+    if (this.standaloneListboxes.has(element)) {
+      texts = this.optionsIn(element).filter(o => o.getAttribute('aria-selected') === 'true').map(o => this.optionText(o));
+    } else {
+      const shown = this.selectedText(element);
+      texts = shown ? [shown] : [];
+    }
+    if (options && texts.length) {
+      const norm = (s) => s.toLowerCase().replace(/\s+/g, ' ').trim();
+      const shown = texts.map(norm).join('\n');
+      // Longest first, so "Product Manager" wins over "Manager"
+      const hits = options.filter(o => o.text && shown.includes(norm(o.text)))
+        .sort((a, b) => b.text.length - a.text.length)
+        .map(o => o.value);
+      if (hits.length) return multiple ? hits : hits[0];
+    }
+    return multiple ? texts : (texts[0] || '');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Interaction
+  // ---------------------------------------------------------------------------
+
+  // Operations run one after another; a failed one resolves to null and does not block the rest
+  run(task) {
+    this.pendingOperations++;
+    this.queue = this.queue.then(task).catch(e => {
+      console.error('Widget operation failed:', e);
+      return null;
+    }).finally(() => {
+      this.pendingOperations--;
+    });
+    return this.queue;
+  }
+
+  // While a widget is being operated its popup is open and must not be scanned as a field
+  get busy() {
+    return this.pendingOperations > 0;
+  }
+
+  /**
+   * Open a combobox's popup: click it first, then try the keyboard.
+   * @returns {Promise<Element|null>} The listbox, once it has options.
+   */
+  async open(element) {
+    this.menusBeforeOpen = new Set(document.querySelectorAll('[class*="menu" i]'));
+    element.focus({ preventScroll: true });
+    this.press(this.control(element) || element);
+    let popup = await this.waitFor(() => this.popupWithOptions(element), this.openTimeoutMs);
+    if (!popup) {
+      this.fieldWriter.key(element, 'keydown', 'ArrowDown');
+      popup = await this.waitFor(() => this.popupWithOptions(element), this.openTimeoutMs);
+    }
+    return popup;
+  }
+
+  close(element) {
+    if (this.popupFor(element)) {
+      this.fieldWriter.key(element, 'keydown', 'Escape');
+      this.fieldWriter.key(element, 'keyup', 'Escape');
+    }
+    element.blur();
+  }
+
+  async pickInCombobox(element, text) {
+    let popup = await this.open(element);
+    let option = popup && this.bestOption(this.optionsIn(popup), text);
+    if (!option && this.isTypeable(element)) {
+      // Search-as-you-type: results may come from the server, so wait for a match
+      this.fieldWriter.setNativeValue(element, '');
+      element.dispatchEvent(new InputEvent('input', { bubbles: true, composed: true, inputType: 'deleteContentBackward' }));
+      this.fieldWriter.typeText(element, text);
+      option = await this.waitFor(() => {
+        popup = this.popupFor(element);
+        return popup && this.bestOption(this.optionsIn(popup), text);
+      }, this.searchTimeoutMs);
+    }
+    if (!option) {
+      console.warn(`No option matching "${text}" in this dropdown`, element);
+      this.close(element);
+      return false;
+    }
+
+    this.press(option);
+    await this.wait(this.pollMs);
+    if (!this.shows(element, option, text)) {
+      // Keyboard-only widgets (Downshift and similar) select the active option on Enter
+      popup = this.popupFor(element) || await this.open(element);
+      const options = popup ? this.optionsIn(popup) : [];
+      const target = this.bestOption(options, text);
+      for (let i = 0; target && i <= options.length; i++) {
+        if (element.getAttribute('aria-activedescendant') === target.id && target.id) break;
+        this.fieldWriter.key(element, 'keydown', 'ArrowDown');
+      }
+      this.fieldWriter.key(element, 'keydown', 'Enter');
+      await this.wait(this.pollMs);
+    }
+    this.close(element);
+    return this.shows(element, option, text);
+  }
+
+  pickInListbox(listbox, text) {
+    const option = this.bestOption(this.optionsIn(listbox), text);
+    if (!option) return false;
+    if (option.getAttribute('aria-selected') !== 'true') this.press(option);
+    return true;
+  }
+
+  // Whether the widget now displays the option we picked
+  shows(element, option, text) {
+    if (option.isConnected && option.getAttribute('aria-selected') === 'true') return true;
+    const shown = this.selectedText(element).toLowerCase();
+    const norm = (s) => s.toLowerCase().replace(/\s+/g, ' ').trim();
+    return !!shown && (shown.includes(norm(this.optionText(option))) || shown.includes(norm(text)));
+  }
+
+  /**
+   * The displayed selection: the text box's value, or the control's text
+   * without its placeholder (react-select shows the choice beside its input).
+   */
+  selectedText(element) {
+    if (element.tagName === 'INPUT' && element.value.trim()) return element.value.trim();
+    const control = this.control(element) || element;
+    const clone = control.cloneNode(true);
+    clone.querySelectorAll('[class*="placeholder" i], [role="listbox"], [aria-hidden="true"], input').forEach(n => n.remove());
+    return clone.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  // A real mouse click: widget libraries listen for different parts of it
+  press(target) {
+    const init = { bubbles: true, cancelable: true, composed: true, button: 0 };
+    target.dispatchEvent(new PointerEvent('pointerdown', init));
+    target.dispatchEvent(new MouseEvent('mousedown', init));
+    target.dispatchEvent(new PointerEvent('pointerup', init));
+    target.dispatchEvent(new MouseEvent('mouseup', init));
+    target.dispatchEvent(new MouseEvent('click', init));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Options
+  // ---------------------------------------------------------------------------
+
+  popupWithOptions(element) {
+    const popup = this.popupFor(element);
+    return popup && this.optionsIn(popup).length ? popup : null;
+  }
+
+  /**
+   * The open listbox of a combobox: the one its aria-controls/aria-owns
+   * names, else the visible listbox nearest to it (menus rendered in portals).
+   * Older react-select menus have no role; a "menu" element only counts when
+   * it appeared after the widget was opened, never the page's own navigation.
+   */
+  popupFor(element) {
+    const wrapper = element.closest('[role="combobox"]');
+    const ids = [element, wrapper].filter(Boolean)
+      .flatMap(el => `${el.getAttribute('aria-controls') || ''} ${el.getAttribute('aria-owns') || ''}`.split(/\s+/))
+      .filter(Boolean);
+    for (const id of ids) {
+      const target = element.getRootNode().getElementById
+        ? element.getRootNode().getElementById(id)
+        : document.getElementById(id);
+      const popup = target && (target.getAttribute('role') === 'listbox' ? target : target.querySelector('[role="listbox"]'));
+      if (popup && this.isVisible(popup)) return popup;
+    }
+
+    const anchor = (this.control(element) || element).getBoundingClientRect();
+    const menus = Array.from(document.querySelectorAll('[class*="menu" i]')).filter(el => !this.menusBeforeOpen.has(el));
+    const candidates = [...document.querySelectorAll('[role="listbox"]'), ...menus]
+      .filter(el => !this.standaloneListboxes.has(el) && this.isVisible(el) && this.optionsIn(el).length);
+    let best = null;
+    let bestDistance = 300; // farther than this is some other widget's menu
+    candidates.forEach(el => {
+      const rect = el.getBoundingClientRect();
+      const distance = Math.min(Math.abs(rect.top - anchor.bottom), Math.abs(anchor.top - rect.bottom)) + Math.abs(rect.left - anchor.left);
+      if (distance < bestDistance) {
+        best = el;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  // Older react-select versions give options ids but no role
+  optionsIn(popup) {
+    return Array.from(popup.querySelectorAll('[role="option"], [id*="-option-"]'))
+      .filter(o => o.getAttribute('aria-disabled') !== 'true' && this.optionText(o));
+  }
+
+  describe(options) {
+    return options.map(o => ({
+      value: o.getAttribute('data-value') || this.optionText(o),
+      text: this.optionText(o)
+    }));
+  }
+
+  optionText(option) {
+    return (option.getAttribute('aria-label') || option.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  // Exact value or text first, then the shortest option that starts with or contains `text`
+  bestOption(options, text) {
+    const norm = (s) => String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const wanted = norm(text);
+    if (!wanted) return null;
+    const exact = options.find(o => norm(o.getAttribute('data-value')) === wanted || norm(this.optionText(o)) === wanted);
+    if (exact) return exact;
+    const byLength = (a, b) => this.optionText(a).length - this.optionText(b).length;
+    return options.filter(o => norm(this.optionText(o)).startsWith(wanted)).sort(byLength)[0] ||
+      options.filter(o => norm(this.optionText(o)).includes(wanted)).sort(byLength)[0] ||
+      null;
+  }
+
+  isVisible(el) {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  }
+
+  async waitFor(check, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const result = check();
+      if (result || Date.now() >= deadline) return result || null;
+      await this.wait(this.pollMs);
+    }
+  }
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}